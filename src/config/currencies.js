@@ -0,0 +1,16 @@
+// Prices are calculated in USD and converted for display
+const BASE_CURRENCY = 'USD';
+
+// Currencies storefronts may request (base currency is always supported)
+const SUPPORTED_CURRENCIES = Array.from(new Set([
+  BASE_CURRENCY,
+  ...(process.env.SUPPORTED_CURRENCIES || 'TRY,EUR,GBP')
+    .split(',')
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean)
+]));
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES
+};
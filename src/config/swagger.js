@@ -27,6 +27,18 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Vendor API key; read keys act as a viewer, catalog_write keys as a catalog manager'
+        },
+        cartToken: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Cart-Token',
+          description: 'Guest cart token, returned as cartToken when a guest first adds an item'
         }
       },
       schemas: {
@@ -82,7 +94,11 @@ const options = {
               type: 'string',
               format: 'uuid'
             },
-            name: {
+            email: {
+              type: 'string',
+              format: 'email'
+            },
+            businessName: {
               type: 'string',
               description: 'Vendor name'
             },
@@ -90,16 +106,20 @@ const options = {
               type: 'string',
               description: 'Vendor description'
             },
-            logo_url: {
+            logoUrl: {
               type: 'string',
               format: 'uri',
               description: 'Logo URL'
             },
-            email: {
+            website: {
               type: 'string',
-              format: 'email'
+              format: 'uri'
             },
-            is_active: {
+            status: {
+              type: 'string',
+              enum: ['pending', 'active', 'rejected', 'suspended']
+            },
+            isActive: {
               type: 'boolean'
             }
           }
@@ -175,6 +195,18 @@ const options = {
         name: 'Favorites',
         description: 'User favorites management'
       },
+      {
+        name: 'Cart',
+        description: 'Shopping cart for signed-in users and guests (X-Cart-Token)'
+      },
+      {
+        name: 'Orders',
+        description: 'Checkout and customer orders'
+      },
+      {
+        name: 'Payments',
+        description: 'Order payments through the configured payment gateway'
+      },
       {
         name: 'Vendor Profile',
         description: 'Vendor profile management'
@@ -182,6 +214,26 @@ const options = {
       {
         name: 'Vendor Products',
         description: 'Vendor product management'
+      },
+      {
+        name: 'Vendor Inventory',
+        description: 'Stock per product color and stock adjustments'
+      },
+      {
+        name: 'Vendor Orders',
+        description: 'Vendor sub-orders, fulfilment status changes (owner role required) and packing slips'
+      },
+      {
+        name: 'Vendor Team',
+        description: 'Vendor team members, invitations and API keys (owner role required)'
+      },
+      {
+        name: 'Vendor Webhooks',
+        description: 'Signed outbound event notifications with a delivery log (owner role required)'
+      },
+      {
+        name: 'Admin',
+        description: 'Back-office operations (admin role required)'
       }
     ],
     paths: {
@@ -360,7 +412,7 @@ const options = {
         get: {
           tags: ['User Operations'],
           summary: 'Get vendor products',
-          description: 'Get products belonging to a specific vendor',
+          description: 'Get products belonging to a specific vendor; sold-out products are left out',
           parameters: [
             {
               name: 'vendorId',
@@ -393,7 +445,7 @@ const options = {
         get: {
           tags: ['Public Products'],
           summary: 'Get all active products',
-          description: 'Retrieve all active products with filtering and pagination',
+          description: 'Retrieve all active products with filtering and pagination; products sold out in every color are left out until restocked',
           parameters: [
             {
               name: 'page',
@@ -425,6 +477,12 @@ const options = {
               in: 'query',
               schema: { type: 'number' }
             },
+            {
+              name: 'currency',
+              in: 'query',
+              schema: { type: 'string', enum: ['USD', 'TRY', 'EUR', 'GBP'], default: 'USD' },
+              description: 'Display currency for calculatedPrice and goldPrice'
+            },
             {
               name: 'sortBy',
               in: 'query',
@@ -468,6 +526,108 @@ const options = {
           }
         }
       },
+      '/api/v1/public/products/{id}/quote': {
+        post: {
+          tags: ['Public Products'],
+          summary: 'Create price quote',
+          description: 'Lock the current calculated price of a product color for a limited time (15 minutes by default)',
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['color'],
+                  properties: {
+                    color: { type: 'string', enum: ['yellow', 'white', 'rose'] }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '201': {
+              description: 'Price quote created successfully'
+            },
+            '400': {
+              description: 'Product is not available in this color'
+            },
+            '404': {
+              description: 'Product not found'
+            }
+          }
+        }
+      },
+      '/api/v1/public/quotes/verify': {
+        post: {
+          tags: ['Public Products'],
+          summary: 'Verify price quote',
+          description: 'Check that a price quote is authentic, unexpired and matches the product/color being purchased',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['token'],
+                  properties: {
+                    token: { type: 'string' },
+                    productId: { type: 'string', format: 'uuid' },
+                    color: { type: 'string', enum: ['yellow', 'white', 'rose'] }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Verification result (data.valid, data.reason)'
+            }
+          }
+        }
+      },
+      '/api/v1/public/gold-price/history': {
+        get: {
+          tags: ['Public Products'],
+          summary: 'Get gold price history',
+          description: 'Get stored gold prices grouped into OHLC buckets (USD per ounce)',
+          parameters: [
+            {
+              name: 'from',
+              in: 'query',
+              schema: { type: 'string', format: 'date-time' },
+              description: 'Range start (defaults to 30 days before "to")'
+            },
+            {
+              name: 'to',
+              in: 'query',
+              schema: { type: 'string', format: 'date-time' },
+              description: 'Range end (defaults to now)'
+            },
+            {
+              name: 'interval',
+              in: 'query',
+              schema: { type: 'string', enum: ['1h', '6h', '1d', '1w'], default: '1d' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Gold price history retrieved successfully'
+            },
+            '400': {
+              description: 'Invalid date range or interval, or a range longer than the interval allows (31 days for 1h, 93 for 6h, 366 for 1d and 1w)'
+            }
+          }
+        }
+      },
       '/api/v1/public/favorites': {
         get: {
           tags: ['Favorites'],
@@ -512,82 +672,166 @@ const options = {
           }
         }
       },
-      '/api/v1/vendor/profile': {
+      '/api/v1/public/cart': {
         get: {
-          tags: ['Vendor Profile'],
-          summary: 'Get vendor profile',
-          description: 'Get vendor profile and store information',
-          security: [{ bearerAuth: [] }],
+          tags: ['Cart'],
+          summary: 'Get cart',
+          description: 'Cart lines with unit prices, line totals and the cart subtotal; unavailable lines are excluded from totals',
+          security: [{ bearerAuth: [] }, { cartToken: [] }],
+          parameters: [
+            {
+              name: 'currency',
+              in: 'query',
+              schema: { type: 'string', enum: ['USD', 'TRY', 'EUR', 'GBP'], default: 'USD' },
+              description: 'Display currency for prices and totals'
+            }
+          ],
           responses: {
             '200': {
-              description: 'Vendor profile retrieved successfully'
-            },
-            '401': {
-              description: 'Unauthorized'
+              description: 'Cart retrieved successfully'
             }
           }
         },
-        put: {
-          tags: ['Vendor Profile'],
-          summary: 'Update vendor profile',
-          description: 'Update vendor profile and store information',
-          security: [{ bearerAuth: [] }],
+        delete: {
+          tags: ['Cart'],
+          summary: 'Clear cart',
+          security: [{ bearerAuth: [] }, { cartToken: [] }],
+          parameters: [
+            {
+              name: 'currency',
+              in: 'query',
+              schema: { type: 'string', enum: ['USD', 'TRY', 'EUR', 'GBP'], default: 'USD' },
+              description: 'Display currency for prices and totals'
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Cart cleared'
+            }
+          }
+        }
+      },
+      '/api/v1/public/cart/items': {
+        post: {
+          tags: ['Cart'],
+          summary: 'Add item to cart',
+          description: 'Adds a product color or increases its quantity. A guest without a cart gets one, and its token is returned once as cartToken.',
+          security: [{ bearerAuth: [] }, { cartToken: [] }],
+          parameters: [
+            {
+              name: 'currency',
+              in: 'query',
+              schema: { type: 'string', enum: ['USD', 'TRY', 'EUR', 'GBP'], default: 'USD' },
+              description: 'Display currency for prices and totals'
+            }
+          ],
           requestBody: {
             required: true,
             content: {
               'application/json': {
                 schema: {
                   type: 'object',
+                  required: ['productId', 'color'],
                   properties: {
-                    name: { type: 'string' },
-                    description: { type: 'string' },
-                    logoUrl: { type: 'string', format: 'uri' }
+                    productId: { type: 'string', format: 'uuid' },
+                    color: { type: 'string', enum: ['yellow', 'white', 'rose'] },
+                    quantity: { type: 'integer', minimum: 1, maximum: 99, default: 1 }
                   }
                 }
               }
             }
           },
           responses: {
-            '200': {
-              description: 'Vendor profile updated successfully'
+            '201': {
+              description: 'Item added to cart'
             },
-            '401': {
-              description: 'Unauthorized'
+            '400': {
+              description: 'Color not offered or quantity limit exceeded'
+            },
+            '404': {
+              description: 'Product not found or inactive'
+            },
+            '409': {
+              description: 'Not enough stock; data.available is the number of units left'
             }
           }
         }
       },
-      '/api/v1/vendor/products': {
-        get: {
-          tags: ['Vendor Products'],
-          summary: 'Get vendor products',
-          description: 'Get vendor\'s own products',
-          security: [{ bearerAuth: [] }],
+      '/api/v1/public/cart/items/{itemId}': {
+        put: {
+          tags: ['Cart'],
+          summary: 'Change item quantity',
+          security: [{ bearerAuth: [] }, { cartToken: [] }],
           parameters: [
             {
-              name: 'page',
-              in: 'query',
-              schema: { type: 'integer', default: 1 }
+              name: 'itemId',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
             },
             {
-              name: 'limit',
+              name: 'currency',
               in: 'query',
-              schema: { type: 'integer', default: 10 }
+              schema: { type: 'string', enum: ['USD', 'TRY', 'EUR', 'GBP'], default: 'USD' },
+              description: 'Display currency for prices and totals'
             }
           ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['quantity'],
+                  properties: {
+                    quantity: { type: 'integer', minimum: 1, maximum: 99 }
+                  }
+                }
+              }
+            }
+          },
           responses: {
             '200': {
-              description: 'Vendor products retrieved successfully'
+              description: 'Cart item updated'
             },
-            '401': {
-              description: 'Unauthorized'
+            '404': {
+              description: 'Cart item not found'
             }
           }
         },
+        delete: {
+          tags: ['Cart'],
+          summary: 'Remove item from cart',
+          security: [{ bearerAuth: [] }, { cartToken: [] }],
+          parameters: [
+            {
+              name: 'itemId',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            },
+            {
+              name: 'currency',
+              in: 'query',
+              schema: { type: 'string', enum: ['USD', 'TRY', 'EUR', 'GBP'], default: 'USD' },
+              description: 'Display currency for prices and totals'
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Item removed from cart'
+            },
+            '404': {
+              description: 'Cart item not found'
+            }
+          }
+        }
+      },
+      '/api/v1/public/orders': {
         post: {
-          tags: ['Vendor Products'],
-          summary: 'Create a new product',
-          description: 'Create a new product for the vendor',
+          tags: ['Orders'],
+          summary: 'Checkout',
+          description: 'Places an order for the whole cart, split into one sub-order per vendor. Prices are snapshotted in USD, stock of tracked colors is reserved and the cart is emptied. Orders still unpaid when the reservation expires are cancelled.',
           security: [{ bearerAuth: [] }],
           requestBody: {
             required: true,
@@ -595,14 +839,26 @@ const options = {
               'application/json': {
                 schema: {
                   type: 'object',
-                  required: ['name', 'weight', 'popularityScore', 'colors'],
+                  required: ['shippingAddress'],
                   properties: {
-                    name: { type: 'string' },
-                    weight: { type: 'number' },
-                    popularityScore: { type: 'number', minimum: 0, maximum: 10 },
-                    colors: {
+                    shippingAddress: {
+                      type: 'object',
+                      required: ['fullName', 'line1', 'city', 'postalCode', 'country'],
+                      properties: {
+                        fullName: { type: 'string' },
+                        line1: { type: 'string' },
+                        line2: { type: 'string' },
+                        city: { type: 'string' },
+                        state: { type: 'string' },
+                        postalCode: { type: 'string' },
+                        country: { type: 'string', description: '2-letter ISO country code', example: 'TR' },
+                        phone: { type: 'string' }
+                      }
+                    },
+                    quoteTokens: {
                       type: 'array',
-                      items: { type: 'string', enum: ['yellow', 'white', 'rose'] }
+                      description: 'Price quote tokens; lines with a valid quote are charged the quoted price',
+                      items: { type: 'string' }
                     }
                   }
                 }
@@ -611,19 +867,41 @@ const options = {
           },
           responses: {
             '201': {
-              description: 'Product created successfully'
+              description: 'Order placed successfully'
             },
-            '401': {
-              description: 'Unauthorized'
+            '400': {
+              description: 'Cart is empty'
+            },
+            '409': {
+              description: 'Some cart lines are no longer available (data.unavailableItems), need more stock than is left (data.insufficientItems) or have quotes that cannot be honored (data.invalidQuotes)'
+            }
+          }
+        },
+        get: {
+          tags: ['Orders'],
+          summary: 'List orders',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: 'page', in: 'query', schema: { type: 'integer', default: 1 } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', default: 10 } },
+            {
+              name: 'status',
+              in: 'query',
+              schema: { type: 'string', enum: ['pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'] }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Orders retrieved successfully'
             }
           }
         }
       },
-      '/api/v1/vendor/products/{id}': {
+      '/api/v1/public/orders/{id}': {
         get: {
-          tags: ['Vendor Products'],
-          summary: 'Get vendor product by ID',
-          description: 'Get specific product belonging to vendor',
+          tags: ['Orders'],
+          summary: 'Get order',
+          description: 'Order with its vendor sub-orders, items and status history',
           security: [{ bearerAuth: [] }],
           parameters: [
             {
@@ -635,17 +913,19 @@ const options = {
           ],
           responses: {
             '200': {
-              description: 'Product retrieved successfully'
+              description: 'Order retrieved successfully'
             },
             '404': {
-              description: 'Product not found'
+              description: 'Order not found'
             }
           }
-        },
-        put: {
-          tags: ['Vendor Products'],
-          summary: 'Update vendor product',
-          description: 'Update product information',
+        }
+      },
+      '/api/v1/public/orders/{id}/cancel': {
+        post: {
+          tags: ['Orders'],
+          summary: 'Cancel order',
+          description: 'Customers can cancel an order while it is pending',
           security: [{ bearerAuth: [] }],
           parameters: [
             {
@@ -656,16 +936,12 @@ const options = {
             }
           ],
           requestBody: {
-            required: true,
             content: {
               'application/json': {
                 schema: {
                   type: 'object',
                   properties: {
-                    name: { type: 'string' },
-                    weight: { type: 'number' },
-                    popularityScore: { type: 'number', minimum: 0, maximum: 10 },
-                    isActive: { type: 'boolean' }
+                    reason: { type: 'string', maxLength: 500 }
                   }
                 }
               }
@@ -673,17 +949,46 @@ const options = {
           },
           responses: {
             '200': {
-              description: 'Product updated successfully'
+              description: 'Order cancelled successfully'
             },
             '404': {
-              description: 'Product not found'
+              description: 'Order not found'
+            },
+            '409': {
+              description: 'Order is no longer pending'
             }
           }
-        },
-        delete: {
-          tags: ['Vendor Products'],
-          summary: 'Delete vendor product',
-          description: 'Soft delete (deactivate) vendor product',
+        }
+      },
+      '/api/v1/public/orders/{id}/payment': {
+        post: {
+          tags: ['Payments'],
+          summary: 'Start payment',
+          description: 'Creates the payment of a pending order; calling again returns the same payment',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '201': {
+              description: 'Payment created, with clientSecret for the gateway SDK'
+            },
+            '404': {
+              description: 'Order not found'
+            },
+            '409': {
+              description: 'Order is not pending'
+            }
+          }
+        },
+        get: {
+          tags: ['Payments'],
+          summary: 'Get payment',
           security: [{ bearerAuth: [] }],
           parameters: [
             {
@@ -695,10 +1000,1166 @@ const options = {
           ],
           responses: {
             '200': {
-              description: 'Product deleted successfully'
+              description: 'Payment retrieved successfully'
             },
             '404': {
-              description: 'Product not found'
+              description: 'Payment not found'
+            }
+          }
+        }
+      },
+      '/api/v1/public/orders/{id}/payment/confirm': {
+        post: {
+          tags: ['Payments'],
+          summary: 'Confirm payment',
+          description: 'Authorizes the payment method and captures the payment; the order becomes paid',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['paymentMethod'],
+                  properties: {
+                    paymentMethod: { type: 'string', example: 'pm_card_visa' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Payment completed successfully'
+            },
+            '402': {
+              description: 'Payment was declined'
+            },
+            '404': {
+              description: 'Order not found'
+            },
+            '409': {
+              description: 'No payment created yet, or already paid'
+            }
+          }
+        }
+      },
+      '/api/v1/public/payments/webhook': {
+        post: {
+          tags: ['Payments'],
+          summary: 'Payment gateway webhook',
+          description: 'Called by the payment gateway. The signature header is verified against the raw body, and each event ID is processed once.',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: { type: 'object' }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Event received (processed, ignored or duplicate)'
+            },
+            '400': {
+              description: 'Invalid webhook signature'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/profile': {
+        get: {
+          tags: ['Vendor Profile'],
+          summary: 'Get vendor profile',
+          description: 'Get vendor profile and store information',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          responses: {
+            '200': {
+              description: 'Vendor profile retrieved successfully'
+            },
+            '401': {
+              description: 'Unauthorized'
+            }
+          }
+        },
+        put: {
+          tags: ['Vendor Profile'],
+          summary: 'Update vendor profile',
+          description: 'Update vendor profile and store information',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    businessName: { type: 'string' },
+                    description: { type: 'string' },
+                    logoUrl: { type: 'string', format: 'uri' },
+                    website: { type: 'string', format: 'uri' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Vendor profile updated successfully'
+            },
+            '401': {
+              description: 'Unauthorized'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/pricing': {
+        get: {
+          tags: ['Vendor Profile'],
+          summary: 'Get pricing rules',
+          description: 'Get the vendor pricing rules (karat, making charge, markup, rounding)',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          responses: {
+            '200': {
+              description: 'Pricing rules retrieved successfully'
+            }
+          }
+        },
+        put: {
+          tags: ['Vendor Profile'],
+          summary: 'Update pricing rules',
+          description: 'Update the rules used to price all vendor products',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    karat: { type: 'string', enum: ['14k', '18k', '22k', '24k'] },
+                    makingCharge: { type: 'number', minimum: 0 },
+                    markupPercent: { type: 'number', minimum: 0, maximum: 1000 },
+                    rounding: { type: 'string', enum: ['cent', 'whole', 'nearest_5', 'nearest_10', 'charm'] }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Pricing rules updated successfully'
+            },
+            '400': {
+              description: 'Validation error'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/products': {
+        get: {
+          tags: ['Vendor Products'],
+          summary: 'Get vendor products',
+          description: 'Get vendor\'s own products',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'page',
+              in: 'query',
+              schema: { type: 'integer', default: 1 }
+            },
+            {
+              name: 'limit',
+              in: 'query',
+              schema: { type: 'integer', default: 10 }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Vendor products retrieved successfully'
+            },
+            '401': {
+              description: 'Unauthorized'
+            }
+          }
+        },
+        post: {
+          tags: ['Vendor Products'],
+          summary: 'Create a new product',
+          description: 'Create a new product for the vendor',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['name', 'weight', 'popularityScore', 'colors'],
+                  properties: {
+                    name: { type: 'string' },
+                    weight: { type: 'number' },
+                    popularityScore: { type: 'number', minimum: 0, maximum: 10 },
+                    colors: {
+                      type: 'array',
+                      items: { type: 'string', enum: ['yellow', 'white', 'rose'] }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '201': {
+              description: 'Product created successfully'
+            },
+            '401': {
+              description: 'Unauthorized'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/products/import': {
+        post: {
+          tags: ['Vendor Products'],
+          summary: 'Import products from CSV or JSON',
+          description: 'Rows are validated like single product create/update requests (rows with an id update that product). Invalid rows are skipped and reported per row; with dryRun=true nothing is saved.',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'dryRun',
+              in: 'query',
+              schema: { type: 'string', enum: ['true', 'false'], default: 'false' }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  required: ['file'],
+                  properties: {
+                    file: { type: 'string', format: 'binary', description: '.csv or .json file' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Dry run completed'
+            },
+            '201': {
+              description: 'Import completed; the job lists created, updated and failed counts'
+            },
+            '400': {
+              description: 'Missing or unreadable file, or too many rows'
+            },
+            '413': {
+              description: 'File too large'
+            },
+            '415': {
+              description: 'Unsupported file type'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/products/imports': {
+        get: {
+          tags: ['Vendor Products'],
+          summary: 'List product import jobs',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'page',
+              in: 'query',
+              schema: { type: 'integer', default: 1 }
+            },
+            {
+              name: 'limit',
+              in: 'query',
+              schema: { type: 'integer', default: 20 }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Import jobs retrieved successfully'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/products/imports/{jobId}': {
+        get: {
+          tags: ['Vendor Products'],
+          summary: 'Get product import job with per-row errors',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'jobId',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Import job retrieved successfully'
+            },
+            '404': {
+              description: 'Import job not found'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/products/{id}': {
+        get: {
+          tags: ['Vendor Products'],
+          summary: 'Get vendor product by ID',
+          description: 'Get specific product belonging to vendor',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Product retrieved successfully'
+            },
+            '404': {
+              description: 'Product not found'
+            }
+          }
+        },
+        put: {
+          tags: ['Vendor Products'],
+          summary: 'Update vendor product',
+          description: 'Update product information',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string' },
+                    weight: { type: 'number' },
+                    popularityScore: { type: 'number', minimum: 0, maximum: 10 },
+                    isActive: { type: 'boolean' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Product updated successfully'
+            },
+            '404': {
+              description: 'Product not found'
+            }
+          }
+        },
+        delete: {
+          tags: ['Vendor Products'],
+          summary: 'Delete vendor product',
+          description: 'Soft delete (deactivate) vendor product',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Product deleted successfully'
+            },
+            '404': {
+              description: 'Product not found'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/products/{id}/images': {
+        post: {
+          tags: ['Vendor Products'],
+          summary: 'Upload product image',
+          description: 'Upload a JPEG, PNG or WebP image for one of the product colors. Thumbnail, medium and large variants (plus WebP) are generated automatically.',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  required: ['image', 'color'],
+                  properties: {
+                    image: { type: 'string', format: 'binary' },
+                    color: { type: 'string', enum: ['yellow', 'white', 'rose'] }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '201': {
+              description: 'Image uploaded successfully'
+            },
+            '400': {
+              description: 'Missing file or invalid color'
+            },
+            '404': {
+              description: 'Product not found'
+            },
+            '413': {
+              description: 'File too large'
+            },
+            '415': {
+              description: 'Unsupported image type'
+            },
+            '422': {
+              description: 'Image could not be processed'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/products/{id}/images/order': {
+        put: {
+          tags: ['Vendor Products'],
+          summary: 'Reorder product images',
+          description: 'Set the display order of all images of one product color',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['color', 'imageIds'],
+                  properties: {
+                    color: { type: 'string', enum: ['yellow', 'white', 'rose'] },
+                    imageIds: { type: 'array', items: { type: 'string', format: 'uuid' } }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Images reordered successfully'
+            },
+            '400': {
+              description: 'Image IDs do not match the color images'
+            },
+            '404': {
+              description: 'Product not found'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/products/{id}/images/{imageId}': {
+        delete: {
+          tags: ['Vendor Products'],
+          summary: 'Delete product image',
+          description: 'Delete a product image and its stored file',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            },
+            {
+              name: 'imageId',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Image deleted successfully'
+            },
+            '404': {
+              description: 'Product or image not found'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/products/{id}/stock': {
+        get: {
+          tags: ['Vendor Inventory'],
+          summary: 'Get product stock',
+          description: 'Stock of each color of the product (colors without stock are not tracked) and the latest 50 adjustments',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Stock retrieved successfully'
+            },
+            '404': {
+              description: 'Product not found'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/products/{id}/stock/adjustments': {
+        post: {
+          tags: ['Vendor Inventory'],
+          summary: 'Adjust stock',
+          description: 'Changes the stock of a product color by a number of units (change) or sets the counted stock (quantity). The first adjustment of a color starts tracking it.',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['color', 'reason'],
+                  properties: {
+                    color: { type: 'string', enum: ['yellow', 'white', 'rose'] },
+                    change: { type: 'integer', description: 'Units to add (negative to remove); send change or quantity' },
+                    quantity: { type: 'integer', minimum: 0, description: 'Counted stock on hand; send change or quantity' },
+                    reason: { type: 'string', enum: ['restock', 'correction', 'damaged', 'lost', 'returned'] },
+                    note: { type: 'string', maxLength: 500 }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '201': {
+              description: 'Stock adjusted successfully'
+            },
+            '400': {
+              description: 'Validation error or color not offered'
+            },
+            '404': {
+              description: 'Product not found'
+            },
+            '409': {
+              description: 'Stock would drop below the units reserved for open orders'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/orders': {
+        get: {
+          tags: ['Vendor Orders'],
+          summary: 'List vendor orders',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            { name: 'page', in: 'query', schema: { type: 'integer', default: 1 } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', default: 20 } },
+            {
+              name: 'status',
+              in: 'query',
+              schema: { type: 'string', enum: ['pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'] }
+            },
+            { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' }, description: 'Orders placed on or after' },
+            { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' }, description: 'Orders placed on or before' }
+          ],
+          responses: {
+            '200': {
+              description: 'Orders retrieved successfully'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/orders/{id}': {
+        get: {
+          tags: ['Vendor Orders'],
+          summary: 'Get vendor order',
+          description: 'Sub-order with items, shipping address and status history',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Order retrieved successfully'
+            },
+            '404': {
+              description: 'Order not found'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/orders/{id}/packing-slip': {
+        get: {
+          tags: ['Vendor Orders'],
+          summary: 'Get packing slip data',
+          description: 'Sender, recipient and items with weights; no prices',
+          security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Packing slip retrieved successfully'
+            },
+            '404': {
+              description: 'Order not found'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/orders/{id}/accept': {
+        post: {
+          tags: ['Vendor Orders'],
+          summary: 'Accept order',
+          description: 'Moves a paid sub-order to processing',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Order accepted successfully'
+            },
+            '404': {
+              description: 'Order not found'
+            },
+            '409': {
+              description: 'Not allowed from the current status'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/orders/{id}/ship': {
+        post: {
+          tags: ['Vendor Orders'],
+          summary: 'Mark order shipped',
+          description: 'Moves a processing sub-order to shipped',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['carrier', 'trackingNumber'],
+                  properties: {
+                    carrier: { type: 'string', maxLength: 100 },
+                    trackingNumber: { type: 'string', maxLength: 100 }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Order shipped successfully'
+            },
+            '404': {
+              description: 'Order not found'
+            },
+            '409': {
+              description: 'Not allowed from the current status'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/orders/{id}/cancel': {
+        post: {
+          tags: ['Vendor Orders'],
+          summary: 'Cancel order',
+          description: 'Cancels a sub-order that has not shipped',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['reason'],
+                  properties: {
+                    reason: { type: 'string', maxLength: 500 }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Order cancelled successfully'
+            },
+            '404': {
+              description: 'Order not found'
+            },
+            '409': {
+              description: 'Not allowed from the current status'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/team': {
+        get: {
+          tags: ['Vendor Team'],
+          summary: 'List team members',
+          description: 'List team members and pending invitations',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            '200': {
+              description: 'Team members retrieved successfully'
+            },
+            '403': {
+              description: 'Team role does not allow this action'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/team/invitations': {
+        post: {
+          tags: ['Vendor Team'],
+          summary: 'Invite team member',
+          description: 'Email an invitation link; inviting a pending email again sends a fresh link',
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['email', 'role'],
+                  properties: {
+                    email: { type: 'string', format: 'email' },
+                    name: { type: 'string' },
+                    role: { type: 'string', enum: ['owner', 'catalog_manager', 'viewer'] }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '201': {
+              description: 'Invitation sent successfully'
+            },
+            '403': {
+              description: 'Team role does not allow this action'
+            },
+            '409': {
+              description: 'Email already belongs to a vendor account or team member'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/team/{memberId}': {
+        put: {
+          tags: ['Vendor Team'],
+          summary: 'Change team member role',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'memberId',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['role'],
+                  properties: {
+                    role: { type: 'string', enum: ['owner', 'catalog_manager', 'viewer'] }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Team member updated successfully'
+            },
+            '403': {
+              description: 'Team role does not allow this action'
+            },
+            '404': {
+              description: 'Team member not found'
+            }
+          }
+        },
+        delete: {
+          tags: ['Vendor Team'],
+          summary: 'Remove team member',
+          description: 'Remove a member or withdraw an invitation; the member\'s sessions are revoked',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'memberId',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Team member removed successfully'
+            },
+            '403': {
+              description: 'Team role does not allow this action'
+            },
+            '404': {
+              description: 'Team member not found'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/api-keys': {
+        get: {
+          tags: ['Vendor Team'],
+          summary: 'List API keys',
+          description: 'Active API keys with prefix, scope and last use; the keys themselves are never returned',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            '200': {
+              description: 'API keys retrieved successfully'
+            },
+            '403': {
+              description: 'Team role does not allow this action'
+            }
+          }
+        },
+        post: {
+          tags: ['Vendor Team'],
+          summary: 'Create API key',
+          description: 'Returns the key once; send it as the X-API-Key header',
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['name', 'scope'],
+                  properties: {
+                    name: { type: 'string', example: 'ERP sync' },
+                    scope: { type: 'string', enum: ['read', 'catalog_write'] }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '201': {
+              description: 'API key created'
+            },
+            '403': {
+              description: 'Team role does not allow this action'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/api-keys/{keyId}/rotate': {
+        post: {
+          tags: ['Vendor Team'],
+          summary: 'Rotate API key',
+          description: 'Returns a new key once; the old key stops working immediately',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'keyId',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'API key rotated'
+            },
+            '404': {
+              description: 'API key not found'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/api-keys/{keyId}': {
+        delete: {
+          tags: ['Vendor Team'],
+          summary: 'Revoke API key',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'keyId',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'API key revoked successfully'
+            },
+            '404': {
+              description: 'API key not found'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/webhooks': {
+        get: {
+          tags: ['Vendor Webhooks'],
+          summary: 'List webhooks',
+          description: 'Webhooks with URL, subscribed events and active flag; signing secrets are never returned',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            '200': {
+              description: 'Webhooks retrieved successfully'
+            },
+            '403': {
+              description: 'Team role does not allow this action'
+            }
+          }
+        },
+        post: {
+          tags: ['Vendor Webhooks'],
+          summary: 'Create webhook',
+          description: 'Returns the signing secret once; deliveries carry an X-Renart-Signature header',
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['url', 'events'],
+                  properties: {
+                    url: { type: 'string', format: 'uri', example: 'https://erp.example.com/hooks' },
+                    events: {
+                      type: 'array',
+                      items: { type: 'string', enum: ['product.created', 'product.updated', 'product.deleted', 'favorite.added'] }
+                    },
+                    description: { type: 'string' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '201': {
+              description: 'Webhook created'
+            },
+            '400': {
+              description: 'Validation error, non-HTTPS URL or a host that does not resolve to a public address'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/webhooks/{webhookId}': {
+        put: {
+          tags: ['Vendor Webhooks'],
+          summary: 'Update webhook',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'webhookId',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    url: { type: 'string', format: 'uri' },
+                    events: {
+                      type: 'array',
+                      items: { type: 'string', enum: ['product.created', 'product.updated', 'product.deleted', 'favorite.added'] }
+                    },
+                    description: { type: 'string', nullable: true },
+                    isActive: { type: 'boolean' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Webhook updated successfully'
+            },
+            '400': {
+              description: 'Validation error, non-HTTPS URL or a host that does not resolve to a public address'
+            },
+            '404': {
+              description: 'Webhook not found'
+            }
+          }
+        },
+        delete: {
+          tags: ['Vendor Webhooks'],
+          summary: 'Delete webhook',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'webhookId',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Webhook deleted successfully'
+            },
+            '404': {
+              description: 'Webhook not found'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/webhooks/{webhookId}/test': {
+        post: {
+          tags: ['Vendor Webhooks'],
+          summary: 'Send test event',
+          description: 'Sends a ping event immediately and returns the delivery with the endpoint response',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'webhookId',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Test event attempted'
+            },
+            '404': {
+              description: 'Webhook not found'
+            }
+          }
+        }
+      },
+      '/api/v1/vendor/webhooks/{webhookId}/deliveries': {
+        get: {
+          tags: ['Vendor Webhooks'],
+          summary: 'Get webhook delivery log',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'webhookId',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            },
+            {
+              name: 'page',
+              in: 'query',
+              schema: { type: 'integer', default: 1 }
+            },
+            {
+              name: 'limit',
+              in: 'query',
+              schema: { type: 'integer', default: 20 }
+            },
+            {
+              name: 'status',
+              in: 'query',
+              schema: { type: 'string', enum: ['pending', 'succeeded', 'failed'] }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Webhook deliveries retrieved successfully'
+            },
+            '404': {
+              description: 'Webhook not found'
             }
           }
         }
@@ -0,0 +1,44 @@
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const paymentService = require('../services/paymentService');
+const orderService = require('../services/orderService');
+const logger = require('../utils/logger');
+
+/**
+ * Refund part or all of an order's payment
+ */
+const refundOrder = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+
+    const result = await paymentService.refundPayment(id, { amount, reason, actor: 'admin' });
+
+    if (result.status === 'not_found') {
+      return error(res, 'Payment not found for this order', 404);
+    }
+
+    if (result.status === 'invalid_status') {
+      return error(res, `Payment cannot be refunded while it is ${result.currentStatus}`, 409);
+    }
+
+    if (result.status === 'amount_exceeds') {
+      return error(res, `Refund amount exceeds the ${result.remaining} left to refund`, 400);
+    }
+
+    logger.info(`Order ${id} refunded ${result.payment.refundedAmount} by admin ${req.user.id}: ${reason}`);
+
+    return success(res, 'Refund issued successfully', {
+      payment: result.payment,
+      order: await orderService.getOrder(id)
+    });
+
+  } catch (err) {
+    logger.error('Admin refund order error:', err);
+    return error(res, 'Failed to refund order', 500);
+  }
+});
+
+module.exports = {
+  refundOrder
+};
@@ -0,0 +1,195 @@
+const { supabase } = require('../config/supabase');
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { toProductColumns } = require('../utils/productMapper');
+const pricingService = require('../services/pricingService');
+const logger = require('../utils/logger');
+
+/**
+ * List products across all vendors, including inactive ones
+ */
+const getProducts = asyncHandler(async (req, res) => {
+  try {
+    const { page = 1, limit = 20, vendorId, isActive, moderated, search } = req.query;
+
+    let query = supabase
+      .from('products')
+      .select(`
+        *,
+        vendors (
+          id,
+          business_name,
+          email
+        )
+      `, { count: 'exact' });
+
+    if (vendorId) {
+      query = query.eq('vendor_id', vendorId);
+    }
+
+    if (isActive !== undefined) {
+      query = query.eq('is_active', isActive === 'true');
+    }
+
+    if (moderated !== undefined) {
+      query = moderated === 'true'
+        ? query.not('deactivated_by_admin_at', 'is', null)
+        : query.is('deactivated_by_admin_at', null);
+    }
+
+    if (search) {
+      query = query.ilike('name', `%${search}%`);
+    }
+
+    const offset = (page - 1) * limit;
+    const { data: products, count, error: queryError } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (queryError) {
+      logger.error('Admin product query error:', queryError);
+      return error(res, 'Failed to retrieve products', 500);
+    }
+
+    return success(res, 'Products retrieved successfully', {
+      products: await pricingService.priceProducts(products),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / limit)
+      }
+    });
+
+  } catch (err) {
+    logger.error('Admin get products error:', err);
+    return error(res, 'Failed to retrieve products', 500);
+  }
+});
+
+/**
+ * Edit any vendor's product
+ */
+const updateProduct = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: product, error: updateError } = await supabase
+      .from('products')
+      .update({
+        ...toProductColumns(req.body),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (updateError) {
+      logger.error('Admin update product error:', updateError);
+      return error(res, 'Failed to update product', 500);
+    }
+
+    if (!product) {
+      return error(res, 'Product not found', 404);
+    }
+
+    logger.info(`Product ${id} edited by ${req.admin.email}: ${Object.keys(req.body).join(', ')}`);
+
+    return success(res, 'Product updated successfully', {
+      product: {
+        ...product,
+        calculatedPrice: await pricingService.priceProduct(product)
+      }
+    });
+
+  } catch (err) {
+    logger.error('Admin update product error:', err);
+    return error(res, 'Failed to update product', 500);
+  }
+});
+
+/**
+ * Force-deactivate a product; the vendor cannot reactivate it
+ */
+const deactivateProduct = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const { data: product, error: updateError } = await supabase
+      .from('products')
+      .update({
+        is_active: false,
+        deactivated_by_admin_at: new Date().toISOString(),
+        moderated_by: req.admin.id,
+        moderation_reason: reason,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select('id, vendor_id, name, is_active, deactivated_by_admin_at, moderation_reason')
+      .maybeSingle();
+
+    if (updateError) {
+      logger.error('Admin deactivate product error:', updateError);
+      return error(res, 'Failed to deactivate product', 500);
+    }
+
+    if (!product) {
+      return error(res, 'Product not found', 404);
+    }
+
+    logger.info(`Product ${id} force-deactivated by ${req.admin.email}: ${reason}`);
+
+    return success(res, 'Product deactivated successfully', { product });
+
+  } catch (err) {
+    logger.error('Admin deactivate product error:', err);
+    return error(res, 'Failed to deactivate product', 500);
+  }
+});
+
+/**
+ * Lift a moderation deactivation and make the product active again
+ */
+const reactivateProduct = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: product, error: updateError } = await supabase
+      .from('products')
+      .update({
+        is_active: true,
+        deactivated_by_admin_at: null,
+        moderated_by: null,
+        moderation_reason: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select('id, vendor_id, name, is_active, deactivated_by_admin_at, moderation_reason')
+      .maybeSingle();
+
+    if (updateError) {
+      logger.error('Admin reactivate product error:', updateError);
+      return error(res, 'Failed to reactivate product', 500);
+    }
+
+    if (!product) {
+      return error(res, 'Product not found', 404);
+    }
+
+    logger.info(`Product ${id} reactivated by ${req.admin.email}`);
+
+    return success(res, 'Product reactivated successfully', { product });
+
+  } catch (err) {
+    logger.error('Admin reactivate product error:', err);
+    return error(res, 'Failed to reactivate product', 500);
+  }
+});
+
+module.exports = {
+  getProducts,
+  updateProduct,
+  deactivateProduct,
+  reactivateProduct
+};
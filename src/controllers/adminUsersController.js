@@ -0,0 +1,92 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Map a Supabase auth user to the admin API shape
+ * @param {object} user - Supabase auth user
+ * @returns {object} User
+ */
+const toUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.user_metadata?.first_name,
+  lastName: user.user_metadata?.last_name,
+  role: user.app_metadata?.role || null,
+  emailConfirmed: Boolean(user.email_confirmed_at),
+  createdAt: user.created_at,
+  lastSignInAt: user.last_sign_in_at
+});
+
+/**
+ * List registered users
+ */
+const getUsers = asyncHandler(async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    // Listing auth users needs the service role key
+    if (!supabaseAdmin) {
+      return error(res, 'User administration is unavailable: SUPABASE_SERVICE_ROLE_KEY is not configured', 503);
+    }
+
+    const { data, error: listError } = await supabaseAdmin.auth.admin.listUsers({
+      page: parseInt(page),
+      perPage: parseInt(limit)
+    });
+
+    if (listError) {
+      logger.error('Admin list users error:', listError);
+      return error(res, 'Failed to retrieve users', 500);
+    }
+
+    const total = data.total || 0;
+
+    return success(res, 'Users retrieved successfully', {
+      users: data.users.map(toUser),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (err) {
+    logger.error('Admin get users error:', err);
+    return error(res, 'Failed to retrieve users', 500);
+  }
+});
+
+/**
+ * Get a single user
+ */
+const getUserById = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!supabaseAdmin) {
+      return error(res, 'User administration is unavailable: SUPABASE_SERVICE_ROLE_KEY is not configured', 503);
+    }
+
+    const { data, error: fetchError } = await supabaseAdmin.auth.admin.getUserById(id);
+
+    if (fetchError || !data?.user) {
+      return error(res, 'User not found', 404);
+    }
+
+    return success(res, 'User retrieved successfully', {
+      user: toUser(data.user)
+    });
+
+  } catch (err) {
+    logger.error('Admin get user error:', err);
+    return error(res, 'Failed to retrieve user', 500);
+  }
+});
+
+module.exports = {
+  getUsers,
+  getUserById
+};
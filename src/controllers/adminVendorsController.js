@@ -0,0 +1,158 @@
+const { supabase } = require('../config/supabase');
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const vendorApprovalService = require('../services/vendorApprovalService');
+const { VENDOR_COLUMNS, toVendor } = require('../utils/vendorMapper');
+const logger = require('../utils/logger');
+
+// Vendor columns visible to admins (never the password hash)
+/**
+ * Map a vendor_status_history row to the API shape
+ * @param {object} entry - vendor_status_history row
+ * @returns {object} Status change
+ */
+const toStatusChange = (entry) => ({
+  id: entry.id,
+  fromStatus: entry.from_status,
+  toStatus: entry.to_status,
+  reason: entry.reason,
+  changedBy: entry.changed_by_email,
+  createdAt: entry.created_at
+});
+
+/**
+ * List vendors for review
+ */
+const getVendors = asyncHandler(async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, search } = req.query;
+
+    let query = supabase
+      .from('vendors')
+      .select(VENDOR_COLUMNS, { count: 'exact' });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (search) {
+      // Strip characters that would break the PostgREST or() filter syntax
+      const term = search.replace(/[,()]/g, ' ');
+      query = query.or(`business_name.ilike.%${term}%,email.ilike.%${term}%`);
+    }
+
+    // Oldest first, so the review queue is worked in arrival order
+    const offset = (page - 1) * limit;
+    const { data: vendors, count, error: queryError } = await query
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (queryError) {
+      logger.error('Admin vendor query error:', queryError);
+      return error(res, 'Failed to retrieve vendors', 500);
+    }
+
+    return success(res, 'Vendors retrieved successfully', {
+      vendors: vendors.map(toVendor),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / limit)
+      }
+    });
+
+  } catch (err) {
+    logger.error('Admin get vendors error:', err);
+    return error(res, 'Failed to retrieve vendors', 500);
+  }
+});
+
+/**
+ * Get a vendor with its status audit trail
+ */
+const getVendorById = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: vendor, error: queryError } = await supabase
+      .from('vendors')
+      .select(VENDOR_COLUMNS)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (queryError) {
+      logger.error('Admin vendor query error:', queryError);
+      return error(res, 'Failed to retrieve vendor', 500);
+    }
+
+    if (!vendor) {
+      return error(res, 'Vendor not found', 404);
+    }
+
+    const history = await vendorApprovalService.getStatusHistory(id);
+
+    return success(res, 'Vendor retrieved successfully', {
+      vendor: toVendor(vendor),
+      statusHistory: history.map(toStatusChange)
+    });
+
+  } catch (err) {
+    logger.error('Admin get vendor error:', err);
+    return error(res, 'Failed to retrieve vendor', 500);
+  }
+});
+
+/**
+ * Build a handler that applies an admin status action
+ * @param {string} action - approve, reject or suspend
+ * @param {string} message - Success message
+ * @returns {function} Express handler
+ */
+const changeStatus = (action, message) => asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    const result = await vendorApprovalService.changeVendorStatus({
+      vendorId: id,
+      action,
+      reason,
+      actor: req.admin
+    });
+
+    if (result.status === 'not_found') {
+      return error(res, 'Vendor not found', 404);
+    }
+
+    if (result.status === 'invalid_transition') {
+      return error(res, `Cannot ${action} a vendor whose status is ${result.fromStatus}`, 409);
+    }
+
+    return success(res, message, {
+      vendor: {
+        id: result.vendor.id,
+        email: result.vendor.email,
+        businessName: result.vendor.business_name,
+        status: result.vendor.status
+      },
+      previousStatus: result.fromStatus
+    });
+
+  } catch (err) {
+    logger.error(`Admin ${action} vendor error:`, err);
+    return error(res, `Failed to ${action} vendor`, 500);
+  }
+});
+
+const approveVendor = changeStatus('approve', 'Vendor approved successfully');
+const rejectVendor = changeStatus('reject', 'Vendor rejected successfully');
+const suspendVendor = changeStatus('suspend', 'Vendor suspended successfully');
+
+module.exports = {
+  getVendors,
+  getVendorById,
+  approveVendor,
+  rejectVendor,
+  suspendVendor
+};
@@ -1,6 +1,7 @@
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const { success, error } = require('../utils/response');
 const { asyncHandler } = require('../middleware/errorHandler');
+const cartService = require('../services/cartService');
 const logger = require('../utils/logger');
 
 /**
@@ -109,6 +110,14 @@ const login = asyncHandler(async (req, res) => {
 
     if (data.user && data.session) {
       logger.info(`User logged in successfully: ${data.user.email}`);
+
+      // Move the guest cart, if any, into the user's cart
+      const cartToken = req.get(cartService.CART_TOKEN_HEADER);
+      if (cartToken) {
+        await cartService.mergeGuestCart(cartToken, data.user.id)
+          .catch(err => logger.error(`Failed to merge guest cart for ${data.user.email}:`, err));
+      }
+
       return success(res, {
         message: 'Login successful',
         user: {
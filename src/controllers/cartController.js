@@ -0,0 +1,184 @@
+const { BASE_CURRENCY } = require('../config/currencies');
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const cartService = require('../services/cartService');
+const exchangeRateService = require('../services/exchangeRateService');
+const logger = require('../utils/logger');
+
+/**
+ * Identify whose cart a request uses: the signed-in user's, or the guest cart of the X-Cart-Token header
+ * @param {object} req - Express request object
+ * @returns {object} { userId } or { token }
+ */
+const getCartOwner = (req) => (req.user ? { userId: req.user.id } : { token: req.get(cartService.CART_TOKEN_HEADER) || null });
+
+/**
+ * Resolve the display currency of a cart request
+ * @param {object} req - Express request object
+ * @returns {{currency: string, exchangeRate: number|null}} Currency and its rate (null when unavailable)
+ */
+const getDisplayCurrency = (req) => {
+  const { currency = BASE_CURRENCY } = req.query;
+  return { currency, exchangeRate: exchangeRateService.getRate(currency) };
+};
+
+/**
+ * Respond with a priced cart
+ * @param {object} res - Express response object
+ * @param {object} owner - { userId } or { token }
+ * @param {object} display - { currency, exchangeRate }
+ * @param {string} message - Success message
+ * @param {object} extra - Additional response data
+ * @param {number} statusCode - HTTP status code
+ * @returns {Promise<object>} Response object
+ */
+const sendCart = async (res, owner, display, message, extra = {}, statusCode = 200) => {
+  const cart = await cartService.getCart(owner, display.exchangeRate);
+
+  return success(res, message, {
+    cart,
+    ...extra,
+    currency: display.currency,
+    exchangeRate: display.exchangeRate
+  }, statusCode);
+};
+
+/**
+ * Get the cart with line and cart totals
+ */
+const getCart = asyncHandler(async (req, res) => {
+  try {
+    const display = getDisplayCurrency(req);
+    if (!display.exchangeRate) {
+      return error(res, `Exchange rate for ${display.currency} is currently unavailable`, 503);
+    }
+
+    return await sendCart(res, getCartOwner(req), display, 'Cart retrieved successfully');
+
+  } catch (err) {
+    logger.error('Get cart error:', err);
+    return error(res, 'Failed to retrieve cart', 500);
+  }
+});
+
+/**
+ * Add a product color to the cart
+ * Guests without a cart get one; its token is returned once as cartToken.
+ */
+const addCartItem = asyncHandler(async (req, res) => {
+  try {
+    const display = getDisplayCurrency(req);
+    if (!display.exchangeRate) {
+      return error(res, `Exchange rate for ${display.currency} is currently unavailable`, 503);
+    }
+
+    const owner = getCartOwner(req);
+    const result = await cartService.addItem(owner, req.body);
+
+    if (result.status === 'product_not_found') {
+      return error(res, 'Product not found or inactive', 404);
+    }
+
+    if (result.status === 'color_unavailable') {
+      return error(res, `Product is not available in ${req.body.color}`, 400);
+    }
+
+    if (result.status === 'quantity_limit') {
+      return error(res, `Quantity cannot exceed ${cartService.MAX_LINE_QUANTITY} per item`, 400);
+    }
+
+    if (result.status === 'insufficient_stock') {
+      const message = result.available > 0 ? `Only ${result.available} left in ${req.body.color}` : `Out of stock in ${req.body.color}`;
+      return error(res, message, 409, null, { available: result.available });
+    }
+
+    if (result.token) {
+      return await sendCart(res, { token: result.token }, display, 'Item added to cart', { cartToken: result.token }, 201);
+    }
+
+    return await sendCart(res, owner, display, 'Item added to cart', {}, 201);
+
+  } catch (err) {
+    logger.error('Add cart item error:', err);
+    return error(res, 'Failed to add item to cart', 500);
+  }
+});
+
+/**
+ * Change the quantity of a cart line
+ */
+const updateCartItem = asyncHandler(async (req, res) => {
+  try {
+    const display = getDisplayCurrency(req);
+    if (!display.exchangeRate) {
+      return error(res, `Exchange rate for ${display.currency} is currently unavailable`, 503);
+    }
+
+    const owner = getCartOwner(req);
+    const updated = await cartService.updateItemQuantity(owner, req.params.itemId, req.body.quantity);
+
+    if (!updated) {
+      return error(res, 'Cart item not found', 404);
+    }
+
+    return await sendCart(res, owner, display, 'Cart item updated');
+
+  } catch (err) {
+    logger.error('Update cart item error:', err);
+    return error(res, 'Failed to update cart item', 500);
+  }
+});
+
+/**
+ * Remove a line from the cart
+ */
+const removeCartItem = asyncHandler(async (req, res) => {
+  try {
+    const display = getDisplayCurrency(req);
+    if (!display.exchangeRate) {
+      return error(res, `Exchange rate for ${display.currency} is currently unavailable`, 503);
+    }
+
+    const owner = getCartOwner(req);
+    const removed = await cartService.removeItem(owner, req.params.itemId);
+
+    if (!removed) {
+      return error(res, 'Cart item not found', 404);
+    }
+
+    return await sendCart(res, owner, display, 'Item removed from cart');
+
+  } catch (err) {
+    logger.error('Remove cart item error:', err);
+    return error(res, 'Failed to remove cart item', 500);
+  }
+});
+
+/**
+ * Remove every line from the cart
+ */
+const clearCart = asyncHandler(async (req, res) => {
+  try {
+    const display = getDisplayCurrency(req);
+    if (!display.exchangeRate) {
+      return error(res, `Exchange rate for ${display.currency} is currently unavailable`, 503);
+    }
+
+    const owner = getCartOwner(req);
+    await cartService.clearCart(owner);
+
+    return await sendCart(res, owner, display, 'Cart cleared');
+
+  } catch (err) {
+    logger.error('Clear cart error:', err);
+    return error(res, 'Failed to clear cart', 500);
+  }
+});
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart
+};
@@ -1,7 +1,12 @@
 const { supabase } = require('../config/supabase');
+const { BASE_CURRENCY } = require('../config/currencies');
 const { success, error } = require('../utils/response');
 const { asyncHandler } = require('../middleware/errorHandler');
 const goldPriceService = require('../services/goldPriceService');
+const pricingService = require('../services/pricingService');
+const imageVariantService = require('../services/imageVariantService');
+const exchangeRateService = require('../services/exchangeRateService');
+const webhookService = require('../services/webhookService');
 const logger = require('../utils/logger');
 
 /**
@@ -10,6 +15,13 @@ const logger = require('../utils/logger');
 const getFavorites = asyncHandler(async (req, res) => {
   try {
     const userId = req.user.id;
+    const { currency = BASE_CURRENCY } = req.query;
+
+    // Resolve the display currency before doing any work
+    const exchangeRate = exchangeRateService.getRate(currency);
+    if (!exchangeRate) {
+      return error(res, `Exchange rate for ${currency} is currently unavailable`, 503);
+    }
 
     const { data: favorites, error: queryError } = await supabase
       .from('favorites')
@@ -20,31 +32,34 @@ const getFavorites = asyncHandler(async (req, res) => {
           *,
           vendors (
             id,
-            name,
+            name:business_name,
             logo_url
           ),
           product_images (
             id,
             color,
-            image_url
+            image_url,
+            variants
           )
         )
       `)
       .eq('user_id', userId)
-      .order('created_at', { ascending: false });
+      .order('created_at', { ascending: false })
+      .order('sort_order', { referencedTable: 'products.product_images', ascending: true });
 
     if (queryError) {
       logger.error('Get favorites error:', queryError);
       return error(res, 'Failed to retrieve favorites', 500);
     }
 
-    // Calculate dynamic prices for each favorite product
-    const favoritesWithPrices = favorites.map(favorite => {
-      const product = favorite.products;
-      const calculatedPrice = goldPriceService.calculateProductPrice(
-        product.popularity_score,
-        product.weight
-      );
+    // Calculate dynamic prices for each favorite product using vendor pricing rules
+    const pricedProducts = exchangeRateService.convertProducts(
+      await pricingService.priceProducts(favorites.map(favorite => favorite.products)),
+      exchangeRate
+    );
+
+    const favoritesWithPrices = favorites.map((favorite, index) => {
+      const product = pricedProducts[index];
 
       // Group images by color
       const imagesByColor = product.product_images ? product.product_images.reduce((acc, img) => {
@@ -63,9 +78,9 @@ const getFavorites = asyncHandler(async (req, res) => {
         productId: product.id,
         product: {
           ...product,
-          calculatedPrice,
           images,
           imagesByColor,
+          imageVariants: imageVariantService.groupImageVariants(product.product_images),
           availableColors: Object.keys(imagesByColor)
         }
       };
@@ -74,7 +89,9 @@ const getFavorites = asyncHandler(async (req, res) => {
     return success(res, 'Favorites retrieved successfully', {
       favorites: favoritesWithPrices,
       total: favoritesWithPrices.length,
-      goldPrice: goldPriceService.getCurrentPrice(),
+      currency,
+      exchangeRate,
+      goldPrice: exchangeRateService.convert(goldPriceService.getCurrentPrice(), exchangeRate),
       lastPriceUpdate: goldPriceService.getLastUpdateTime()
     });
 
@@ -95,7 +112,7 @@ const addFavorite = asyncHandler(async (req, res) => {
     // Check if product exists and is active
     const { data: product, error: productError } = await supabase
       .from('products')
-      .select('id, name')
+      .select('id, name, vendor_id')
       .eq('id', productId)
       .eq('is_active', true)
       .single();
@@ -139,13 +156,19 @@ const addFavorite = asyncHandler(async (req, res) => {
 
     logger.info(`User ${userId} added product ${productId} to favorites`);
 
+    const favorite = {
+      id: newFavorite.id,
+      productId,
+      productName: product.name,
+      createdAt: newFavorite.created_at
+    };
+
+    // Notify the vendor's webhook subscribers (best effort; the shopper is not identified)
+    await webhookService.enqueueEvent(product.vendor_id, webhookService.WEBHOOK_EVENTS.FAVORITE_ADDED, { favorite })
+      .catch(err => logger.error(`Failed to queue favorite.added webhooks for ${productId}:`, err));
+
     return success(res, 'Product added to favorites successfully', {
-      favorite: {
-        id: newFavorite.id,
-        productId,
-        productName: product.name,
-        createdAt: newFavorite.created_at
-      }
+      favorite
     }, 201);
 
   } catch (err) {
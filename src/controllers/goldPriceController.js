@@ -0,0 +1,71 @@
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const goldPriceService = require('../services/goldPriceService');
+const goldPriceHistoryService = require('../services/goldPriceHistoryService');
+const logger = require('../utils/logger');
+
+// Default history window when no range is given
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Get gold price history as OHLC buckets
+ */
+const getGoldPriceHistory = asyncHandler(async (req, res) => {
+  try {
+    const { interval = '1d' } = req.query;
+    const to = req.query.to || new Date();
+    const from = req.query.from || new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (from >= to) {
+      return error(res, '"from" must be earlier than "to"', 400);
+    }
+
+    const buckets = await goldPriceHistoryService.getPriceHistory({ from, to, interval });
+
+    return success(res, 'Gold price history retrieved successfully', {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      interval,
+      currency: 'USD',
+      unit: 'oz',
+      buckets,
+      goldPrice: goldPriceService.getCurrentPrice(),
+      lastPriceUpdate: goldPriceService.getLastUpdateTime()
+    });
+
+  } catch (err) {
+    logger.error('Get gold price history error:', err);
+    return error(res, 'Failed to retrieve gold price history', 500);
+  }
+});
+
+/**
+ * Refresh the gold price from the providers now
+ */
+const refreshGoldPrice = asyncHandler(async (req, res) => {
+  try {
+    const result = await goldPriceService.refreshPrice();
+
+    if (!result.updated) {
+      logger.warn(`Manual gold price refresh by ${req.admin.email} failed, keeping cached price`);
+      return error(res, 'No gold price provider returned a price. The cached price is still in use.', 502);
+    }
+
+    logger.info(`Gold price refreshed manually by ${req.admin.email}: $${result.price}/oz`);
+
+    return success(res, 'Gold price refreshed successfully', {
+      goldPrice: result.price,
+      source: result.source,
+      lastPriceUpdate: result.lastUpdateTime
+    });
+
+  } catch (err) {
+    logger.error('Refresh gold price error:', err);
+    return error(res, 'Failed to refresh gold price', 500);
+  }
+});
+
+module.exports = {
+  getGoldPriceHistory,
+  refreshGoldPrice
+};
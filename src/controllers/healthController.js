@@ -1,5 +1,6 @@
 const { supabase } = require('../config/supabase');
 const goldPriceService = require('../services/goldPriceService');
+const exchangeRateService = require('../services/exchangeRateService');
 const { success, error } = require('../utils/response');
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -35,7 +36,8 @@ const healthCheck = asyncHandler(async (req, res) => {
     healthStatus.services.goldPriceService = goldPrice > 0 ? 'healthy' : 'unhealthy';
     healthStatus.goldPrice = {
       current: goldPrice,
-      lastUpdate
+      lastUpdate,
+      source: goldPriceService.getPriceSource()
     };
 
     // Determine overall health
@@ -85,7 +87,12 @@ const systemInfo = asyncHandler(async (req, res) => {
       goldPriceService: {
         currentPrice: goldPriceService.getCurrentPrice(),
         lastUpdate: goldPriceService.getLastUpdateTime(),
-        apiUrl: process.env.GOLD_PRICE_API_URL
+        source: goldPriceService.getPriceSource(),
+        providers: goldPriceService.getProviderNames()
+      },
+      exchangeRateService: {
+        rates: exchangeRateService.getRates(),
+        lastUpdate: exchangeRateService.getLastUpdateTime()
       }
     }
   };
@@ -0,0 +1,119 @@
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const orderService = require('../services/orderService');
+const logger = require('../utils/logger');
+
+/**
+ * Place an order for everything in the user's cart
+ */
+const checkout = asyncHandler(async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const result = await orderService.createOrderFromCart(userId, req.body);
+
+    if (result.status === 'empty_cart') {
+      return error(res, 'Your cart is empty', 400);
+    }
+
+    if (result.status === 'unavailable_items') {
+      return error(res, 'Some items in your cart are no longer available. Remove them and try again.', 409, null, {
+        unavailableItems: result.items
+      });
+    }
+
+    if (result.status === 'invalid_quotes') {
+      return error(res, 'Some price quotes are no longer valid. Get new quotes and try again.', 409, null, {
+        invalidQuotes: result.items
+      });
+    }
+
+    if (result.status === 'insufficient_stock') {
+      return error(res, 'Some items in your cart do not have enough stock left. Lower their quantity and try again.', 409, null, {
+        insufficientItems: result.items
+      });
+    }
+
+    logger.info(`Order placed by user ${userId}: ${result.order.orderNumber}`);
+
+    return success(res, 'Order placed successfully', { order: result.order }, 201);
+
+  } catch (err) {
+    logger.error('Checkout error:', err);
+    return error(res, 'Failed to place order', 500);
+  }
+});
+
+/**
+ * Get the user's orders
+ */
+const getOrders = asyncHandler(async (req, res) => {
+  try {
+    const { page, limit, status } = req.query;
+    const { orders, total } = await orderService.listOrders(req.user.id, { page, limit, status });
+
+    return success(res, 'Orders retrieved successfully', {
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (err) {
+    logger.error('Get orders error:', err);
+    return error(res, 'Failed to retrieve orders', 500);
+  }
+});
+
+/**
+ * Get one of the user's orders with its items and status history
+ */
+const getOrderById = asyncHandler(async (req, res) => {
+  try {
+    const order = await orderService.getOrder(req.params.id, req.user.id);
+
+    if (!order) {
+      return error(res, 'Order not found', 404);
+    }
+
+    return success(res, 'Order retrieved successfully', { order });
+
+  } catch (err) {
+    logger.error('Get order by ID error:', err);
+    return error(res, 'Failed to retrieve order', 500);
+  }
+});
+
+/**
+ * Cancel one of the user's orders (only before payment)
+ */
+const cancelOrder = asyncHandler(async (req, res) => {
+  try {
+    const result = await orderService.cancelOrder(req.user.id, req.params.id, req.body.reason);
+
+    if (result.status === 'not_found') {
+      return error(res, 'Order not found', 404);
+    }
+
+    if (result.status === 'invalid_transition') {
+      return error(res, `Order cannot be cancelled once it is ${result.currentStatus}`, 409);
+    }
+
+    logger.info(`Order cancelled by user ${req.user.id}: ${result.order.orderNumber}`);
+
+    return success(res, 'Order cancelled successfully', { order: result.order });
+
+  } catch (err) {
+    logger.error('Cancel order error:', err);
+    return error(res, 'Failed to cancel order', 500);
+  }
+});
+
+module.exports = {
+  checkout,
+  getOrders,
+  getOrderById,
+  cancelOrder
+};
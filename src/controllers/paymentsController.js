@@ -0,0 +1,115 @@
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const paymentService = require('../services/paymentService');
+const { logSecurityEvent } = require('../utils/securityLog');
+const logger = require('../utils/logger');
+
+/**
+ * Start paying for a pending order
+ */
+const createPayment = asyncHandler(async (req, res) => {
+  try {
+    const result = await paymentService.createPaymentIntent(req.user.id, req.params.id);
+
+    if (result.status === 'not_found') {
+      return error(res, 'Order not found', 404);
+    }
+
+    if (result.status === 'invalid_status') {
+      return error(res, `Order cannot be paid while it is ${result.currentStatus}`, 409);
+    }
+
+    return success(res, 'Payment created successfully', {
+      payment: result.payment,
+      clientSecret: result.clientSecret
+    }, 201);
+
+  } catch (err) {
+    logger.error('Create payment error:', err);
+    return error(res, 'Failed to create payment', 500);
+  }
+});
+
+/**
+ * Get the payment of an order
+ */
+const getPayment = asyncHandler(async (req, res) => {
+  try {
+    const payment = await paymentService.getPayment(req.user.id, req.params.id);
+
+    if (!payment) {
+      return error(res, 'Payment not found', 404);
+    }
+
+    return success(res, 'Payment retrieved successfully', { payment });
+
+  } catch (err) {
+    logger.error('Get payment error:', err);
+    return error(res, 'Failed to retrieve payment', 500);
+  }
+});
+
+/**
+ * Pay for an order with a payment method
+ */
+const confirmPayment = asyncHandler(async (req, res) => {
+  try {
+    const result = await paymentService.confirmPayment(req.user.id, req.params.id, req.body);
+
+    if (result.status === 'not_found') {
+      return error(res, 'Order not found', 404);
+    }
+
+    if (result.status === 'no_payment') {
+      return error(res, 'Create a payment for this order first', 409);
+    }
+
+    if (result.status === 'invalid_status') {
+      return error(res, `Payment cannot be confirmed while it is ${result.currentStatus}`, 409);
+    }
+
+    if (result.status === 'failed') {
+      return res.status(402).json({
+        success: false,
+        message: 'Payment was declined',
+        data: { payment: result.payment }
+      });
+    }
+
+    logger.info(`Payment captured for order ${req.params.id}`);
+
+    return success(res, 'Payment completed successfully', { payment: result.payment });
+
+  } catch (err) {
+    logger.error('Confirm payment error:', err);
+    return error(res, 'Failed to confirm payment', 500);
+  }
+});
+
+/**
+ * Receive an event from the payment gateway
+ * The body is the raw request, so its signature can be checked.
+ */
+const handleWebhook = asyncHandler(async (req, res) => {
+  try {
+    const result = await paymentService.handleWebhook(req.body, req.headers);
+
+    if (result.status === 'invalid_signature') {
+      logSecurityEvent('payment_webhook_rejected', { ipAddress: req.ip });
+      return error(res, 'Invalid webhook signature', 400);
+    }
+
+    return success(res, 'Webhook received', { result: result.status });
+
+  } catch (err) {
+    logger.error('Payment webhook error:', err);
+    return error(res, 'Failed to process webhook', 500);
+  }
+});
+
+module.exports = {
+  createPayment,
+  getPayment,
+  confirmPayment,
+  handleWebhook
+};
@@ -0,0 +1,92 @@
+const { supabase } = require('../config/supabase');
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const priceQuoteService = require('../services/priceQuoteService');
+const goldPriceService = require('../services/goldPriceService');
+const logger = require('../utils/logger');
+
+// Human readable messages for quote verification failures
+const VERIFY_MESSAGES = {
+  expired: 'Price quote has expired. Please request a new quote.',
+  invalid_signature: 'Price quote is invalid.',
+  product_mismatch: 'Price quote does not match this product.',
+  color_mismatch: 'Price quote does not match this color.'
+};
+
+/**
+ * Create a locked price quote for a product color
+ */
+const createQuote = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { color } = req.body;
+
+    const { data: product, error: queryError } = await supabase
+      .from('products')
+      .select(`
+        *,
+        product_images (
+          color
+        )
+      `)
+      .eq('id', id)
+      .eq('is_active', true)
+      .single();
+
+    if (queryError || !product) {
+      logger.warn(`Quote requested for missing product: ${id}`);
+      return error(res, 'Product not found', 404);
+    }
+
+    const availableColors = (product.product_images || []).map(img => img.color);
+    if (!availableColors.includes(color)) {
+      return error(res, `Product is not available in ${color}`, 400);
+    }
+
+    const quote = await priceQuoteService.createQuote(product, color);
+
+    logger.info(`Price quote ${quote.quoteId} issued for product ${id} (${color}): $${quote.price}`);
+
+    return success(res, 'Price quote created successfully', { quote }, 201);
+
+  } catch (err) {
+    logger.error('Create price quote error:', err);
+    return error(res, 'Failed to create price quote', 500);
+  }
+});
+
+/**
+ * Verify a price quote before checkout
+ */
+const verifyQuote = asyncHandler(async (req, res) => {
+  try {
+    const { token, productId, color } = req.body;
+
+    const { valid, reason, quote } = priceQuoteService.verifyQuote(token, { productId, color });
+
+    if (!valid) {
+      return success(res, VERIFY_MESSAGES[reason], {
+        valid: false,
+        reason,
+        quote,
+        goldPrice: goldPriceService.getCurrentPrice()
+      });
+    }
+
+    return success(res, 'Price quote is valid', {
+      valid: true,
+      reason: null,
+      quote,
+      goldPrice: goldPriceService.getCurrentPrice()
+    });
+
+  } catch (err) {
+    logger.error('Verify price quote error:', err);
+    return error(res, 'Failed to verify price quote', 500);
+  }
+});
+
+module.exports = {
+  createQuote,
+  verifyQuote
+};
@@ -1,7 +1,13 @@
 const { supabase } = require('../config/supabase');
+const { BASE_CURRENCY } = require('../config/currencies');
 const { success, error } = require('../utils/response');
 const { asyncHandler } = require('../middleware/errorHandler');
 const goldPriceService = require('../services/goldPriceService');
+const pricingService = require('../services/pricingService');
+const imageVariantService = require('../services/imageVariantService');
+const exchangeRateService = require('../services/exchangeRateService');
+const productPriceSearch = require('../services/productPriceSearch');
+const inventoryService = require('../services/inventoryService');
 const logger = require('../utils/logger');
 
 /**
@@ -21,36 +27,18 @@ const getProducts = asyncHandler(async (req, res) => {
       maxPopularity,
       search,
       sortBy = 'name',
-      sortOrder = 'asc'
+      sortOrder = 'asc',
+      currency = BASE_CURRENCY
     } = req.query;
 
-    let query = supabase
-      .from('products')
-      .select('*')
-      .eq('is_active', true);
-
-    // Apply search filter
-    if (search) {
-      query = query.ilike('name', `%${search}%`);
-    }
-
-    // Apply weight filters
-    if (minWeight) {
-      query = query.gte('weight', minWeight);
-    }
-    if (maxWeight) {
-      query = query.lte('weight', maxWeight);
+    // Resolve the display currency before doing any work
+    const exchangeRate = exchangeRateService.getRate(currency);
+    if (!exchangeRate) {
+      return error(res, `Exchange rate for ${currency} is currently unavailable`, 503);
     }
 
-    // Apply popularity filters
-    if (minPopularity) {
-      query = query.gte('popularity_score', minPopularity);
-    }
-    if (maxPopularity) {
-      query = query.lte('popularity_score', maxPopularity);
-    }
-
-    // Apply color filter if specified
+    // Resolve color filter to product IDs
+    let colorProductIds = null;
     if (color) {
       // Filter products that have images with the specified color
       const { data: colorProducts } = await supabase
@@ -59,8 +47,7 @@ const getProducts = asyncHandler(async (req, res) => {
         .eq('color', color);
       
       if (colorProducts && colorProducts.length > 0) {
-        const productIds = colorProducts.map(p => p.product_id);
-        query = query.in('id', productIds);
+        colorProductIds = colorProducts.map(p => p.product_id);
       } else {
         // No products found with this color
         return success(res, 'Products retrieved successfully', {
@@ -71,16 +58,15 @@ const getProducts = asyncHandler(async (req, res) => {
             total: 0,
             pages: 0
           },
-          goldPrice: goldPriceService.getCurrentPrice(),
+          currency,
+          exchangeRate,
+          goldPrice: exchangeRateService.convert(goldPriceService.getCurrentPrice(), exchangeRate),
           lastPriceUpdate: goldPriceService.getLastUpdateTime()
         });
       }
     }
 
-    // Get total count for pagination
-    const { count } = await query.select('*', { count: 'exact', head: true });
-
-    // Apply sorting
+    // Apply sorting (price sorting also orders ties by name)
     let orderColumn = 'name';
     switch (sortBy) {
       case 'weight':
@@ -95,17 +81,86 @@ const getProducts = asyncHandler(async (req, res) => {
         break;
     }
 
-    query = query.order(orderColumn, { ascending: sortOrder === 'asc' });
+    // Build a products query with every non-price filter applied
+    // (the price search passes a source whose rows carry their price)
+    const buildQuery = (columns, options, source = supabase.from('products')) => {
+      let query = source
+        .select(columns, options)
+        .eq('is_active', true)
+        // Products with no units left in any color come back once restocked
+        .eq('sold_out', false);
+
+      // Apply search filter
+      if (search) {
+        query = query.ilike('name', `%${search}%`);
+      }
+
+      // Apply weight filters
+      if (minWeight) {
+        query = query.gte('weight', minWeight);
+      }
+      if (maxWeight) {
+        query = query.lte('weight', maxWeight);
+      }
+
+      // Apply popularity filters
+      if (minPopularity) {
+        query = query.gte('popularity_score', minPopularity);
+      }
+      if (maxPopularity) {
+        query = query.lte('popularity_score', maxPopularity);
+      }
+
+      // Apply color filter
+      if (colorProductIds) {
+        query = query.in('id', colorProductIds);
+      }
+
+      return query;
+    };
+
+    let products;
+    let total;
+
+    if (productPriceSearch.needsPriceSearch({ minPrice, maxPrice, sortBy })) {
+      // Prices are calculated in the database, so the whole catalog is filtered and sorted there
+      const { ids, total: matchCount } = await productPriceSearch.findPageByPrice(buildQuery, {
+        minPrice,
+        maxPrice,
+        sortBy,
+        sortOrder,
+        orderColumn,
+        page,
+        limit,
+        exchangeRate
+      });
+
+      const { data, error: queryError } = ids.length > 0
+        ? await supabase.from('products').select('*').in('id', ids)
+        : { data: [], error: null };
 
-    // Apply pagination
-    const offset = (page - 1) * limit;
-    query = query.range(offset, offset + limit - 1);
+      if (queryError) {
+        logger.error('Database query error:', queryError);
+        return error(res, 'Failed to retrieve products', 500);
+      }
 
-    const { data: products, error: queryError } = await query;
+      // Keep the price order from the search
+      products = ids.map(id => data.find(p => p.id === id)).filter(Boolean);
+      total = matchCount;
+    } else {
+      // Apply pagination
+      const offset = (page - 1) * limit;
+      const { data, count, error: queryError } = await buildQuery('*', { count: 'exact' })
+        .order(orderColumn, { ascending: sortOrder === 'asc' })
+        .range(offset, offset + limit - 1);
 
-    if (queryError) {
-      logger.error('Database query error:', queryError);
-      return error(res, 'Failed to retrieve products', 500);
+      if (queryError) {
+        logger.error('Database query error:', queryError);
+        return error(res, 'Failed to retrieve products', 500);
+      }
+
+      products = data;
+      total = count;
     }
 
     // Fetch images for each product
@@ -113,15 +168,20 @@ const getProducts = asyncHandler(async (req, res) => {
     const { data: allImages } = await supabase
       .from('product_images')
       .select('*')
-      .in('product_id', productIds);
+      .in('product_id', productIds)
+      .order('sort_order', { ascending: true });
 
-    // Calculate dynamic prices for each product and add images
-    const productsWithPrices = products.map(product => {
-      const calculatedPrice = goldPriceService.calculateProductPrice(
-        product.popularity_score,
-        product.weight
-      );
+    // Stock of the colors that are tracked; untracked colors never run out
+    const stockLevels = await inventoryService.getStockLevels(productIds);
 
+    // Calculate dynamic prices for each product using vendor pricing rules
+    const pricedProducts = exchangeRateService.convertProducts(
+      await pricingService.priceProducts(products),
+      exchangeRate
+    );
+
+    // Add images to each product
+    const productsWithPrices = pricedProducts.map(product => {
       // Find images for this product
       const productImages = allImages ? allImages.filter(img => img.product_id === product.id) : [];
       
@@ -136,55 +196,30 @@ const getProducts = asyncHandler(async (req, res) => {
       
       // Legacy images array (first image of each color)
       const images = productImages.map(img => img.image_url);
+      const colorsInStock = inventoryService.getColorsInStock(product.id, Object.keys(imagesByColor), stockLevels);
 
       return {
         ...product,
-        calculatedPrice,
         images,
         imagesByColor,
-        availableColors: Object.keys(imagesByColor)
+        imageVariants: imageVariantService.groupImageVariants(productImages),
+        availableColors: Object.keys(imagesByColor),
+        colorsInStock,
+        inStock: colorsInStock.length > 0
       };
     });
 
-    // Apply price filters after calculation
-    let filteredProducts = productsWithPrices;
-    if (minPrice || maxPrice) {
-      filteredProducts = productsWithPrices.filter(product => {
-        const price = product.calculatedPrice;
-        if (minPrice && price < minPrice) return false;
-        if (maxPrice && price > maxPrice) return false;
-        return true;
-      });
-    }
-
-    // If we filtered by price, we need to recalculate pagination
-    let finalCount = count;
-    if (minPrice || maxPrice) {
-      finalCount = filteredProducts.length;
-      // Apply pagination to filtered results
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + limit;
-      filteredProducts = filteredProducts.slice(startIndex, endIndex);
-    }
-
-    // Sort by price if requested (after calculation)
-    if (sortBy === 'price') {
-      filteredProducts.sort((a, b) => {
-        return sortOrder === 'asc' 
-          ? a.calculatedPrice - b.calculatedPrice
-          : b.calculatedPrice - a.calculatedPrice;
-      });
-    }
-
     return success(res, 'Products retrieved successfully', {
-      products: filteredProducts,
+      products: productsWithPrices,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total: finalCount || 0,
-        pages: Math.ceil((finalCount || 0) / limit)
+        total: total || 0,
+        pages: Math.ceil((total || 0) / limit)
       },
-      goldPrice: goldPriceService.getCurrentPrice(),
+      currency,
+      exchangeRate,
+      goldPrice: exchangeRateService.convert(goldPriceService.getCurrentPrice(), exchangeRate),
       lastPriceUpdate: goldPriceService.getLastUpdateTime()
     });
 
@@ -200,6 +235,13 @@ const getProducts = asyncHandler(async (req, res) => {
 const getProductById = asyncHandler(async (req, res) => {
   try {
     const { id } = req.params;
+    const { currency = BASE_CURRENCY } = req.query;
+
+    // Resolve the display currency before doing any work
+    const exchangeRate = exchangeRateService.getRate(currency);
+    if (!exchangeRate) {
+      return error(res, `Exchange rate for ${currency} is currently unavailable`, 503);
+    }
 
     const { data: product, error: queryError } = await supabase
       .from('products')
@@ -217,12 +259,13 @@ const getProductById = asyncHandler(async (req, res) => {
     const { data: productImages } = await supabase
       .from('product_images')
       .select('*')
-      .eq('product_id', product.id);
+      .eq('product_id', product.id)
+      .order('sort_order', { ascending: true });
 
-    // Calculate dynamic price
-    const calculatedPrice = goldPriceService.calculateProductPrice(
-      product.popularity_score,
-      product.weight
+    // Calculate dynamic price using vendor pricing rules
+    const calculatedPrice = exchangeRateService.convert(
+      await pricingService.priceProduct(product),
+      exchangeRate
     );
 
     // Group images by color
@@ -236,17 +279,25 @@ const getProductById = asyncHandler(async (req, res) => {
     
     const images = productImages ? productImages.map(img => img.image_url) : [];
 
+    const stockLevels = await inventoryService.getStockLevels([product.id]);
+    const colorsInStock = inventoryService.getColorsInStock(product.id, Object.keys(imagesByColor), stockLevels);
+
     const productWithPrice = {
       ...product,
       calculatedPrice,
       images,
       imagesByColor,
-      availableColors: Object.keys(imagesByColor)
+      imageVariants: imageVariantService.groupImageVariants(productImages),
+      availableColors: Object.keys(imagesByColor),
+      colorsInStock,
+      inStock: colorsInStock.length > 0
     };
 
     return success(res, 'Product retrieved successfully', {
       product: productWithPrice,
-      goldPrice: goldPriceService.getCurrentPrice(),
+      currency,
+      exchangeRate,
+      goldPrice: exchangeRateService.convert(goldPriceService.getCurrentPrice(), exchangeRate),
       lastPriceUpdate: goldPriceService.getLastUpdateTime()
     });
 
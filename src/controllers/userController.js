@@ -1,6 +1,12 @@
 const { supabase } = require('../config/supabase');
+const { BASE_CURRENCY } = require('../config/currencies');
 const { success, error } = require('../utils/response');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { VENDOR_COLUMNS, toPublicVendor } = require('../utils/vendorMapper');
+const pricingService = require('../services/pricingService');
+const imageVariantService = require('../services/imageVariantService');
+const exchangeRateService = require('../services/exchangeRateService');
+const productPriceSearch = require('../services/productPriceSearch');
 const logger = require('../utils/logger');
 
 /**
@@ -74,9 +80,9 @@ const getVendorProfile = asyncHandler(async (req, res) => {
 
     const { data: vendor, error: queryError } = await supabase
       .from('vendors')
-      .select('*')
+      .select(VENDOR_COLUMNS)
       .eq('id', vendorId)
-      .eq('is_active', true)
+      .eq('status', 'active')
       .single();
 
     if (queryError || !vendor) {
@@ -85,14 +91,7 @@ const getVendorProfile = asyncHandler(async (req, res) => {
     }
 
     return success(res, 'Vendor profile retrieved successfully', {
-      vendor: {
-        id: vendor.id,
-        name: vendor.name,
-        description: vendor.description,
-        logoUrl: vendor.logo_url,
-        email: vendor.email,
-        createdAt: vendor.created_at
-      }
+      vendor: toPublicVendor(vendor)
     });
 
   } catch (err) {
@@ -119,15 +118,22 @@ const getVendorProducts = asyncHandler(async (req, res) => {
       maxPopularity,
       search,
       sortBy = 'name',
-      sortOrder = 'asc'
+      sortOrder = 'asc',
+      currency = BASE_CURRENCY
     } = req.query;
 
+    // Resolve the display currency before doing any work
+    const exchangeRate = exchangeRateService.getRate(currency);
+    if (!exchangeRate) {
+      return error(res, `Exchange rate for ${currency} is currently unavailable`, 503);
+    }
+
     // First check if vendor exists and is active
     const { data: vendor, error: vendorError } = await supabase
       .from('vendors')
-      .select('id, name')
+      .select(VENDOR_COLUMNS)
       .eq('id', vendorId)
-      .eq('is_active', true)
+      .eq('status', 'active')
       .single();
 
     if (vendorError || !vendor) {
@@ -135,46 +141,8 @@ const getVendorProducts = asyncHandler(async (req, res) => {
       return error(res, 'Vendor not found', 404);
     }
 
-    let query = supabase
-      .from('products')
-      .select(`
-        *,
-        vendors (
-          id,
-          name,
-          logo_url
-        ),
-        product_images (
-          id,
-          color,
-          image_url
-        )
-      `)
-      .eq('vendor_id', vendorId)
-      .eq('is_active', true);
-
-    // Apply search filter
-    if (search) {
-      query = query.ilike('name', `%${search}%`);
-    }
-
-    // Apply weight filters
-    if (minWeight) {
-      query = query.gte('weight', minWeight);
-    }
-    if (maxWeight) {
-      query = query.lte('weight', maxWeight);
-    }
-
-    // Apply popularity filters
-    if (minPopularity) {
-      query = query.gte('popularity_score', minPopularity);
-    }
-    if (maxPopularity) {
-      query = query.lte('popularity_score', maxPopularity);
-    }
-
-    // Apply color filter if specified
+    // Resolve color filter to product IDs
+    let colorProductIds = null;
     if (color) {
       const { data: colorProducts } = await supabase
         .from('product_images')
@@ -182,15 +150,11 @@ const getVendorProducts = asyncHandler(async (req, res) => {
         .eq('color', color);
       
       if (colorProducts && colorProducts.length > 0) {
-        const productIds = colorProducts.map(p => p.product_id);
-        query = query.in('id', productIds);
+        colorProductIds = colorProducts.map(p => p.product_id);
       } else {
         return success(res, 'Products retrieved successfully', {
           products: [],
-          vendor: {
-            id: vendor.id,
-            name: vendor.name
-          },
+          vendor: toPublicVendor(vendor),
           pagination: {
             page: parseInt(page),
             limit: parseInt(limit),
@@ -201,10 +165,7 @@ const getVendorProducts = asyncHandler(async (req, res) => {
       }
     }
 
-    // Get total count for pagination
-    const { count } = await query.select('*', { count: 'exact', head: true });
-
-    // Apply sorting
+    // Apply sorting (price sorting also orders ties by name)
     let orderColumn = 'name';
     switch (sortBy) {
       case 'weight':
@@ -219,75 +180,129 @@ const getVendorProducts = asyncHandler(async (req, res) => {
         break;
     }
 
-    query = query.order(orderColumn, { ascending: sortOrder === 'asc' });
-
-    // Apply pagination
-    const offset = (page - 1) * limit;
-    query = query.range(offset, offset + limit - 1);
+    // Build a products query with every non-price filter applied
+    // (the price search passes a source whose rows carry their price)
+    const buildQuery = (columns, options, source = supabase.from('products')) => {
+      let query = source
+        .select(columns, options)
+        .eq('vendor_id', vendorId)
+        .eq('is_active', true)
+        // Sold-out products are hidden here too, as in the main catalog
+        .eq('sold_out', false);
+
+      // Apply search filter
+      if (search) {
+        query = query.ilike('name', `%${search}%`);
+      }
 
-    const { data: products, error: queryError } = await query;
+      // Apply weight filters
+      if (minWeight) {
+        query = query.gte('weight', minWeight);
+      }
+      if (maxWeight) {
+        query = query.lte('weight', maxWeight);
+      }
 
-    if (queryError) {
-      logger.error('Database query error:', queryError);
-      return error(res, 'Failed to retrieve products', 500);
-    }
+      // Apply popularity filters
+      if (minPopularity) {
+        query = query.gte('popularity_score', minPopularity);
+      }
+      if (maxPopularity) {
+        query = query.lte('popularity_score', maxPopularity);
+      }
 
-    // Calculate dynamic prices for each product
-    const goldPriceService = require('../services/goldPriceService');
-    const productsWithPrices = products.map(product => {
-      const calculatedPrice = goldPriceService.calculateProductPrice(
-        product.popularity_score,
-        product.weight
-      );
-
-      return {
-        ...product,
-        calculatedPrice
-      };
-    });
+      // Apply color filter
+      if (colorProductIds) {
+        query = query.in('id', colorProductIds);
+      }
 
-    // Apply price filters after calculation
-    let filteredProducts = productsWithPrices;
-    if (minPrice || maxPrice) {
-      filteredProducts = productsWithPrices.filter(product => {
-        const price = product.calculatedPrice;
-        if (minPrice && price < minPrice) return false;
-        if (maxPrice && price > maxPrice) return false;
-        return true;
+      return query;
+    };
+
+    const productColumns = `
+      *,
+      vendors (
+        id,
+        name:business_name,
+        logo_url
+      ),
+      product_images (
+        id,
+        color,
+        image_url,
+        variants
+      )
+    `;
+
+    let products;
+    let total;
+
+    if (productPriceSearch.needsPriceSearch({ minPrice, maxPrice, sortBy })) {
+      // Prices are calculated in the database, so the vendor's whole catalog is filtered and sorted there
+      const { ids, total: matchCount } = await productPriceSearch.findPageByPrice(buildQuery, {
+        minPrice,
+        maxPrice,
+        sortBy,
+        sortOrder,
+        orderColumn,
+        page,
+        limit,
+        exchangeRate
       });
-    }
 
-    // If we filtered by price, we need to recalculate pagination
-    let finalCount = count;
-    if (minPrice || maxPrice) {
-      finalCount = filteredProducts.length;
-      // Apply pagination to filtered results
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + limit;
-      filteredProducts = filteredProducts.slice(startIndex, endIndex);
-    }
+      const { data, error: queryError } = ids.length > 0
+        ? await supabase
+          .from('products')
+          .select(productColumns)
+          .in('id', ids)
+          .order('sort_order', { referencedTable: 'product_images', ascending: true })
+        : { data: [], error: null };
+
+      if (queryError) {
+        logger.error('Database query error:', queryError);
+        return error(res, 'Failed to retrieve products', 500);
+      }
 
-    // Sort by price if requested (after calculation)
-    if (sortBy === 'price') {
-      filteredProducts.sort((a, b) => {
-        return sortOrder === 'asc' 
-          ? a.calculatedPrice - b.calculatedPrice
-          : b.calculatedPrice - a.calculatedPrice;
-      });
+      // Keep the price order from the search
+      products = ids.map(id => data.find(p => p.id === id)).filter(Boolean);
+      total = matchCount;
+    } else {
+      // Apply pagination
+      const offset = (page - 1) * limit;
+      const { data, count, error: queryError } = await buildQuery(productColumns, { count: 'exact' })
+        .order(orderColumn, { ascending: sortOrder === 'asc' })
+        .order('sort_order', { referencedTable: 'product_images', ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (queryError) {
+        logger.error('Database query error:', queryError);
+        return error(res, 'Failed to retrieve products', 500);
+      }
+
+      products = data;
+      total = count;
     }
 
+    // Calculate dynamic prices for each product using the vendor's pricing rules
+    const productsWithPrices = exchangeRateService.convertProducts(
+      await pricingService.priceProducts(products),
+      exchangeRate
+    ).map(product => ({
+      ...product,
+      imageVariants: imageVariantService.groupImageVariants(product.product_images)
+    }));
+
     return success(res, 'Vendor products retrieved successfully', {
-      products: filteredProducts,
-      vendor: {
-        id: vendor.id,
-        name: vendor.name
-      },
+      products: productsWithPrices,
+      vendor: toPublicVendor(vendor),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total: finalCount || 0,
-        pages: Math.ceil((finalCount || 0) / limit)
-      }
+        total: total || 0,
+        pages: Math.ceil((total || 0) / limit)
+      },
+      currency,
+      exchangeRate
     });
 
   } catch (err) {
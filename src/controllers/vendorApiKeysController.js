@@ -0,0 +1,87 @@
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const vendorApiKeyService = require('../services/vendorApiKeyService');
+const { logSecurityEvent } = require('../utils/securityLog');
+const logger = require('../utils/logger');
+
+/**
+ * List the vendor's active API keys (metadata only)
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+  try {
+    const apiKeys = await vendorApiKeyService.listApiKeys(req.vendor.id);
+
+    return success(res, 'API keys retrieved successfully', { apiKeys });
+
+  } catch (err) {
+    logger.error('Get API keys error:', err);
+    return error(res, 'Failed to retrieve API keys', 500);
+  }
+});
+
+/**
+ * Create an API key; the key itself is only returned here
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  try {
+    const createdBy = req.vendor.member ? req.vendor.member.id : null;
+    const { apiKey, key } = await vendorApiKeyService.createApiKey(req.vendor.id, req.body, createdBy);
+
+    logSecurityEvent('api_key_created', { vendorId: req.vendor.id, keyId: apiKey.id, scope: apiKey.scope }, 'info');
+
+    return success(res, 'API key created. Copy it now; it is shown only once.', { apiKey, key }, 201);
+
+  } catch (err) {
+    logger.error('Create API key error:', err);
+    return error(res, 'Failed to create API key', 500);
+  }
+});
+
+/**
+ * Replace an API key's secret; the old one stops working immediately
+ */
+const rotateApiKey = asyncHandler(async (req, res) => {
+  try {
+    const rotated = await vendorApiKeyService.rotateApiKey(req.vendor.id, req.params.keyId);
+
+    if (!rotated) {
+      return error(res, 'API key not found', 404);
+    }
+
+    logSecurityEvent('api_key_rotated', { vendorId: req.vendor.id, keyId: rotated.apiKey.id }, 'info');
+
+    return success(res, 'API key rotated. Copy the new key now; it is shown only once.', rotated);
+
+  } catch (err) {
+    logger.error('Rotate API key error:', err);
+    return error(res, 'Failed to rotate API key', 500);
+  }
+});
+
+/**
+ * Revoke an API key
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  try {
+    const revoked = await vendorApiKeyService.revokeApiKey(req.vendor.id, req.params.keyId);
+
+    if (!revoked) {
+      return error(res, 'API key not found', 404);
+    }
+
+    logSecurityEvent('api_key_revoked', { vendorId: req.vendor.id, keyId: req.params.keyId }, 'info');
+
+    return success(res, 'API key revoked successfully');
+
+  } catch (err) {
+    logger.error('Revoke API key error:', err);
+    return error(res, 'Failed to revoke API key', 500);
+  }
+});
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+};
@@ -3,35 +3,63 @@ const jwt = require('jsonwebtoken');
 const { supabase } = require('../config/supabase');
 const { success, error } = require('../utils/response');
 const { asyncHandler } = require('../middleware/errorHandler');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const vendorSessionService = require('../services/vendorSessionService');
+const vendorApprovalService = require('../services/vendorApprovalService');
+const loginProtectionService = require('../services/loginProtectionService');
+const twoFactorService = require('../services/twoFactorService');
+const vendorTeamService = require('../services/vendorTeamService');
+const { logSecurityEvent } = require('../utils/securityLog');
+const { toVendor } = require('../utils/vendorMapper');
 const logger = require('../utils/logger');
 
 /**
  * Generate JWT tokens for vendor
+ * Both tokens carry the session ID; the refresh token's jti is tracked
+ * by the session store so it can be rotated and revoked.
+ * Team member tokens also carry the member ID and role.
  */
-const generateVendorTokens = (vendorId, email) => {
+const generateVendorTokens = (vendorId, email, sessionId, jti, member = null) => {
+  const claims = {
+    id: vendorId,
+    email,
+    type: 'vendor',
+    sid: sessionId,
+    role: member ? member.role : vendorTeamService.VENDOR_ROLES.OWNER,
+    ...(member && { mid: member.id })
+  };
+
   const accessToken = jwt.sign(
-    { 
-      id: vendorId, 
-      email, 
-      type: 'vendor' 
-    },
+    claims,
     process.env.JWT_SECRET,
     { expiresIn: '1h' }
   );
 
   const refreshToken = jwt.sign(
-    { 
-      id: vendorId, 
-      email, 
-      type: 'vendor' 
-    },
+    claims,
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: '7d', jwtid: jti }
   );
 
   return { accessToken, refreshToken };
 };
 
+/**
+ * Get the client details recorded with a session
+ * @param {object} req - Express request object
+ * @returns {object} { userAgent, ipAddress }
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+// Compared against when the email is unknown, so response times don't reveal which accounts exist
+const PLACEHOLDER_PASSWORD_HASH = '$2a$12$vLDb0o2pSzp9tN90xKVReucqi.aUS/SQbYrQpMRqoDVh7mecQLyGy';
+
+const LOCKED_MESSAGE = 'Too many failed login attempts. This account is temporarily locked. Try again later or use the unlock link sent to your email.';
+
 /**
  * Register vendor
  */
@@ -71,10 +99,24 @@ const registerVendor = asyncHandler(async (req, res) => {
       return error(res, 'A vendor account with this email already exists. Please try logging in instead.', 409);
     }
 
+    // Team members log in with their email too, so it cannot also become a vendor account
+    const { data: existingMember } = await supabase
+      .from('vendor_members')
+      .select('id')
+      .eq('email', loginProtectionService.normalizeEmail(email))
+      .maybeSingle();
+
+    if (existingMember) {
+      return error(res, 'This email belongs to a vendor team member. Please try logging in instead.', 409);
+    }
+
     // Hash password
     const saltRounds = 12;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
+    // New vendors are auto-approved unless VENDOR_APPROVAL_MODE=manual
+    const initialStatus = vendorApprovalService.getInitialStatus();
+
     // Create new vendor
     const { data: newVendor, error: insertError } = await supabase
       .from('vendors')
@@ -90,7 +132,7 @@ const registerVendor = asyncHandler(async (req, res) => {
           tax_id: taxId,
           description: description,
           website: website,
-          status: 'active', // Auto-approve new vendors
+          status: initialStatus,
           created_at: new Date().toISOString()
         }
       ])
@@ -102,18 +144,26 @@ const registerVendor = asyncHandler(async (req, res) => {
       return error(res, 'Registration failed. Please try again.', 500);
     }
 
-    logger.info(`Vendor registered successfully: ${email}`);
+    // Start the status audit trail (best effort)
+    await vendorApprovalService.recordStatusChange({
+      vendorId: newVendor.id,
+      fromStatus: null,
+      toStatus: initialStatus,
+      reason: 'registered'
+    }).catch(err => logger.error(`Failed to record status history for vendor ${email}:`, err));
+
+    // Send the verification link (best effort; it can be resent)
+    await emailVerificationService.sendVerification(newVendor)
+      .catch(err => logger.error(`Failed to send verification email to ${email}:`, err));
+
+    logger.info(`Vendor registered successfully (${initialStatus}): ${email}`);
 
     // Return success without sensitive data
     return success(res, {
-      message: 'Vendor registration successful! Your account is now active.',
-      vendor: {
-        id: newVendor.id,
-        email: newVendor.email,
-        businessName: newVendor.business_name,
-        contactPersonName: newVendor.contact_person_name,
-        status: newVendor.status
-      }
+      message: initialStatus === 'active'
+        ? 'Vendor registration successful! Please verify your email address with the link we sent you, then login.'
+        : 'Vendor registration successful! Please verify your email address with the link we sent you. Your account is pending approval and we will email you once it has been reviewed.',
+      vendor: toVendor(newVendor)
     }, 201);
 
   } catch (err) {
@@ -123,7 +173,97 @@ const registerVendor = asyncHandler(async (req, res) => {
 });
 
 /**
- * Login vendor
+ * Refuse a login attempt for a locked or throttled email
+ * @param {object} res - Express response object
+ * @param {object} attempt - Result of loginProtectionService.checkLoginAllowed
+ * @param {string} email - Email of the attempt
+ * @param {object} client - { userAgent, ipAddress }
+ */
+const refuseBlockedLogin = (res, attempt, email, client) => {
+  logSecurityEvent('login_blocked', {
+    email: loginProtectionService.normalizeEmail(email),
+    reason: attempt.reason,
+    ipAddress: client.ipAddress
+  });
+  res.set('Retry-After', String(attempt.retryAfter));
+
+  return attempt.reason === 'locked'
+    ? error(res, LOCKED_MESSAGE, 423)
+    : error(res, `Too many failed login attempts. Please wait ${attempt.retryAfter} seconds before trying again.`, 429);
+};
+
+/**
+ * Finish a login whose every factor has been verified: start a session and issue its tokens
+ * @param {object} res - Express response object
+ * @param {object} vendor - vendors row
+ * @param {object} client - { userAgent, ipAddress }
+ * @param {object|null} [member] - vendor_members row when a team member logs in
+ */
+const completeLogin = async (res, vendor, client, member = null) => {
+  await loginProtectionService.clearFailedAttempts(member ? member.email : vendor.email);
+
+  // Start a session and generate its tokens
+  const { sessionId, jti } = await vendorSessionService.createSession(vendor.id, client, member ? member.id : null);
+  const { accessToken, refreshToken } = generateVendorTokens(vendor.id, vendor.email, sessionId, jti, member);
+
+  // Update last login
+  if (member) {
+    await vendorTeamService.recordMemberLogin(member.id);
+  } else {
+    await supabase
+      .from('vendors')
+      .update({ last_login_at: new Date().toISOString() })
+      .eq('id', vendor.id);
+  }
+
+  logger.info(`Vendor logged in successfully: ${member ? `${member.email} (team member of ${vendor.email})` : vendor.email}`);
+
+  return success(res, {
+    message: 'Login successful',
+    vendor: toVendor(vendor),
+    role: member ? member.role : vendorTeamService.VENDOR_ROLES.OWNER,
+    member: member ? vendorTeamService.toMember(member) : null,
+    tokens: {
+      accessToken,
+      refreshToken,
+      expiresIn: '1h'
+    }
+  });
+};
+
+/**
+ * Find the account an email logs in to: a vendor's primary account or a team member
+ * @param {string} email - Login email
+ * @returns {Promise<{vendor: object|null, member: object|null}>} vendors row, and the member row for team members
+ */
+const findLoginAccount = async (email) => {
+  const { data: vendor } = await supabase
+    .from('vendors')
+    .select('*')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (vendor) {
+    return { vendor, member: null };
+  }
+
+  const member = await vendorTeamService.findMemberForLogin(email);
+  if (!member) {
+    return { vendor: null, member: null };
+  }
+
+  const { data: store } = await supabase
+    .from('vendors')
+    .select('*')
+    .eq('id', member.vendor_id)
+    .maybeSingle();
+
+  return store ? { vendor: store, member } : { vendor: null, member: null };
+};
+
+/**
+ * Login vendor or vendor team member
+ * Vendors with two-factor enabled get a challenge token to complete with loginVendorTwoFactor.
  */
 const loginVendor = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
@@ -133,19 +273,41 @@ const loginVendor = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Get vendor from database
-    const { data: vendor, error: fetchError } = await supabase
-      .from('vendors')
-      .select('*')
-      .eq('email', email)
-      .single();
+    const client = getClientInfo(req);
 
-    if (fetchError || !vendor) {
-      logger.warn(`Login attempt for non-existent vendor: ${email}`);
+    // Locked or throttled emails are refused before the password is even checked
+    const attempt = await loginProtectionService.checkLoginAllowed(email);
+    if (!attempt.allowed) {
+      return refuseBlockedLogin(res, attempt, email, client);
+    }
+
+    // Get vendor (and team member) from database
+    const { vendor, member } = await findLoginAccount(email);
+    const account = member || vendor;
+
+    // Verify password (against a placeholder for unknown emails)
+    const isPasswordValid = await bcrypt.compare(password, account ? account.password_hash : PLACEHOLDER_PASSWORD_HASH);
+
+    if (!account || !isPasswordValid) {
+      // The unlock email goes to whoever owns the email address
+      const failure = await loginProtectionService.recordFailedAttempt(email, {
+        ...client,
+        vendor: member ? { id: vendor.id, email: member.email, contact_person_name: member.name } : vendor
+      });
+
+      if (failure.locked) {
+        return error(res, LOCKED_MESSAGE, 423);
+      }
       return error(res, 'Invalid email or password. Please check your credentials and try again.', 401);
     }
 
-    // Check if vendor account is active
+    // Accepting an invitation proves a team member's email
+    if (!member && !vendor.email_verified_at) {
+      logger.warn(`Login attempt for unverified vendor email: ${email}`);
+      return error(res, 'Account not verified. Please verify your email address with the link we sent you.', 401);
+    }
+
+    // Check if vendor account is active (only revealed to someone who knows the password)
     if (vendor.status !== 'active') {
       logger.warn(`Login attempt for ${vendor.status} vendor account: ${email}`);
       
@@ -153,63 +315,119 @@ const loginVendor = asyncHandler(async (req, res) => {
         return error(res, 'Your vendor account is pending approval. Please wait for approval before logging in.', 403);
       } else if (vendor.status === 'suspended') {
         return error(res, 'Your vendor account has been suspended. Please contact support for assistance.', 403);
+      } else if (vendor.status === 'rejected') {
+        return error(res, 'Your vendor application was not approved. Please contact support for assistance.', 403);
       } else {
         return error(res, 'Your vendor account is not active. Please contact support for assistance.', 403);
       }
     }
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, vendor.password_hash);
-    if (!isPasswordValid) {
-      logger.warn(`Invalid password attempt for vendor: ${email}`);
-      return error(res, 'Invalid email or password. Please check your credentials and try again.', 401);
+    // The password is right, but the second factor is still missing (primary account only)
+    if (!member && vendor.two_factor_enabled) {
+      logger.info(`Vendor password accepted, two-factor code required: ${email}`);
+
+      return success(res, {
+        message: 'Enter the code from your authenticator app to finish logging in.',
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallengeToken(vendor),
+        expiresIn: twoFactorService.CHALLENGE_TTL
+      });
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateVendorTokens(vendor.id, vendor.email);
+    return await completeLogin(res, vendor, client, member);
 
-    // Update last login
-    await supabase
+  } catch (err) {
+    logger.error('Unexpected vendor login error:', err);
+    return error(res, 'An unexpected error occurred during login.', 500);
+  }
+});
+
+/**
+ * Second login step: verify the TOTP or recovery code for a challenge token
+ * Wrong codes count as failed logins, so they lead to the same lockout.
+ */
+const loginVendorTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  try {
+    const client = getClientInfo(req);
+
+    const challenge = twoFactorService.verifyChallengeToken(challengeToken);
+    if (!challenge) {
+      return error(res, 'Login challenge is invalid or has expired. Please login again.', 401);
+    }
+
+    const attempt = await loginProtectionService.checkLoginAllowed(challenge.email);
+    if (!attempt.allowed) {
+      return refuseBlockedLogin(res, attempt, challenge.email, client);
+    }
+
+    const { data: vendor } = await supabase
       .from('vendors')
-      .update({ last_login_at: new Date().toISOString() })
-      .eq('id', vendor.id);
+      .select('*')
+      .eq('id', challenge.id)
+      .maybeSingle();
 
-    logger.info(`Vendor logged in successfully: ${email}`);
+    if (!vendor || vendor.status !== 'active' || !vendor.two_factor_enabled) {
+      return error(res, 'Login challenge is invalid or has expired. Please login again.', 401);
+    }
 
-    return success(res, {
-      message: 'Login successful',
-      vendor: {
-        id: vendor.id,
-        email: vendor.email,
-        businessName: vendor.business_name,
-        contactPersonName: vendor.contact_person_name,
-        phoneNumber: vendor.phone_number,
-        businessAddress: vendor.business_address,
-        businessType: vendor.business_type,
-        status: vendor.status
-      },
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: '1h'
+    const result = await twoFactorService.verifySecondFactor(vendor.id, { code, recoveryCode });
+
+    if (!result.valid) {
+      const failure = await loginProtectionService.recordFailedAttempt(vendor.email, { ...client, vendor });
+
+      if (failure.locked) {
+        return error(res, LOCKED_MESSAGE, 423);
       }
-    });
+      return error(res, 'Invalid authentication code', 401);
+    }
+
+    if (result.method === 'recovery_code') {
+      logSecurityEvent('recovery_code_used', {
+        vendorId: vendor.id,
+        email: vendor.email,
+        remaining: await twoFactorService.countRecoveryCodes(vendor.id),
+        ipAddress: client.ipAddress
+      });
+    }
+
+    return await completeLogin(res, vendor, client);
 
   } catch (err) {
-    logger.error('Unexpected vendor login error:', err);
+    logger.error('Unexpected vendor two-factor login error:', err);
     return error(res, 'An unexpected error occurred during login.', 500);
   }
 });
 
 /**
  * Logout vendor
+ * Revokes the session of the access token and/or the refresh token sent in the body.
  */
 const logoutVendor = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body || {};
+
   try {
-    // For JWT-based auth, logout is typically handled client-side by removing the token
-    // We could implement a token blacklist here if needed
-    
-    logger.info(`Vendor logged out: ${req.vendor?.email}`);
+    let session = req.vendor?.sessionId
+      ? { id: req.vendor.sessionId, vendorId: req.vendor.id }
+      : null;
+
+    if (!session && refreshToken) {
+      try {
+        const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+        if (decoded.type === 'vendor' && decoded.sid) {
+          session = { id: decoded.sid, vendorId: decoded.id };
+        }
+      } catch (jwtError) {
+        // An invalid or expired refresh token has no live session to revoke
+      }
+    }
+
+    if (session) {
+      await vendorSessionService.revokeSession(session.id, session.vendorId, 'logout');
+    }
+
+    logger.info(`Vendor logged out: ${req.vendor?.email || session?.vendorId || 'unknown'}`);
     return success(res, { message: 'Logout successful' });
 
   } catch (err) {
@@ -236,6 +454,11 @@ const refreshVendorToken = asyncHandler(async (req, res) => {
       return error(res, 'Invalid token type', 401);
     }
 
+    // Tokens issued before sessions were tracked cannot be rotated
+    if (!decoded.sid || !decoded.jti) {
+      return error(res, 'Token refresh failed. Please login again.', 401);
+    }
+
     // Check if vendor still exists and is active
     const { data: vendor, error: fetchError } = await supabase
       .from('vendors')
@@ -253,8 +476,26 @@ const refreshVendorToken = asyncHandler(async (req, res) => {
       return error(res, 'Token refresh failed. Account is not active.', 401);
     }
 
+    // Removed team members cannot refresh; the new tokens carry the member's current role
+    let member = null;
+    if (decoded.mid) {
+      member = await vendorTeamService.getActiveMember(decoded.mid, vendor.id);
+
+      if (!member) {
+        logger.warn(`Refresh token attempt for removed team member: ${decoded.mid}`);
+        return error(res, 'Token refresh failed. Please login again.', 401);
+      }
+    }
+
+    // Rotate the refresh token; reuse of an old one revokes the session
+    const rotation = await vendorSessionService.rotateSession(decoded.sid, vendor.id, decoded.jti, getClientInfo(req));
+    if (rotation.status !== 'rotated') {
+      logger.warn(`Refresh token rejected (${rotation.status}) for vendor: ${vendor.email}`);
+      return error(res, 'Token refresh failed. Please login again.', 401);
+    }
+
     // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = generateVendorTokens(vendor.id, vendor.email);
+    const { accessToken, refreshToken: newRefreshToken } = generateVendorTokens(vendor.id, vendor.email, decoded.sid, rotation.jti, member);
 
     logger.info(`Vendor token refreshed successfully: ${vendor.email}`);
 
@@ -280,10 +521,13 @@ const refreshVendorToken = asyncHandler(async (req, res) => {
 
 /**
  * Change vendor password
+ * Team members change their own password, not the vendor's.
  */
 const changeVendorPassword = asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
   const vendorId = req.vendor.id;
+  const memberId = req.vendor.member ? req.vendor.member.id : null;
+  const table = memberId ? 'vendor_members' : 'vendors';
 
   if (!currentPassword || !newPassword) {
     return error(res, 'Current password and new password are required', 400);
@@ -296,9 +540,9 @@ const changeVendorPassword = asyncHandler(async (req, res) => {
   try {
     // Get current vendor data
     const { data: vendor, error: fetchError } = await supabase
-      .from('vendors')
+      .from(table)
       .select('password_hash')
-      .eq('id', vendorId)
+      .eq('id', memberId || vendorId)
       .single();
 
     if (fetchError || !vendor) {
@@ -317,19 +561,22 @@ const changeVendorPassword = asyncHandler(async (req, res) => {
 
     // Update password in database
     const { error: updateError } = await supabase
-      .from('vendors')
+      .from(table)
       .update({ 
         password_hash: hashedNewPassword,
         updated_at: new Date().toISOString()
       })
-      .eq('id', vendorId);
+      .eq('id', memberId || vendorId);
 
     if (updateError) {
       logger.error('Error updating vendor password:', updateError);
       return error(res, 'Password change failed. Please try again.', 500);
     }
 
-    logger.info(`Vendor password changed successfully: ${req.vendor.email}`);
+    // Sign out every other device of this login
+    await vendorSessionService.revokeAllSessions(vendorId, 'password_changed', req.vendor.sessionId, memberId);
+
+    logger.info(`Vendor password changed successfully: ${req.vendor.member?.email || req.vendor.email}`);
     return success(res, { message: 'Password changed successfully' });
 
   } catch (err) {
@@ -339,8 +586,8 @@ const changeVendorPassword = asyncHandler(async (req, res) => {
 });
 
 /**
- * Forgot vendor password (stub implementation)
- * TODO: Implement email-based password reset functionality
+ * Forgot vendor password
+ * Emails a single-use reset link when the account exists.
  */
 const forgotVendorPassword = asyncHandler(async (req, res) => {
   const { email } = req.body;
@@ -351,15 +598,25 @@ const forgotVendorPassword = asyncHandler(async (req, res) => {
 
   try {
     // Check if vendor exists
-    const { data: vendor, error: fetchError } = await supabase
+    const { data: vendor } = await supabase
       .from('vendors')
-      .select('id, email')
+      .select('id, email, contact_person_name')
       .eq('email', email)
       .single();
 
-    // Always return success for security (don't reveal if email exists)
     logger.info(`Password reset requested for vendor email: ${email}`);
-    
+
+    if (vendor) {
+      // A failure here must not reveal whether the account exists
+      try {
+        const { token } = await passwordResetService.createResetToken(vendor.id);
+        await passwordResetService.sendResetEmail(vendor, token);
+      } catch (err) {
+        logger.error(`Failed to send password reset email to ${vendor.email}:`, err);
+      }
+    }
+
+    // Always return success for security (don't reveal if email exists)
     return success(res, {
       message: 'If a vendor account with that email exists, password reset instructions have been sent.'
     });
@@ -371,8 +628,8 @@ const forgotVendorPassword = asyncHandler(async (req, res) => {
 });
 
 /**
- * Reset vendor password (stub implementation)
- * TODO: Implement token-based password reset functionality
+ * Reset vendor password
+ * Consumes the reset token, sets the new password and revokes refresh tokens.
  */
 const resetVendorPassword = asyncHandler(async (req, res) => {
   const { token, newPassword } = req.body;
@@ -386,10 +643,48 @@ const resetVendorPassword = asyncHandler(async (req, res) => {
   }
 
   try {
-    // TODO: Implement token verification and password reset logic
-    logger.warn('Password reset attempted but not yet implemented');
-    
-    return error(res, 'Password reset functionality is not yet implemented. Please contact support.', 501);
+    const result = await passwordResetService.consumeResetToken(token);
+    if (!result.valid) {
+      logger.warn(`Password reset rejected: ${result.reason}`);
+      return error(res, result.reason, 400);
+    }
+
+    const { data: vendor, error: fetchError } = await supabase
+      .from('vendors')
+      .select('id, email')
+      .eq('id', result.vendorId)
+      .single();
+
+    if (fetchError || !vendor) {
+      return error(res, 'Reset token is invalid', 400);
+    }
+
+    // Hash new password
+    const saltRounds = 12;
+    const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+
+    // Rotate the password
+    const { error: updateError } = await supabase
+      .from('vendors')
+      .update({
+        password_hash: hashedNewPassword,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', vendor.id);
+
+    if (updateError) {
+      logger.error('Error resetting vendor password:', updateError);
+      return error(res, 'Password reset failed. Please try again.', 500);
+    }
+
+    // Invalidate outstanding refresh tokens of the primary account
+    await vendorSessionService.revokeAllSessions(vendor.id, 'password_reset', null, null);
+
+    // Proving control of the mailbox also lifts a lockout
+    await loginProtectionService.clearFailedAttempts(vendor.email);
+
+    logger.info(`Vendor password reset successfully: ${vendor.email}`);
+    return success(res, { message: 'Password reset successfully. Please login with your new password.' });
 
   } catch (err) {
     logger.error('Unexpected reset password error:', err);
@@ -397,12 +692,164 @@ const resetVendorPassword = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Verify a vendor's email address with the token from the verification email
+ */
+const verifyVendorEmail = asyncHandler(async (req, res) => {
+  const { token } = req.query;
+
+  if (!token) {
+    return error(res, 'Verification token is required', 400);
+  }
+
+  try {
+    const result = await emailVerificationService.verifyEmail(token);
+
+    if (!result.valid) {
+      logger.warn(`Email verification rejected: ${result.reason}`);
+      return error(res, result.reason, 400);
+    }
+
+    logger.info(`Vendor email verified: ${result.vendorId}`);
+    return success(res, { message: 'Email verified successfully. You can now login.' });
+
+  } catch (err) {
+    logger.error('Unexpected email verification error:', err);
+    return error(res, 'An unexpected error occurred. Please try again.', 500);
+  }
+});
+
+/**
+ * Resend the verification email
+ * The response is the same whether or not the account exists or is already verified.
+ */
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const { data: vendor } = await supabase
+      .from('vendors')
+      .select('id, email, contact_person_name, email_verified_at')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (vendor && !vendor.email_verified_at) {
+      const waitSeconds = await emailVerificationService.getResendWaitSeconds(vendor.id);
+
+      if (waitSeconds > 0) {
+        logger.info(`Verification email resend throttled for ${vendor.email} (${waitSeconds}s left)`);
+      } else {
+        try {
+          await emailVerificationService.sendVerification(vendor);
+        } catch (err) {
+          logger.error(`Failed to resend verification email to ${vendor.email}:`, err);
+        }
+      }
+    }
+
+    return success(res, {
+      message: 'If an unverified vendor account with that email exists, a new verification link has been sent.'
+    });
+
+  } catch (err) {
+    logger.error('Unexpected resend verification error:', err);
+    return error(res, 'An unexpected error occurred. Please try again.', 500);
+  }
+});
+
+/**
+ * Unlock a vendor account locked after failed logins
+ * Uses the single-use token from the lockout email.
+ */
+const unlockVendorAccount = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return error(res, 'Unlock token is required', 400);
+  }
+
+  try {
+    const result = await loginProtectionService.unlockWithToken(token, getClientInfo(req));
+
+    if (!result.unlocked) {
+      return error(res, 'Unlock token is invalid or has expired', 400);
+    }
+
+    return success(res, { message: 'Account unlocked. You can login again.' });
+
+  } catch (err) {
+    logger.error('Unexpected account unlock error:', err);
+    return error(res, 'An unexpected error occurred. Please try again.', 500);
+  }
+});
+
+/**
+ * Get the member ID that scopes session management to the caller's own login
+ * @param {object} req - Express request object
+ * @returns {string|null} Team member ID, or null for the primary account
+ */
+const getSessionScope = (req) => (req.vendor.member ? req.vendor.member.id : null);
+
+/**
+ * List the active sessions of the caller's login
+ */
+const getVendorSessions = asyncHandler(async (req, res) => {
+  try {
+    const sessions = await vendorSessionService.listSessions(req.vendor.id, getSessionScope(req));
+
+    return success(res, 'Sessions retrieved successfully', {
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.vendor.sessionId
+      }))
+    });
+
+  } catch (err) {
+    logger.error('Get vendor sessions error:', err);
+    return error(res, 'Failed to retrieve sessions', 500);
+  }
+});
+
+/**
+ * Revoke one session, or every session except the current one
+ */
+const revokeVendorSessions = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    if (sessionId) {
+      const revoked = await vendorSessionService.revokeSession(sessionId, req.vendor.id, 'revoked_by_vendor', getSessionScope(req));
+      if (!revoked) {
+        return error(res, 'Session not found', 404);
+      }
+
+      logger.info(`Vendor session revoked by ${req.vendor.email}: ${sessionId}`);
+      return success(res, 'Session revoked successfully');
+    }
+
+    const count = await vendorSessionService.revokeAllSessions(req.vendor.id, 'revoked_by_vendor', req.vendor.sessionId, getSessionScope(req));
+
+    logger.info(`${count} vendor sessions revoked by ${req.vendor.email}`);
+    return success(res, 'Other sessions revoked successfully', { revoked: count });
+
+  } catch (err) {
+    logger.error('Revoke vendor sessions error:', err);
+    return error(res, 'Failed to revoke sessions', 500);
+  }
+});
+
 module.exports = {
   registerVendor,
   loginVendor,
+  loginVendorTwoFactor,
   logoutVendor,
   refreshVendorToken,
   changeVendorPassword,
   forgotVendorPassword,
-  resetVendorPassword
+  resetVendorPassword,
+  verifyVendorEmail,
+  resendVerificationEmail,
+  unlockVendorAccount,
+  getVendorSessions,
+  revokeVendorSessions
 };
@@ -0,0 +1,64 @@
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const inventoryService = require('../services/inventoryService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the stock of each color of a product and its latest adjustments
+ */
+const getProductStock = asyncHandler(async (req, res) => {
+  try {
+    const stock = await inventoryService.getProductStock(req.vendor.id, req.params.id);
+
+    if (!stock) {
+      return error(res, 'Product not found', 404);
+    }
+
+    return success(res, 'Stock retrieved successfully', { stock });
+
+  } catch (err) {
+    logger.error('Get product stock error:', err);
+    return error(res, 'Failed to retrieve stock', 500);
+  }
+});
+
+/**
+ * Adjust the stock of a product color
+ */
+const adjustProductStock = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await inventoryService.adjustStock(req.vendor.id, id, {
+      ...req.body,
+      createdBy: req.vendor.member ? req.vendor.member.id : null
+    });
+
+    if (result.status === 'product_not_found') {
+      return error(res, 'Product not found', 404);
+    }
+
+    if (result.status === 'color_unavailable') {
+      return error(res, `Product is not available in ${req.body.color}`, 400);
+    }
+
+    if (result.status === 'below_reserved') {
+      return error(res, `Stock cannot drop below the ${result.reserved} units held for open orders`, 409);
+    }
+
+    logger.info(`Stock of product ${id} (${req.body.color}) adjusted to ${result.stock.quantity} by vendor ${req.vendor.id}: ${req.body.reason}`);
+
+    return success(res, 'Stock adjusted successfully', {
+      stock: result.stock,
+      adjustment: result.adjustment
+    }, 201);
+
+  } catch (err) {
+    logger.error('Adjust product stock error:', err);
+    return error(res, 'Failed to adjust stock', 500);
+  }
+});
+
+module.exports = {
+  getProductStock,
+  adjustProductStock
+};
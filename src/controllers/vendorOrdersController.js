@@ -0,0 +1,150 @@
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const vendorOrderService = require('../services/vendorOrderService');
+const logger = require('../utils/logger');
+
+/**
+ * Send the result of a sub-order status change
+ * @param {object} res - Express response
+ * @param {object} result - Result of a vendorOrderService transition
+ * @param {string} action - Verb for the messages, e.g. "shipped"
+ */
+const sendTransitionResult = (res, result, action) => {
+  if (result.status === 'not_found') {
+    return error(res, 'Order not found', 404);
+  }
+
+  if (result.status === 'invalid_transition') {
+    return error(res, `Order cannot be ${action} while it is ${result.currentStatus}`, 409);
+  }
+
+  return success(res, `Order ${action} successfully`, { order: result.vendorOrder });
+};
+
+/**
+ * Get the vendor's orders
+ */
+const getVendorOrders = asyncHandler(async (req, res) => {
+  try {
+    const { page, limit, status, from, to } = req.query;
+    const { orders, total } = await vendorOrderService.listVendorOrders(req.vendor.id, { page, limit, status, from, to });
+
+    return success(res, 'Orders retrieved successfully', {
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (err) {
+    logger.error('Get vendor orders error:', err);
+    return error(res, 'Failed to retrieve orders', 500);
+  }
+});
+
+/**
+ * Get one of the vendor's orders
+ */
+const getVendorOrderById = asyncHandler(async (req, res) => {
+  try {
+    const order = await vendorOrderService.getVendorOrder(req.vendor.id, req.params.id);
+
+    if (!order) {
+      return error(res, 'Order not found', 404);
+    }
+
+    return success(res, 'Order retrieved successfully', { order });
+
+  } catch (err) {
+    logger.error('Get vendor order by ID error:', err);
+    return error(res, 'Failed to retrieve order', 500);
+  }
+});
+
+/**
+ * Accept a paid order and start preparing it
+ */
+const acceptOrder = asyncHandler(async (req, res) => {
+  try {
+    const result = await vendorOrderService.acceptVendorOrder(req.vendor.id, req.params.id);
+
+    if (result.status === 'updated') {
+      logger.info(`Vendor order accepted by vendor ${req.vendor.id}: ${req.params.id}`);
+    }
+
+    return sendTransitionResult(res, result, 'accepted');
+
+  } catch (err) {
+    logger.error('Accept vendor order error:', err);
+    return error(res, 'Failed to accept order', 500);
+  }
+});
+
+/**
+ * Mark an order as shipped with its carrier and tracking number
+ */
+const shipOrder = asyncHandler(async (req, res) => {
+  try {
+    const result = await vendorOrderService.shipVendorOrder(req.vendor.id, req.params.id, req.body);
+
+    if (result.status === 'updated') {
+      logger.info(`Vendor order shipped by vendor ${req.vendor.id}: ${req.params.id}`);
+    }
+
+    return sendTransitionResult(res, result, 'shipped');
+
+  } catch (err) {
+    logger.error('Ship vendor order error:', err);
+    return error(res, 'Failed to ship order', 500);
+  }
+});
+
+/**
+ * Cancel an order that has not shipped yet
+ */
+const cancelOrder = asyncHandler(async (req, res) => {
+  try {
+    const result = await vendorOrderService.cancelVendorOrder(req.vendor.id, req.params.id, req.body.reason);
+
+    if (result.status === 'updated') {
+      logger.info(`Vendor order cancelled by vendor ${req.vendor.id}: ${req.params.id}`);
+    }
+
+    return sendTransitionResult(res, result, 'cancelled');
+
+  } catch (err) {
+    logger.error('Cancel vendor order error:', err);
+    return error(res, 'Failed to cancel order', 500);
+  }
+});
+
+/**
+ * Get packing slip data for an order
+ */
+const getPackingSlip = asyncHandler(async (req, res) => {
+  try {
+    const packingSlip = await vendorOrderService.getPackingSlip(req.vendor, req.params.id);
+
+    if (!packingSlip) {
+      return error(res, 'Order not found', 404);
+    }
+
+    return success(res, 'Packing slip retrieved successfully', { packingSlip });
+
+  } catch (err) {
+    logger.error('Get packing slip error:', err);
+    return error(res, 'Failed to retrieve packing slip', 500);
+  }
+});
+
+module.exports = {
+  getVendorOrders,
+  getVendorOrderById,
+  acceptOrder,
+  shipOrder,
+  cancelOrder,
+  getPackingSlip
+};
@@ -0,0 +1,57 @@
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const pricingService = require('../services/pricingService');
+const goldPriceService = require('../services/goldPriceService');
+const { KARAT_PURITY, ROUNDING_MODES } = require('../services/pricingRules');
+const logger = require('../utils/logger');
+
+/**
+ * Get vendor pricing rules
+ */
+const getPricingRules = asyncHandler(async (req, res) => {
+  try {
+    const vendorId = req.vendor.id;
+
+    const rules = await pricingService.getVendorPricingRules(vendorId);
+
+    return success(res, 'Pricing rules retrieved successfully', {
+      pricing: rules,
+      options: {
+        karats: Object.keys(KARAT_PURITY),
+        roundingModes: ROUNDING_MODES
+      },
+      goldPrice: goldPriceService.getCurrentPrice(),
+      lastPriceUpdate: goldPriceService.getLastUpdateTime()
+    });
+
+  } catch (err) {
+    logger.error('Get pricing rules error:', err);
+    return error(res, 'Failed to retrieve pricing rules', 500);
+  }
+});
+
+/**
+ * Update vendor pricing rules
+ */
+const updatePricingRules = asyncHandler(async (req, res) => {
+  try {
+    const vendorId = req.vendor.id;
+
+    const rules = await pricingService.updateVendorPricingRules(vendorId, req.body);
+
+    logger.info(`Pricing rules updated for vendor ${vendorId}`, rules);
+
+    return success(res, 'Pricing rules updated successfully', {
+      pricing: rules
+    });
+
+  } catch (err) {
+    logger.error('Update pricing rules error:', err);
+    return error(res, 'Failed to update pricing rules', 500);
+  }
+});
+
+module.exports = {
+  getPricingRules,
+  updatePricingRules
+};
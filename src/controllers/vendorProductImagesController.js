@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getStorage } = require('../services/storage');
+const imageVariantService = require('../services/imageVariantService');
+const logger = require('../utils/logger');
+
+/**
+ * Map a product_images row to the API shape
+ * @param {object} image - product_images row
+ * @returns {object} Image
+ */
+const toImage = (image) => ({
+  id: image.id,
+  productId: image.product_id,
+  color: image.color,
+  imageUrl: image.image_url,
+  variants: image.variants || null,
+  sortOrder: image.sort_order
+});
+
+/**
+ * Remove an image and its variants from storage (best effort)
+ * @param {string} storageKey - Storage key of the original
+ * @returns {Promise<void>}
+ */
+const removeStoredImage = async (storageKey) => {
+  const storage = getStorage();
+
+  await Promise.all(imageVariantService.getStorageKeys(storageKey).map(key => storage.remove(key)
+    .catch(err => logger.warn(`Failed to remove stored image ${key}: ${err.message}`))));
+};
+
+/**
+ * Get a vendor's product with its images
+ * @param {string} vendorId - Vendor ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<object|null>} Product with product_images, or null if not owned by the vendor
+ */
+const findVendorProduct = async (vendorId, productId) => {
+  const { data: product, error: fetchError } = await supabase
+    .from('products')
+    .select(`
+      id,
+      product_images (
+        id,
+        color,
+        image_url,
+        storage_key,
+        sort_order
+      )
+    `)
+    .eq('id', productId)
+    .eq('vendor_id', vendorId)
+    .single();
+
+  return fetchError || !product ? null : product;
+};
+
+/**
+ * Upload an image for a product color
+ */
+const uploadProductImage = asyncHandler(async (req, res) => {
+  try {
+    const vendorId = req.vendor.id;
+    const { id } = req.params;
+    const { color } = req.body;
+
+    const product = await findVendorProduct(vendorId, id);
+    if (!product) {
+      return error(res, 'Product not found', 404);
+    }
+
+    const colorImages = product.product_images.filter(img => img.color === color);
+    if (colorImages.length === 0) {
+      return error(res, `Product is not available in ${color}. Add the color to the product first.`, 400);
+    }
+
+    // Resize before storing anything, which also rejects corrupt images
+    let generated;
+    try {
+      generated = await imageVariantService.generateVariants(req.file.buffer, req.file.extension);
+    } catch (err) {
+      logger.warn(`Image processing failed for product ${id}: ${err.message}`);
+      return error(res, 'Image could not be processed', 422);
+    }
+
+    // Store the file and its variants first, then record them
+    const storage = getStorage();
+    const key = `products/${id}/${color}/${crypto.randomUUID()}.${req.file.extension}`;
+    let stored;
+    let variants;
+
+    try {
+      stored = await storage.save({
+        key,
+        buffer: req.file.buffer,
+        contentType: req.file.mimetype
+      });
+      variants = await imageVariantService.storeVariants(storage, key, generated);
+    } catch (err) {
+      logger.error('Store product image error:', err);
+      await removeStoredImage(key);
+      return error(res, 'Failed to store product image', 500);
+    }
+
+    // Fill the empty placeholder row created with the color, otherwise add a new image
+    const placeholder = colorImages.find(img => !img.image_url);
+    const nextSortOrder = Math.max(...colorImages.map(img => img.sort_order || 0)) + 1;
+
+    const { data: image, error: saveError } = placeholder
+      ? await supabase
+        .from('product_images')
+        .update({ image_url: stored.url, storage_key: stored.key, variants })
+        .eq('id', placeholder.id)
+        .select()
+        .single()
+      : await supabase
+        .from('product_images')
+        .insert({
+          product_id: id,
+          color,
+          image_url: stored.url,
+          storage_key: stored.key,
+          variants,
+          sort_order: nextSortOrder
+        })
+        .select()
+        .single();
+
+    if (saveError) {
+      logger.error('Save product image error:', saveError);
+      // Try to rollback the stored files
+      await removeStoredImage(stored.key);
+      return error(res, 'Failed to save product image', 500);
+    }
+
+    logger.info(`Image uploaded for product ${id} (${color}) by vendor ${vendorId}: ${image.id}`);
+
+    return success(res, 'Product image uploaded successfully', {
+      image: toImage(image)
+    }, 201);
+
+  } catch (err) {
+    logger.error('Upload product image error:', err);
+    return error(res, 'Failed to upload product image', 500);
+  }
+});
+
+/**
+ * Delete a product image
+ */
+const deleteProductImage = asyncHandler(async (req, res) => {
+  try {
+    const vendorId = req.vendor.id;
+    const { id, imageId } = req.params;
+
+    const product = await findVendorProduct(vendorId, id);
+    if (!product) {
+      return error(res, 'Product not found', 404);
+    }
+
+    const image = product.product_images.find(img => img.id === imageId);
+    if (!image) {
+      return error(res, 'Image not found', 404);
+    }
+
+    // Keep the last row of a color as an empty placeholder so the color stays available
+    const isLastOfColor = product.product_images.filter(img => img.color === image.color).length === 1;
+
+    const { error: deleteError } = isLastOfColor
+      ? await supabase
+        .from('product_images')
+        .update({ image_url: null, storage_key: null, variants: null })
+        .eq('id', imageId)
+      : await supabase
+        .from('product_images')
+        .delete()
+        .eq('id', imageId);
+
+    if (deleteError) {
+      logger.error('Delete product image error:', deleteError);
+      return error(res, 'Failed to delete product image', 500);
+    }
+
+    if (image.storage_key) {
+      await removeStoredImage(image.storage_key);
+    }
+
+    logger.info(`Image deleted for product ${id} by vendor ${vendorId}: ${imageId}`);
+
+    return success(res, 'Product image deleted successfully');
+
+  } catch (err) {
+    logger.error('Delete product image error:', err);
+    return error(res, 'Failed to delete product image', 500);
+  }
+});
+
+/**
+ * Reorder the images of a product color
+ */
+const reorderProductImages = asyncHandler(async (req, res) => {
+  try {
+    const vendorId = req.vendor.id;
+    const { id } = req.params;
+    const { color, imageIds } = req.body;
+
+    const product = await findVendorProduct(vendorId, id);
+    if (!product) {
+      return error(res, 'Product not found', 404);
+    }
+
+    const colorImageIds = product.product_images
+      .filter(img => img.color === color)
+      .map(img => img.id);
+
+    const isSameSet = imageIds.length === colorImageIds.length &&
+      new Set(imageIds).size === imageIds.length &&
+      imageIds.every(imageId => colorImageIds.includes(imageId));
+
+    if (!isSameSet) {
+      return error(res, `imageIds must list every ${color} image of this product exactly once`, 400);
+    }
+
+    const results = await Promise.all(imageIds.map((imageId, index) => supabase
+      .from('product_images')
+      .update({ sort_order: index })
+      .eq('id', imageId)
+      .eq('product_id', id)));
+
+    const updateError = results.find(result => result.error)?.error;
+    if (updateError) {
+      logger.error('Reorder product images error:', updateError);
+      return error(res, 'Failed to reorder product images', 500);
+    }
+
+    const { data: images } = await supabase
+      .from('product_images')
+      .select('*')
+      .eq('product_id', id)
+      .eq('color', color)
+      .order('sort_order', { ascending: true });
+
+    logger.info(`Images reordered for product ${id} (${color}) by vendor ${vendorId}`);
+
+    return success(res, 'Product images reordered successfully', {
+      images: (images || []).map(toImage)
+    });
+
+  } catch (err) {
+    logger.error('Reorder product images error:', err);
+    return error(res, 'Failed to reorder product images', 500);
+  }
+});
+
+module.exports = {
+  uploadProductImage,
+  deleteProductImage,
+  reorderProductImages
+};
@@ -0,0 +1,88 @@
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const productImportService = require('../services/productImportService');
+const logger = require('../utils/logger');
+
+/**
+ * Import products from an uploaded CSV or JSON file
+ * With ?dryRun=true rows are only validated.
+ */
+const importProducts = asyncHandler(async (req, res) => {
+  try {
+    const vendorId = req.vendor.id;
+    const { dryRun } = req.query;
+
+    const parsed = productImportService.parseImportFile(req.file.buffer, req.file.format);
+    if (parsed.error) {
+      return error(res, parsed.error, 400);
+    }
+
+    const job = await productImportService.runImport(vendorId, parsed.rows, {
+      fileName: req.file.originalname,
+      format: req.file.format,
+      dryRun,
+      createdBy: req.vendor.member ? req.vendor.member.id : null
+    });
+
+    logger.info(`Product import ${job.id} by vendor ${vendorId}${dryRun ? ' (dry run)' : ''}: ${job.createdCount} created, ${job.updatedCount} updated, ${job.failedCount} failed`);
+
+    if (dryRun) {
+      return success(res, 'Dry run completed; no products were changed', { job });
+    }
+
+    return success(res, 'Product import completed', { job }, 201);
+
+  } catch (err) {
+    logger.error('Import products error:', err);
+    return error(res, 'Failed to import products', 500);
+  }
+});
+
+/**
+ * List the vendor's product import jobs
+ */
+const getImportJobs = asyncHandler(async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const { jobs, total } = await productImportService.listImportJobs(req.vendor.id, { page, limit });
+
+    return success(res, 'Import jobs retrieved successfully', {
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (err) {
+    logger.error('Get import jobs error:', err);
+    return error(res, 'Failed to retrieve import jobs', 500);
+  }
+});
+
+/**
+ * Get a product import job with its per-row errors
+ */
+const getImportJob = asyncHandler(async (req, res) => {
+  try {
+    const job = await productImportService.getImportJob(req.vendor.id, req.params.jobId);
+
+    if (!job) {
+      return error(res, 'Import job not found', 404);
+    }
+
+    return success(res, 'Import job retrieved successfully', { job });
+
+  } catch (err) {
+    logger.error('Get import job error:', err);
+    return error(res, 'Failed to retrieve import job', 500);
+  }
+});
+
+module.exports = {
+  importProducts,
+  getImportJobs,
+  getImportJob
+};
@@ -1,7 +1,14 @@
 const { supabase } = require('../config/supabase');
+const { BASE_CURRENCY } = require('../config/currencies');
 const { success, error } = require('../utils/response');
 const { asyncHandler } = require('../middleware/errorHandler');
 const goldPriceService = require('../services/goldPriceService');
+const { toProductColumns } = require('../utils/productMapper');
+const imageVariantService = require('../services/imageVariantService');
+const pricingService = require('../services/pricingService');
+const productCatalogService = require('../services/productCatalogService');
+const exchangeRateService = require('../services/exchangeRateService');
+const webhookService = require('../services/webhookService');
 const logger = require('../utils/logger');
 
 /**
@@ -16,9 +23,16 @@ const getVendorProducts = asyncHandler(async (req, res) => {
       search,
       isActive,
       sortBy = 'created_at',
-      sortOrder = 'desc'
+      sortOrder = 'desc',
+      currency = BASE_CURRENCY
     } = req.query;
 
+    // Resolve the display currency before doing any work
+    const exchangeRate = exchangeRateService.getRate(currency);
+    if (!exchangeRate) {
+      return error(res, `Exchange rate for ${currency} is currently unavailable`, 503);
+    }
+
     let query = supabase
       .from('products')
       .select(`
@@ -26,9 +40,11 @@ const getVendorProducts = asyncHandler(async (req, res) => {
         product_images (
           id,
           color,
-          image_url
+          image_url,
+          variants,
+          sort_order
         )
-      `)
+      `, { count: 'exact' })
       .eq('vendor_id', vendorId);
 
     // Apply search filter
@@ -41,9 +57,6 @@ const getVendorProducts = asyncHandler(async (req, res) => {
       query = query.eq('is_active', isActive === 'true');
     }
 
-    // Get total count for pagination
-    const { count } = await query.select('*', { count: 'exact', head: true });
-
     // Apply sorting
     let orderColumn = 'created_at';
     switch (sortBy) {
@@ -62,31 +75,30 @@ const getVendorProducts = asyncHandler(async (req, res) => {
         break;
     }
 
-    query = query.order(orderColumn, { ascending: sortOrder === 'asc' });
+    query = query
+      .order(orderColumn, { ascending: sortOrder === 'asc' })
+      .order('sort_order', { referencedTable: 'product_images', ascending: true });
 
     // Apply pagination
     const offset = (page - 1) * limit;
     query = query.range(offset, offset + limit - 1);
 
-    const { data: products, error: queryError } = await query;
+    // Total count for pagination comes back with the page
+    const { data: products, count, error: queryError } = await query;
 
     if (queryError) {
       logger.error('Database query error:', queryError);
       return error(res, 'Failed to retrieve products', 500);
     }
 
-    // Calculate dynamic prices for each product
-    const productsWithPrices = products.map(product => {
-      const calculatedPrice = goldPriceService.calculateProductPrice(
-        product.popularity_score,
-        product.weight
-      );
-
-      return {
-        ...product,
-        calculatedPrice
-      };
-    });
+    // Calculate dynamic prices for each product using the vendor's pricing rules
+    const productsWithPrices = exchangeRateService.convertProducts(
+      await pricingService.priceProducts(products),
+      exchangeRate
+    ).map(product => ({
+      ...product,
+      imageVariants: imageVariantService.groupImageVariants(product.product_images)
+    }));
 
     return success(res, 'Vendor products retrieved successfully', {
       products: productsWithPrices,
@@ -96,7 +108,9 @@ const getVendorProducts = asyncHandler(async (req, res) => {
         total: count || 0,
         pages: Math.ceil((count || 0) / limit)
       },
-      goldPrice: goldPriceService.getCurrentPrice(),
+      currency,
+      exchangeRate,
+      goldPrice: exchangeRateService.convert(goldPriceService.getCurrentPrice(), exchangeRate),
       lastPriceUpdate: goldPriceService.getLastUpdateTime()
     });
 
@@ -113,6 +127,13 @@ const getVendorProductById = asyncHandler(async (req, res) => {
   try {
     const vendorId = req.vendor.id;
     const { id } = req.params;
+    const { currency = BASE_CURRENCY } = req.query;
+
+    // Resolve the display currency before doing any work
+    const exchangeRate = exchangeRateService.getRate(currency);
+    if (!exchangeRate) {
+      return error(res, `Exchange rate for ${currency} is currently unavailable`, 503);
+    }
 
     const { data: product, error: queryError } = await supabase
       .from('products')
@@ -121,11 +142,14 @@ const getVendorProductById = asyncHandler(async (req, res) => {
         product_images (
           id,
           color,
-          image_url
+          image_url,
+          variants,
+          sort_order
         )
       `)
       .eq('id', id)
       .eq('vendor_id', vendorId)
+      .order('sort_order', { referencedTable: 'product_images', ascending: true })
       .single();
 
     if (queryError || !product) {
@@ -133,20 +157,23 @@ const getVendorProductById = asyncHandler(async (req, res) => {
       return error(res, 'Product not found', 404);
     }
 
-    // Calculate dynamic price
-    const calculatedPrice = goldPriceService.calculateProductPrice(
-      product.popularity_score,
-      product.weight
+    // Calculate dynamic price using the vendor's pricing rules
+    const calculatedPrice = exchangeRateService.convert(
+      await pricingService.priceProduct(product),
+      exchangeRate
     );
 
     const productWithPrice = {
       ...product,
-      calculatedPrice
+      calculatedPrice,
+      imageVariants: imageVariantService.groupImageVariants(product.product_images)
     };
 
     return success(res, 'Product retrieved successfully', {
       product: productWithPrice,
-      goldPrice: goldPriceService.getCurrentPrice(),
+      currency,
+      exchangeRate,
+      goldPrice: exchangeRateService.convert(goldPriceService.getCurrentPrice(), exchangeRate),
       lastPriceUpdate: goldPriceService.getLastUpdateTime()
     });
 
@@ -162,43 +189,7 @@ const getVendorProductById = asyncHandler(async (req, res) => {
 const createProduct = asyncHandler(async (req, res) => {
   try {
     const vendorId = req.vendor.id;
-    const { name, weight, popularityScore, isActive = true, colors } = req.body;
-
-    // Create product
-    const { data: product, error: productError } = await supabase
-      .from('products')
-      .insert({
-        vendor_id: vendorId,
-        name,
-        weight,
-        popularity_score: popularityScore,
-        is_active: isActive
-      })
-      .select()
-      .single();
-
-    if (productError) {
-      logger.error('Create product error:', productError);
-      return error(res, 'Failed to create product', 500);
-    }
-
-    // Create product images for each color
-    const imageInserts = colors.map(color => ({
-      product_id: product.id,
-      color,
-      image_url: null // Will be updated when images are uploaded
-    }));
-
-    const { error: imageError } = await supabase
-      .from('product_images')
-      .insert(imageInserts);
-
-    if (imageError) {
-      logger.error('Create product images error:', imageError);
-      // Try to rollback product creation
-      await supabase.from('products').delete().eq('id', product.id);
-      return error(res, 'Failed to create product images', 500);
-    }
+    const product = await productCatalogService.createProductWithColors(vendorId, req.body);
 
     // Fetch the complete product with images
     const { data: fullProduct } = await supabase
@@ -208,25 +199,29 @@ const createProduct = asyncHandler(async (req, res) => {
         product_images (
           id,
           color,
-          image_url
+          image_url,
+          variants,
+          sort_order
         )
       `)
       .eq('id', product.id)
       .single();
 
-    // Calculate dynamic price
-    const calculatedPrice = goldPriceService.calculateProductPrice(
-      product.popularity_score,
-      product.weight
-    );
+    // Calculate dynamic price using the vendor's pricing rules
+    const calculatedPrice = await pricingService.priceProduct(product);
+    const createdProduct = {
+      ...fullProduct,
+      calculatedPrice
+    };
 
     logger.info(`Product created successfully by vendor ${vendorId}: ${product.id}`);
 
+    // Notify webhook subscribers (best effort)
+    await webhookService.enqueueEvent(vendorId, webhookService.WEBHOOK_EVENTS.PRODUCT_CREATED, { product: createdProduct })
+      .catch(err => logger.error(`Failed to queue product.created webhooks for ${product.id}:`, err));
+
     return success(res, 'Product created successfully', {
-      product: {
-        ...fullProduct,
-        calculatedPrice
-      }
+      product: createdProduct
     }, 201);
 
   } catch (err) {
@@ -247,7 +242,7 @@ const updateProduct = asyncHandler(async (req, res) => {
     // Check if product belongs to vendor
     const { data: existingProduct, error: fetchError } = await supabase
       .from('products')
-      .select('id')
+      .select('id, deactivated_by_admin_at')
       .eq('id', id)
       .eq('vendor_id', vendorId)
       .single();
@@ -256,8 +251,17 @@ const updateProduct = asyncHandler(async (req, res) => {
       return error(res, 'Product not found', 404);
     }
 
+    // Products taken down by moderation can only be reactivated by an admin
+    if (existingProduct.deactivated_by_admin_at && updateData.isActive === true) {
+      return error(res, 'This product was deactivated by an administrator and cannot be reactivated. Please contact support.', 403);
+    }
+
     // Extract colors from updateData if present
-    const { colors, ...productUpdateData } = updateData;
+    const { colors } = updateData;
+    const productUpdateData = {
+      ...toProductColumns(updateData),
+      updated_at: new Date().toISOString()
+    };
 
     // Update product
     const { data: product, error: updateError } = await supabase
@@ -273,27 +277,12 @@ const updateProduct = asyncHandler(async (req, res) => {
       return error(res, 'Failed to update product', 500);
     }
 
-    // Update colors if provided
+    // Update colors if provided (uploaded images of kept colors are preserved)
     if (colors && Array.isArray(colors)) {
-      // Delete existing product images
-      await supabase
-        .from('product_images')
-        .delete()
-        .eq('product_id', id);
-
-      // Insert new product images
-      const imageInserts = colors.map(color => ({
-        product_id: id,
-        color,
-        image_url: null
-      }));
-
-      const { error: imageError } = await supabase
-        .from('product_images')
-        .insert(imageInserts);
-
-      if (imageError) {
-        logger.error('Update product images error:', imageError);
+      try {
+        await productCatalogService.syncProductColors(id, colors);
+      } catch (colorError) {
+        logger.error('Update product images error:', colorError);
         return error(res, 'Failed to update product colors', 500);
       }
     }
@@ -306,25 +295,32 @@ const updateProduct = asyncHandler(async (req, res) => {
         product_images (
           id,
           color,
-          image_url
+          image_url,
+          variants,
+          sort_order
         )
       `)
       .eq('id', id)
+      .order('sort_order', { referencedTable: 'product_images', ascending: true })
       .single();
 
-    // Calculate dynamic price
-    const calculatedPrice = goldPriceService.calculateProductPrice(
-      updatedProduct.popularity_score,
-      updatedProduct.weight
-    );
+    // Calculate dynamic price using the vendor's pricing rules
+    const calculatedPrice = await pricingService.priceProduct(updatedProduct);
+
+    const responseProduct = {
+      ...updatedProduct,
+      calculatedPrice,
+      imageVariants: imageVariantService.groupImageVariants(updatedProduct.product_images)
+    };
 
     logger.info(`Product updated successfully by vendor ${vendorId}: ${id}`);
 
+    // Notify webhook subscribers (best effort)
+    await webhookService.enqueueEvent(vendorId, webhookService.WEBHOOK_EVENTS.PRODUCT_UPDATED, { product: responseProduct })
+      .catch(err => logger.error(`Failed to queue product.updated webhooks for ${id}:`, err));
+
     return success(res, 'Product updated successfully', {
-      product: {
-        ...updatedProduct,
-        calculatedPrice
-      }
+      product: responseProduct
     });
 
   } catch (err) {
@@ -367,6 +363,10 @@ const deleteProduct = asyncHandler(async (req, res) => {
 
     logger.info(`Product soft deleted by vendor ${vendorId}: ${id}`);
 
+    // Notify webhook subscribers (best effort)
+    await webhookService.enqueueEvent(vendorId, webhookService.WEBHOOK_EVENTS.PRODUCT_DELETED, { product: existingProduct })
+      .catch(err => logger.error(`Failed to queue product.deleted webhooks for ${id}:`, err));
+
     return success(res, 'Product deleted successfully');
 
   } catch (err) {
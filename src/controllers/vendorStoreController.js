@@ -1,6 +1,12 @@
 const { supabase } = require('../config/supabase');
 const { success, error } = require('../utils/response');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { VENDOR_COLUMNS, toVendor, toStoreColumns } = require('../utils/vendorMapper');
+const vendorApiKeyService = require('../services/vendorApiKeyService');
+const { VENDOR_ROLES } = require('../services/vendorTeamService');
+const { ORDER_STATUSES } = require('../services/orderStatus');
+const inventoryService = require('../services/inventoryService');
+const { BASE_CURRENCY } = require('../config/currencies');
 const logger = require('../utils/logger');
 
 /**
@@ -12,7 +18,7 @@ const getStoreInfo = asyncHandler(async (req, res) => {
 
     const { data: vendor, error: queryError } = await supabase
       .from('vendors')
-      .select('*')
+      .select(VENDOR_COLUMNS)
       .eq('id', vendorId)
       .single();
 
@@ -31,23 +37,21 @@ const getStoreInfo = asyncHandler(async (req, res) => {
     const activeProducts = productStats?.filter(p => p.is_active).length || 0;
     const inactiveProducts = totalProducts - activeProducts;
 
-    return success(res, 'Store information retrieved successfully', {
-      store: {
-        id: vendor.id,
-        name: vendor.name,
-        description: vendor.description,
-        logoUrl: vendor.logo_url,
-        email: vendor.email,
-        isActive: vendor.is_active,
-        createdAt: vendor.created_at,
-        updatedAt: vendor.updated_at
-      },
+    const storeInfo = {
+      store: toVendor(vendor),
       statistics: {
         totalProducts,
         activeProducts,
         inactiveProducts
       }
-    });
+    };
+
+    // Key metadata with last-used tracking, only for owners like GET /api-keys; the keys themselves are never returned
+    if (req.vendor.role === VENDOR_ROLES.OWNER && !req.vendor.apiKey) {
+      storeInfo.apiKeys = await vendorApiKeyService.listApiKeys(vendorId);
+    }
+
+    return success(res, 'Store information retrieved successfully', storeInfo);
 
   } catch (err) {
     logger.error('Get store info error:', err);
@@ -61,22 +65,7 @@ const getStoreInfo = asyncHandler(async (req, res) => {
 const updateStoreInfo = asyncHandler(async (req, res) => {
   try {
     const vendorId = req.vendor.id;
-    const updateData = req.body;
-
-    // Remove fields that shouldn't be updated directly
-    const allowedFields = ['name', 'description', 'logoUrl'];
-    const filteredData = {};
-    
-    Object.keys(updateData).forEach(key => {
-      if (allowedFields.includes(key)) {
-        // Convert camelCase to snake_case for database
-        if (key === 'logoUrl') {
-          filteredData['logo_url'] = updateData[key];
-        } else {
-          filteredData[key] = updateData[key];
-        }
-      }
-    });
+    const filteredData = toStoreColumns(req.body);
 
     if (Object.keys(filteredData).length === 0) {
       return error(res, 'No valid fields to update', 400);
@@ -90,7 +79,7 @@ const updateStoreInfo = asyncHandler(async (req, res) => {
       .from('vendors')
       .update(filteredData)
       .eq('id', vendorId)
-      .select()
+      .select(VENDOR_COLUMNS)
       .single();
 
     if (updateError) {
@@ -101,16 +90,7 @@ const updateStoreInfo = asyncHandler(async (req, res) => {
     logger.info(`Store information updated for vendor ${vendorId}`);
 
     return success(res, 'Store information updated successfully', {
-      store: {
-        id: updatedVendor.id,
-        name: updatedVendor.name,
-        description: updatedVendor.description,
-        logoUrl: updatedVendor.logo_url,
-        email: updatedVendor.email,
-        isActive: updatedVendor.is_active,
-        createdAt: updatedVendor.created_at,
-        updatedAt: updatedVendor.updated_at
-      }
+      store: toVendor(updatedVendor)
     });
 
   } catch (err) {
@@ -177,7 +157,30 @@ const getDashboardStats = asyncHandler(async (req, res) => {
       .sort((a, b) => b.favoriteCount - a.favoriteCount)
       .slice(0, 5) || [];
 
+    // Get order statistics; revenue counts sub-orders that were paid and not cancelled or refunded
+    const { data: vendorOrders } = await supabase
+      .from('vendor_orders')
+      .select('status, subtotal')
+      .eq('vendor_id', vendorId);
+
+    const ordersByStatus = Object.fromEntries(Object.values(ORDER_STATUSES).map(status => [status, 0]));
+    vendorOrders?.forEach(vendorOrder => {
+      ordersByStatus[vendorOrder.status] = (ordersByStatus[vendorOrder.status] || 0) + 1;
+    });
+
+    const revenueStatuses = [ORDER_STATUSES.PAID, ORDER_STATUSES.PROCESSING, ORDER_STATUSES.SHIPPED, ORDER_STATUSES.DELIVERED];
+    const revenue = vendorOrders
+      ?.filter(vendorOrder => revenueStatuses.includes(vendorOrder.status))
+      .reduce((sum, vendorOrder) => sum + Number(vendorOrder.subtotal), 0) || 0;
+
+    // Get inventory alerts for tracked product colors
+    const inventory = await inventoryService.getLowStockSummary(vendorId);
+
+    // Same vendor shape as the profile, minus the session details
+    const { sessionId, authMethod, ...vendor } = req.vendor;
+
     return success(res, 'Dashboard statistics retrieved successfully', {
+      vendor,
       statistics: {
         products: {
           total: totalProducts,
@@ -187,9 +190,22 @@ const getDashboardStats = asyncHandler(async (req, res) => {
         },
         favorites: {
           total: totalFavorites
+        },
+        orders: {
+          total: vendorOrders?.length || 0,
+          byStatus: ordersByStatus,
+          revenue: Math.round(revenue * 100) / 100,
+          currency: BASE_CURRENCY
+        },
+        inventory: {
+          tracked: inventory.tracked,
+          outOfStock: inventory.outOfStock,
+          lowStock: inventory.lowStock.length,
+          lowStockThreshold: inventoryService.LOW_STOCK_THRESHOLD
         }
       },
-      topProducts: topProductsByFavorites
+      topProducts: topProductsByFavorites,
+      lowStockAlerts: inventory.lowStock
     });
 
   } catch (err) {
@@ -0,0 +1,134 @@
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const vendorTeamService = require('../services/vendorTeamService');
+const { logSecurityEvent } = require('../utils/securityLog');
+const logger = require('../utils/logger');
+
+/**
+ * List the vendor's team members and pending invitations
+ */
+const getTeamMembers = asyncHandler(async (req, res) => {
+  try {
+    const members = await vendorTeamService.listMembers(req.vendor.id);
+
+    return success(res, 'Team members retrieved successfully', { members });
+
+  } catch (err) {
+    logger.error('Get team members error:', err);
+    return error(res, 'Failed to retrieve team members', 500);
+  }
+});
+
+/**
+ * Invite someone to the vendor's team by email
+ */
+const inviteTeamMember = asyncHandler(async (req, res) => {
+  try {
+    const invitedBy = req.vendor.member ? req.vendor.member.id : null;
+    const result = await vendorTeamService.inviteMember(req.vendor, req.body, invitedBy);
+
+    if (result.status === 'email_taken') {
+      return error(res, 'This email already belongs to a vendor account or team member', 409);
+    }
+
+    logSecurityEvent('team_member_invited', {
+      vendorId: req.vendor.id,
+      email: result.member.email,
+      role: result.member.role,
+      invitedBy: invitedBy || 'primary_account'
+    }, 'info');
+
+    return success(res, 'Invitation sent successfully', { member: result.member }, 201);
+
+  } catch (err) {
+    logger.error('Invite team member error:', err);
+    return error(res, 'Failed to send invitation', 500);
+  }
+});
+
+/**
+ * Change a team member's role
+ */
+const updateTeamMember = asyncHandler(async (req, res) => {
+  const { memberId } = req.params;
+
+  try {
+    if (req.vendor.member && req.vendor.member.id === memberId) {
+      return error(res, 'You cannot change your own role', 400);
+    }
+
+    const member = await vendorTeamService.updateMemberRole(req.vendor.id, memberId, req.body.role);
+
+    if (!member) {
+      return error(res, 'Team member not found', 404);
+    }
+
+    logSecurityEvent('team_member_role_changed', { vendorId: req.vendor.id, email: member.email, role: member.role }, 'info');
+
+    return success(res, 'Team member updated successfully', { member });
+
+  } catch (err) {
+    logger.error('Update team member error:', err);
+    return error(res, 'Failed to update team member', 500);
+  }
+});
+
+/**
+ * Remove a team member or withdraw an invitation; their sessions are revoked
+ */
+const removeTeamMember = asyncHandler(async (req, res) => {
+  const { memberId } = req.params;
+
+  try {
+    if (req.vendor.member && req.vendor.member.id === memberId) {
+      return error(res, 'You cannot remove yourself from the team', 400);
+    }
+
+    const removed = await vendorTeamService.removeMember(req.vendor.id, memberId);
+
+    if (!removed) {
+      return error(res, 'Team member not found', 404);
+    }
+
+    logSecurityEvent('team_member_removed', { vendorId: req.vendor.id, memberId }, 'info');
+
+    return success(res, 'Team member removed successfully');
+
+  } catch (err) {
+    logger.error('Remove team member error:', err);
+    return error(res, 'Failed to remove team member', 500);
+  }
+});
+
+/**
+ * Accept a team invitation by choosing a password
+ */
+const acceptTeamInvitation = asyncHandler(async (req, res) => {
+  const { token, password, name } = req.body;
+
+  try {
+    const result = await vendorTeamService.acceptInvitation(token, { password, name });
+
+    if (!result.valid) {
+      logger.warn(`Team invitation rejected: ${result.reason}`);
+      return error(res, result.reason, 400);
+    }
+
+    logger.info(`Team invitation accepted: ${result.member.email}`);
+    return success(res, 'Invitation accepted. You can now login with your email and password.', {
+      member: result.member
+    });
+
+  } catch (err) {
+    logger.error('Accept team invitation error:', err);
+    return error(res, 'An unexpected error occurred. Please try again.', 500);
+  }
+});
+
+module.exports = {
+  getTeamMembers,
+  inviteTeamMember,
+  updateTeamMember,
+  removeTeamMember,
+  acceptTeamInvitation
+};
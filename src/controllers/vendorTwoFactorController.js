@@ -0,0 +1,166 @@
+const bcrypt = require('bcryptjs');
+const { supabase } = require('../config/supabase');
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const twoFactorService = require('../services/twoFactorService');
+const vendorSessionService = require('../services/vendorSessionService');
+const { logSecurityEvent } = require('../utils/securityLog');
+const logger = require('../utils/logger');
+
+/**
+ * Check a vendor's password before a sensitive two-factor change
+ * @param {string} vendorId - Vendor ID
+ * @param {string} password - Password entered by the vendor
+ * @returns {Promise<boolean>} True if the password is correct
+ */
+const verifyPassword = async (vendorId, password) => {
+  const { data: vendor } = await supabase
+    .from('vendors')
+    .select('password_hash')
+    .eq('id', vendorId)
+    .maybeSingle();
+
+  return Boolean(vendor) && bcrypt.compare(password, vendor.password_hash);
+};
+
+/**
+ * Get the vendor's two-factor status
+ */
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  try {
+    const state = await twoFactorService.getTwoFactorState(req.vendor.id);
+    const enabled = Boolean(state?.two_factor_enabled);
+
+    return success(res, 'Two-factor status retrieved successfully', {
+      enabled,
+      recoveryCodesRemaining: enabled ? await twoFactorService.countRecoveryCodes(req.vendor.id) : 0
+    });
+
+  } catch (err) {
+    logger.error('Get two-factor status error:', err);
+    return error(res, 'Failed to retrieve two-factor status', 500);
+  }
+});
+
+/**
+ * Start two-factor enrollment: returns the secret and otpauth URI to add to an authenticator app
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  try {
+    const state = await twoFactorService.getTwoFactorState(req.vendor.id);
+
+    if (state?.two_factor_enabled) {
+      return error(res, 'Two-factor authentication is already enabled', 409);
+    }
+
+    const { secret, otpauthUri } = await twoFactorService.startEnrollment(req.vendor);
+
+    return success(res, 'Add this account to your authenticator app, then confirm with a code', {
+      secret,
+      otpauthUri
+    });
+
+  } catch (err) {
+    logger.error('Two-factor setup error:', err);
+    return error(res, 'Failed to start two-factor setup', 500);
+  }
+});
+
+/**
+ * Confirm enrollment with a first code and turn two-factor on
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  try {
+    const state = await twoFactorService.getTwoFactorState(req.vendor.id);
+
+    if (state?.two_factor_enabled) {
+      return error(res, 'Two-factor authentication is already enabled', 409);
+    }
+
+    const result = await twoFactorService.confirmEnrollment(req.vendor.id, req.body.code);
+
+    if (result.status === 'not_started') {
+      return error(res, 'Start two-factor setup first', 400);
+    }
+
+    if (result.status === 'invalid_code') {
+      return error(res, 'Invalid authentication code', 400);
+    }
+
+    logSecurityEvent('two_factor_enabled', { vendorId: req.vendor.id, email: req.vendor.email }, 'info');
+
+    return success(res, 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.', {
+      recoveryCodes: result.recoveryCodes
+    });
+
+  } catch (err) {
+    logger.error('Enable two-factor error:', err);
+    return error(res, 'Failed to enable two-factor authentication', 500);
+  }
+});
+
+/**
+ * Turn two-factor off (requires the password)
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  try {
+    if (!(await verifyPassword(req.vendor.id, req.body.password))) {
+      logSecurityEvent('two_factor_disable_rejected', { vendorId: req.vendor.id, ipAddress: req.ip });
+      return error(res, 'Password is incorrect', 401);
+    }
+
+    const state = await twoFactorService.getTwoFactorState(req.vendor.id);
+    if (!state?.two_factor_enabled) {
+      return error(res, 'Two-factor authentication is not enabled', 409);
+    }
+
+    await twoFactorService.disableTwoFactor(req.vendor.id);
+
+    // Sessions that passed the second factor should not outlive it
+    await vendorSessionService.revokeAllSessions(req.vendor.id, 'two_factor_disabled', req.vendor.sessionId, null);
+
+    logSecurityEvent('two_factor_disabled', { vendorId: req.vendor.id, email: req.vendor.email, ipAddress: req.ip });
+
+    return success(res, 'Two-factor authentication disabled');
+
+  } catch (err) {
+    logger.error('Disable two-factor error:', err);
+    return error(res, 'Failed to disable two-factor authentication', 500);
+  }
+});
+
+/**
+ * Replace the recovery codes (requires the password)
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  try {
+    if (!(await verifyPassword(req.vendor.id, req.body.password))) {
+      return error(res, 'Password is incorrect', 401);
+    }
+
+    const state = await twoFactorService.getTwoFactorState(req.vendor.id);
+    if (!state?.two_factor_enabled) {
+      return error(res, 'Two-factor authentication is not enabled', 409);
+    }
+
+    const recoveryCodes = await twoFactorService.replaceRecoveryCodes(req.vendor.id);
+
+    logSecurityEvent('recovery_codes_regenerated', { vendorId: req.vendor.id, email: req.vendor.email }, 'info');
+
+    return success(res, 'New recovery codes generated. The previous codes no longer work.', {
+      recoveryCodes
+    });
+
+  } catch (err) {
+    logger.error('Regenerate recovery codes error:', err);
+    return error(res, 'Failed to generate recovery codes', 500);
+  }
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,157 @@
+const { success, error } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const webhookService = require('../services/webhookService');
+const logger = require('../utils/logger');
+
+const URL_NOT_ALLOWED_MESSAGE = 'Webhook URL must use HTTPS';
+const URL_NOT_PUBLIC_MESSAGE = 'Webhook URL must resolve to a public internet address';
+
+/**
+ * List the vendor's webhooks
+ */
+const getWebhooks = asyncHandler(async (req, res) => {
+  try {
+    const webhooks = await webhookService.listWebhooks(req.vendor.id);
+
+    return success(res, 'Webhooks retrieved successfully', { webhooks });
+
+  } catch (err) {
+    logger.error('Get webhooks error:', err);
+    return error(res, 'Failed to retrieve webhooks', 500);
+  }
+});
+
+/**
+ * Create a webhook; the signing secret is only returned here
+ */
+const createWebhook = asyncHandler(async (req, res) => {
+  try {
+    if (!webhookService.isAllowedUrl(req.body.url)) {
+      return error(res, URL_NOT_ALLOWED_MESSAGE, 400);
+    }
+
+    if (!await webhookService.isPublicUrl(req.body.url)) {
+      return error(res, URL_NOT_PUBLIC_MESSAGE, 400);
+    }
+
+    const { webhook, secret } = await webhookService.createWebhook(req.vendor.id, req.body);
+
+    logger.info(`Webhook created by vendor ${req.vendor.id}: ${webhook.id}`);
+
+    return success(res, 'Webhook created. Copy the signing secret now; it is shown only once.', { webhook, secret }, 201);
+
+  } catch (err) {
+    logger.error('Create webhook error:', err);
+    return error(res, 'Failed to create webhook', 500);
+  }
+});
+
+/**
+ * Update a webhook's URL, events, description or active flag
+ */
+const updateWebhook = asyncHandler(async (req, res) => {
+  try {
+    if (req.body.url !== undefined) {
+      if (!webhookService.isAllowedUrl(req.body.url)) {
+        return error(res, URL_NOT_ALLOWED_MESSAGE, 400);
+      }
+
+      if (!await webhookService.isPublicUrl(req.body.url)) {
+        return error(res, URL_NOT_PUBLIC_MESSAGE, 400);
+      }
+    }
+
+    const webhook = await webhookService.updateWebhook(req.vendor.id, req.params.webhookId, req.body);
+
+    if (!webhook) {
+      return error(res, 'Webhook not found', 404);
+    }
+
+    return success(res, 'Webhook updated successfully', { webhook });
+
+  } catch (err) {
+    logger.error('Update webhook error:', err);
+    return error(res, 'Failed to update webhook', 500);
+  }
+});
+
+/**
+ * Delete a webhook and its delivery log
+ */
+const deleteWebhook = asyncHandler(async (req, res) => {
+  try {
+    const deleted = await webhookService.deleteWebhook(req.vendor.id, req.params.webhookId);
+
+    if (!deleted) {
+      return error(res, 'Webhook not found', 404);
+    }
+
+    logger.info(`Webhook deleted by vendor ${req.vendor.id}: ${req.params.webhookId}`);
+
+    return success(res, 'Webhook deleted successfully');
+
+  } catch (err) {
+    logger.error('Delete webhook error:', err);
+    return error(res, 'Failed to delete webhook', 500);
+  }
+});
+
+/**
+ * Send a ping event to a webhook and return the outcome of the first attempt
+ */
+const sendTestEvent = asyncHandler(async (req, res) => {
+  try {
+    const delivery = await webhookService.sendTestEvent(req.vendor.id, req.params.webhookId);
+
+    if (!delivery) {
+      return error(res, 'Webhook not found', 404);
+    }
+
+    const message = delivery.status === 'succeeded'
+      ? 'Test event delivered successfully'
+      : 'Test event delivery failed';
+
+    return success(res, message, { delivery });
+
+  } catch (err) {
+    logger.error('Send webhook test event error:', err);
+    return error(res, 'Failed to send test event', 500);
+  }
+});
+
+/**
+ * Get a webhook's delivery log
+ */
+const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  try {
+    const { page, limit, status } = req.query;
+    const result = await webhookService.listDeliveries(req.vendor.id, req.params.webhookId, { page, limit, status });
+
+    if (!result) {
+      return error(res, 'Webhook not found', 404);
+    }
+
+    return success(res, 'Webhook deliveries retrieved successfully', {
+      deliveries: result.deliveries,
+      pagination: {
+        page,
+        limit,
+        total: result.total,
+        pages: Math.ceil(result.total / limit)
+      }
+    });
+
+  } catch (err) {
+    logger.error('Get webhook deliveries error:', err);
+    return error(res, 'Failed to retrieve webhook deliveries', 500);
+  }
+});
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  sendTestEvent,
+  getWebhookDeliveries
+};
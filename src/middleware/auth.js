@@ -52,38 +52,32 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Back-office roles, stored in the Supabase user's app_metadata.role
+const ROLES = {
+  ADMIN: 'admin',
+  MODERATOR: 'moderator'
+};
+
 /**
- * Vendor-specific authentication middleware
- * Ensures the authenticated user is a vendor
- * @param {object} req - Express request object
- * @param {object} res - Express response object
- * @param {function} next - Express next function
+ * Role-based authorization middleware (use after authenticate)
+ * app_metadata can only be changed with the service role key, so users cannot grant themselves a role.
+ * @param {...string} roles - Roles allowed to continue
+ * @returns {function} Express middleware
  */
-const authenticateVendor = async (req, res, next) => {
-  try {
-    // First run the regular authentication
-    await authenticate(req, res, async () => {
-      // Check if user is a vendor
-      const { data: vendor, error: vendorError } = await supabase
-        .from('vendors')
-        .select('*')
-        .eq('email', req.user.email)
-        .eq('is_active', true)
-        .single();
+const requireRole = (...roles) => (req, res, next) => {
+  const role = req.user?.app_metadata?.role;
 
-      if (vendorError || !vendor) {
-        logger.warn(`Vendor access denied for user: ${req.user.email}`);
-        return error(res, 'Vendor access required. This endpoint is only available for registered vendors.', 403);
-      }
-
-      // Add vendor info to request
-      req.vendor = vendor;
-      next();
-    });
-  } catch (err) {
-    logger.error('Vendor authentication error:', err);
-    return error(res, 'Authentication failed', 401);
+  if (!roles.includes(role)) {
+    logger.warn(`Access denied for user ${req.user?.email} (role: ${role || 'none'}), requires: ${roles.join(', ')}`);
+    return error(res, 'You do not have permission to access this resource.', 403);
   }
+
+  req.admin = {
+    id: req.user.id,
+    email: req.user.email,
+    role
+  };
+  next();
 };
 
 /**
@@ -126,6 +120,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticate,
-  authenticateVendor,
-  optionalAuth
+  optionalAuth,
+  requireRole,
+  ROLES
 };
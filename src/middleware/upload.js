@@ -0,0 +1,133 @@
+const path = require('path');
+const multer = require('multer');
+const { error } = require('../utils/response');
+const logger = require('../utils/logger');
+
+// Allowed image types and the file signatures that identify them
+const IMAGE_TYPES = {
+  'image/jpeg': { extension: 'jpg', matches: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  'image/png': { extension: 'png', matches: (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { extension: 'webp', matches: (buf) => buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' }
+};
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB default
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (!IMAGE_TYPES[file.mimetype]) {
+      const err = new Error(`Unsupported image type. Allowed types: ${Object.keys(IMAGE_TYPES).join(', ')}`);
+      err.statusCode = 415;
+      return callback(err);
+    }
+    callback(null, true);
+  }
+});
+
+// Import file formats, recognised by extension (browsers disagree on the MIME type of CSV files)
+const IMPORT_FORMATS = {
+  '.csv': 'csv',
+  '.json': 'json'
+};
+
+const MAX_IMPORT_FILE_SIZE = parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 2 * 1024 * 1024; // 2MB default
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (!IMPORT_FORMATS[path.extname(file.originalname).toLowerCase()]) {
+      const err = new Error(`Unsupported import file. Allowed types: ${Object.keys(IMPORT_FORMATS).join(', ')}`);
+      err.statusCode = 415;
+      return callback(err);
+    }
+    callback(null, true);
+  }
+});
+
+/**
+ * Single product image upload middleware (multipart field "image")
+ * Validates size, declared MIME type and the actual file signature,
+ * then exposes the file as req.file with req.file.extension set.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+const uploadProductImage = (req, res, next) => {
+  imageUpload.single('image')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      logger.warn(`Image upload rejected: ${err.message}`);
+
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return error(res, `Image must be smaller than ${Math.round(MAX_FILE_SIZE / (1024 * 1024))}MB`, 413);
+      }
+      return error(res, `Invalid upload: ${err.message}`, 400);
+    }
+
+    if (err) {
+      logger.warn(`Image upload rejected: ${err.message}`);
+      return error(res, err.message, err.statusCode || 400);
+    }
+
+    if (!req.file) {
+      return error(res, 'Image file is required (multipart field "image")', 400);
+    }
+
+    // The declared MIME type comes from the client, so check the file contents too
+    const type = IMAGE_TYPES[req.file.mimetype];
+    if (!type.matches(req.file.buffer)) {
+      logger.warn(`Image upload rejected: content does not match ${req.file.mimetype}`);
+      return error(res, 'File content does not match its image type', 415);
+    }
+
+    req.file.extension = type.extension;
+    next();
+  });
+};
+
+/**
+ * Single import file upload middleware (multipart field "file", .csv or .json)
+ * Exposes the file as req.file with req.file.format set to "csv" or "json".
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+const uploadImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      logger.warn(`Import upload rejected: ${err.message}`);
+
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return error(res, `Import file must be smaller than ${Math.round(MAX_IMPORT_FILE_SIZE / (1024 * 1024))}MB`, 413);
+      }
+      return error(res, `Invalid upload: ${err.message}`, 400);
+    }
+
+    if (err) {
+      logger.warn(`Import upload rejected: ${err.message}`);
+      return error(res, err.message, err.statusCode || 400);
+    }
+
+    if (!req.file) {
+      return error(res, 'Import file is required (multipart field "file")', 400);
+    }
+
+    req.file.format = IMPORT_FORMATS[path.extname(req.file.originalname).toLowerCase()];
+    next();
+  });
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  MAX_FILE_SIZE,
+  MAX_IMPORT_FILE_SIZE,
+  uploadProductImage,
+  uploadImportFile
+};
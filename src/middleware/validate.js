@@ -1,13 +1,17 @@
+const { z } = require('zod');
 const { validationError } = require('../utils/response');
 const logger = require('../utils/logger');
 
 /**
  * Validation middleware factory
- * @param {object} schema - Zod schema
+ * @param {object} schema - Zod schema, or a plain object of field schemas
  * @param {string} source - Source of data to validate ('body', 'query', 'params')
  * @returns {function} Validation middleware
  */
 const validate = (schema, source = 'body') => {
+  // Allow shorthand like validateParams({ id: uuidSchema })
+  const zodSchema = schema instanceof z.ZodType ? schema : z.object(schema);
+
   return (req, res, next) => {
     try {
       let dataToValidate;
@@ -26,7 +30,7 @@ const validate = (schema, source = 'body') => {
           dataToValidate = req.body;
       }
 
-      const result = schema.safeParse(dataToValidate);
+      const result = zodSchema.safeParse(dataToValidate);
       
       if (!result.success) {
         const errors = result.error.issues.map(issue => ({
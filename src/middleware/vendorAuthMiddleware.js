@@ -1,74 +1,170 @@
 const jwt = require('jsonwebtoken');
 const { supabase } = require('../config/supabase');
 const { error } = require('../utils/response');
+const { VENDOR_COLUMNS, toVendor } = require('../utils/vendorMapper');
+const vendorSessionService = require('../services/vendorSessionService');
+const { VENDOR_ROLES, getActiveMember, toMember } = require('../services/vendorTeamService');
+const vendorApiKeyService = require('../services/vendorApiKeyService');
 const logger = require('../utils/logger');
 
+const AUTH_METHODS = {
+  VENDOR_JWT: 'vendor_jwt',
+  API_KEY: 'api_key'
+};
+
+const INACTIVE_STATUS_MESSAGES = {
+  pending: 'Your vendor account is pending approval',
+  suspended: 'Your vendor account has been suspended',
+  rejected: 'Your vendor application was not approved'
+};
+
 /**
- * Middleware to authenticate vendor JWT tokens
+ * Resolve a bearer token to a vendor
+ * Only vendor JWTs (from /vendor-auth/login) are accepted, so every vendor login goes
+ * through the vendor password, lockout, two-factor and session checks.
+ * @param {string} token - Bearer token
+ * @returns {Promise<{vendor?: object, member?: object|null, sessionId?: string|null, authMethod?: string, message?: string}>}
+ *   vendor row (and team member row for member logins) on success, otherwise a message explaining the 401
  */
-const authenticateVendor = async (req, res, next) => {
+const resolveVendor = async (token) => {
+  let decoded;
+
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return error(res, 'Access token is required', 401);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (jwtError) {
+    if (jwtError.name === 'TokenExpiredError') {
+      return { message: 'Access token has expired. Please refresh your token.' };
+    }
+    if (jwtError.name === 'JsonWebTokenError') {
+      return { message: 'Invalid access token' };
     }
+    throw jwtError;
+  }
+
+  // Check if token is for vendor
+  if (decoded.type !== 'vendor') {
+    return { message: 'Invalid token type' };
+  }
+
+  // Reject access tokens of logged-out or revoked sessions
+  if (decoded.sid && !(await vendorSessionService.isSessionActive(decoded.sid, decoded.id))) {
+    return { message: 'Session has been revoked. Please login again.' };
+  }
+
+  const { data: vendor, error: fetchError } = await supabase
+    .from('vendors')
+    .select(VENDOR_COLUMNS)
+    .eq('id', decoded.id)
+    .maybeSingle();
+
+  if (fetchError || !vendor) {
+    logger.warn(`Token verification failed - vendor not found: ${decoded.email}`);
+    return { message: 'Invalid access token - vendor not found' };
+  }
+
+  // Team member tokens: the role is read from the database so changes apply immediately
+  let member = null;
+  if (decoded.mid) {
+    member = await getActiveMember(decoded.mid, vendor.id);
 
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-
-    // Verify JWT token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (jwtError) {
-      if (jwtError.name === 'TokenExpiredError') {
-        return error(res, 'Access token has expired. Please refresh your token.', 401);
-      } else if (jwtError.name === 'JsonWebTokenError') {
-        return error(res, 'Invalid access token', 401);
-      } else {
-        throw jwtError;
-      }
+    if (!member) {
+      logger.warn(`Token verification failed - team member removed: ${decoded.mid}`);
+      return { message: 'Your access to this vendor account has been removed' };
     }
+  }
+
+  return { vendor, member, sessionId: decoded.sid || null, authMethod: AUTH_METHODS.VENDOR_JWT };
+};
+
+/**
+ * Resolve an X-API-Key header to a vendor
+ * @param {string} key - Raw API key
+ * @returns {Promise<{vendor?: object, apiKey?: object, authMethod?: string, message?: string}>}
+ *   vendor and vendor_api_keys rows on success, otherwise a message explaining the 401
+ */
+const resolveApiKey = async (key) => {
+  const apiKey = await vendorApiKeyService.findActiveKey(key);
+
+  if (!apiKey) {
+    return { message: 'Invalid or revoked API key' };
+  }
+
+  const { data: vendor, error: fetchError } = await supabase
+    .from('vendors')
+    .select(VENDOR_COLUMNS)
+    .eq('id', apiKey.vendor_id)
+    .maybeSingle();
+
+  if (fetchError || !vendor) {
+    logger.warn(`API key verification failed - vendor not found: ${apiKey.key_prefix}`);
+    return { message: 'Invalid or revoked API key' };
+  }
+
+  return { vendor, apiKey, member: null, sessionId: null, authMethod: AUTH_METHODS.API_KEY };
+};
+
+/**
+ * Role a request acts with: API keys by scope, team members by their role, otherwise the owner
+ * @param {object} result - resolveVendor or resolveApiKey result
+ * @returns {string} Vendor role
+ */
+const getRequestRole = ({ member, apiKey }) => {
+  if (apiKey) {
+    return vendorApiKeyService.SCOPE_ROLES[apiKey.scope];
+  }
+  return member ? member.role : VENDOR_ROLES.OWNER;
+};
 
-    // Check if token is for vendor
-    if (decoded.type !== 'vendor') {
-      return error(res, 'Invalid token type', 401);
+/**
+ * Build req.vendor; the shape is the same for every login path
+ * req.vendor is always the store; member is set when a team member is logged in,
+ * apiKey when the request used an API key.
+ * @param {object} result - resolveVendor or resolveApiKey result
+ * @returns {object} Request vendor
+ */
+const toRequestVendor = (result) => ({
+  ...toVendor(result.vendor),
+  role: getRequestRole(result),
+  member: result.member ? toMember(result.member) : null,
+  apiKey: result.apiKey ? { id: result.apiKey.id, name: result.apiKey.name, scope: result.apiKey.scope } : null,
+  sessionId: result.sessionId,
+  authMethod: result.authMethod
+});
+
+/**
+ * Middleware to authenticate vendors by vendor JWT or X-API-Key header
+ */
+const authenticateVendor = async (req, res, next) => {
+  try {
+    // Machine clients send an API key instead of a bearer token
+    const apiKeyHeader = req.headers['x-api-key'];
+    const authHeader = req.headers.authorization;
+
+    if (!apiKeyHeader && (!authHeader || !authHeader.startsWith('Bearer '))) {
+      return error(res, 'Access token is required', 401);
     }
 
-    // Get vendor from database to verify they still exist and are active
-    const { data: vendor, error: fetchError } = await supabase
-      .from('vendors')
-      .select('id, email, business_name, contact_person_name, status')
-      .eq('id', decoded.id)
-      .single();
+    const result = apiKeyHeader
+      ? await resolveApiKey(apiKeyHeader)
+      : await resolveVendor(authHeader.substring(7)); // Remove 'Bearer ' prefix
+    const { vendor } = result;
 
-    if (fetchError || !vendor) {
-      logger.warn(`Token verification failed - vendor not found: ${decoded.email}`);
-      return error(res, 'Invalid access token - vendor not found', 401);
+    if (!vendor) {
+      return error(res, result.message, 401);
     }
 
     // Check if vendor account is active
     if (vendor.status !== 'active') {
       logger.warn(`Token verification failed - vendor account ${vendor.status}: ${vendor.email}`);
-      
-      if (vendor.status === 'pending') {
-        return error(res, 'Your vendor account is pending approval', 403);
-      } else if (vendor.status === 'suspended') {
-        return error(res, 'Your vendor account has been suspended', 403);
-      } else {
-        return error(res, 'Your vendor account is not active', 403);
-      }
+      return error(res, INACTIVE_STATUS_MESSAGES[vendor.status] || 'Your vendor account is not active', 403);
     }
 
     // Attach vendor data to request object for use in route handlers
-    req.vendor = {
-      id: vendor.id,
-      email: vendor.email,
-      businessName: vendor.business_name,
-      contactPersonName: vendor.contact_person_name,
-      status: vendor.status
-    };
+    req.vendor = toRequestVendor(result);
+
+    if (result.apiKey) {
+      await vendorApiKeyService.recordKeyUse(result.apiKey.id, req.ip);
+    }
 
     next();
 
@@ -85,44 +181,16 @@ const authenticateVendor = async (req, res, next) => {
 const optionalVendorAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
-    
+
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       // No token provided, continue without authentication
       return next();
     }
 
-    const token = authHeader.substring(7);
-
-    // Verify JWT token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (jwtError) {
-      // Invalid token, continue without authentication
-      return next();
-    }
-
-    // Check if token is for vendor
-    if (decoded.type !== 'vendor') {
-      return next();
-    }
+    const result = await resolveVendor(authHeader.substring(7));
 
-    // Get vendor from database
-    const { data: vendor, error: fetchError } = await supabase
-      .from('vendors')
-      .select('id, email, business_name, contact_person_name, status')
-      .eq('id', decoded.id)
-      .single();
-
-    if (!fetchError && vendor && vendor.status === 'active') {
-      // Attach vendor data to request object
-      req.vendor = {
-        id: vendor.id,
-        email: vendor.email,
-        businessName: vendor.business_name,
-        contactPersonName: vendor.contact_person_name,
-        status: vendor.status
-      };
+    if (result.vendor && result.vendor.status === 'active') {
+      req.vendor = toRequestVendor(result);
     }
 
     next();
@@ -134,7 +202,49 @@ const optionalVendorAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Vendor role authorization middleware (use after authenticateVendor)
+ * @param {...string} roles - Roles allowed to continue
+ * @returns {function} Express middleware
+ */
+const requireVendorRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.vendor?.role)) {
+    logger.warn(`Vendor access denied for ${req.vendor?.member?.email || req.vendor?.email} (role: ${req.vendor?.role}), requires: ${roles.join(', ')}`);
+    return error(res, 'Your team role does not allow this action.', 403);
+  }
+
+  next();
+};
+
+/**
+ * Allow only the vendor's primary account, not team members or API keys (use after authenticateVendor)
+ * For settings stored on the vendor account itself, such as its two-factor setup.
+ */
+const requirePrimaryAccount = (req, res, next) => {
+  if (req.vendor?.member || req.vendor?.apiKey) {
+    return error(res, 'This action is only available to the primary vendor account.', 403);
+  }
+
+  next();
+};
+
+/**
+ * Refuse API keys on account endpoints such as passwords and sessions (use after authenticateVendor)
+ */
+const denyApiKeys = (req, res, next) => {
+  if (req.vendor?.apiKey) {
+    return error(res, 'API keys cannot be used for this endpoint. Please login instead.', 403);
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateVendor,
-  optionalVendorAuth
+  optionalVendorAuth,
+  requireVendorRole,
+  requirePrimaryAccount,
+  denyApiKeys,
+  AUTH_METHODS,
+  VENDOR_ROLES
 };
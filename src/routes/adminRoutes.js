@@ -0,0 +1,441 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const adminVendorsController = require('../controllers/adminVendorsController');
+const adminProductsController = require('../controllers/adminProductsController');
+const adminUsersController = require('../controllers/adminUsersController');
+const goldPriceController = require('../controllers/goldPriceController');
+const adminOrdersController = require('../controllers/adminOrdersController');
+
+// Middleware
+const { authenticate, requireRole, ROLES } = require('../middleware/auth');
+const { validateBody, validateQuery, validateParams } = require('../middleware/validate');
+
+// Validation schemas
+const {
+  adminVendorQuerySchema,
+  rejectVendorSchema,
+  suspendVendorSchema,
+  adminProductQuerySchema,
+  adminUpdateProductSchema,
+  deactivateProductSchema,
+  adminUserQuerySchema,
+  refundOrderSchema,
+  uuidSchema
+} = require('../validators/schemas');
+
+// Every admin route requires a signed-in user; each route then checks the role
+router.use(authenticate);
+
+const adminOnly = requireRole(ROLES.ADMIN);
+const staff = requireRole(ROLES.ADMIN, ROLES.MODERATOR);
+
+/**
+ * @swagger
+ * /api/v1/admin/vendors:
+ *   get:
+ *     summary: List vendors for review
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, rejected, suspended]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches business name or email
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Vendors retrieved successfully, oldest first
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/vendors', adminOnly, validateQuery(adminVendorQuerySchema), adminVendorsController.getVendors);
+
+/**
+ * @swagger
+ * /api/v1/admin/vendors/{id}:
+ *   get:
+ *     summary: Get a vendor with its status history
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Vendor and status audit trail
+ *       404:
+ *         description: Vendor not found
+ */
+router.get('/vendors/:id', adminOnly, validateParams({ id: uuidSchema }), adminVendorsController.getVendorById);
+
+/**
+ * @swagger
+ * /api/v1/admin/vendors/{id}/approve:
+ *   post:
+ *     summary: Approve a pending, rejected or suspended vendor
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Vendor approved and notified
+ *       404:
+ *         description: Vendor not found
+ *       409:
+ *         description: Vendor is already active
+ */
+router.post('/vendors/:id/approve', adminOnly, validateParams({ id: uuidSchema }), adminVendorsController.approveVendor);
+
+/**
+ * @swagger
+ * /api/v1/admin/vendors/{id}/reject:
+ *   post:
+ *     summary: Reject a pending vendor
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Vendor rejected and notified
+ *       404:
+ *         description: Vendor not found
+ *       409:
+ *         description: Vendor is not pending
+ */
+router.post('/vendors/:id/reject', adminOnly, validateParams({ id: uuidSchema }), validateBody(rejectVendorSchema), adminVendorsController.rejectVendor);
+
+/**
+ * @swagger
+ * /api/v1/admin/vendors/{id}/suspend:
+ *   post:
+ *     summary: Suspend an active vendor
+ *     description: Suspended vendors are signed out of every session.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Vendor suspended and notified
+ *       404:
+ *         description: Vendor not found
+ *       409:
+ *         description: Vendor is not active
+ */
+router.post('/vendors/:id/suspend', adminOnly, validateParams({ id: uuidSchema }), validateBody(suspendVendorSchema), adminVendorsController.suspendVendor);
+
+/**
+ * @swagger
+ * /api/v1/admin/products:
+ *   get:
+ *     summary: List products across all vendors, including inactive ones
+ *     description: Available to admins and moderators.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: vendorId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *       - in: query
+ *         name: moderated
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *         description: Only products force-deactivated by moderation (true) or not (false)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Products retrieved successfully
+ *       403:
+ *         description: Admin or moderator role required
+ */
+router.get('/products', staff, validateQuery(adminProductQuerySchema), adminProductsController.getProducts);
+
+/**
+ * @swagger
+ * /api/v1/admin/products/{id}:
+ *   put:
+ *     summary: Edit any vendor's product
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *               popularityScore:
+ *                 type: number
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Product updated successfully
+ *       404:
+ *         description: Product not found
+ */
+router.put('/products/:id', staff, validateParams({ id: uuidSchema }), validateBody(adminUpdateProductSchema), adminProductsController.updateProduct);
+
+/**
+ * @swagger
+ * /api/v1/admin/products/{id}/deactivate:
+ *   post:
+ *     summary: Force-deactivate a product
+ *     description: The vendor cannot reactivate the product until it is reactivated by moderation.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Product deactivated successfully
+ *       404:
+ *         description: Product not found
+ */
+router.post('/products/:id/deactivate', staff, validateParams({ id: uuidSchema }), validateBody(deactivateProductSchema), adminProductsController.deactivateProduct);
+
+/**
+ * @swagger
+ * /api/v1/admin/products/{id}/reactivate:
+ *   post:
+ *     summary: Lift a moderation deactivation
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Product reactivated successfully
+ *       404:
+ *         description: Product not found
+ */
+router.post('/products/:id/reactivate', staff, validateParams({ id: uuidSchema }), adminProductsController.reactivateProduct);
+
+/**
+ * @swagger
+ * /api/v1/admin/users:
+ *   get:
+ *     summary: List registered users
+ *     description: Requires SUPABASE_SERVICE_ROLE_KEY.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       503:
+ *         description: Service role key is not configured
+ */
+router.get('/users', adminOnly, validateQuery(adminUserQuerySchema), adminUsersController.getUsers);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}:
+ *   get:
+ *     summary: Get a registered user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id', adminOnly, validateParams({ id: uuidSchema }), adminUsersController.getUserById);
+
+/**
+ * @swagger
+ * /api/v1/admin/gold-price/refresh:
+ *   post:
+ *     summary: Fetch the gold price now instead of waiting for the scheduled refresh
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Gold price refreshed
+ *       502:
+ *         description: Every gold price provider failed; the cached price is kept
+ */
+router.post('/gold-price/refresh', adminOnly, goldPriceController.refreshGoldPrice);
+
+/**
+ * @swagger
+ * /api/v1/admin/orders/{id}/refund:
+ *   post:
+ *     summary: Refund part or all of an order's payment
+ *     description: A full refund moves the order to refunded. Without an amount, everything not yet refunded is refunded.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund issued successfully
+ *       400:
+ *         description: Amount exceeds what is left to refund
+ *       404:
+ *         description: Payment not found for this order
+ *       409:
+ *         description: Payment has not been captured or is already refunded
+ */
+router.post('/orders/:id/refund', adminOnly, validateParams({ id: uuidSchema }), validateBody(refundOrderSchema), adminOrdersController.refundOrder);
+
+module.exports = router;
@@ -5,12 +5,14 @@ const router = express.Router();
 const publicRoutes = require('./publicRoutes');
 const vendorRoutes = require('./vendorRoutes');
 const vendorAuthRoutes = require('./vendorAuthRoutes');
+const adminRoutes = require('./adminRoutes');
 const healthRoutes = require('./healthRoutes');
 
 // API v1 routes
 router.use('/api/v1/public', publicRoutes);
 router.use('/api/v1/vendor', vendorRoutes);
 router.use('/api/v1/vendor-auth', vendorAuthRoutes);
+router.use('/api/v1/admin', adminRoutes);
 
 // Health and system routes (no versioning)
 router.use('/api', healthRoutes);
@@ -24,6 +26,7 @@ router.get('/api', (req, res) => {
     endpoints: {
       public: '/api/v1/public',
       vendor: '/api/v1/vendor',
+      admin: '/api/v1/admin',
       health: '/api/health',
       system: '/api/system'
     }
@@ -6,6 +6,11 @@ const authController = require('../controllers/authController');
 const userController = require('../controllers/userController');
 const publicProductsController = require('../controllers/publicProductsController');
 const favoritesController = require('../controllers/favoritesController');
+const cartController = require('../controllers/cartController');
+const ordersController = require('../controllers/ordersController');
+const paymentsController = require('../controllers/paymentsController');
+const goldPriceController = require('../controllers/goldPriceController');
+const priceQuoteController = require('../controllers/priceQuoteController');
 const testController = require('../controllers/testController');
 
 // Middleware
@@ -18,8 +23,18 @@ const {
   loginSchema,
   registerSchema,
   updateProfileSchema,
+  currencyQuerySchema,
   productQuerySchema,
+  goldPriceHistoryQuerySchema,
+  createQuoteSchema,
+  verifyQuoteSchema,
   addFavoriteSchema,
+  addCartItemSchema,
+  updateCartItemSchema,
+  checkoutSchema,
+  orderQuerySchema,
+  cancelOrderSchema,
+  confirmPaymentSchema,
   uuidSchema
 } = require('../validators/schemas');
 
@@ -37,14 +52,40 @@ router.get('/vendors/:vendorId/products', validateParams({ vendorId: uuidSchema
 
 // Public product routes
 router.get('/products', validateQuery(productQuerySchema), publicProductsController.getProducts);
-router.get('/products/:id', validateParams({ id: uuidSchema }), publicProductsController.getProductById);
+router.get('/products/:id', validateParams({ id: uuidSchema }), validateQuery(currencyQuerySchema), publicProductsController.getProductById);
+
+// Price quote routes
+router.post('/products/:id/quote', validateParams({ id: uuidSchema }), validateBody(createQuoteSchema), priceQuoteController.createQuote);
+router.post('/quotes/verify', validateBody(verifyQuoteSchema), priceQuoteController.verifyQuote);
+
+// Gold price routes
+router.get('/gold-price/history', validateQuery(goldPriceHistoryQuerySchema), goldPriceController.getGoldPriceHistory);
 
 // Favorites routes (require authentication)
-router.get('/favorites', authenticate, favoritesController.getFavorites);
+router.get('/favorites', authenticate, validateQuery(currencyQuerySchema), favoritesController.getFavorites);
 router.post('/favorites', authenticate, validateBody(addFavoriteSchema), favoritesController.addFavorite);
 router.delete('/favorites/:id', authenticate, validateParams({ id: uuidSchema }), favoritesController.removeFavorite);
 router.get('/favorites/check/:productId', authenticate, validateParams({ productId: uuidSchema }), favoritesController.checkFavorite);
 
+// Cart routes (signed-in users, or guests identified by the X-Cart-Token header)
+router.get('/cart', optionalAuth, validateQuery(currencyQuerySchema), cartController.getCart);
+router.delete('/cart', optionalAuth, validateQuery(currencyQuerySchema), cartController.clearCart);
+router.post('/cart/items', optionalAuth, validateQuery(currencyQuerySchema), validateBody(addCartItemSchema), cartController.addCartItem);
+router.put('/cart/items/:itemId', optionalAuth, validateParams({ itemId: uuidSchema }), validateQuery(currencyQuerySchema), validateBody(updateCartItemSchema), cartController.updateCartItem);
+router.delete('/cart/items/:itemId', optionalAuth, validateParams({ itemId: uuidSchema }), validateQuery(currencyQuerySchema), cartController.removeCartItem);
+
+// Order routes (require authentication)
+router.post('/orders', authenticate, validateBody(checkoutSchema), ordersController.checkout);
+router.get('/orders', authenticate, validateQuery(orderQuerySchema), ordersController.getOrders);
+router.get('/orders/:id', authenticate, validateParams({ id: uuidSchema }), ordersController.getOrderById);
+router.post('/orders/:id/cancel', authenticate, validateParams({ id: uuidSchema }), validateBody(cancelOrderSchema), ordersController.cancelOrder);
+
+// Payment routes (the webhook is called by the payment gateway and checked by its signature)
+router.post('/orders/:id/payment', authenticate, validateParams({ id: uuidSchema }), paymentsController.createPayment);
+router.get('/orders/:id/payment', authenticate, validateParams({ id: uuidSchema }), paymentsController.getPayment);
+router.post('/orders/:id/payment/confirm', authenticate, validateParams({ id: uuidSchema }), validateBody(confirmPaymentSchema), paymentsController.confirmPayment);
+router.post('/payments/webhook', paymentsController.handleWebhook);
+
 // Test routes
 router.get('/test', testController.simpleTest);
 router.get('/test/auth', authenticate, testController.authTest);
@@ -1,7 +1,20 @@
 const express = require('express');
 const vendorAuthController = require('../controllers/vendorAuthController');
+const vendorTwoFactorController = require('../controllers/vendorTwoFactorController');
+const vendorTeamController = require('../controllers/vendorTeamController');
 const { validateVendorRegistration, validateVendorLogin } = require('../middleware/validators');
-const { authenticateVendor } = require('../middleware/vendorAuthMiddleware');
+const { authenticateVendor, optionalVendorAuth, requirePrimaryAccount, denyApiKeys } = require('../middleware/vendorAuthMiddleware');
+const { validateBody, validateQuery, validateParams } = require('../middleware/validate');
+const {
+  vendorEmailSchema,
+  verifyEmailQuerySchema,
+  vendorTwoFactorLoginSchema,
+  enableTwoFactorSchema,
+  confirmPasswordSchema,
+  acceptInvitationSchema,
+  uuidSchema
+} = require('../validators/schemas');
+const { authLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
@@ -82,25 +95,74 @@ router.post('/register', validateVendorRegistration, vendorAuthController.regist
  *       200:
  *         description: Login successful
  *       400:
- *         description: Invalid credentials
+ *         description: Validation error
  *       401:
- *         description: Account not verified or suspended
- *       404:
- *         description: Vendor not found
+ *         description: Invalid email or password, or account not verified (email address not confirmed yet)
+ *       403:
+ *         description: Account pending approval, rejected or suspended
+ *       423:
+ *         description: Account locked after too many failed attempts (see Retry-After)
+ *       429:
+ *         description: Too many attempts; wait Retry-After seconds
+ */
+router.post('/login', authLimiter, validateVendorLogin, vendorAuthController.loginVendor);
+
+/**
+ * @swagger
+ * /api/v1/vendor-auth/login/2fa:
+ *   post:
+ *     summary: Finish a two-factor login
+ *     description: Send the challengeToken from /login with either the current authenticator code or an unused recovery code.
+ *     tags: [Vendor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "3f9a1-c07be"
+ *     responses:
+ *       200:
+ *         description: Login successful; returns the vendor and tokens
+ *       401:
+ *         description: Invalid code, or invalid or expired challenge
+ *       423:
+ *         description: Account locked after too many failed attempts
+ *       429:
+ *         description: Too many attempts
  */
-router.post('/login', validateVendorLogin, vendorAuthController.loginVendor);
+router.post('/login/2fa', authLimiter, validateBody(vendorTwoFactorLoginSchema), vendorAuthController.loginVendorTwoFactor);
 
 /**
  * @swagger
  * /api/v1/vendor-auth/logout:
  *   post:
  *     summary: Logout vendor account
+ *     description: Revokes the session of the bearer access token, or of the refresh token in the body.
  *     tags: [Vendor Authentication]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logout successful
  */
-router.post('/logout', vendorAuthController.logoutVendor);
+router.post('/logout', optionalVendorAuth, vendorAuthController.logoutVendor);
 
 /**
  * @swagger
@@ -121,11 +183,11 @@ router.post('/logout', vendorAuthController.logoutVendor);
  *                 type: string
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: Token refreshed successfully. The old refresh token is rotated out; reusing it revokes the session.
  *       400:
  *         description: Invalid refresh token
  *       401:
- *         description: Refresh token expired
+ *         description: Refresh token expired, revoked or reused
  */
 router.post('/refresh', vendorAuthController.refreshVendorToken);
 
@@ -158,7 +220,7 @@ router.post('/refresh', vendorAuthController.refreshVendorToken);
  *       401:
  *         description: Authentication required
  */
-router.post('/change-password', authenticateVendor, vendorAuthController.changeVendorPassword);
+router.post('/change-password', authenticateVendor, denyApiKeys, vendorAuthController.changeVendorPassword);
 
 /**
  * @swagger
@@ -180,11 +242,11 @@ router.post('/change-password', authenticateVendor, vendorAuthController.changeV
  *                 format: email
  *     responses:
  *       200:
- *         description: Password reset email sent
- *       404:
- *         description: Vendor not found
+ *         description: Reset link emailed if the account exists (the response is the same either way)
+ *       429:
+ *         description: Too many requests
  */
-router.post('/forgot-password', vendorAuthController.forgotVendorPassword);
+router.post('/forgot-password', authLimiter, vendorAuthController.forgotVendorPassword);
 
 /**
  * @swagger
@@ -209,10 +271,293 @@ router.post('/forgot-password', vendorAuthController.forgotVendorPassword);
  *                 minLength: 8
  *     responses:
  *       200:
- *         description: Password reset successfully
+ *         description: Password reset successfully; existing refresh tokens are revoked
  *       400:
- *         description: Invalid or expired reset token
+ *         description: Invalid, expired or already used reset token
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/reset-password', authLimiter, vendorAuthController.resetVendorPassword);
+
+/**
+ * @swagger
+ * /api/v1/vendor-auth/verify-email:
+ *   get:
+ *     summary: Verify a vendor's email address
+ *     description: Uses the single-use token from the verification email. Vendors cannot login until their email is verified.
+ *     tags: [Vendor Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid, expired or already used verification token
+ */
+router.get('/verify-email', authLimiter, validateQuery(verifyEmailQuerySchema), vendorAuthController.verifyVendorEmail);
+
+/**
+ * @swagger
+ * /api/v1/vendor-auth/resend-verification:
+ *   post:
+ *     summary: Resend the verification email
+ *     description: At most one email per vendor every EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS. The response is the same whether or not the account exists.
+ *     tags: [Vendor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Verification link sent if the account exists and is unverified
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/resend-verification', authLimiter, validateBody(vendorEmailSchema), vendorAuthController.resendVerificationEmail);
+
+/**
+ * @swagger
+ * /api/v1/vendor-auth/unlock:
+ *   post:
+ *     summary: Unlock a vendor account locked after failed logins
+ *     description: The token comes from the email sent when the account was locked.
+ *     tags: [Vendor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Invalid, expired or already used unlock token
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/unlock', authLimiter, vendorAuthController.unlockVendorAccount);
+
+/**
+ * @swagger
+ * /api/v1/vendor-auth/invitations/accept:
+ *   post:
+ *     summary: Accept a vendor team invitation
+ *     description: The token comes from the invitation email. The new team member then logs in with /login like any vendor.
+ *     tags: [Vendor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       400:
+ *         description: Invalid, expired or already accepted invitation
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/invitations/accept', authLimiter, validateBody(acceptInvitationSchema), vendorTeamController.acceptTeamInvitation);
+
+/**
+ * @swagger
+ * /api/v1/vendor-auth/sessions:
+ *   get:
+ *     summary: List active vendor sessions
+ *     tags: [Vendor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions with device, IP and issued/last-used timestamps; the caller's session is marked current
+ *       401:
+ *         description: Authentication required
+ *   delete:
+ *     summary: Revoke every session except the current one
+ *     tags: [Vendor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/sessions', authenticateVendor, denyApiKeys, vendorAuthController.getVendorSessions);
+router.delete('/sessions', authenticateVendor, denyApiKeys, vendorAuthController.revokeVendorSessions);
+
+/**
+ * @swagger
+ * /api/v1/vendor-auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a vendor session
+ *     tags: [Vendor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', authenticateVendor, denyApiKeys, validateParams({ sessionId: uuidSchema }), vendorAuthController.revokeVendorSessions);
+
+/**
+ * @swagger
+ * /api/v1/vendor-auth/2fa:
+ *   get:
+ *     summary: Get two-factor status
+ *     tags: [Vendor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether two-factor is enabled and how many recovery codes are left
+ */
+router.get('/2fa', authenticateVendor, requirePrimaryAccount, vendorTwoFactorController.getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/v1/vendor-auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a TOTP secret and otpauth URI (show it as a QR code). Two-factor stays off until confirmed with /2fa/enable.
+ *     tags: [Vendor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI
+ *       409:
+ *         description: Two-factor is already enabled
+ */
+router.post('/2fa/setup', authenticateVendor, requirePrimaryAccount, vendorTwoFactorController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/vendor-auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment and enable two-factor
+ *     tags: [Vendor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor enabled; returns recovery codes (shown only once)
+ *       400:
+ *         description: Invalid code, or setup was not started
+ *       409:
+ *         description: Two-factor is already enabled
+ */
+router.post('/2fa/enable', authenticateVendor, requirePrimaryAccount, validateBody(enableTwoFactorSchema), vendorTwoFactorController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/vendor-auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor
+ *     description: Requires the password. Every other session is revoked.
+ *     tags: [Vendor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor disabled
+ *       401:
+ *         description: Password is incorrect
+ *       409:
+ *         description: Two-factor is not enabled
+ */
+router.post('/2fa/disable', authLimiter, authenticateVendor, requirePrimaryAccount, validateBody(confirmPasswordSchema), vendorTwoFactorController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/vendor-auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     description: Requires the password. The previous codes stop working.
+ *     tags: [Vendor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes (shown only once)
+ *       401:
+ *         description: Password is incorrect
+ *       409:
+ *         description: Two-factor is not enabled
  */
-router.post('/reset-password', vendorAuthController.resetVendorPassword);
+router.post('/2fa/recovery-codes', authLimiter, authenticateVendor, requirePrimaryAccount, validateBody(confirmPasswordSchema), vendorTwoFactorController.regenerateRecoveryCodes);
 
 module.exports = router;
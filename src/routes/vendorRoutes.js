@@ -4,18 +4,43 @@ const router = express.Router();
 // Controllers
 const vendorProductsController = require('../controllers/vendorProductsController');
 const vendorStoreController = require('../controllers/vendorStoreController');
+const vendorPricingController = require('../controllers/vendorPricingController');
+const vendorProductImagesController = require('../controllers/vendorProductImagesController');
+const vendorProductImportController = require('../controllers/vendorProductImportController');
+const vendorTeamController = require('../controllers/vendorTeamController');
+const vendorApiKeysController = require('../controllers/vendorApiKeysController');
+const vendorWebhooksController = require('../controllers/vendorWebhooksController');
+const vendorOrdersController = require('../controllers/vendorOrdersController');
+const vendorInventoryController = require('../controllers/vendorInventoryController');
 
 // Middleware
-const { authenticateVendor } = require('../middleware/vendorAuthMiddleware');
+const { authenticateVendor, requireVendorRole, VENDOR_ROLES } = require('../middleware/vendorAuthMiddleware');
 const { validateBody, validateQuery, validateParams } = require('../middleware/validate');
-const { vendorLimiter } = require('../middleware/rateLimiter');
+const { vendorLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+const { uploadProductImage, uploadImportFile } = require('../middleware/upload');
 
 // Validation schemas
 const {
   createProductSchema,
   updateProductSchema,
+  productImportQuerySchema,
+  productImportJobQuerySchema,
+  uploadProductImageSchema,
+  reorderProductImagesSchema,
   updateVendorSchema,
+  updatePricingRulesSchema,
+  inviteTeamMemberSchema,
+  updateTeamMemberSchema,
+  createApiKeySchema,
+  createWebhookSchema,
+  updateWebhookSchema,
+  webhookDeliveryQuerySchema,
+  vendorOrderQuerySchema,
+  shipVendorOrderSchema,
+  cancelVendorOrderSchema,
+  stockAdjustmentSchema,
   productQuerySchema,
+  currencyQuerySchema,
   uuidSchema
 } = require('../validators/schemas');
 
@@ -23,16 +48,66 @@ const {
 router.use(authenticateVendor);
 router.use(vendorLimiter);
 
+// Every team role can read; writes check the role
+const ownerOnly = requireVendorRole(VENDOR_ROLES.OWNER);
+const catalogEditors = requireVendorRole(VENDOR_ROLES.OWNER, VENDOR_ROLES.CATALOG_MANAGER);
+
 // Vendor profile routes
 router.get('/profile', vendorStoreController.getStoreInfo);
-router.put('/profile', validateBody(updateVendorSchema), vendorStoreController.updateStoreInfo);
+router.put('/profile', ownerOnly, validateBody(updateVendorSchema), vendorStoreController.updateStoreInfo);
 router.get('/dashboard', vendorStoreController.getDashboardStats);
 
+// Pricing rules routes
+router.get('/pricing', vendorPricingController.getPricingRules);
+router.put('/pricing', ownerOnly, validateBody(updatePricingRulesSchema), vendorPricingController.updatePricingRules);
+
+// Product import routes (multipart upload: "file" .csv or .json); registered before /products/:id
+router.post('/products/import', catalogEditors, uploadLimiter, validateQuery(productImportQuerySchema), uploadImportFile, vendorProductImportController.importProducts);
+router.get('/products/imports', validateQuery(productImportJobQuerySchema), vendorProductImportController.getImportJobs);
+router.get('/products/imports/:jobId', validateParams({ jobId: uuidSchema }), vendorProductImportController.getImportJob);
+
 // Product management routes
 router.get('/products', validateQuery(productQuerySchema), vendorProductsController.getVendorProducts);
-router.get('/products/:id', validateParams({ id: uuidSchema }), vendorProductsController.getVendorProductById);
-router.post('/products', validateBody(createProductSchema), vendorProductsController.createProduct);
-router.put('/products/:id', validateParams({ id: uuidSchema }), validateBody(updateProductSchema), vendorProductsController.updateProduct);
-router.delete('/products/:id', validateParams({ id: uuidSchema }), vendorProductsController.deleteProduct);
+router.get('/products/:id', validateParams({ id: uuidSchema }), validateQuery(currencyQuerySchema), vendorProductsController.getVendorProductById);
+router.post('/products', catalogEditors, validateBody(createProductSchema), vendorProductsController.createProduct);
+router.put('/products/:id', catalogEditors, validateParams({ id: uuidSchema }), validateBody(updateProductSchema), vendorProductsController.updateProduct);
+router.delete('/products/:id', catalogEditors, validateParams({ id: uuidSchema }), vendorProductsController.deleteProduct);
+
+// Product image routes (multipart upload: "image" file + "color" field)
+router.post('/products/:id/images', catalogEditors, uploadLimiter, validateParams({ id: uuidSchema }), uploadProductImage, validateBody(uploadProductImageSchema), vendorProductImagesController.uploadProductImage);
+router.put('/products/:id/images/order', catalogEditors, validateParams({ id: uuidSchema }), validateBody(reorderProductImagesSchema), vendorProductImagesController.reorderProductImages);
+router.delete('/products/:id/images/:imageId', catalogEditors, validateParams({ id: uuidSchema, imageId: uuidSchema }), vendorProductImagesController.deleteProductImage);
+
+// Inventory routes (colors without stock are not tracked until their first adjustment)
+router.get('/products/:id/stock', validateParams({ id: uuidSchema }), vendorInventoryController.getProductStock);
+router.post('/products/:id/stock/adjustments', catalogEditors, validateParams({ id: uuidSchema }), validateBody(stockAdjustmentSchema), vendorInventoryController.adjustProductStock);
+
+// Order fulfilment routes (status changes are owner only)
+router.get('/orders', validateQuery(vendorOrderQuerySchema), vendorOrdersController.getVendorOrders);
+router.get('/orders/:id', validateParams({ id: uuidSchema }), vendorOrdersController.getVendorOrderById);
+router.get('/orders/:id/packing-slip', validateParams({ id: uuidSchema }), vendorOrdersController.getPackingSlip);
+router.post('/orders/:id/accept', ownerOnly, validateParams({ id: uuidSchema }), vendorOrdersController.acceptOrder);
+router.post('/orders/:id/ship', ownerOnly, validateParams({ id: uuidSchema }), validateBody(shipVendorOrderSchema), vendorOrdersController.shipOrder);
+router.post('/orders/:id/cancel', ownerOnly, validateParams({ id: uuidSchema }), validateBody(cancelVendorOrderSchema), vendorOrdersController.cancelOrder);
+
+// Team management routes
+router.get('/team', ownerOnly, vendorTeamController.getTeamMembers);
+router.post('/team/invitations', ownerOnly, validateBody(inviteTeamMemberSchema), vendorTeamController.inviteTeamMember);
+router.put('/team/:memberId', ownerOnly, validateParams({ memberId: uuidSchema }), validateBody(updateTeamMemberSchema), vendorTeamController.updateTeamMember);
+router.delete('/team/:memberId', ownerOnly, validateParams({ memberId: uuidSchema }), vendorTeamController.removeTeamMember);
+
+// API key routes (send keys as X-API-Key; they act as a viewer or catalog manager)
+router.get('/api-keys', ownerOnly, vendorApiKeysController.getApiKeys);
+router.post('/api-keys', ownerOnly, validateBody(createApiKeySchema), vendorApiKeysController.createApiKey);
+router.post('/api-keys/:keyId/rotate', ownerOnly, validateParams({ keyId: uuidSchema }), vendorApiKeysController.rotateApiKey);
+router.delete('/api-keys/:keyId', ownerOnly, validateParams({ keyId: uuidSchema }), vendorApiKeysController.revokeApiKey);
+
+// Webhook routes
+router.get('/webhooks', ownerOnly, vendorWebhooksController.getWebhooks);
+router.post('/webhooks', ownerOnly, validateBody(createWebhookSchema), vendorWebhooksController.createWebhook);
+router.put('/webhooks/:webhookId', ownerOnly, validateParams({ webhookId: uuidSchema }), validateBody(updateWebhookSchema), vendorWebhooksController.updateWebhook);
+router.delete('/webhooks/:webhookId', ownerOnly, validateParams({ webhookId: uuidSchema }), vendorWebhooksController.deleteWebhook);
+router.post('/webhooks/:webhookId/test', ownerOnly, validateParams({ webhookId: uuidSchema }), vendorWebhooksController.sendTestEvent);
+router.get('/webhooks/:webhookId/deliveries', ownerOnly, validateParams({ webhookId: uuidSchema }), validateQuery(webhookDeliveryQuerySchema), vendorWebhooksController.getWebhookDeliveries);
 
 module.exports = router;
@@ -23,6 +23,37 @@ try {
   logger.warn('Continuing without gold price service...');
 }
 
+try {
+  require('./services/exchangeRateService');
+  logger.info('Exchange rate service initialized successfully');
+} catch (error) {
+  logger.error('Failed to initialize exchange rate service:', error.message);
+  logger.warn('Continuing without exchange rate service...');
+}
+
+// Deliver queued webhooks unless disabled (e.g. on extra instances that only serve requests)
+if (process.env.WEBHOOK_DELIVERY_ENABLED !== 'false') {
+  try {
+    require('./services/webhookDeliveryService').startWorker();
+  } catch (error) {
+    logger.error('Failed to start webhook delivery worker:', error.message);
+    logger.warn('Continuing without webhook delivery...');
+  }
+}
+
+// Cancel unpaid orders once their stock reservations expire, unless disabled (e.g. on extra instances)
+if (process.env.ORDER_EXPIRY_ENABLED !== 'false') {
+  try {
+    require('./services/orderExpiryService').startExpiryJob();
+  } catch (error) {
+    logger.error('Failed to start order expiry job:', error.message);
+    logger.warn('Continuing without order expiry...');
+  }
+}
+
+// Import file storage
+const { getDriverName, getStorage } = require('./services/storage');
+
 // Import Swagger configuration
 const { specs, swaggerUi } = require('./config/swagger');
 
@@ -76,12 +107,14 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'X-Cart-Token']
 };
 
 app.use(cors(corsOptions));
 
 // Body parsing middleware
+// Payment webhooks keep the raw body, because their signature covers the exact bytes
+app.use('/api/v1/public/payments/webhook', express.raw({ type: '*/*', limit: '1mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -109,6 +142,16 @@ app.use((req, res, next) => {
   next();
 });
 
+// Serve uploaded files when using local disk storage
+if (getDriverName() === 'local') {
+  app.use('/uploads', express.static(getStorage().rootDir, {
+    setHeaders: (res) => {
+      // Storefronts on other origins need to embed product images
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
+
 // Routes
 app.use(routes);
 
@@ -0,0 +1,457 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { hashToken } = require('./passwordResetService');
+const pricingService = require('./pricingService');
+const imageVariantService = require('./imageVariantService');
+const exchangeRateService = require('./exchangeRateService');
+const inventoryService = require('./inventoryService');
+
+// Guests identify their cart with this request header
+const CART_TOKEN_HEADER = 'X-Cart-Token';
+const MAX_LINE_QUANTITY = 99;
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+const CART_ITEM_COLUMNS = `
+  id,
+  product_id,
+  color,
+  quantity,
+  created_at,
+  products (
+    id,
+    name,
+    vendor_id,
+    weight,
+    popularity_score,
+    is_active,
+    vendors (
+      id,
+      name:business_name
+    ),
+    product_images (
+      color,
+      image_url,
+      variants,
+      sort_order
+    )
+  )
+`;
+
+/**
+ * Get the expiry of a guest cart touched now
+ * @returns {string} ISO timestamp
+ */
+const getGuestExpiry = () => new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * Find the cart of a user or guest
+ * @param {object} owner - { userId } for signed-in users, { token } for guests
+ * @returns {Promise<object|null>} carts row, or null if there is none (or the guest cart expired)
+ */
+const findCart = async ({ userId, token }) => {
+  if (!userId && !token) {
+    return null;
+  }
+
+  const { data: cart, error: fetchError } = await supabase
+    .from('carts')
+    .select('id, user_id, expires_at, updated_at')
+    .eq(userId ? 'user_id' : 'token_hash', userId || hashToken(token))
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (cart && cart.expires_at && new Date(cart.expires_at) <= new Date()) {
+    return null;
+  }
+
+  return cart;
+};
+
+/**
+ * Find the cart of a user or guest, creating it if needed
+ * A new guest cart gets a new token, which is returned once.
+ * @param {object} owner - { userId } or { token }
+ * @returns {Promise<{cart: object, token: string|null}>} Cart and the new guest token, if one was issued
+ */
+const getOrCreateCart = async (owner) => {
+  const existing = await findCart(owner);
+  if (existing) {
+    return { cart: existing, token: null };
+  }
+
+  const token = owner.userId ? null : crypto.randomBytes(32).toString('base64url');
+  const now = new Date().toISOString();
+
+  const { data: cart, error: insertError } = await supabase
+    .from('carts')
+    .insert({
+      user_id: owner.userId || null,
+      token_hash: token ? hashToken(token) : null,
+      expires_at: token ? getGuestExpiry() : null,
+      created_at: now,
+      updated_at: now
+    })
+    .select('id, user_id, expires_at, updated_at')
+    .single();
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  return { cart, token };
+};
+
+/**
+ * Record a change to a cart; guest carts stay alive while they are used
+ * @param {object} cart - carts row
+ * @returns {Promise<void>}
+ */
+const touchCart = async (cart) => {
+  const { error: updateError } = await supabase
+    .from('carts')
+    .update({
+      updated_at: new Date().toISOString(),
+      ...(cart.expires_at && { expires_at: getGuestExpiry() })
+    })
+    .eq('id', cart.id);
+
+  if (updateError) {
+    throw updateError;
+  }
+};
+
+/**
+ * Add a product color to a cart, or increase the quantity of its line
+ * @param {object} owner - { userId } or { token }
+ * @param {object} item - { productId, color, quantity }
+ * @returns {Promise<{status: string, token?: string|null, available?: number}>} status is added,
+ *   product_not_found, color_unavailable, quantity_limit or insufficient_stock (with the units
+ *   available); token is set when a guest cart was created
+ */
+const addItem = async (owner, { productId, color, quantity }) => {
+  // Only active products can be added
+  const { data: product, error: productError } = await supabase
+    .from('products')
+    .select('id, product_images (color)')
+    .eq('id', productId)
+    .eq('is_active', true)
+    .single();
+
+  if (productError || !product) {
+    return { status: 'product_not_found' };
+  }
+
+  if (!(product.product_images || []).some(image => image.color === color)) {
+    return { status: 'color_unavailable' };
+  }
+
+  // Stock is only held at checkout, but there is no point adding more than is left
+  const available = await inventoryService.getAvailableQuantity(productId, color);
+  if (available !== null && quantity > available) {
+    return { status: 'insufficient_stock', available };
+  }
+
+  const { cart, token } = await getOrCreateCart(owner);
+
+  const { data: existingItem, error: fetchError } = await supabase
+    .from('cart_items')
+    .select('id, quantity')
+    .eq('cart_id', cart.id)
+    .eq('product_id', productId)
+    .eq('color', color)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  const newQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+  if (newQuantity > MAX_LINE_QUANTITY) {
+    return { status: 'quantity_limit', token };
+  }
+
+  if (available !== null && newQuantity > available) {
+    return { status: 'insufficient_stock', available };
+  }
+
+  const now = new Date().toISOString();
+  const { error: writeError } = existingItem
+    ? await supabase
+      .from('cart_items')
+      .update({ quantity: newQuantity, updated_at: now })
+      .eq('id', existingItem.id)
+    : await supabase
+      .from('cart_items')
+      .insert({ cart_id: cart.id, product_id: productId, color, quantity, created_at: now, updated_at: now });
+
+  if (writeError) {
+    throw writeError;
+  }
+
+  await touchCart(cart);
+  return { status: 'added', token };
+};
+
+/**
+ * Set the quantity of a cart line
+ * @param {object} owner - { userId } or { token }
+ * @param {string} itemId - Cart item ID
+ * @param {number} quantity - New quantity
+ * @returns {Promise<boolean>} True if the line was found and updated
+ */
+const updateItemQuantity = async (owner, itemId, quantity) => {
+  const cart = await findCart(owner);
+  if (!cart) {
+    return false;
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('cart_items')
+    .update({ quantity, updated_at: new Date().toISOString() })
+    .eq('id', itemId)
+    .eq('cart_id', cart.id)
+    .select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (!updated || updated.length === 0) {
+    return false;
+  }
+
+  await touchCart(cart);
+  return true;
+};
+
+/**
+ * Remove a line from a cart
+ * @param {object} owner - { userId } or { token }
+ * @param {string} itemId - Cart item ID
+ * @returns {Promise<boolean>} True if the line was found and removed
+ */
+const removeItem = async (owner, itemId) => {
+  const cart = await findCart(owner);
+  if (!cart) {
+    return false;
+  }
+
+  const { data: removed, error: deleteError } = await supabase
+    .from('cart_items')
+    .delete()
+    .eq('id', itemId)
+    .eq('cart_id', cart.id)
+    .select('id');
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  if (!removed || removed.length === 0) {
+    return false;
+  }
+
+  await touchCart(cart);
+  return true;
+};
+
+/**
+ * Remove every line from a cart
+ * @param {object} owner - { userId } or { token }
+ * @returns {Promise<void>}
+ */
+const clearCart = async (owner) => {
+  const cart = await findCart(owner);
+  if (!cart) {
+    return;
+  }
+
+  const { error: deleteError } = await supabase
+    .from('cart_items')
+    .delete()
+    .eq('cart_id', cart.id);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  await touchCart(cart);
+};
+
+/**
+ * Check whether a cart line can still be bought
+ * @param {object} product - products row with product_images
+ * @param {string} color - Line color
+ * @returns {boolean} True if the product is active and still offered in the color
+ */
+const isLineAvailable = (product, color) => Boolean(product.is_active && (product.product_images || []).some(image => image.color === color));
+
+/**
+ * Get the lines of a cart, oldest first
+ * @param {string} cartId - Cart ID
+ * @returns {Promise<Array>} cart_items rows with their products
+ */
+const getCartItems = async (cartId) => {
+  const { data: items, error: fetchError } = await supabase
+    .from('cart_items')
+    .select(CART_ITEM_COLUMNS)
+    .eq('cart_id', cartId)
+    .order('created_at', { ascending: true })
+    .order('sort_order', { referencedTable: 'products.product_images', ascending: true });
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return items || [];
+};
+
+/**
+ * Get a priced cart
+ * Lines whose product was deactivated, or no longer comes in the line's color, are returned
+ * with available: false and left out of the totals.
+ * @param {object} owner - { userId } or { token }
+ * @param {number} exchangeRate - Units of the display currency per USD
+ * @returns {Promise<object>} Cart with items, itemCount and subtotal
+ */
+const getCart = async (owner, exchangeRate = 1) => {
+  const cart = await findCart(owner);
+  const items = cart ? await getCartItems(cart.id) : [];
+
+  // Unit prices come from GoldPriceService.calculateProductPrice with each vendor's pricing rules
+  const pricedProducts = await pricingService.priceProducts(items.map(item => item.products));
+
+  const lines = items.map((item, index) => {
+    const product = pricedProducts[index];
+    const images = product.product_images || [];
+    const available = isLineAvailable(product, item.color);
+    const unitPrice = exchangeRateService.convert(product.calculatedPrice, exchangeRate);
+
+    return {
+      id: item.id,
+      productId: item.product_id,
+      color: item.color,
+      quantity: item.quantity,
+      available,
+      unitPrice: available ? unitPrice : null,
+      lineTotal: available ? Math.round(unitPrice * item.quantity * 100) / 100 : null,
+      product: {
+        id: product.id,
+        name: product.name,
+        weight: product.weight,
+        popularityScore: product.popularity_score,
+        vendor: product.vendors || null,
+        imageVariants: imageVariantService.groupImageVariants(images.filter(image => image.color === item.color))[item.color] || []
+      },
+      addedAt: item.created_at
+    };
+  });
+
+  const availableLines = lines.filter(line => line.available);
+
+  return {
+    id: cart ? cart.id : null,
+    items: lines,
+    itemCount: availableLines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal: Math.round(availableLines.reduce((sum, line) => sum + line.lineTotal, 0) * 100) / 100,
+    updatedAt: cart ? cart.updated_at : null
+  };
+};
+
+/**
+ * Move a guest cart into a user's cart, e.g. on login
+ * Lines for the same product and color are combined (capped at MAX_LINE_QUANTITY).
+ * The guest token stops working afterwards.
+ * @param {string} token - Guest cart token
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of guest lines merged
+ */
+const mergeGuestCart = async (token, userId) => {
+  const guestCart = await findCart({ token });
+  if (!guestCart) {
+    return 0;
+  }
+
+  const userCart = await findCart({ userId });
+  const { data: guestItems, error: guestError } = await supabase
+    .from('cart_items')
+    .select('id, product_id, color, quantity')
+    .eq('cart_id', guestCart.id);
+
+  if (guestError) {
+    throw guestError;
+  }
+
+  // Without a user cart the guest cart simply changes hands
+  if (!userCart) {
+    const { error: claimError } = await supabase
+      .from('carts')
+      .update({ user_id: userId, token_hash: null, expires_at: null, updated_at: new Date().toISOString() })
+      .eq('id', guestCart.id);
+
+    if (claimError) {
+      throw claimError;
+    }
+
+    return (guestItems || []).length;
+  }
+
+  const { data: userItems, error: userError } = await supabase
+    .from('cart_items')
+    .select('id, product_id, color, quantity')
+    .eq('cart_id', userCart.id);
+
+  if (userError) {
+    throw userError;
+  }
+
+  const now = new Date().toISOString();
+
+  for (const guestItem of guestItems || []) {
+    const userItem = (userItems || []).find(item => item.product_id === guestItem.product_id && item.color === guestItem.color);
+
+    const { error: writeError } = userItem
+      ? await supabase
+        .from('cart_items')
+        .update({ quantity: Math.min(userItem.quantity + guestItem.quantity, MAX_LINE_QUANTITY), updated_at: now })
+        .eq('id', userItem.id)
+      : await supabase
+        .from('cart_items')
+        .update({ cart_id: userCart.id, updated_at: now })
+        .eq('id', guestItem.id);
+
+    if (writeError) {
+      throw writeError;
+    }
+  }
+
+  // Deleting the guest cart also deletes the lines that were combined
+  const { error: deleteError } = await supabase
+    .from('carts')
+    .delete()
+    .eq('id', guestCart.id);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  await touchCart(userCart);
+  return (guestItems || []).length;
+};
+
+module.exports = {
+  CART_TOKEN_HEADER,
+  MAX_LINE_QUANTITY,
+  findCart,
+  addItem,
+  updateItemQuantity,
+  removeItem,
+  clearCart,
+  isLineAvailable,
+  getCartItems,
+  getCart,
+  mergeGuestCart
+};
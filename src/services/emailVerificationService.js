@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const mailService = require('./mail');
+const { hashToken } = require('./passwordResetService');
+const logger = require('../utils/logger');
+
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+// Minimum time between two verification emails to the same vendor
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+
+/**
+ * Build the vendor panel link that carries a verification token
+ * The panel calls GET /api/v1/vendor-auth/verify-email with the token.
+ * @param {string} token - Raw verification token
+ * @returns {string} Verification URL
+ */
+const buildVerificationUrl = (token) => {
+  const baseUrl = (process.env.VENDOR_PANEL_URL || 'http://localhost:3001').replace(/\/$/, '');
+  return `${baseUrl}/verify-email?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Seconds until another verification email may be sent to a vendor
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<number>} 0 when a new email may be sent
+ */
+const getResendWaitSeconds = async (vendorId) => {
+  const { data: latest, error: fetchError } = await supabase
+    .from('vendor_email_verifications')
+    .select('created_at')
+    .eq('vendor_id', vendorId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!latest) {
+    return 0;
+  }
+
+  const nextAllowedAt = new Date(latest.created_at).getTime() + RESEND_COOLDOWN_SECONDS * 1000;
+  return Math.max(0, Math.ceil((nextAllowedAt - Date.now()) / 1000));
+};
+
+/**
+ * Create a verification token for a vendor, replacing any outstanding one
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<{token: string, expiresAt: string}>} Raw token and its expiry
+ */
+const createVerificationToken = async (vendorId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+  // Only the latest link works
+  const { error: deleteError } = await supabase
+    .from('vendor_email_verifications')
+    .delete()
+    .eq('vendor_id', vendorId)
+    .is('used_at', null);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  const { error: insertError } = await supabase
+    .from('vendor_email_verifications')
+    .insert({
+      vendor_id: vendorId,
+      token_hash: hashToken(token),
+      expires_at: expiresAt,
+      created_at: new Date().toISOString()
+    });
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  return { token, expiresAt };
+};
+
+/**
+ * Verify a token and mark the vendor's email as verified
+ * @param {string} token - Raw verification token
+ * @returns {Promise<{valid: boolean, reason?: string, vendorId?: string}>} Verification result
+ */
+const verifyEmail = async (token) => {
+  const { data: verification, error: fetchError } = await supabase
+    .from('vendor_email_verifications')
+    .select('id, vendor_id, expires_at, used_at')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!verification) {
+    return { valid: false, reason: 'Verification link is invalid' };
+  }
+
+  if (verification.used_at) {
+    return { valid: false, reason: 'Verification link has already been used' };
+  }
+
+  if (new Date(verification.expires_at).getTime() <= Date.now()) {
+    return { valid: false, reason: 'Verification link has expired. Please request a new one.' };
+  }
+
+  // Conditional update so concurrent requests cannot both use the token
+  const { data: consumed, error: updateError } = await supabase
+    .from('vendor_email_verifications')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', verification.id)
+    .is('used_at', null)
+    .select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (!consumed || consumed.length === 0) {
+    return { valid: false, reason: 'Verification link has already been used' };
+  }
+
+  const { error: vendorError } = await supabase
+    .from('vendors')
+    .update({ email_verified_at: new Date().toISOString() })
+    .eq('id', verification.vendor_id)
+    .is('email_verified_at', null);
+
+  if (vendorError) {
+    throw vendorError;
+  }
+
+  return { valid: true, vendorId: verification.vendor_id };
+};
+
+/**
+ * Email a verification link to a vendor
+ * @param {object} vendor - Vendor row (email, contact_person_name)
+ * @param {string} token - Raw verification token
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (vendor, token) => {
+  await mailService.sendMail({
+    to: vendor.email,
+    subject: 'Verify your RENART vendor email',
+    text: [
+      vendor.contact_person_name ? `Hello ${vendor.contact_person_name},` : 'Hello,',
+      '',
+      'Thanks for registering as a RENART vendor. Please confirm this is your email address',
+      `by opening the link below within ${VERIFICATION_TOKEN_TTL_HOURS} hours:`,
+      '',
+      buildVerificationUrl(token),
+      '',
+      'If you did not register, you can ignore this email.'
+    ].join('\n')
+  });
+
+  logger.info(`Verification email sent to vendor: ${vendor.email}`);
+};
+
+/**
+ * Create a fresh token and email it
+ * @param {object} vendor - Vendor row (id, email, contact_person_name)
+ * @returns {Promise<void>}
+ */
+const sendVerification = async (vendor) => {
+  const { token } = await createVerificationToken(vendor.id);
+  await sendVerificationEmail(vendor, token);
+};
+
+module.exports = {
+  VERIFICATION_TOKEN_TTL_HOURS,
+  RESEND_COOLDOWN_SECONDS,
+  buildVerificationUrl,
+  getResendWaitSeconds,
+  createVerificationToken,
+  verifyEmail,
+  sendVerificationEmail,
+  sendVerification
+};
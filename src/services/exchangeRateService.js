@@ -0,0 +1,139 @@
+const axios = require('axios');
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../config/currencies');
+
+class ExchangeRateService {
+  constructor() {
+    this.rates = { [BASE_CURRENCY]: 1 };
+    this.lastUpdateTime = null;
+    this.apiUrl = process.env.EXCHANGE_RATE_API_URL || `https://open.er-api.com/v6/latest/${BASE_CURRENCY}`;
+
+    // Start periodic updates
+    this.startPeriodicUpdates();
+  }
+
+  /**
+   * Get the cached rate table
+   * @returns {object} Rates keyed by currency code (units per USD)
+   */
+  getRates() {
+    return { ...this.rates };
+  }
+
+  /**
+   * Get last update time
+   * @returns {Date|null} Last update timestamp
+   */
+  getLastUpdateTime() {
+    return this.lastUpdateTime;
+  }
+
+  /**
+   * Get the rate for a currency
+   * @param {string} currency - ISO currency code
+   * @returns {number|null} Units of currency per USD, or null when unavailable
+   */
+  getRate(currency = BASE_CURRENCY) {
+    return this.rates[currency] || null;
+  }
+
+  /**
+   * Convert a USD amount
+   * @param {number} amount - Amount in USD
+   * @param {number} rate - Units of target currency per USD
+   * @returns {number} Converted amount rounded to 2 decimal places
+   */
+  convert(amount, rate) {
+    return Math.round(amount * rate * 100) / 100;
+  }
+
+  /**
+   * Convert calculatedPrice of each product
+   * @param {object[]} products - Products with calculatedPrice in USD
+   * @param {number} rate - Units of target currency per USD
+   * @returns {object[]} Products with converted calculatedPrice
+   */
+  convertProducts(products, rate) {
+    if (rate === 1) {
+      return products;
+    }
+
+    return products.map(product => ({
+      ...product,
+      calculatedPrice: this.convert(product.calculatedPrice, rate)
+    }));
+  }
+
+  /**
+   * Fetch exchange rates from external API
+   * @returns {Promise<object>} Rate table
+   */
+  async fetchRates() {
+    try {
+      logger.info('Fetching exchange rates from external API');
+
+      const response = await axios.get(this.apiUrl, {
+        timeout: 10000,
+        headers: {
+          'User-Agent': 'RENART-Backend/1.0.0'
+        }
+      });
+
+      const rates = response.data && (response.data.rates || response.data.conversion_rates);
+      if (!rates) {
+        throw new Error('Invalid exchange rate data received from API');
+      }
+
+      const nextRates = { [BASE_CURRENCY]: 1 };
+      for (const currency of SUPPORTED_CURRENCIES) {
+        const rate = parseFloat(rates[currency]);
+        if (rate > 0) {
+          nextRates[currency] = rate;
+        } else if (this.rates[currency]) {
+          // Keep the previous rate if the feed dropped this currency
+          nextRates[currency] = this.rates[currency];
+        }
+      }
+
+      this.rates = nextRates;
+      this.lastUpdateTime = new Date();
+      logger.info('Exchange rates updated successfully', this.rates);
+      return this.getRates();
+
+    } catch (error) {
+      // Keep using cached rates - this is NOT an error, just a warning
+      logger.warn('Failed to fetch exchange rates:', error.message);
+      return this.getRates();
+    }
+  }
+
+  /**
+   * Start periodic exchange rate updates
+   */
+  startPeriodicUpdates() {
+    // Only start cron jobs in production or if explicitly enabled
+    if (process.env.NODE_ENV === 'production' || process.env.ENABLE_EXCHANGE_RATE_UPDATES === 'true') {
+      // Update every hour
+      cron.schedule('0 * * * *', async () => {
+        try {
+          await this.fetchRates();
+        } catch (error) {
+          logger.warn('Scheduled exchange rate update failed:', error.message);
+        }
+      });
+
+      logger.info('Exchange rate periodic updates enabled');
+    } else {
+      logger.info('Exchange rate periodic updates disabled (development mode)');
+    }
+
+    // Initial fetch (but don't fail if it doesn't work)
+    this.fetchRates().catch(error => {
+      logger.warn('Initial exchange rate fetch failed:', error.message);
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new ExchangeRateService();
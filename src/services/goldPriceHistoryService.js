@@ -0,0 +1,132 @@
+const { supabase } = require('../config/supabase');
+const logger = require('../utils/logger');
+
+// Supported bucket sizes for history queries
+const INTERVALS = {
+  '1h': 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000
+};
+
+// Supabase caps a single select, so history is read in pages
+const PAGE_SIZE = 1000;
+
+/**
+ * Persist a fetched gold price
+ * @param {number} price - Gold price in USD per ounce
+ * @param {string} source - Provider that supplied the price
+ * @param {Date} fetchedAt - Fetch timestamp
+ * @returns {Promise<void>}
+ */
+const recordPrice = async (price, source, fetchedAt = new Date()) => {
+  const { error: insertError } = await supabase
+    .from('gold_price_history')
+    .insert({
+      price,
+      source,
+      fetched_at: fetchedAt.toISOString()
+    });
+
+  if (insertError) {
+    throw new Error(`Failed to record gold price: ${insertError.message}`);
+  }
+};
+
+/**
+ * Get the most recently stored gold price
+ * @returns {Promise<object|null>} Latest history row
+ */
+const getLatestPrice = async () => {
+  const { data, error: queryError } = await supabase
+    .from('gold_price_history')
+    .select('price, source, fetched_at')
+    .order('fetched_at', { ascending: false })
+    .limit(1);
+
+  if (queryError) {
+    throw new Error(`Failed to load latest gold price: ${queryError.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+};
+
+/**
+ * Group price samples into OHLC buckets
+ * @param {object[]} rows - History rows ordered by fetched_at ascending
+ * @param {string} interval - Bucket size key from INTERVALS
+ * @returns {object[]} Buckets with open/high/low/close values
+ */
+const bucketPrices = (rows, interval) => {
+  const size = INTERVALS[interval];
+  const buckets = new Map();
+
+  for (const row of rows) {
+    const price = parseFloat(row.price);
+    const time = new Date(row.fetched_at).getTime();
+    const start = Math.floor(time / size) * size;
+
+    const bucket = buckets.get(start);
+    if (!bucket) {
+      buckets.set(start, {
+        start: new Date(start).toISOString(),
+        end: new Date(start + size).toISOString(),
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        samples: 1
+      });
+    } else {
+      bucket.high = Math.max(bucket.high, price);
+      bucket.low = Math.min(bucket.low, price);
+      bucket.close = price;
+      bucket.samples += 1;
+    }
+  }
+
+  return Array.from(buckets.values());
+};
+
+/**
+ * Get gold price history as OHLC buckets
+ * @param {object} options - Query options
+ * @param {Date} options.from - Range start
+ * @param {Date} options.to - Range end
+ * @param {string} options.interval - Bucket size key from INTERVALS
+ * @returns {Promise<object[]>} OHLC buckets
+ */
+const getPriceHistory = async ({ from, to, interval }) => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error: queryError } = await supabase
+      .from('gold_price_history')
+      .select('price, fetched_at')
+      .gte('fetched_at', from.toISOString())
+      .lte('fetched_at', to.toISOString())
+      .order('fetched_at', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (queryError) {
+      logger.error('Gold price history query error:', queryError);
+      throw new Error(`Failed to load gold price history: ${queryError.message}`);
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return bucketPrices(rows, interval);
+};
+
+module.exports = {
+  INTERVALS,
+  recordPrice,
+  getLatestPrice,
+  bucketPrices,
+  getPriceHistory
+};
@@ -0,0 +1,90 @@
+const axios = require('axios');
+
+/**
+ * Create a gold price provider adapter
+ * @param {object} definition - Provider definition
+ * @param {string} definition.name - Unique provider name
+ * @param {string} definition.url - Endpoint to request
+ * @param {function} definition.parse - Maps the response body to a USD per ounce price
+ * @param {number} definition.priority - Lower values are tried first
+ * @param {number} definition.timeout - Request timeout in milliseconds
+ * @param {object} definition.headers - Extra request headers (e.g. auth)
+ * @param {object} definition.params - Extra query parameters (e.g. auth)
+ * @returns {object} Provider with a fetchPrice() method
+ */
+const createProvider = ({
+  name,
+  url,
+  parse,
+  priority = 100,
+  timeout = 10000,
+  headers = {},
+  params = {}
+}) => {
+  if (!name) {
+    throw new Error('Gold price provider requires a name');
+  }
+  if (!url) {
+    throw new Error(`Gold price provider "${name}" requires a url`);
+  }
+  if (typeof parse !== 'function') {
+    throw new Error(`Gold price provider "${name}" requires a parse function`);
+  }
+
+  return {
+    name,
+    url,
+    priority,
+    timeout,
+
+    /**
+     * Fetch the current gold price from this provider
+     * @returns {Promise<number>} Gold price in USD per ounce
+     */
+    async fetchPrice() {
+      const response = await axios.get(url, {
+        timeout,
+        params,
+        headers: {
+          'User-Agent': 'RENART-Backend/1.0.0',
+          ...headers
+        }
+      });
+
+      const price = parse(response.data);
+
+      if (!Number.isFinite(price) || price <= 0) {
+        throw new Error(`Invalid price data received from ${name}`);
+      }
+
+      return price;
+    }
+  };
+};
+
+/**
+ * Convert an XAU exchange rate (ounces per USD) into USD per ounce
+ * @param {object} data - Response body with a rates object
+ * @returns {number|null} Gold price in USD per ounce
+ */
+const parseXauRate = (data) => {
+  const rate = parseFloat(data?.rates?.XAU);
+  return rate > 0 ? 1 / rate : null;
+};
+
+/**
+ * Read a numeric environment variable
+ * @param {string} value - Raw environment value
+ * @param {number} defaultValue - Value used when unset or invalid
+ * @returns {number} Parsed number
+ */
+const toNumber = (value, defaultValue) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+};
+
+module.exports = {
+  createProvider,
+  parseXauRate,
+  toNumber
+};
@@ -0,0 +1,42 @@
+const { createProvider, parseXauRate, toNumber } = require('./baseProvider');
+
+const DEFAULT_URL = 'https://api.exchangerate-api.com/v4/latest/USD';
+
+/**
+ * exchangerate-api.com feed (XAU quoted against USD)
+ * @param {object} config - Provider configuration
+ * @returns {object} Provider
+ */
+const create = ({ url = DEFAULT_URL, apiKey, priority = 30, timeout = 5000 }) => createProvider({
+  name: 'exchangerate',
+  url,
+  priority,
+  timeout,
+  params: { access_key: apiKey },
+  parse: parseXauRate
+});
+
+/**
+ * Build the provider from environment variables
+ * @param {object} env - Environment variables
+ * @returns {object|null} Provider, or null when not configured
+ */
+const fromEnv = (env) => {
+  if (!env.EXCHANGE_API_KEY) {
+    return null;
+  }
+
+  return create({
+    url: env.EXCHANGE_API_URL || DEFAULT_URL,
+    apiKey: env.EXCHANGE_API_KEY,
+    priority: toNumber(env.EXCHANGE_API_PRIORITY, 30),
+    timeout: toNumber(env.EXCHANGE_API_TIMEOUT, 5000)
+  });
+};
+
+module.exports = {
+  name: 'exchangerate',
+  create,
+  fromEnv,
+  parse: parseXauRate
+};
@@ -0,0 +1,46 @@
+const { createProvider, parseXauRate, toNumber } = require('./baseProvider');
+
+const DEFAULT_URL = 'https://api.fixer.io/latest';
+
+/**
+ * fixer.io exchange rate feed (XAU quoted against USD)
+ * @param {object} config - Provider configuration
+ * @returns {object} Provider
+ */
+const create = ({ url = DEFAULT_URL, apiKey, priority = 20, timeout = 5000 }) => createProvider({
+  name: 'fixer',
+  url,
+  priority,
+  timeout,
+  params: {
+    access_key: apiKey,
+    base: 'USD',
+    symbols: 'XAU'
+  },
+  parse: parseXauRate
+});
+
+/**
+ * Build the provider from environment variables
+ * @param {object} env - Environment variables
+ * @returns {object|null} Provider, or null when not configured
+ */
+const fromEnv = (env) => {
+  if (!env.FIXER_API_KEY) {
+    return null;
+  }
+
+  return create({
+    url: env.FIXER_API_URL || DEFAULT_URL,
+    apiKey: env.FIXER_API_KEY,
+    priority: toNumber(env.FIXER_API_PRIORITY, 20),
+    timeout: toNumber(env.FIXER_API_TIMEOUT, 5000)
+  });
+};
+
+module.exports = {
+  name: 'fixer',
+  create,
+  fromEnv,
+  parse: parseXauRate
+};
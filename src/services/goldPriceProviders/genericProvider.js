@@ -0,0 +1,56 @@
+const { createProvider, parseXauRate, toNumber } = require('./baseProvider');
+
+/**
+ * Parse the response shapes returned by common gold price feeds
+ * ({ price }, { gold } or { rates: { XAU } })
+ * @param {object} data - Response body
+ * @returns {number|null} Gold price in USD per ounce
+ */
+const parse = (data) => {
+  if (data && data.price) {
+    return parseFloat(data.price);
+  }
+  if (data && data.gold) {
+    return parseFloat(data.gold);
+  }
+  return parseXauRate(data);
+};
+
+/**
+ * Generic JSON gold price feed (e.g. goldapi.io)
+ * @param {object} config - Provider configuration
+ * @returns {object} Provider
+ */
+const create = ({ url, apiKey, priority = 10, timeout = 10000 }) => createProvider({
+  name: 'generic',
+  url,
+  priority,
+  timeout,
+  headers: apiKey ? { 'x-access-token': apiKey } : {},
+  parse
+});
+
+/**
+ * Build the provider from environment variables
+ * @param {object} env - Environment variables
+ * @returns {object|null} Provider, or null when not configured
+ */
+const fromEnv = (env) => {
+  if (!env.GOLD_PRICE_API_URL) {
+    return null;
+  }
+
+  return create({
+    url: env.GOLD_PRICE_API_URL,
+    apiKey: env.GOLD_PRICE_API_KEY,
+    priority: toNumber(env.GOLD_PRICE_API_PRIORITY, 10),
+    timeout: toNumber(env.GOLD_PRICE_API_TIMEOUT, 10000)
+  });
+};
+
+module.exports = {
+  name: 'generic',
+  create,
+  fromEnv,
+  parse
+};
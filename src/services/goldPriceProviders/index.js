@@ -0,0 +1,69 @@
+const logger = require('../../utils/logger');
+const { createProvider } = require('./baseProvider');
+const genericProvider = require('./genericProvider');
+const fixerProvider = require('./fixerProvider');
+const exchangeRateProvider = require('./exchangeRateProvider');
+
+// Registered provider adapters, keyed by name
+const registry = new Map();
+
+/**
+ * Register a gold price provider adapter
+ * @param {object} adapter - Adapter with a name and a fromEnv(env) factory
+ */
+const registerProvider = (adapter) => {
+  if (!adapter || !adapter.name || typeof adapter.fromEnv !== 'function') {
+    throw new Error('Gold price provider adapter requires a name and a fromEnv function');
+  }
+
+  registry.set(adapter.name, adapter);
+};
+
+/**
+ * Get names of all registered adapters
+ * @returns {string[]} Adapter names
+ */
+const getRegisteredProviders = () => Array.from(registry.keys());
+
+/**
+ * Build the configured providers ordered by priority
+ * GOLD_PRICE_PROVIDERS selects adapters by name (comma separated);
+ * when unset every registered adapter that is configured is used.
+ * @param {object} env - Environment variables
+ * @returns {object[]} Providers sorted by ascending priority
+ */
+const loadProviders = (env = process.env) => {
+  const names = env.GOLD_PRICE_PROVIDERS
+    ? env.GOLD_PRICE_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : getRegisteredProviders();
+
+  const providers = [];
+
+  for (const name of names) {
+    const adapter = registry.get(name);
+
+    if (!adapter) {
+      logger.warn(`Unknown gold price provider: ${name}`);
+      continue;
+    }
+
+    const provider = adapter.fromEnv(env);
+    if (provider) {
+      providers.push(provider);
+    }
+  }
+
+  return providers.sort((a, b) => a.priority - b.priority);
+};
+
+// Built-in adapters
+registerProvider(genericProvider);
+registerProvider(fixerProvider);
+registerProvider(exchangeRateProvider);
+
+module.exports = {
+  createProvider,
+  registerProvider,
+  getRegisteredProviders,
+  loadProviders
+};
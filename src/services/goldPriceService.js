@@ -1,13 +1,17 @@
-const axios = require('axios');
 const cron = require('node-cron');
 const logger = require('../utils/logger');
+const { loadProviders } = require('./goldPriceProviders');
+const goldPriceHistoryService = require('./goldPriceHistoryService');
+const { calculatePrice, DEFAULT_PRICING_RULES } = require('./pricingRules');
 
 class GoldPriceService {
   constructor() {
     this.currentGoldPrice = 2000; // Default fallback price in USD per ounce
     this.lastUpdateTime = null;
     this.updateInterval = parseInt(process.env.GOLD_PRICE_UPDATE_INTERVAL) || 600000; // 10 minutes default
-    this.apiUrl = process.env.GOLD_PRICE_API_URL;
+    this.priceSource = null;
+    this.providers = loadProviders();
+    this.refreshInFlight = null;
     
     // Start periodic updates
     this.startPeriodicUpdates();
@@ -30,108 +34,105 @@ class GoldPriceService {
   }
 
   /**
-   * Fetch gold price from external API
+   * Get the name of the provider that supplied the current price
+   * @returns {string|null} Provider name
+   */
+  getPriceSource() {
+    return this.priceSource;
+  }
+
+  /**
+   * Get configured providers in the order they are tried
+   * @returns {string[]} Provider names
+   */
+  getProviderNames() {
+    return this.providers.map(provider => provider.name);
+  }
+
+  /**
+   * Rebuild the provider list from configuration
+   * (use after registering a new adapter at runtime)
+   */
+  reloadProviders() {
+    this.providers = loadProviders();
+  }
+
+  /**
+   * Restore the last persisted price so restarts don't fall back to the default
    * @returns {Promise<number>} Gold price in USD per ounce
    */
-  async fetchGoldPrice() {
-    try {
-      // Skip API calls if no API URL is configured
-      if (!this.apiUrl) {
-        logger.warn('No GOLD_PRICE_API_URL configured, using default price');
-        return this.currentGoldPrice;
-      }
+  async loadLatestPrice() {
+    const latest = await goldPriceHistoryService.getLatestPrice();
+
+    if (latest) {
+      this.currentGoldPrice = parseFloat(latest.price);
+      this.lastUpdateTime = new Date(latest.fetched_at);
+      this.priceSource = latest.source;
+      logger.info(`Gold price restored from history: $${this.currentGoldPrice}/oz`);
+    }
 
-      logger.info('Fetching gold price from external API');
-      
-      // Try primary API
-      const response = await axios.get(this.apiUrl, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'RENART-Backend/1.0.0'
-        }
-      });
+    return this.currentGoldPrice;
+  }
 
-      let price = null;
+  /**
+   * Fetch gold price from the configured providers, in priority order
+   * @returns {Promise<number>} Gold price in USD per ounce
+   */
+  async fetchGoldPrice() {
+    // Skip API calls if no provider is configured
+    if (this.providers.length === 0) {
+      logger.warn('No gold price providers configured, using default price');
+      return this.currentGoldPrice;
+    }
 
-      // Handle different API response formats
-      if (response.data && response.data.price) {
-        price = parseFloat(response.data.price);
-      } else if (response.data && response.data.gold) {
-        price = parseFloat(response.data.gold);
-      } else if (response.data && response.data.rates && response.data.rates.XAU) {
-        // Some APIs return in different format
-        price = 1 / parseFloat(response.data.rates.XAU); // Convert to USD per ounce
-      }
+    for (const provider of this.providers) {
+      try {
+        logger.info(`Fetching gold price from ${provider.name}`);
+        const price = await provider.fetchPrice();
 
-      if (price && price > 0) {
         this.currentGoldPrice = price;
         this.lastUpdateTime = new Date();
-        logger.info(`Gold price updated successfully: $${price}/oz`);
-        return price;
-      } else {
-        throw new Error('Invalid price data received from API');
-      }
+        this.priceSource = provider.name;
+        logger.info(`Gold price updated from ${provider.name}: $${price}/oz`);
 
-    } catch (error) {
-      logger.warn('Failed to fetch gold price:', error.message);
-      
-      // Try fallback API or use cached price
-      try {
-        const fallbackPrice = await this.fetchFallbackPrice();
-        if (fallbackPrice) {
-          this.currentGoldPrice = fallbackPrice;
-          this.lastUpdateTime = new Date();
-          logger.info(`Gold price updated from fallback: $${fallbackPrice}/oz`);
-          return fallbackPrice;
-        }
-      } catch (fallbackError) {
-        logger.warn('Fallback API also failed:', fallbackError.message);
-      }
+        // History is best effort - a storage failure must not discard the new price
+        await goldPriceHistoryService
+          .recordPrice(price, provider.name, this.lastUpdateTime)
+          .catch(error => logger.warn('Failed to persist gold price:', error.message));
 
-      // Keep using current cached price - this is NOT an error, just a warning
-      logger.warn(`Using cached gold price: $${this.currentGoldPrice}/oz`);
-      return this.currentGoldPrice;
+        return price;
+      } catch (error) {
+        logger.warn(`Gold price provider ${provider.name} failed:`, error.message);
+      }
     }
+
+    // Keep using current cached price - this is NOT an error, just a warning
+    logger.warn(`Using cached gold price: $${this.currentGoldPrice}/oz`);
+    return this.currentGoldPrice;
   }
 
   /**
-   * Fetch from fallback API
-   * @returns {Promise<number>} Gold price from fallback source
+   * Fetch a new price right away (e.g. triggered by an admin)
+   * Concurrent calls share one fetch.
+   * @returns {Promise<{price: number, source: string|null, updated: boolean, lastUpdateTime: Date|null}>} Refresh result
    */
-  async fetchFallbackPrice() {
-    // Skip fallback APIs in production if no API keys configured
-    if (process.env.NODE_ENV === 'production' && !process.env.FIXER_API_KEY) {
-      logger.warn('No fallback API keys configured for production');
-      throw new Error('No fallback API keys configured');
-    }
-
-    // You can add alternative gold price APIs here
-    // For example: fixer.io, exchangerate-api.com, etc.
-    
-    const fallbackApis = [
-      // Only use these if properly configured
-      ...(process.env.FIXER_API_KEY ? [`https://api.fixer.io/latest?access_key=${process.env.FIXER_API_KEY}&base=USD&symbols=XAU`] : []),
-      ...(process.env.EXCHANGE_API_KEY ? [`https://api.exchangerate-api.com/v4/latest/USD?access_key=${process.env.EXCHANGE_API_KEY}`] : [])
-    ];
-
-    if (fallbackApis.length === 0) {
-      throw new Error('No fallback APIs configured');
-    }
-
-    for (const api of fallbackApis) {
-      try {
-        const response = await axios.get(api, { timeout: 5000 });
-        // Handle response based on API format
-        if (response.data && response.data.rates && response.data.rates.XAU) {
-          return 1 / parseFloat(response.data.rates.XAU);
-        }
-      } catch (error) {
-        logger.warn(`Fallback API failed: ${api}`);
-        continue;
-      }
+  async refreshPrice() {
+    if (!this.refreshInFlight) {
+      const previousUpdateTime = this.lastUpdateTime;
+
+      this.refreshInFlight = this.fetchGoldPrice()
+        .then(price => ({
+          price,
+          source: this.priceSource,
+          updated: this.lastUpdateTime !== previousUpdateTime,
+          lastUpdateTime: this.lastUpdateTime
+        }))
+        .finally(() => {
+          this.refreshInFlight = null;
+        });
     }
 
-    throw new Error('All fallback APIs failed');
+    return this.refreshInFlight;
   }
 
   /**
@@ -154,22 +155,26 @@ class GoldPriceService {
       logger.info('Gold price periodic updates disabled (development mode)');
     }
 
-    // Initial fetch (but don't fail if it doesn't work)
-    this.fetchGoldPrice().catch(error => {
-      logger.warn('Initial gold price fetch failed:', error.message);
-    });
+    // Warm from the stored price, then do the initial fetch (but don't fail if either doesn't work)
+    this.loadLatestPrice()
+      .catch(error => {
+        logger.warn('Failed to restore gold price from history:', error.message);
+      })
+      .then(() => this.fetchGoldPrice())
+      .catch(error => {
+        logger.warn('Initial gold price fetch failed:', error.message);
+      });
   }
 
   /**
    * Calculate dynamic price for a product
    * @param {number} popularityScore - Product popularity score
    * @param {number} weight - Product weight in grams
+   * @param {object} rules - Optional vendor pricing rules (karat, makingCharge, markupPercent, rounding)
    * @returns {number} Calculated price in USD
    */
-  calculateProductPrice(popularityScore, weight) {
-    const goldPricePerGram = this.currentGoldPrice / 31.1035; // Convert oz to grams
-    const price = (popularityScore + 1) * weight * goldPricePerGram;
-    return Math.round(price * 100) / 100; // Round to 2 decimal places
+  calculateProductPrice(popularityScore, weight, rules = DEFAULT_PRICING_RULES) {
+    return calculatePrice({ popularityScore, weight }, rules, this.currentGoldPrice);
   }
 }
 
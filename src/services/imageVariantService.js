@@ -0,0 +1,129 @@
+const sharp = require('sharp');
+
+// Variant sizes (longest edge in pixels, never upscaled)
+const VARIANT_SIZES = {
+  thumb: 200,
+  medium: 600,
+  large: 1200
+};
+
+/**
+ * Get the non-WebP variant format for an original image
+ * PNG keeps transparency; everything else is served as JPEG.
+ * @param {string} extension - Original file extension
+ * @returns {string} Variant file extension
+ */
+const getFallbackExtension = (extension) => (extension === 'png' ? 'png' : 'jpg');
+
+/**
+ * Build the storage key of a variant next to its original
+ * @param {string} storageKey - Original storage key
+ * @param {string} size - Variant size name
+ * @param {string} extension - Variant file extension
+ * @returns {string} Variant storage key
+ */
+const getVariantKey = (storageKey, size, extension) =>
+  `${storageKey.replace(/\.[^./]+$/, '')}-${size}.${extension}`;
+
+/**
+ * Get every storage key belonging to an image (original and variants)
+ * @param {string} storageKey - Original storage key
+ * @returns {string[]} Storage keys
+ */
+const getStorageKeys = (storageKey) => {
+  const fallbackExtension = getFallbackExtension(storageKey.split('.').pop());
+
+  return [
+    storageKey,
+    ...Object.keys(VARIANT_SIZES).flatMap(size => [
+      getVariantKey(storageKey, size, fallbackExtension),
+      getVariantKey(storageKey, size, 'webp')
+    ])
+  ];
+};
+
+/**
+ * Resize an image into every variant size, in its fallback format and WebP
+ * @param {Buffer} buffer - Original image
+ * @param {string} extension - Original file extension
+ * @returns {Promise<Array<{size: string, extension: string, contentType: string, buffer: Buffer}>>} Variants
+ */
+const generateVariants = async (buffer, extension) => {
+  const fallbackExtension = getFallbackExtension(extension);
+  const variants = [];
+
+  for (const [size, width] of Object.entries(VARIANT_SIZES)) {
+    // Apply EXIF orientation before resizing, since metadata is stripped
+    const resized = sharp(buffer)
+      .rotate()
+      .resize({ width, height: width, fit: 'inside', withoutEnlargement: true });
+
+    const fallback = fallbackExtension === 'png'
+      ? await resized.clone().png().toBuffer()
+      : await resized.clone().flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true }).toBuffer();
+    const webp = await resized.clone().webp({ quality: 80 }).toBuffer();
+
+    variants.push(
+      { size, extension: fallbackExtension, contentType: fallbackExtension === 'png' ? 'image/png' : 'image/jpeg', buffer: fallback },
+      { size, extension: 'webp', contentType: 'image/webp', buffer: webp }
+    );
+  }
+
+  return variants;
+};
+
+/**
+ * Store generated variants next to their original
+ * @param {object} storage - Storage backend
+ * @param {string} storageKey - Storage key of the original
+ * @param {Array} generated - Variants from generateVariants
+ * @returns {Promise<object>} Variant URLs, e.g. { thumb: { url, webpUrl }, medium: {...}, large: {...} }
+ */
+const storeVariants = async (storage, storageKey, generated) => {
+  const variants = {};
+
+  for (const variant of generated) {
+    const stored = await storage.save({
+      key: getVariantKey(storageKey, variant.size, variant.extension),
+      buffer: variant.buffer,
+      contentType: variant.contentType
+    });
+
+    variants[variant.size] = variants[variant.size] || {};
+    variants[variant.size][variant.extension === 'webp' ? 'webpUrl' : 'url'] = stored.url;
+  }
+
+  return variants;
+};
+
+/**
+ * Group the variants of product images by color
+ * Placeholders are skipped; images uploaded before variants existed
+ * fall back to their original URL for every size.
+ * @param {Array} productImages - product_images rows, in display order
+ * @returns {object} Variants by color, e.g. { yellow: [{ original, thumb, medium, large }] }
+ */
+const groupImageVariants = (productImages) => (productImages || []).reduce((acc, img) => {
+  if (!img.image_url) {
+    return acc;
+  }
+
+  const entry = { original: img.image_url };
+  for (const size of Object.keys(VARIANT_SIZES)) {
+    entry[size] = img.variants?.[size] || { url: img.image_url, webpUrl: null };
+  }
+
+  if (!acc[img.color]) {
+    acc[img.color] = [];
+  }
+  acc[img.color].push(entry);
+  return acc;
+}, {});
+
+module.exports = {
+  VARIANT_SIZES,
+  getStorageKeys,
+  generateVariants,
+  storeVariants,
+  groupImageVariants
+};
@@ -0,0 +1,690 @@
+const { supabase } = require('../config/supabase');
+const logger = require('../utils/logger');
+
+// Reasons a vendor can give for adjusting stock
+const ADJUSTMENT_REASONS = ['restock', 'correction', 'damaged', 'lost', 'returned'];
+
+// Reasons recorded by the system when orders use stock
+const SYSTEM_REASONS = {
+  SALE: 'sale',
+  ORDER_CANCELLED: 'order_cancelled'
+};
+
+const RESERVATION_STATUSES = {
+  ACTIVE: 'active',
+  COMMITTED: 'committed',
+  RELEASED: 'released'
+};
+
+// Variants with this many or fewer available units are reported as low on stock
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 2;
+
+// How long checkout holds stock for an unpaid order before the order is cancelled
+const RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 30;
+
+// Attempts at a conditional stock update before giving up under contention
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const STOCK_COLUMNS = 'product_id, color, quantity, reserved, updated_at';
+
+/**
+ * Map a product_stock row to the API shape
+ * @param {object} level - product_stock row
+ * @returns {object} Stock level
+ */
+const toStockLevel = (level) => {
+  const available = Math.max(level.quantity - level.reserved, 0);
+
+  return {
+    color: level.color,
+    tracked: true,
+    quantity: level.quantity,
+    reserved: level.reserved,
+    available,
+    lowStock: available <= LOW_STOCK_THRESHOLD,
+    updatedAt: level.updated_at
+  };
+};
+
+/**
+ * Map a stock_adjustments row to the API shape
+ * @param {object} adjustment - stock_adjustments row
+ * @returns {object} Adjustment
+ */
+const toAdjustment = (adjustment) => ({
+  id: adjustment.id,
+  color: adjustment.color,
+  change: adjustment.change,
+  quantityAfter: adjustment.quantity_after,
+  reason: adjustment.reason,
+  note: adjustment.note,
+  orderId: adjustment.order_id,
+  createdBy: adjustment.created_by,
+  createdAt: adjustment.created_at
+});
+
+/**
+ * Get the stock rows of some products
+ * Variants without a row are not tracked and never run out.
+ * @param {Array<string>} productIds - Product IDs
+ * @returns {Promise<Array>} product_stock rows
+ */
+const getStockLevels = async (productIds) => {
+  if (productIds.length === 0) {
+    return [];
+  }
+
+  const { data: levels, error: fetchError } = await supabase
+    .from('product_stock')
+    .select(STOCK_COLUMNS)
+    .in('product_id', productIds);
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return levels || [];
+};
+
+/**
+ * Get the stock row of one product color
+ * @param {string} productId - Product ID
+ * @param {string} color - Color
+ * @returns {Promise<object|null>} product_stock row, or null if the variant is not tracked
+ */
+const findStockLevel = async (productId, color) => {
+  const { data: level, error: fetchError } = await supabase
+    .from('product_stock')
+    .select(STOCK_COLUMNS)
+    .eq('product_id', productId)
+    .eq('color', color)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return level;
+};
+
+/**
+ * Get how many units of a product color can still be bought
+ * @param {string} productId - Product ID
+ * @param {string} color - Color
+ * @returns {Promise<number|null>} Available units, or null if the variant is not tracked
+ */
+const getAvailableQuantity = async (productId, color) => {
+  const level = await findStockLevel(productId, color);
+  return level ? toStockLevel(level).available : null;
+};
+
+/**
+ * Work out which of a product's colors can be bought
+ * @param {string} productId - Product ID
+ * @param {Array<string>} colors - Colors the product is offered in
+ * @param {Array} levels - product_stock rows (see getStockLevels)
+ * @returns {Array<string>} Colors that are untracked or have units available
+ */
+const getColorsInStock = (productId, colors, levels) => colors.filter(color => {
+  const level = levels.find(row => row.product_id === productId && row.color === color);
+  return !level || toStockLevel(level).available > 0;
+});
+
+/**
+ * Update whether products are sold out
+ * A product is sold out once every color it is offered in is tracked and has no units
+ * available. Sold-out products are left out of the public listings until units come back.
+ * @param {Array<string>} productIds - Product IDs
+ * @returns {Promise<void>}
+ */
+const refreshSoldOut = async (productIds) => {
+  const ids = [...new Set(productIds)];
+  if (ids.length === 0) {
+    return;
+  }
+
+  const [imagesResult, levels] = await Promise.all([
+    supabase
+      .from('product_images')
+      .select('product_id, color')
+      .in('product_id', ids),
+    getStockLevels(ids)
+  ]);
+
+  if (imagesResult.error) {
+    throw imagesResult.error;
+  }
+
+  const soldOut = ids.filter(productId => {
+    const colors = [...new Set((imagesResult.data || [])
+      .filter(image => image.product_id === productId)
+      .map(image => image.color))];
+    return colors.length > 0 && getColorsInStock(productId, colors, levels).length === 0;
+  });
+  const inStock = ids.filter(productId => !soldOut.includes(productId));
+
+  for (const [flagged, value] of [[soldOut, true], [inStock, false]]) {
+    if (flagged.length === 0) {
+      continue;
+    }
+
+    const { error: updateError } = await supabase
+      .from('products')
+      .update({ sold_out: value })
+      .in('id', flagged)
+      .eq('sold_out', !value);
+
+    if (updateError) {
+      throw updateError;
+    }
+  }
+};
+
+/**
+ * Refresh the sold-out flag after stock changed, without failing the change itself
+ * @param {Array<string>} productIds - Product IDs
+ * @returns {Promise<void>}
+ */
+const refreshSoldOutAfterChange = (productIds) => refreshSoldOut(productIds)
+  .catch(err => logger.error(`Failed to update sold-out flag of products ${productIds.join(', ')}:`, err));
+
+/**
+ * Change a stock row, but only if nobody changed it since it was read
+ * Retries with fresh values when another request got there first.
+ * @param {string} productId - Product ID
+ * @param {string} color - Color
+ * @param {function} apply - Receives the row and returns { quantity, reserved }, or null to refuse
+ * @returns {Promise<{status: string, level?: object}>} status is updated, untracked or refused
+ *   (level is the row that was refused)
+ */
+const updateStockLevel = async (productId, color, apply) => {
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+    const level = await findStockLevel(productId, color);
+    if (!level) {
+      return { status: 'untracked' };
+    }
+
+    const next = apply(level);
+    if (!next) {
+      return { status: 'refused', level };
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('product_stock')
+      .update({ ...next, updated_at: new Date().toISOString() })
+      .eq('product_id', productId)
+      .eq('color', color)
+      .eq('quantity', level.quantity)
+      .eq('reserved', level.reserved)
+      .select(STOCK_COLUMNS);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    if (updated && updated.length > 0) {
+      return { status: 'updated', level: updated[0] };
+    }
+  }
+
+  throw new Error(`Stock of product ${productId} (${color}) kept changing during the update`);
+};
+
+/**
+ * Record stock changes in the adjustment log
+ * @param {Array<object>} entries - { productId, color, change, quantityAfter, reason, note, orderId, createdBy }
+ * @returns {Promise<Array>} stock_adjustments rows
+ */
+const recordAdjustments = async (entries) => {
+  const now = new Date().toISOString();
+
+  const { data: adjustments, error: insertError } = await supabase
+    .from('stock_adjustments')
+    .insert(entries.map(entry => ({
+      product_id: entry.productId,
+      color: entry.color,
+      change: entry.change,
+      quantity_after: entry.quantityAfter,
+      reason: entry.reason,
+      note: entry.note || null,
+      order_id: entry.orderId || null,
+      created_by: entry.createdBy || null,
+      created_at: now
+    })))
+    .select('*');
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  return adjustments || [];
+};
+
+/**
+ * Get a vendor's product with the colors it is offered in
+ * @param {string} vendorId - Vendor ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<{id: string, colors: Array<string>}|null>} Product, or null if not owned by the vendor
+ */
+const findVendorProduct = async (vendorId, productId) => {
+  const { data: product, error: fetchError } = await supabase
+    .from('products')
+    .select('id, product_images (color)')
+    .eq('id', productId)
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!product) {
+    return null;
+  }
+
+  return {
+    id: product.id,
+    colors: [...new Set((product.product_images || []).map(image => image.color))]
+  };
+};
+
+/**
+ * Get the stock of each color of a vendor's product and its latest adjustments
+ * @param {string} vendorId - Vendor ID
+ * @param {string} productId - Product ID
+ * @param {object} options - { limit (adjustments to return) }
+ * @returns {Promise<object|null>} { productId, lowStockThreshold, colors, adjustments }, or null if not found
+ */
+const getProductStock = async (vendorId, productId, { limit = 50 } = {}) => {
+  const product = await findVendorProduct(vendorId, productId);
+  if (!product) {
+    return null;
+  }
+
+  const [levels, adjustmentsResult] = await Promise.all([
+    getStockLevels([productId]),
+    supabase
+      .from('stock_adjustments')
+      .select('*')
+      .eq('product_id', productId)
+      .order('created_at', { ascending: false })
+      .limit(limit)
+  ]);
+
+  if (adjustmentsResult.error) {
+    throw adjustmentsResult.error;
+  }
+
+  return {
+    productId,
+    lowStockThreshold: LOW_STOCK_THRESHOLD,
+    colors: product.colors.map(color => {
+      const level = levels.find(row => row.color === color);
+      return level
+        ? toStockLevel(level)
+        : { color, tracked: false, quantity: null, reserved: 0, available: null, lowStock: false, updatedAt: null };
+    }),
+    adjustments: (adjustmentsResult.data || []).map(toAdjustment)
+  };
+};
+
+/**
+ * Adjust the stock of a vendor's product color
+ * The first adjustment of a color starts tracking it. Give either change (units to add or
+ * remove) or quantity (the counted stock on hand).
+ * @param {string} vendorId - Vendor ID
+ * @param {string} productId - Product ID
+ * @param {object} adjustment - { color, change, quantity, reason, note, createdBy }
+ * @returns {Promise<{status: string, stock?: object, adjustment?: object, reserved?: number}>} status is
+ *   adjusted, product_not_found, color_unavailable or below_reserved (stock cannot drop below the units
+ *   held for orders)
+ */
+const adjustStock = async (vendorId, productId, { color, change, quantity, reason, note, createdBy }) => {
+  const product = await findVendorProduct(vendorId, productId);
+  if (!product) {
+    return { status: 'product_not_found' };
+  }
+
+  if (!product.colors.includes(color)) {
+    return { status: 'color_unavailable' };
+  }
+
+  const target = (level) => (quantity !== undefined ? quantity : level.quantity + change);
+
+  let previousQuantity = 0;
+  let result = await updateStockLevel(productId, color, level => {
+    previousQuantity = level.quantity;
+    return target(level) >= level.reserved ? { quantity: target(level), reserved: level.reserved } : null;
+  });
+
+  if (result.status === 'untracked') {
+    const initial = target({ quantity: 0 });
+    if (initial < 0) {
+      return { status: 'below_reserved', reserved: 0 };
+    }
+
+    const { data: created, error: insertError } = await supabase
+      .from('product_stock')
+      .insert({ product_id: productId, color, quantity: initial, reserved: 0, updated_at: new Date().toISOString() })
+      .select(STOCK_COLUMNS)
+      .single();
+
+    if (insertError && insertError.code !== '23505') {
+      throw insertError;
+    }
+
+    // Someone else started tracking the color at the same time, so adjust their row instead
+    result = insertError
+      ? await updateStockLevel(productId, color, level => {
+        previousQuantity = level.quantity;
+        return target(level) >= level.reserved ? { quantity: target(level), reserved: level.reserved } : null;
+      })
+      : { status: 'updated', level: created };
+  }
+
+  if (result.status === 'refused') {
+    return { status: 'below_reserved', reserved: result.level.reserved };
+  }
+
+  await refreshSoldOutAfterChange([productId]);
+
+  const [logged] = await recordAdjustments([{
+    productId,
+    color,
+    change: result.level.quantity - previousQuantity,
+    quantityAfter: result.level.quantity,
+    reason,
+    note,
+    createdBy
+  }]);
+
+  return {
+    status: 'adjusted',
+    stock: toStockLevel(result.level),
+    adjustment: toAdjustment(logged)
+  };
+};
+
+/**
+ * Give back the units of some reservations
+ * @param {Array<object>} reservations - { product_id, color, quantity }
+ * @returns {Promise<void>}
+ */
+const unreserve = async (reservations) => {
+  for (const reservation of reservations) {
+    await updateStockLevel(reservation.product_id, reservation.color, level => ({
+      quantity: level.quantity,
+      reserved: Math.max(level.reserved - reservation.quantity, 0)
+    }));
+  }
+};
+
+/**
+ * Hold stock for the lines of a new order
+ * Lines of untracked variants need no reservation. Either every tracked line is reserved
+ * or none is. Reservations expire after RESERVATION_TTL_MINUTES unless the order is paid
+ * (see findExpiredReservations).
+ * @param {string} orderId - Order ID
+ * @param {Array<object>} lines - order_items rows { vendor_order_id, product_id, color, quantity }
+ * @returns {Promise<{status: string, items?: Array}>} status is reserved or insufficient_stock
+ *   (with the lines that cannot be filled)
+ */
+const reserveStock = async (orderId, lines) => {
+  const reserved = [];
+  const shortages = [];
+
+  try {
+    for (const line of lines) {
+      const result = await updateStockLevel(line.product_id, line.color, level => (
+        level.quantity - level.reserved >= line.quantity
+          ? { quantity: level.quantity, reserved: level.reserved + line.quantity }
+          : null
+      ));
+
+      if (result.status === 'updated') {
+        reserved.push(line);
+      } else if (result.status === 'refused') {
+        shortages.push({
+          productId: line.product_id,
+          color: line.color,
+          requested: line.quantity,
+          available: toStockLevel(result.level).available
+        });
+      }
+    }
+  } catch (err) {
+    // No stock_reservations rows exist yet, so nothing else could give these units back
+    await unreserve(reserved);
+    throw err;
+  }
+
+  if (shortages.length > 0) {
+    await unreserve(reserved);
+    return { status: 'insufficient_stock', items: shortages };
+  }
+
+  if (reserved.length > 0) {
+    const now = new Date().toISOString();
+    const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000).toISOString();
+    const { error: insertError } = await supabase
+      .from('stock_reservations')
+      .insert(reserved.map(line => ({
+        order_id: orderId,
+        vendor_order_id: line.vendor_order_id,
+        product_id: line.product_id,
+        color: line.color,
+        quantity: line.quantity,
+        status: RESERVATION_STATUSES.ACTIVE,
+        expires_at: expiresAt,
+        created_at: now,
+        updated_at: now
+      })));
+
+    if (insertError) {
+      await unreserve(reserved);
+      throw insertError;
+    }
+
+    await refreshSoldOutAfterChange(reserved.map(line => line.product_id));
+  }
+
+  return { status: 'reserved' };
+};
+
+/**
+ * Move reservations of an order from one status to another
+ * Each reservation only moves if it is still in the status it was read in, so a
+ * reservation is never committed or released twice.
+ * @param {string} orderId - Order ID
+ * @param {Array<string>} fromStatuses - Statuses to move from
+ * @param {string} toStatus - New status
+ * @param {Array<string>} vendorOrderIds - Only these sub-orders (optional)
+ * @returns {Promise<Array>} stock_reservations rows that moved, with their previous status
+ */
+const moveReservations = async (orderId, fromStatuses, toStatus, vendorOrderIds) => {
+  let query = supabase
+    .from('stock_reservations')
+    .select('id, vendor_order_id, product_id, color, quantity, status')
+    .eq('order_id', orderId)
+    .in('status', fromStatuses);
+
+  if (vendorOrderIds) {
+    query = query.in('vendor_order_id', vendorOrderIds);
+  }
+
+  const { data: reservations, error: fetchError } = await query;
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  const moved = [];
+
+  for (const reservation of reservations || []) {
+    const { data: updated, error: updateError } = await supabase
+      .from('stock_reservations')
+      .update({ status: toStatus, updated_at: new Date().toISOString() })
+      .eq('id', reservation.id)
+      .eq('status', reservation.status)
+      .select('id');
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    if (updated && updated.length > 0) {
+      moved.push(reservation);
+    }
+  }
+
+  return moved;
+};
+
+/**
+ * Turn an order's reservations into sales once it is paid
+ * @param {string} orderId - Order ID
+ * @returns {Promise<void>}
+ */
+const commitStock = async (orderId) => {
+  const committed = await moveReservations(orderId, [RESERVATION_STATUSES.ACTIVE], RESERVATION_STATUSES.COMMITTED);
+  const entries = [];
+
+  for (const reservation of committed) {
+    const result = await updateStockLevel(reservation.product_id, reservation.color, level => ({
+      quantity: Math.max(level.quantity - reservation.quantity, 0),
+      reserved: Math.max(level.reserved - reservation.quantity, 0)
+    }));
+
+    if (result.status === 'updated') {
+      entries.push({
+        productId: reservation.product_id,
+        color: reservation.color,
+        change: -reservation.quantity,
+        quantityAfter: result.level.quantity,
+        reason: SYSTEM_REASONS.SALE,
+        orderId
+      });
+    }
+  }
+
+  if (entries.length > 0) {
+    await recordAdjustments(entries);
+  }
+};
+
+/**
+ * Put the stock of a cancelled order (or some of its sub-orders) back
+ * Held units are released; units already sold are restocked.
+ * @param {string} orderId - Order ID
+ * @param {Array<string>} vendorOrderIds - Only these sub-orders (optional)
+ * @returns {Promise<void>}
+ */
+const releaseStock = async (orderId, vendorOrderIds) => {
+  const released = await moveReservations(
+    orderId,
+    [RESERVATION_STATUSES.ACTIVE, RESERVATION_STATUSES.COMMITTED],
+    RESERVATION_STATUSES.RELEASED,
+    vendorOrderIds
+  );
+
+  await unreserve(released.filter(reservation => reservation.status === RESERVATION_STATUSES.ACTIVE));
+
+  const entries = [];
+
+  for (const reservation of released.filter(row => row.status === RESERVATION_STATUSES.COMMITTED)) {
+    const result = await updateStockLevel(reservation.product_id, reservation.color, level => ({
+      quantity: level.quantity + reservation.quantity,
+      reserved: level.reserved
+    }));
+
+    if (result.status === 'updated') {
+      entries.push({
+        productId: reservation.product_id,
+        color: reservation.color,
+        change: reservation.quantity,
+        quantityAfter: result.level.quantity,
+        reason: SYSTEM_REASONS.ORDER_CANCELLED,
+        orderId
+      });
+    }
+  }
+
+  if (entries.length > 0) {
+    await recordAdjustments(entries);
+  }
+
+  if (released.length > 0) {
+    await refreshSoldOutAfterChange(released.map(reservation => reservation.product_id));
+  }
+};
+
+/**
+ * Find orders whose stock is still held past the reservation's expiry
+ * @returns {Promise<Array<string>>} Order IDs, longest expired first
+ */
+const findExpiredReservations = async () => {
+  const { data: reservations, error: fetchError } = await supabase
+    .from('stock_reservations')
+    .select('order_id')
+    .eq('status', RESERVATION_STATUSES.ACTIVE)
+    .lte('expires_at', new Date().toISOString())
+    .order('expires_at', { ascending: true });
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return [...new Set((reservations || []).map(reservation => reservation.order_id))];
+};
+
+/**
+ * Summarize a vendor's tracked stock for the dashboard
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<{tracked: number, outOfStock: number, lowStock: Array}>} Counts of tracked and sold-out
+ *   variants, and the variants at or below the low-stock threshold, emptiest first
+ */
+const getLowStockSummary = async (vendorId) => {
+  const { data: levels, error: fetchError } = await supabase
+    .from('product_stock')
+    .select(`${STOCK_COLUMNS}, products!inner (name, vendor_id)`)
+    .eq('products.vendor_id', vendorId);
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  const stock = (levels || []).map(level => ({
+    productId: level.product_id,
+    productName: level.products ? level.products.name : null,
+    ...toStockLevel(level)
+  }));
+
+  return {
+    tracked: stock.length,
+    outOfStock: stock.filter(level => level.available === 0).length,
+    lowStock: stock
+      .filter(level => level.lowStock)
+      .sort((a, b) => a.available - b.available)
+      .map(({ tracked, updatedAt, lowStock, ...level }) => level)
+  };
+};
+
+module.exports = {
+  ADJUSTMENT_REASONS,
+  SYSTEM_REASONS,
+  RESERVATION_STATUSES,
+  LOW_STOCK_THRESHOLD,
+  RESERVATION_TTL_MINUTES,
+  toStockLevel,
+  getStockLevels,
+  getAvailableQuantity,
+  getColorsInStock,
+  refreshSoldOut,
+  getProductStock,
+  adjustStock,
+  reserveStock,
+  commitStock,
+  releaseStock,
+  findExpiredReservations,
+  getLowStockSummary
+};
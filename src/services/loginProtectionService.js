@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { hashToken } = require('./passwordResetService');
+const mailService = require('./mail');
+const { logSecurityEvent } = require('../utils/securityLog');
+const logger = require('../utils/logger');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Failures older than this no longer count towards a lockout
+const ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+const UNLOCK_TOKEN_TTL_MINUTES = parseInt(process.env.ACCOUNT_UNLOCK_TTL_MINUTES) || 60;
+const MAX_DELAY_SECONDS = 30;
+
+/**
+ * Normalize an email so attempts are tracked per account regardless of casing
+ * @param {string} email - Email from the login form
+ * @returns {string} Normalized email
+ */
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Seconds a client must wait after a failure before trying again
+ * The first failure is free (typos happen); after that the delay doubles.
+ * @param {number} failedAttempts - Consecutive failures so far
+ * @returns {number} Delay in seconds
+ */
+const getDelaySeconds = (failedAttempts) => {
+  if (failedAttempts < 2) {
+    return 0;
+  }
+  return Math.min(2 ** (failedAttempts - 2), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Whether a stored attempt record still counts
+ * @param {object} record - vendor_login_attempts row
+ * @param {Date} now - Current time
+ * @returns {boolean} False once the lockout and the attempt window have passed
+ */
+const isRecordCurrent = (record, now) => {
+  if (record.locked_until) {
+    return new Date(record.locked_until) > now;
+  }
+  return new Date(record.last_failed_at).getTime() + ATTEMPT_WINDOW_MINUTES * 60 * 1000 > now.getTime();
+};
+
+/**
+ * Load the attempt record of an email
+ * @param {string} email - Normalized email
+ * @returns {Promise<object|null>} vendor_login_attempts row
+ */
+const getRecord = async (email) => {
+  const { data, error: fetchError } = await supabase
+    .from('vendor_login_attempts')
+    .select('email, failed_attempts, last_failed_at, locked_until')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return data;
+};
+
+/**
+ * Check whether a login attempt for an email may proceed
+ * Runs before the password is checked, so locked accounts cannot be probed.
+ * @param {string} email - Email from the login form
+ * @returns {Promise<{allowed: boolean, reason?: string, retryAfter?: number}>}
+ *   reason is locked or throttled; retryAfter is in seconds
+ */
+const checkLoginAllowed = async (email) => {
+  const record = await getRecord(normalizeEmail(email));
+  const now = new Date();
+
+  if (!record || !isRecordCurrent(record, now)) {
+    return { allowed: true };
+  }
+
+  if (record.locked_until) {
+    return {
+      allowed: false,
+      reason: 'locked',
+      retryAfter: Math.ceil((new Date(record.locked_until) - now) / 1000)
+    };
+  }
+
+  const nextAttemptAt = new Date(record.last_failed_at).getTime() + getDelaySeconds(record.failed_attempts) * 1000;
+  if (nextAttemptAt > now.getTime()) {
+    return {
+      allowed: false,
+      reason: 'throttled',
+      retryAfter: Math.ceil((nextAttemptAt - now.getTime()) / 1000)
+    };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Count a failed login in one atomic step
+ * record_vendor_login_failure (see the database schema in the README) increments the count
+ * in the database, starting over once the lockout or the attempt window has passed, so
+ * concurrent failures are never lost.
+ * @param {string} email - Normalized email
+ * @returns {Promise<{failed_attempts: number, locked_until: string|null}>} The row after the increment
+ */
+const incrementFailedAttempts = async (email) => {
+  const { data, error: rpcError } = await supabase
+    .rpc('record_vendor_login_failure', {
+      p_email: email,
+      p_window_minutes: ATTEMPT_WINDOW_MINUTES
+    })
+    .single();
+
+  if (rpcError) {
+    throw rpcError;
+  }
+
+  return data;
+};
+
+/**
+ * Lock an email, unless a concurrent failure already did
+ * @param {string} email - Normalized email
+ * @param {string} unlockToken - Raw unlock token for the unlock email
+ * @returns {Promise<string|null>} When the lock ends, or null if the email was already locked
+ */
+const lockAccount = async (email, unlockToken) => {
+  const now = new Date();
+
+  const { data: locked, error: updateError } = await supabase
+    .from('vendor_login_attempts')
+    .update({
+      locked_until: new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString(),
+      unlock_token_hash: hashToken(unlockToken),
+      unlock_token_expires_at: new Date(now.getTime() + UNLOCK_TOKEN_TTL_MINUTES * 60 * 1000).toISOString()
+    })
+    .eq('email', email)
+    .is('locked_until', null)
+    .select('locked_until');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return locked && locked.length > 0 ? locked[0].locked_until : null;
+};
+
+/**
+ * Record a failed login and lock the account once the limit is reached
+ * The lock is decided from the count the increment returns, and only the failure that
+ * actually locks the account sends the unlock email.
+ * Unknown emails are tracked the same way, so responses don't reveal which accounts exist.
+ * @param {string} email - Email from the login form
+ * @param {object} context - { ipAddress, userAgent, vendor } (vendor row when the email exists)
+ * @returns {Promise<{failedAttempts: number, locked: boolean, lockedUntil: string|null}>}
+ */
+const recordFailedAttempt = async (email, { ipAddress, userAgent, vendor } = {}) => {
+  const normalizedEmail = normalizeEmail(email);
+  const record = await incrementFailedAttempts(normalizedEmail);
+
+  const failedAttempts = record.failed_attempts;
+  const locked = Boolean(record.locked_until) || failedAttempts >= MAX_FAILED_ATTEMPTS;
+  let lockedUntil = record.locked_until;
+  let unlockToken = null;
+
+  if (locked && !lockedUntil) {
+    unlockToken = crypto.randomBytes(32).toString('hex');
+    lockedUntil = await lockAccount(normalizedEmail, unlockToken);
+
+    // A concurrent failure locked the account first and sends the email
+    if (!lockedUntil) {
+      unlockToken = null;
+      const current = await getRecord(normalizedEmail);
+      lockedUntil = current ? current.locked_until : null;
+    }
+  }
+
+  logSecurityEvent('login_failed', {
+    email: normalizedEmail,
+    vendorId: vendor?.id || null,
+    knownAccount: Boolean(vendor),
+    failedAttempts,
+    ipAddress,
+    userAgent
+  });
+
+  if (unlockToken) {
+    logSecurityEvent('account_locked', {
+      email: normalizedEmail,
+      vendorId: vendor?.id || null,
+      lockedUntil,
+      ipAddress
+    }, 'error');
+
+    // Best effort: the lockout stands even if the email cannot be sent
+    if (vendor) {
+      try {
+        await sendUnlockEmail(vendor, unlockToken);
+      } catch (err) {
+        logger.error(`Failed to send unlock email to ${vendor.email}:`, err);
+      }
+    }
+  }
+
+  return { failedAttempts, locked, lockedUntil };
+};
+
+/**
+ * Clear the failure count and any lockout (after a successful login or password reset)
+ * @param {string} email - Email from the login form
+ * @returns {Promise<void>}
+ */
+const clearFailedAttempts = async (email) => {
+  const { error: deleteError } = await supabase
+    .from('vendor_login_attempts')
+    .delete()
+    .eq('email', normalizeEmail(email));
+
+  if (deleteError) {
+    throw deleteError;
+  }
+};
+
+/**
+ * Lift a lockout with the token from the unlock email
+ * The attempt record is deleted, so the token works only once.
+ * @param {string} token - Raw unlock token
+ * @param {object} context - { ipAddress }
+ * @returns {Promise<{unlocked: boolean, email?: string}>}
+ */
+const unlockWithToken = async (token, { ipAddress } = {}) => {
+  const { data, error: deleteError } = await supabase
+    .from('vendor_login_attempts')
+    .delete()
+    .eq('unlock_token_hash', hashToken(token))
+    .gt('unlock_token_expires_at', new Date().toISOString())
+    .select('email');
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  if (!data || data.length === 0) {
+    logSecurityEvent('account_unlock_rejected', { ipAddress });
+    return { unlocked: false };
+  }
+
+  logSecurityEvent('account_unlocked', { email: data[0].email, ipAddress }, 'info');
+  return { unlocked: true, email: data[0].email };
+};
+
+/**
+ * Build the vendor panel link that carries an unlock token
+ * @param {string} token - Raw unlock token
+ * @returns {string} Unlock URL
+ */
+const buildUnlockUrl = (token) => {
+  const baseUrl = (process.env.VENDOR_PANEL_URL || 'http://localhost:3001').replace(/\/$/, '');
+  return `${baseUrl}/unlock-account?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Email a locked-out vendor a link to unlock their account
+ * @param {object} vendor - Vendor row (email, contact_person_name)
+ * @param {string} token - Raw unlock token
+ * @returns {Promise<void>}
+ */
+const sendUnlockEmail = async (vendor, token) => {
+  await mailService.sendMail({
+    to: vendor.email,
+    subject: 'Your RENART vendor account was locked',
+    text: [
+      vendor.contact_person_name ? `Hello ${vendor.contact_person_name},` : 'Hello,',
+      '',
+      `We locked your RENART vendor account for ${LOCKOUT_MINUTES} minutes after ${MAX_FAILED_ATTEMPTS} failed login attempts.`,
+      `If these were you, use the link below within ${UNLOCK_TOKEN_TTL_MINUTES} minutes to unlock it now:`,
+      '',
+      buildUnlockUrl(token),
+      '',
+      'If they were not you, someone may be guessing your password. Consider resetting it.'
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  LOCKOUT_MINUTES,
+  normalizeEmail,
+  getDelaySeconds,
+  checkLoginAllowed,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  unlockWithToken
+};
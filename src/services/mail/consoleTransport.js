@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * Console mail transport for local development
+ * Messages are logged instead of being sent.
+ * @returns {object} Transport with send()
+ */
+const create = () => ({
+  /**
+   * Log a message
+   * @param {object} message - { from, to, subject, text, html }
+   * @returns {Promise<{ id: string }>} Logged message
+   */
+  async send(message) {
+    const id = crypto.randomUUID();
+
+    logger.info(`Mail ${id} to ${message.to}: ${message.subject}\n${message.text}`);
+
+    return { id };
+  }
+});
+
+/**
+ * Build the transport from environment variables
+ * @returns {object} Transport
+ */
+const fromEnv = () => create();
+
+module.exports = {
+  name: 'console',
+  create,
+  fromEnv
+};
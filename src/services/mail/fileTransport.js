@@ -0,0 +1,46 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File mail transport for local testing
+ * Each message is written to its own JSON file instead of being sent.
+ * @param {object} config - Transport configuration
+ * @param {string} config.dir - Directory messages are written to
+ * @returns {object} Transport with send()
+ */
+const create = ({ dir }) => ({
+  dir,
+
+  /**
+   * Write a message to disk
+   * @param {object} message - { from, to, subject, text, html }
+   * @returns {Promise<{ id: string }>} Written message
+   */
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomUUID()}`;
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { id };
+  }
+});
+
+/**
+ * Build the transport from environment variables
+ * @param {object} env - Environment variables
+ * @returns {object} Transport
+ */
+const fromEnv = (env) => create({
+  dir: env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail')
+});
+
+module.exports = {
+  name: 'file',
+  create,
+  fromEnv
+};
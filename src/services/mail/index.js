@@ -0,0 +1,74 @@
+const logger = require('../../utils/logger');
+const smtpTransport = require('./smtpTransport');
+const fileTransport = require('./fileTransport');
+const consoleTransport = require('./consoleTransport');
+
+// Registered mail transports, keyed by name
+const registry = new Map();
+let activeTransport = null;
+
+/**
+ * Register a mail transport
+ * @param {object} transport - Transport with a name and a fromEnv(env) factory
+ */
+const registerTransport = (transport) => {
+  if (!transport || !transport.name || typeof transport.fromEnv !== 'function') {
+    throw new Error('Mail transport requires a name and a fromEnv function');
+  }
+
+  registry.set(transport.name, transport);
+};
+
+/**
+ * Get the name of the configured mail transport
+ * MAIL_TRANSPORT selects a transport; defaults to SMTP in production and the console elsewhere.
+ * @param {object} env - Environment variables
+ * @returns {string} Transport name
+ */
+const getTransportName = (env = process.env) => {
+  return env.MAIL_TRANSPORT || (env.NODE_ENV === 'production' ? 'smtp' : 'console');
+};
+
+/**
+ * Get the configured mail transport
+ * @returns {object} Transport with send()
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = getTransportName();
+    const transport = registry.get(name);
+
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = transport.fromEnv(process.env);
+    logger.info(`Mail transport initialized: ${name}`);
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {object} message - { to, subject, text, html }
+ * @returns {Promise<{ id: string }>} Sent message
+ */
+const sendMail = async (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'RENART <no-reply@renart.com>',
+    ...message
+  });
+};
+
+// Built-in transports
+registerTransport(smtpTransport);
+registerTransport(fileTransport);
+registerTransport(consoleTransport);
+
+module.exports = {
+  registerTransport,
+  getTransportName,
+  getTransport,
+  sendMail
+};
@@ -0,0 +1,45 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP mail transport
+ * @param {object} config - Transport configuration
+ * @param {object} config.options - nodemailer SMTP options
+ * @returns {object} Transport with send()
+ */
+const create = ({ options }) => {
+  const transporter = nodemailer.createTransport(options);
+
+  return {
+    /**
+     * Send a message
+     * @param {object} message - { from, to, subject, text, html }
+     * @returns {Promise<{ id: string }>} Sent message
+     */
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+/**
+ * Build the transport from environment variables
+ * EMAIL_SERVICE selects a well-known provider (e.g. gmail); otherwise SMTP_HOST/SMTP_PORT are used.
+ * @param {object} env - Environment variables
+ * @returns {object} Transport
+ */
+const fromEnv = (env) => create({
+  options: {
+    service: env.EMAIL_SERVICE,
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.EMAIL_USER ? { user: env.EMAIL_USER, pass: env.EMAIL_PASS } : undefined
+  }
+});
+
+module.exports = {
+  name: 'smtp',
+  create,
+  fromEnv
+};
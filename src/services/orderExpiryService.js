@@ -0,0 +1,101 @@
+const cron = require('node-cron');
+const { supabase } = require('../config/supabase');
+const inventoryService = require('./inventoryService');
+const orderService = require('./orderService');
+const { PAYMENT_STATUSES } = require('./paymentService');
+const { ORDER_STATUSES } = require('./orderStatus');
+const logger = require('../utils/logger');
+
+const EXPIRY_REASON = 'Payment was not completed in time';
+
+// Orders whose payment went through (or is about to be captured) are left for the payment to settle
+const SETTLING_PAYMENT_STATUSES = [PAYMENT_STATUSES.AUTHORIZED, PAYMENT_STATUSES.CAPTURED];
+
+/**
+ * Cancel unpaid orders whose stock reservations have expired, giving the stock back
+ * @returns {Promise<number>} Number of orders cancelled
+ */
+const expireStaleOrders = async () => {
+  const orderIds = await inventoryService.findExpiredReservations();
+  let expired = 0;
+
+  for (const orderId of orderIds) {
+    try {
+      const { data: payment, error: paymentError } = await supabase
+        .from('payments')
+        .select('status')
+        .eq('order_id', orderId)
+        .maybeSingle();
+
+      if (paymentError) {
+        throw paymentError;
+      }
+
+      if (payment && SETTLING_PAYMENT_STATUSES.includes(payment.status)) {
+        continue;
+      }
+
+      const result = await orderService.transitionOrder(orderId, ORDER_STATUSES.CANCELLED, {
+        actor: 'system',
+        note: EXPIRY_REASON,
+        changes: { cancellation_reason: EXPIRY_REASON }
+      });
+
+      if (result.status === 'updated') {
+        expired++;
+        logger.info(`Order ${orderId} cancelled: ${EXPIRY_REASON}`);
+      } else if (result.currentStatus === ORDER_STATUSES.CANCELLED) {
+        // Cancelled earlier without its stock coming back (e.g. the release failed)
+        await inventoryService.releaseStock(orderId);
+      }
+    } catch (err) {
+      logger.error(`Failed to expire order ${orderId}:`, err);
+    }
+  }
+
+  return expired;
+};
+
+let expiryTask = null;
+let runInFlight = null;
+
+/**
+ * Check for expired reservations every minute
+ * Runs never overlap.
+ */
+const startExpiryJob = () => {
+  if (expiryTask) {
+    return;
+  }
+
+  expiryTask = cron.schedule('* * * * *', () => {
+    if (runInFlight) {
+      return;
+    }
+
+    runInFlight = expireStaleOrders()
+      .catch(err => logger.error('Order expiry run failed:', err))
+      .finally(() => {
+        runInFlight = null;
+      });
+  });
+
+  logger.info(`Order expiry job started (unpaid orders are cancelled after ${inventoryService.RESERVATION_TTL_MINUTES} minutes)`);
+};
+
+/**
+ * Stop checking for expired reservations
+ */
+const stopExpiryJob = () => {
+  if (expiryTask) {
+    expiryTask.stop();
+    expiryTask = null;
+  }
+};
+
+module.exports = {
+  EXPIRY_REASON,
+  expireStaleOrders,
+  startExpiryJob,
+  stopExpiryJob
+};
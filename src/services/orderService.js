@@ -0,0 +1,583 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { BASE_CURRENCY } = require('../config/currencies');
+const cartService = require('./cartService');
+const pricingService = require('./pricingService');
+const goldPriceService = require('./goldPriceService');
+const priceQuoteService = require('./priceQuoteService');
+const inventoryService = require('./inventoryService');
+const { ORDER_STATUSES, canTransition } = require('./orderStatus');
+const logger = require('../utils/logger');
+
+const ORDER_COLUMNS = 'id, order_number, user_id, status, currency, gold_price, total, item_count, shipping_address, cancellation_reason, created_at, updated_at, paid_at, cancelled_at';
+const VENDOR_ORDER_COLUMNS = 'id, order_id, vendor_id, status, subtotal, item_count, carrier, tracking_number, cancellation_reason, created_at, updated_at, shipped_at, delivered_at, cancelled_at';
+const ORDER_ITEM_COLUMNS = 'id, order_id, vendor_order_id, vendor_id, product_id, product_name, color, weight, popularity_score, quantity, unit_price, line_total, quote_id';
+
+// Timestamp column set when an order or sub-order enters a status
+const STATUS_TIMESTAMPS = {
+  paid: 'paid_at',
+  cancelled: 'cancelled_at'
+};
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Generate a human-readable order number, e.g. RN-260115-9F2C41AB
+ * @returns {string} Order number
+ */
+const generateOrderNumber = () => {
+  const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+  return `RN-${date}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Map an order_items row to the API shape
+ * @param {object} item - order_items row
+ * @returns {object} Order item
+ */
+const toOrderItem = (item) => ({
+  id: item.id,
+  productId: item.product_id,
+  productName: item.product_name,
+  color: item.color,
+  weight: item.weight,
+  popularityScore: item.popularity_score,
+  quantity: item.quantity,
+  unitPrice: item.unit_price,
+  lineTotal: item.line_total,
+  quoteId: item.quote_id
+});
+
+/**
+ * Map a vendor_orders row to the API shape
+ * @param {object} vendorOrder - vendor_orders row
+ * @param {Array} items - order_items rows of the sub-order
+ * @returns {object} Vendor order
+ */
+const toVendorOrder = (vendorOrder, items = []) => ({
+  id: vendorOrder.id,
+  orderId: vendorOrder.order_id,
+  vendorId: vendorOrder.vendor_id,
+  vendor: vendorOrder.vendors || null,
+  status: vendorOrder.status,
+  subtotal: vendorOrder.subtotal,
+  itemCount: vendorOrder.item_count,
+  carrier: vendorOrder.carrier,
+  trackingNumber: vendorOrder.tracking_number,
+  cancellationReason: vendorOrder.cancellation_reason,
+  createdAt: vendorOrder.created_at,
+  updatedAt: vendorOrder.updated_at,
+  shippedAt: vendorOrder.shipped_at,
+  deliveredAt: vendorOrder.delivered_at,
+  cancelledAt: vendorOrder.cancelled_at,
+  items: items.map(toOrderItem)
+});
+
+/**
+ * Map an orders row to the API shape (summary fields only)
+ * @param {object} order - orders row
+ * @returns {object} Order summary
+ */
+const toOrderSummary = (order) => ({
+  id: order.id,
+  orderNumber: order.order_number,
+  status: order.status,
+  currency: order.currency,
+  total: order.total,
+  itemCount: order.item_count,
+  createdAt: order.created_at,
+  updatedAt: order.updated_at
+});
+
+/**
+ * Map an order_status_history row to the API shape
+ * @param {object} entry - order_status_history row
+ * @returns {object} History entry
+ */
+const toHistoryEntry = (entry) => ({
+  status: entry.to_status,
+  previousStatus: entry.from_status,
+  vendorOrderId: entry.vendor_order_id,
+  actor: entry.actor,
+  note: entry.note,
+  createdAt: entry.created_at
+});
+
+/**
+ * Record status changes
+ * @param {Array<object>} entries - { orderId, vendorOrderId, from, to, actor, note }
+ * @returns {Promise<void>}
+ */
+const recordStatusChanges = async (entries) => {
+  const now = new Date().toISOString();
+
+  const { error: insertError } = await supabase
+    .from('order_status_history')
+    .insert(entries.map(entry => ({
+      order_id: entry.orderId,
+      vendor_order_id: entry.vendorOrderId || null,
+      from_status: entry.from || null,
+      to_status: entry.to,
+      actor: entry.actor,
+      note: entry.note || null,
+      created_at: now
+    })));
+
+  if (insertError) {
+    throw insertError;
+  }
+};
+
+/**
+ * Match signed price quotes to the cart lines they were given for
+ * @param {Array<string>} quoteTokens - Quote tokens from priceQuoteService.createQuote
+ * @param {Array} cartItems - cart_items rows
+ * @returns {{quotes: Map<string, object>, invalid: Array}} Valid quotes keyed by cart item ID, and the
+ *   tokens that cannot be honored with their reason (expired, invalid_signature or not_in_cart)
+ */
+const matchQuotes = (quoteTokens, cartItems) => {
+  const quotes = new Map();
+  const invalid = [];
+
+  quoteTokens.forEach((token, index) => {
+    const { valid, reason, quote } = priceQuoteService.verifyQuote(token);
+    if (!valid) {
+      invalid.push({ index, reason });
+      return;
+    }
+
+    const item = cartItems.find(line => line.product_id === quote.productId && line.color === quote.color);
+    if (!item) {
+      invalid.push({ index, productId: quote.productId, color: quote.color, reason: 'not_in_cart' });
+      return;
+    }
+
+    quotes.set(item.id, quote);
+  });
+
+  return { quotes, invalid };
+};
+
+/**
+ * Place an order for everything in the user's cart
+ * Prices and the gold price are snapshotted in the base currency, and the order is split
+ * into one sub-order per vendor. Lines with a valid price quote are charged the quoted
+ * price; the rest are priced at the current gold price. Stock of tracked variants is
+ * reserved until the order is paid or cancelled. The cart is emptied afterwards.
+ * @param {string} userId - User ID
+ * @param {object} details - { shippingAddress, quoteTokens (optional, one per quoted line) }
+ * @returns {Promise<{status: string, order?: object, items?: Array}>} status is created, empty_cart,
+ *   unavailable_items (with the cart lines that can no longer be bought), invalid_quotes (with the
+ *   quotes that cannot be honored) or insufficient_stock (with the lines that need more units than
+ *   are available)
+ */
+const createOrderFromCart = async (userId, { shippingAddress, quoteTokens = [] }) => {
+  const cart = await cartService.findCart({ userId });
+  const cartItems = cart ? await cartService.getCartItems(cart.id) : [];
+
+  if (cartItems.length === 0) {
+    return { status: 'empty_cart' };
+  }
+
+  const unavailable = cartItems.filter(item => !cartService.isLineAvailable(item.products, item.color));
+  if (unavailable.length > 0) {
+    return {
+      status: 'unavailable_items',
+      items: unavailable.map(item => ({ id: item.id, productId: item.product_id, color: item.color }))
+    };
+  }
+
+  // A customer who was shown a price is charged that price, or told it no longer holds
+  const { quotes, invalid } = matchQuotes(quoteTokens, cartItems);
+  if (invalid.length > 0) {
+    return { status: 'invalid_quotes', items: invalid };
+  }
+
+  // Checked again when the stock is reserved, in case another order takes it first
+  const stockLevels = await inventoryService.getStockLevels(cartItems.map(item => item.product_id));
+  const shortages = cartItems
+    .map(item => {
+      const level = stockLevels.find(row => row.product_id === item.product_id && row.color === item.color);
+      const available = level ? inventoryService.toStockLevel(level).available : null;
+      return { productId: item.product_id, color: item.color, requested: item.quantity, available };
+    })
+    .filter(line => line.available !== null && line.available < line.requested);
+
+  if (shortages.length > 0) {
+    return { status: 'insufficient_stock', items: shortages };
+  }
+
+  const goldPrice = goldPriceService.getCurrentPrice();
+  const pricedProducts = await pricingService.priceProducts(cartItems.map(item => item.products));
+
+  const lines = cartItems.map((item, index) => {
+    const product = pricedProducts[index];
+    const quote = quotes.get(item.id);
+    const unitPrice = quote ? quote.price : product.calculatedPrice;
+    return {
+      vendor_id: product.vendor_id,
+      product_id: product.id,
+      product_name: product.name,
+      color: item.color,
+      weight: product.weight,
+      popularity_score: product.popularity_score,
+      quantity: item.quantity,
+      unit_price: unitPrice,
+      line_total: roundAmount(unitPrice * item.quantity),
+      quote_id: quote ? quote.quoteId : null
+    };
+  });
+
+  const linesByVendor = lines.reduce((acc, line) => {
+    (acc[line.vendor_id] = acc[line.vendor_id] || []).push(line);
+    return acc;
+  }, {});
+
+  const sumLines = (vendorLines) => ({
+    total: roundAmount(vendorLines.reduce((sum, line) => sum + line.line_total, 0)),
+    itemCount: vendorLines.reduce((sum, line) => sum + line.quantity, 0)
+  });
+
+  const now = new Date().toISOString();
+  const totals = sumLines(lines);
+
+  const { data: order, error: orderError } = await supabase
+    .from('orders')
+    .insert({
+      order_number: generateOrderNumber(),
+      user_id: userId,
+      status: ORDER_STATUSES.PENDING,
+      currency: BASE_CURRENCY,
+      gold_price: goldPrice,
+      total: totals.total,
+      item_count: totals.itemCount,
+      shipping_address: shippingAddress,
+      created_at: now,
+      updated_at: now
+    })
+    .select('id')
+    .single();
+
+  if (orderError) {
+    throw orderError;
+  }
+
+  const orderLines = [];
+
+  try {
+    for (const [vendorId, vendorLines] of Object.entries(linesByVendor)) {
+      const vendorTotals = sumLines(vendorLines);
+
+      const { data: vendorOrder, error: vendorOrderError } = await supabase
+        .from('vendor_orders')
+        .insert({
+          order_id: order.id,
+          vendor_id: vendorId,
+          status: ORDER_STATUSES.PENDING,
+          subtotal: vendorTotals.total,
+          item_count: vendorTotals.itemCount,
+          created_at: now,
+          updated_at: now
+        })
+        .select('id')
+        .single();
+
+      if (vendorOrderError) {
+        throw vendorOrderError;
+      }
+
+      const items = vendorLines.map(line => ({
+        ...line,
+        order_id: order.id,
+        vendor_order_id: vendorOrder.id
+      }));
+
+      const { error: itemsError } = await supabase
+        .from('order_items')
+        .insert(items);
+
+      if (itemsError) {
+        throw itemsError;
+      }
+
+      orderLines.push(...items);
+    }
+
+    const reservation = await inventoryService.reserveStock(order.id, orderLines);
+    if (reservation.status === 'insufficient_stock') {
+      await supabase.from('orders').delete().eq('id', order.id);
+      return reservation;
+    }
+
+    await recordStatusChanges([{ orderId: order.id, to: ORDER_STATUSES.PENDING, actor: 'customer' }]);
+  } catch (err) {
+    // Sub-orders, items and reservations are removed with the order, after giving back held stock
+    await inventoryService.releaseStock(order.id)
+      .catch(releaseErr => logger.error(`Failed to release stock of order ${order.id}:`, releaseErr));
+    await supabase.from('orders').delete().eq('id', order.id);
+    throw err;
+  }
+
+  await cartService.clearCart({ userId })
+    .catch(err => logger.error(`Failed to clear cart after order ${order.id}:`, err));
+
+  return { status: 'created', order: await getOrder(order.id) };
+};
+
+/**
+ * Get an order with its sub-orders, items and status history
+ * @param {string} orderId - Order ID
+ * @param {string} userId - Only return the order if it belongs to this user (optional)
+ * @returns {Promise<object|null>} Order, or null if not found
+ */
+const getOrder = async (orderId, userId) => {
+  let query = supabase
+    .from('orders')
+    .select(ORDER_COLUMNS)
+    .eq('id', orderId);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data: order, error: orderError } = await query.maybeSingle();
+
+  if (orderError) {
+    throw orderError;
+  }
+
+  if (!order) {
+    return null;
+  }
+
+  const [vendorOrdersResult, itemsResult, historyResult] = await Promise.all([
+    supabase
+      .from('vendor_orders')
+      .select(`${VENDOR_ORDER_COLUMNS}, vendors (id, name:business_name)`)
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true }),
+    supabase
+      .from('order_items')
+      .select(ORDER_ITEM_COLUMNS)
+      .eq('order_id', orderId),
+    supabase
+      .from('order_status_history')
+      .select('id, vendor_order_id, from_status, to_status, actor, note, created_at')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true })
+  ]);
+
+  const failed = [vendorOrdersResult, itemsResult, historyResult].find(result => result.error);
+  if (failed) {
+    throw failed.error;
+  }
+
+  const items = itemsResult.data || [];
+
+  return {
+    ...toOrderSummary(order),
+    goldPrice: order.gold_price,
+    shippingAddress: order.shipping_address,
+    cancellationReason: order.cancellation_reason,
+    paidAt: order.paid_at,
+    cancelledAt: order.cancelled_at,
+    vendorOrders: (vendorOrdersResult.data || []).map(vendorOrder => toVendorOrder(
+      vendorOrder,
+      items.filter(item => item.vendor_order_id === vendorOrder.id)
+    )),
+    history: (historyResult.data || []).map(toHistoryEntry)
+  };
+};
+
+/**
+ * Get a page of a user's orders, newest first
+ * @param {string} userId - User ID
+ * @param {object} options - { page, limit, status }
+ * @returns {Promise<{orders: Array, total: number}>} Order summaries and total count
+ */
+const listOrders = async (userId, { page = 1, limit = 10, status } = {}) => {
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('orders')
+    .select(ORDER_COLUMNS, { count: 'exact' })
+    .eq('user_id', userId);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data: orders, error: fetchError, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return {
+    orders: (orders || []).map(toOrderSummary),
+    total: count || 0
+  };
+};
+
+/**
+ * Move an order and its open sub-orders to a new status
+ * The update only applies if the order is still in the status it was read in,
+ * so concurrent changes cannot both succeed. Paying sells the reserved stock and
+ * cancelling puts the stock of the cancelled sub-orders back.
+ * @param {string} orderId - Order ID
+ * @param {string} toStatus - New status
+ * @param {object} options - { actor, note, userId (only change this user's order), changes (extra order columns) }
+ * @returns {Promise<{status: string, order?: object, currentStatus?: string}>} status is updated, not_found
+ *   or invalid_transition
+ */
+const transitionOrder = async (orderId, toStatus, { actor, note, userId, changes = {} }) => {
+  let query = supabase
+    .from('orders')
+    .select('id, status')
+    .eq('id', orderId);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data: order, error: fetchError } = await query.maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!order) {
+    return { status: 'not_found' };
+  }
+
+  if (!canTransition(order.status, toStatus)) {
+    return { status: 'invalid_transition', currentStatus: order.status };
+  }
+
+  const now = new Date().toISOString();
+  const timestampColumn = STATUS_TIMESTAMPS[toStatus];
+
+  const { data: updated, error: updateError } = await supabase
+    .from('orders')
+    .update({
+      ...changes,
+      status: toStatus,
+      updated_at: now,
+      ...(timestampColumn && { [timestampColumn]: now })
+    })
+    .eq('id', orderId)
+    .eq('status', order.status)
+    .select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (!updated || updated.length === 0) {
+    return { status: 'invalid_transition', currentStatus: order.status };
+  }
+
+  // Sub-orders follow where they can (e.g. ones a vendor already shipped are left alone)
+  const { data: vendorOrders, error: vendorFetchError } = await supabase
+    .from('vendor_orders')
+    .select('id, status')
+    .eq('order_id', orderId);
+
+  if (vendorFetchError) {
+    throw vendorFetchError;
+  }
+
+  const movable = (vendorOrders || []).filter(vendorOrder => canTransition(vendorOrder.status, toStatus));
+
+  for (const vendorOrder of movable) {
+    const { error: vendorUpdateError } = await supabase
+      .from('vendor_orders')
+      .update({
+        status: toStatus,
+        updated_at: now,
+        ...(toStatus === ORDER_STATUSES.CANCELLED && {
+          cancelled_at: now,
+          cancellation_reason: changes.cancellation_reason || null
+        })
+      })
+      .eq('id', vendorOrder.id)
+      .eq('status', vendorOrder.status);
+
+    if (vendorUpdateError) {
+      throw vendorUpdateError;
+    }
+  }
+
+  await recordStatusChanges([
+    { orderId, from: order.status, to: toStatus, actor, note },
+    ...movable.map(vendorOrder => ({ orderId, vendorOrderId: vendorOrder.id, from: vendorOrder.status, to: toStatus, actor, note }))
+  ]);
+
+  if (toStatus === ORDER_STATUSES.PAID) {
+    await inventoryService.commitStock(orderId);
+  } else if (toStatus === ORDER_STATUSES.CANCELLED && movable.length > 0) {
+    await inventoryService.releaseStock(orderId, movable.map(vendorOrder => vendorOrder.id));
+  }
+
+  return { status: 'updated', order: await getOrder(orderId) };
+};
+
+/**
+ * Cancel a user's order before it is paid
+ * @param {string} userId - User ID
+ * @param {string} orderId - Order ID
+ * @param {string} reason - Cancellation reason (optional)
+ * @returns {Promise<{status: string, order?: object, currentStatus?: string}>} See transitionOrder
+ */
+const cancelOrder = async (userId, orderId, reason) => {
+  const { data: order, error: fetchError } = await supabase
+    .from('orders')
+    .select('id, status')
+    .eq('id', orderId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!order) {
+    return { status: 'not_found' };
+  }
+
+  // Customers can only withdraw unpaid orders; later cancellations go through the vendor
+  if (order.status !== ORDER_STATUSES.PENDING) {
+    return { status: 'invalid_transition', currentStatus: order.status };
+  }
+
+  return transitionOrder(orderId, ORDER_STATUSES.CANCELLED, {
+    actor: 'customer',
+    note: reason,
+    userId,
+    changes: { cancellation_reason: reason || null }
+  });
+};
+
+module.exports = {
+  ORDER_COLUMNS,
+  VENDOR_ORDER_COLUMNS,
+  ORDER_ITEM_COLUMNS,
+  roundAmount,
+  toOrderItem,
+  toVendorOrder,
+  toOrderSummary,
+  toHistoryEntry,
+  recordStatusChanges,
+  createOrderFromCart,
+  getOrder,
+  listOrders,
+  transitionOrder,
+  cancelOrder
+};
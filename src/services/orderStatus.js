@@ -0,0 +1,70 @@
+/**
+ * Order status state machine, shared by orders and their per-vendor sub-orders
+ */
+
+const ORDER_STATUSES = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  PROCESSING: 'processing',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded'
+};
+
+// Allowed next statuses for each status
+const TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+// Fulfilment progress of the open statuses, earliest first
+const PROGRESSION = ['pending', 'paid', 'processing', 'shipped', 'delivered'];
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if allowed
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Check whether a status is final
+ * @param {string} status - Status
+ * @returns {boolean} True if no further changes are possible
+ */
+const isFinal = (status) => (TRANSITIONS[status] || []).length === 0;
+
+/**
+ * Derive an order's status from the statuses of its vendor sub-orders
+ * The order is as far along as its least advanced open sub-order. Once every sub-order is
+ * cancelled or refunded, the order is refunded if any was refunded, otherwise cancelled.
+ * @param {Array<string>} statuses - Sub-order statuses
+ * @returns {string|null} Order status, or null without sub-orders
+ */
+const deriveOrderStatus = (statuses) => {
+  if (statuses.length === 0) {
+    return null;
+  }
+
+  const open = statuses.filter(status => PROGRESSION.includes(status));
+  if (open.length === 0) {
+    return statuses.includes(ORDER_STATUSES.REFUNDED) ? ORDER_STATUSES.REFUNDED : ORDER_STATUSES.CANCELLED;
+  }
+
+  return PROGRESSION[Math.min(...open.map(status => PROGRESSION.indexOf(status)))];
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  isFinal,
+  deriveOrderStatus
+};
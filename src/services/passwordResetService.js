@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const mailService = require('./mail');
+const logger = require('../utils/logger');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+/**
+ * Hash a reset token for storage and lookup (only the hash is persisted)
+ * @param {string} token - Raw reset token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Build the vendor panel link that carries a reset token
+ * @param {string} token - Raw reset token
+ * @returns {string} Reset URL
+ */
+const buildResetUrl = (token) => {
+  const baseUrl = (process.env.VENDOR_PANEL_URL || 'http://localhost:3001').replace(/\/$/, '');
+  return `${baseUrl}/reset-password?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Create a reset token for a vendor, replacing any outstanding one
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<{token: string, expiresAt: string}>} Raw token and its expiry
+ */
+const createResetToken = async (vendorId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString();
+
+  // Only the latest link works
+  const { error: deleteError } = await supabase
+    .from('vendor_password_resets')
+    .delete()
+    .eq('vendor_id', vendorId)
+    .is('used_at', null);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  const { error: insertError } = await supabase
+    .from('vendor_password_resets')
+    .insert({
+      vendor_id: vendorId,
+      token_hash: hashToken(token),
+      expires_at: expiresAt
+    });
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  return { token, expiresAt };
+};
+
+/**
+ * Verify a reset token and mark it used
+ * @param {string} token - Raw reset token
+ * @returns {Promise<{valid: boolean, reason?: string, vendorId?: string}>} Verification result
+ */
+const consumeResetToken = async (token) => {
+  const { data: reset, error: fetchError } = await supabase
+    .from('vendor_password_resets')
+    .select('id, vendor_id, expires_at, used_at')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!reset) {
+    return { valid: false, reason: 'Reset token is invalid' };
+  }
+
+  if (reset.used_at) {
+    return { valid: false, reason: 'Reset token has already been used' };
+  }
+
+  if (new Date(reset.expires_at).getTime() <= Date.now()) {
+    return { valid: false, reason: 'Reset token has expired' };
+  }
+
+  // Conditional update so concurrent requests cannot both use the token
+  const { data: consumed, error: updateError } = await supabase
+    .from('vendor_password_resets')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', reset.id)
+    .is('used_at', null)
+    .select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (!consumed || consumed.length === 0) {
+    return { valid: false, reason: 'Reset token has already been used' };
+  }
+
+  return { valid: true, vendorId: reset.vendor_id };
+};
+
+/**
+ * Escape text for use in an HTML email
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+/**
+ * Email a password reset link to a vendor
+ * @param {object} vendor - Vendor row (email, contact_person_name)
+ * @param {string} token - Raw reset token
+ * @returns {Promise<void>}
+ */
+const sendResetEmail = async (vendor, token) => {
+  const resetUrl = buildResetUrl(token);
+  const greeting = vendor.contact_person_name ? `Hello ${vendor.contact_person_name},` : 'Hello,';
+
+  await mailService.sendMail({
+    to: vendor.email,
+    subject: 'Reset your RENART vendor password',
+    text: [
+      greeting,
+      '',
+      'We received a request to reset the password of your RENART vendor account.',
+      `Use the link below within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new password:`,
+      '',
+      resetUrl,
+      '',
+      'If you did not request this, you can ignore this email.'
+    ].join('\n'),
+    html: `<p>${escapeHtml(greeting)}</p>
+<p>We received a request to reset the password of your RENART vendor account.</p>
+<p><a href="${resetUrl}">Choose a new password</a> (valid for ${RESET_TOKEN_TTL_MINUTES} minutes).</p>
+<p>If you did not request this, you can ignore this email.</p>`
+  });
+
+  logger.info(`Password reset email sent to vendor: ${vendor.email}`);
+};
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  hashToken,
+  buildResetUrl,
+  createResetToken,
+  consumeResetToken,
+  sendResetEmail
+};
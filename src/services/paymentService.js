@@ -0,0 +1,483 @@
+const { supabase } = require('../config/supabase');
+const { getGateway } = require('./payments');
+const orderService = require('./orderService');
+const { ORDER_STATUSES } = require('./orderStatus');
+const logger = require('../utils/logger');
+
+const PAYMENT_COLUMNS = 'id, order_id, gateway, intent_id, client_secret, status, amount, currency, refunded_amount, failure_reason, created_at, updated_at, captured_at, refunded_at';
+
+const PAYMENT_STATUSES = {
+  PENDING: 'pending',
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  FAILED: 'failed',
+  REFUNDED: 'refunded'
+};
+
+// Postgres error code for unique constraint violations
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Map a payments row to the API shape (never includes the client secret)
+ * @param {object} payment - payments row
+ * @returns {object} Payment
+ */
+const toPayment = (payment) => ({
+  id: payment.id,
+  orderId: payment.order_id,
+  gateway: payment.gateway,
+  status: payment.status,
+  amount: payment.amount,
+  currency: payment.currency,
+  refundedAmount: payment.refunded_amount,
+  failureReason: payment.failure_reason,
+  createdAt: payment.created_at,
+  updatedAt: payment.updated_at,
+  capturedAt: payment.captured_at,
+  refundedAt: payment.refunded_at
+});
+
+/**
+ * Find a payment by a column
+ * @param {string} column - payments column, e.g. order_id
+ * @param {string} value - Column value
+ * @returns {Promise<object|null>} payments row
+ */
+const findPayment = async (column, value) => {
+  const { data: payment, error: fetchError } = await supabase
+    .from('payments')
+    .select(PAYMENT_COLUMNS)
+    .eq(column, value)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return payment;
+};
+
+/**
+ * Find one of a user's orders
+ * @param {string} userId - User ID
+ * @param {string} orderId - Order ID
+ * @returns {Promise<object|null>} orders row
+ */
+const findUserOrder = async (userId, orderId) => {
+  const { data: order, error: fetchError } = await supabase
+    .from('orders')
+    .select('id, order_number, status, total, currency')
+    .eq('id', orderId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return order;
+};
+
+/**
+ * Change a payment only if it is still in one of the given statuses
+ * @param {string} paymentId - Payment ID
+ * @param {Array<string>} fromStatuses - Statuses the payment may be in
+ * @param {object} changes - payments columns
+ * @returns {Promise<boolean>} True if the payment was changed
+ */
+const updatePaymentFrom = async (paymentId, fromStatuses, changes) => {
+  const { data: updated, error: updateError } = await supabase
+    .from('payments')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', paymentId)
+    .in('status', fromStatuses)
+    .select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return Boolean(updated && updated.length > 0);
+};
+
+/**
+ * Record that a payment was captured and mark its order paid
+ * Safe to call more than once: only the first call changes anything.
+ * @param {object} payment - payments row
+ * @returns {Promise<boolean>} True if this call recorded the capture
+ */
+const markCaptured = async (payment) => {
+  const captured = await updatePaymentFrom(
+    payment.id,
+    [PAYMENT_STATUSES.PENDING, PAYMENT_STATUSES.AUTHORIZED, PAYMENT_STATUSES.FAILED],
+    { status: PAYMENT_STATUSES.CAPTURED, failure_reason: null, captured_at: new Date().toISOString() }
+  );
+
+  if (captured) {
+    const result = await orderService.transitionOrder(payment.order_id, ORDER_STATUSES.PAID, {
+      actor: 'system',
+      note: `Payment ${payment.intent_id} captured`
+    });
+
+    // E.g. the customer cancelled while the payment was in flight; the payment needs a refund
+    if (result.status !== 'updated') {
+      logger.warn(`Payment ${payment.id} captured but order ${payment.order_id} could not be marked paid (${result.currentStatus || result.status})`);
+    }
+  }
+
+  return captured;
+};
+
+/**
+ * Start paying for a pending order
+ * An order has one payment; asking again returns the same one.
+ * @param {string} userId - User ID
+ * @param {string} orderId - Order ID
+ * @returns {Promise<{status: string, payment?: object, clientSecret?: string, currentStatus?: string}>}
+ *   status is created, not_found or invalid_status
+ */
+const createPaymentIntent = async (userId, orderId) => {
+  const order = await findUserOrder(userId, orderId);
+  if (!order) {
+    return { status: 'not_found' };
+  }
+
+  if (order.status !== ORDER_STATUSES.PENDING) {
+    return { status: 'invalid_status', currentStatus: order.status };
+  }
+
+  const existing = await findPayment('order_id', orderId);
+  if (existing) {
+    return { status: 'created', payment: toPayment(existing), clientSecret: existing.client_secret };
+  }
+
+  const gateway = getGateway();
+  const intent = await gateway.createIntent({
+    amount: order.total,
+    currency: order.currency,
+    reference: order.order_number,
+    idempotencyKey: `order-${order.id}`
+  });
+
+  const now = new Date().toISOString();
+  const { data: payment, error: insertError } = await supabase
+    .from('payments')
+    .insert({
+      order_id: order.id,
+      gateway: gateway.name,
+      intent_id: intent.id,
+      client_secret: intent.clientSecret,
+      status: PAYMENT_STATUSES.PENDING,
+      amount: intent.amount,
+      currency: intent.currency,
+      refunded_amount: 0,
+      created_at: now,
+      updated_at: now
+    })
+    .select(PAYMENT_COLUMNS)
+    .single();
+
+  // A concurrent request created it first; the idempotency key gave both the same intent
+  if (insertError && insertError.code === UNIQUE_VIOLATION) {
+    const created = await findPayment('order_id', orderId);
+    return { status: 'created', payment: toPayment(created), clientSecret: created.client_secret };
+  }
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  return { status: 'created', payment: toPayment(payment), clientSecret: payment.client_secret };
+};
+
+/**
+ * Get the payment of one of a user's orders
+ * @param {string} userId - User ID
+ * @param {string} orderId - Order ID
+ * @returns {Promise<object|null>} Payment, or null if the order or payment does not exist
+ */
+const getPayment = async (userId, orderId) => {
+  const order = await findUserOrder(userId, orderId);
+  const payment = order ? await findPayment('order_id', orderId) : null;
+
+  return payment ? toPayment(payment) : null;
+};
+
+/**
+ * Capture an authorized payment and mark its order paid
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<{status: string, payment?: object, currentStatus?: string}>} status is captured,
+ *   not_found or invalid_status
+ */
+const capturePayment = async (paymentId) => {
+  const payment = await findPayment('id', paymentId);
+  if (!payment) {
+    return { status: 'not_found' };
+  }
+
+  if (payment.status === PAYMENT_STATUSES.CAPTURED) {
+    return { status: 'captured', payment: toPayment(payment) };
+  }
+
+  if (payment.status !== PAYMENT_STATUSES.AUTHORIZED) {
+    return { status: 'invalid_status', currentStatus: payment.status };
+  }
+
+  // The idempotency key makes a retried capture return the first result instead of capturing twice
+  await getGateway().captureIntent(payment.intent_id, { idempotencyKey: `capture-${payment.intent_id}` });
+  await markCaptured(payment);
+
+  return { status: 'captured', payment: toPayment(await findPayment('id', paymentId)) };
+};
+
+/**
+ * Pay for an order: authorize the payment method, then capture
+ * @param {string} userId - User ID
+ * @param {string} orderId - Order ID
+ * @param {object} details - { paymentMethod }
+ * @returns {Promise<{status: string, payment?: object, currentStatus?: string}>} status is captured, failed,
+ *   not_found, no_payment or invalid_status
+ */
+const confirmPayment = async (userId, orderId, { paymentMethod }) => {
+  const order = await findUserOrder(userId, orderId);
+  if (!order) {
+    return { status: 'not_found' };
+  }
+
+  const payment = await findPayment('order_id', orderId);
+  if (!payment) {
+    return { status: 'no_payment' };
+  }
+
+  if (payment.status === PAYMENT_STATUSES.AUTHORIZED) {
+    return capturePayment(payment.id);
+  }
+
+  if (payment.status === PAYMENT_STATUSES.CAPTURED) {
+    return { status: 'invalid_status', currentStatus: payment.status };
+  }
+
+  if (order.status !== ORDER_STATUSES.PENDING) {
+    return { status: 'invalid_status', currentStatus: order.status };
+  }
+
+  const intent = await getGateway().confirmIntent(payment.intent_id, { paymentMethod });
+
+  if (intent.status === 'failed') {
+    await updatePaymentFrom(payment.id, [PAYMENT_STATUSES.PENDING, PAYMENT_STATUSES.FAILED], {
+      status: PAYMENT_STATUSES.FAILED,
+      failure_reason: intent.failureReason || 'payment_failed'
+    });
+    return { status: 'failed', payment: toPayment(await findPayment('id', payment.id)) };
+  }
+
+  await updatePaymentFrom(payment.id, [PAYMENT_STATUSES.PENDING, PAYMENT_STATUSES.FAILED], {
+    status: PAYMENT_STATUSES.AUTHORIZED,
+    failure_reason: null
+  });
+
+  return capturePayment(payment.id);
+};
+
+/**
+ * Refund part or all of an order's payment
+ * A full refund moves the order to refunded.
+ * @param {string} orderId - Order ID
+ * @param {object} details - { amount (defaults to what is left), reason, actor }
+ * @returns {Promise<{status: string, payment?: object, remaining?: number, currentStatus?: string}>}
+ *   status is refunded, not_found, invalid_status or amount_exceeds
+ */
+const refundPayment = async (orderId, { amount, reason, actor = 'admin' }) => {
+  const payment = await findPayment('order_id', orderId);
+  if (!payment) {
+    return { status: 'not_found' };
+  }
+
+  if (payment.status !== PAYMENT_STATUSES.CAPTURED) {
+    return { status: 'invalid_status', currentStatus: payment.status };
+  }
+
+  const remaining = orderService.roundAmount(payment.amount - payment.refunded_amount);
+  const refundAmount = amount === undefined ? remaining : amount;
+
+  if (refundAmount > remaining) {
+    return { status: 'amount_exceeds', remaining };
+  }
+
+  const refundedAmount = orderService.roundAmount(payment.refunded_amount + refundAmount);
+  const fullRefund = refundedAmount >= payment.amount;
+  const now = new Date().toISOString();
+
+  // Claim the refund first, so two concurrent refunds cannot both pass the amount check
+  const { data: claimed, error: claimError } = await supabase
+    .from('payments')
+    .update({
+      refunded_amount: refundedAmount,
+      status: fullRefund ? PAYMENT_STATUSES.REFUNDED : PAYMENT_STATUSES.CAPTURED,
+      refunded_at: now,
+      updated_at: now
+    })
+    .eq('id', payment.id)
+    .eq('status', PAYMENT_STATUSES.CAPTURED)
+    .eq('refunded_amount', payment.refunded_amount)
+    .select('id');
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  if (!claimed || claimed.length === 0) {
+    return { status: 'invalid_status', currentStatus: payment.status };
+  }
+
+  try {
+    await getGateway().refund(payment.intent_id, {
+      amount: refundAmount,
+      idempotencyKey: `refund-${payment.intent_id}-${refundedAmount}`
+    });
+  } catch (err) {
+    await supabase
+      .from('payments')
+      .update({
+        refunded_amount: payment.refunded_amount,
+        status: payment.status,
+        refunded_at: payment.refunded_at,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', payment.id);
+    throw err;
+  }
+
+  if (fullRefund) {
+    await orderService.transitionOrder(orderId, ORDER_STATUSES.REFUNDED, { actor, note: reason });
+  }
+
+  return { status: 'refunded', payment: toPayment(await findPayment('id', payment.id)) };
+};
+
+/**
+ * Apply a verified gateway event to its payment
+ * @param {string} gatewayName - Gateway name
+ * @param {object} event - { type, intentId, amount }
+ * @returns {Promise<boolean>} True if the event belongs to a payment and its type is handled
+ */
+const applyWebhookEvent = async (gatewayName, event) => {
+  const { data: payment, error: fetchError } = await supabase
+    .from('payments')
+    .select(PAYMENT_COLUMNS)
+    .eq('gateway', gatewayName)
+    .eq('intent_id', event.intentId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!payment) {
+    return false;
+  }
+
+  switch (event.type) {
+    case 'payment.authorized':
+      await updatePaymentFrom(payment.id, [PAYMENT_STATUSES.PENDING, PAYMENT_STATUSES.FAILED], {
+        status: PAYMENT_STATUSES.AUTHORIZED,
+        failure_reason: null
+      });
+      return true;
+
+    case 'payment.captured':
+      // Only records the capture; webhooks never ask the gateway to capture
+      await markCaptured(payment);
+      return true;
+
+    case 'payment.failed':
+      await updatePaymentFrom(payment.id, [PAYMENT_STATUSES.PENDING, PAYMENT_STATUSES.AUTHORIZED], {
+        status: PAYMENT_STATUSES.FAILED,
+        failure_reason: 'payment_failed'
+      });
+      return true;
+
+    case 'payment.refunded': {
+      // amount is the total refunded so far; refunds made through refundPayment are already recorded
+      const refundedAmount = orderService.roundAmount(event.amount === undefined ? payment.amount : event.amount);
+      if (refundedAmount <= payment.refunded_amount) {
+        return true;
+      }
+
+      const fullRefund = refundedAmount >= payment.amount;
+      const now = new Date().toISOString();
+      const refunded = await updatePaymentFrom(payment.id, [PAYMENT_STATUSES.CAPTURED], {
+        refunded_amount: refundedAmount,
+        status: fullRefund ? PAYMENT_STATUSES.REFUNDED : PAYMENT_STATUSES.CAPTURED,
+        refunded_at: now
+      });
+
+      if (refunded && fullRefund) {
+        await orderService.transitionOrder(payment.order_id, ORDER_STATUSES.REFUNDED, {
+          actor: 'system',
+          note: `Payment ${payment.intent_id} refunded`
+        });
+      }
+      return true;
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Handle a webhook from the payment gateway
+ * Each event is processed once: its ID is recorded first, and replays are skipped.
+ * If processing fails the record is removed again, so the gateway's retry is processed.
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {object} headers - Request headers
+ * @returns {Promise<{status: string}>} status is processed, ignored, duplicate or invalid_signature
+ */
+const handleWebhook = async (rawBody, headers) => {
+  const gateway = getGateway();
+  const event = gateway.verifyWebhook(rawBody, headers);
+
+  if (!event || !event.id) {
+    return { status: 'invalid_signature' };
+  }
+
+  const { data: recorded, error: insertError } = await supabase
+    .from('payment_events')
+    .insert({
+      gateway: gateway.name,
+      event_id: event.id,
+      type: event.type,
+      intent_id: event.intentId || null,
+      received_at: new Date().toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (insertError && insertError.code === UNIQUE_VIOLATION) {
+    return { status: 'duplicate' };
+  }
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  try {
+    const handled = await applyWebhookEvent(gateway.name, event);
+    return { status: handled ? 'processed' : 'ignored' };
+  } catch (err) {
+    await supabase.from('payment_events').delete().eq('id', recorded.id);
+    throw err;
+  }
+};
+
+module.exports = {
+  PAYMENT_STATUSES,
+  toPayment,
+  createPaymentIntent,
+  getPayment,
+  capturePayment,
+  confirmPayment,
+  refundPayment,
+  handleWebhook
+};
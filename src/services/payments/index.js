@@ -0,0 +1,62 @@
+const logger = require('../../utils/logger');
+const mockGateway = require('./mockGateway');
+
+// Registered payment gateways, keyed by name
+const registry = new Map();
+let activeGateway = null;
+
+/**
+ * Register a payment gateway
+ * A gateway's fromEnv(env) returns an object with createIntent, confirmIntent, captureIntent,
+ * refund and verifyWebhook (see mockGateway for the contract).
+ * @param {object} gateway - Gateway with a name and a fromEnv(env) factory
+ */
+const registerGateway = (gateway) => {
+  if (!gateway || !gateway.name || typeof gateway.fromEnv !== 'function') {
+    throw new Error('Payment gateway requires a name and a fromEnv function');
+  }
+
+  registry.set(gateway.name, gateway);
+};
+
+/**
+ * Get the name of the configured payment gateway
+ * PAYMENT_GATEWAY selects a gateway; the mock gateway is only the default outside production.
+ * @param {object} env - Environment variables
+ * @returns {string|null} Gateway name
+ */
+const getGatewayName = (env = process.env) => {
+  return env.PAYMENT_GATEWAY || (env.NODE_ENV === 'production' ? null : 'mock');
+};
+
+/**
+ * Get the configured payment gateway
+ * @returns {object} Gateway
+ */
+const getGateway = () => {
+  if (!activeGateway) {
+    const name = getGatewayName();
+    if (!name) {
+      throw new Error('PAYMENT_GATEWAY is not configured');
+    }
+
+    const gateway = registry.get(name);
+    if (!gateway) {
+      throw new Error(`Unknown payment gateway: ${name}`);
+    }
+
+    activeGateway = gateway.fromEnv(process.env);
+    logger.info(`Payment gateway initialized: ${name}`);
+  }
+
+  return activeGateway;
+};
+
+// Built-in gateways
+registerGateway(mockGateway);
+
+module.exports = {
+  registerGateway,
+  getGatewayName,
+  getGateway
+};
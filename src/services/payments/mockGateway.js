@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+
+// Test payment method that is always declined
+const DECLINED_PAYMENT_METHOD = 'pm_card_declined';
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Mock payment gateway for tests and local development
+ * Intents live in memory, so they are lost on restart. Any payment method succeeds
+ * except pm_card_declined. Webhooks are signed like vendor webhooks:
+ * X-Mock-Signature: t=<unix seconds>,v1=<HMAC-SHA256 of "<t>.<body>">.
+ * @param {object} config - Gateway configuration
+ * @param {string} config.webhookSecret - Secret webhooks are signed with
+ * @param {number} config.toleranceSeconds - Maximum age of a webhook signature
+ * @returns {object} Gateway
+ */
+const create = ({ webhookSecret, toleranceSeconds = 300 }) => {
+  const intents = new Map();
+  // Results of calls made with an idempotency key, so retries return the first result
+  const idempotentResults = new Map();
+
+  const once = (key, operation) => {
+    if (key && idempotentResults.has(key)) {
+      return idempotentResults.get(key);
+    }
+
+    const result = operation();
+    if (key) {
+      idempotentResults.set(key, result);
+    }
+    return result;
+  };
+
+  const getIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) {
+      throw new Error(`No such payment intent: ${intentId}`);
+    }
+    return intent;
+  };
+
+  const sign = (timestamp, body) => crypto.createHmac('sha256', webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+
+  return {
+    name: 'mock',
+
+    /**
+     * Create a payment intent
+     * @param {object} params - { amount, currency, reference, idempotencyKey }
+     * @returns {Promise<object>} Intent { id, status, amount, currency, clientSecret }
+     */
+    async createIntent({ amount, currency, reference, idempotencyKey }) {
+      return once(idempotencyKey, () => {
+        const id = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+        const intent = {
+          id,
+          status: 'pending',
+          amount: roundAmount(amount),
+          currency,
+          reference,
+          refundedAmount: 0,
+          clientSecret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+          failureReason: null
+        };
+        intents.set(id, intent);
+        return { ...intent };
+      });
+    },
+
+    /**
+     * Authorize an intent with a payment method
+     * @param {string} intentId - Intent ID
+     * @param {object} params - { paymentMethod }
+     * @returns {Promise<object>} Intent, status authorized or failed
+     */
+    async confirmIntent(intentId, { paymentMethod }) {
+      const intent = getIntent(intentId);
+
+      if (intent.status === 'pending' || intent.status === 'failed') {
+        const declined = paymentMethod === DECLINED_PAYMENT_METHOD;
+        intent.status = declined ? 'failed' : 'authorized';
+        intent.failureReason = declined ? 'card_declined' : null;
+      }
+
+      return { ...intent };
+    },
+
+    /**
+     * Capture an authorized intent; capturing it again returns it unchanged
+     * @param {string} intentId - Intent ID
+     * @param {object} params - { idempotencyKey }
+     * @returns {Promise<object>} Intent, status captured
+     */
+    async captureIntent(intentId, { idempotencyKey } = {}) {
+      return once(idempotencyKey, () => {
+        const intent = getIntent(intentId);
+
+        if (intent.status === 'authorized') {
+          intent.status = 'captured';
+        } else if (intent.status !== 'captured') {
+          throw new Error(`Payment intent ${intentId} cannot be captured while ${intent.status}`);
+        }
+
+        return { ...intent };
+      });
+    },
+
+    /**
+     * Refund part or all of a captured intent
+     * @param {string} intentId - Intent ID
+     * @param {object} params - { amount, idempotencyKey }
+     * @returns {Promise<object>} Refund { id, amount, status }
+     */
+    async refund(intentId, { amount, idempotencyKey }) {
+      return once(idempotencyKey, () => {
+        const intent = getIntent(intentId);
+        const remaining = roundAmount(intent.amount - intent.refundedAmount);
+
+        if (!['captured', 'refunded'].includes(intent.status) || amount > remaining) {
+          throw new Error(`Cannot refund ${amount} of payment intent ${intentId}`);
+        }
+
+        intent.refundedAmount = roundAmount(intent.refundedAmount + amount);
+        if (intent.refundedAmount >= intent.amount) {
+          intent.status = 'refunded';
+        }
+
+        return { id: `mock_re_${crypto.randomBytes(12).toString('hex')}`, amount, status: 'succeeded' };
+      });
+    },
+
+    /**
+     * Verify a webhook and return its event
+     * @param {Buffer|string} rawBody - Request body exactly as received
+     * @param {object} headers - Request headers (lower-case names)
+     * @returns {object|null} Event { id, type, intentId, amount }, or null if the signature is invalid or too old
+     */
+    verifyWebhook(rawBody, headers) {
+      const header = headers[SIGNATURE_HEADER] || '';
+      const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+      const timestamp = parseInt(parts.t);
+
+      if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+        return null;
+      }
+
+      const expected = Buffer.from(sign(timestamp, rawBody.toString()));
+      const received = Buffer.from(parts.v1);
+
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+      }
+
+      try {
+        const event = JSON.parse(rawBody.toString());
+        return { id: event.id, type: event.type, intentId: event.data.intentId, amount: event.data.amount };
+      } catch (err) {
+        return null;
+      }
+    },
+
+    /**
+     * Build a signed webhook request, e.g. to simulate the gateway locally
+     * @param {string} type - Event type (payment.authorized, payment.captured, payment.failed, payment.refunded)
+     * @param {string} intentId - Intent ID
+     * @param {object} options - { id (event ID), amount }
+     * @returns {{body: string, headers: object}} Request body and headers
+     */
+    createWebhookEvent(type, intentId, { id, amount } = {}) {
+      const body = JSON.stringify({
+        id: id || `mock_evt_${crypto.randomBytes(12).toString('hex')}`,
+        type,
+        data: { intentId, amount }
+      });
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      return { body, headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(timestamp, body)}` } };
+    }
+  };
+};
+
+/**
+ * Build the gateway from environment variables
+ * The default webhook secret is public, so production needs PAYMENT_WEBHOOK_SECRET set.
+ * @param {object} env - Environment variables
+ * @returns {object} Gateway
+ */
+const fromEnv = (env) => {
+  if (!env.PAYMENT_WEBHOOK_SECRET && env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not configured');
+  }
+
+  return create({
+    webhookSecret: env.PAYMENT_WEBHOOK_SECRET || 'mock_webhook_secret',
+    toleranceSeconds: parseInt(env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300
+  });
+};
+
+module.exports = {
+  name: 'mock',
+  DECLINED_PAYMENT_METHOD,
+  create,
+  fromEnv
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const goldPriceService = require('./goldPriceService');
+const pricingService = require('./pricingService');
+
+const QUOTE_TOKEN_TYPE = 'price_quote';
+
+/**
+ * Get the secret used to sign price quotes
+ * @returns {string} Signing secret
+ */
+const getQuoteSecret = () => process.env.PRICE_QUOTE_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Get the quote lifetime in seconds
+ * @returns {number} Lifetime in seconds (15 minutes by default)
+ */
+const getQuoteTtl = () => parseInt(process.env.PRICE_QUOTE_TTL_SECONDS) || 15 * 60;
+
+/**
+ * Create a signed price quote for a product color
+ * The quote locks the calculated price and the gold price snapshot it was based on.
+ * @param {object} product - Product row (id, vendor_id, popularity_score, weight)
+ * @param {string} color - Product color
+ * @returns {Promise<object>} Quote details and signed token
+ */
+const createQuote = async (product, color) => {
+  const quoteId = crypto.randomUUID();
+  const goldPrice = goldPriceService.getCurrentPrice();
+  const goldPriceUpdatedAt = goldPriceService.getLastUpdateTime();
+  const price = await pricingService.priceProduct(product);
+  const ttl = getQuoteTtl();
+
+  const payload = {
+    type: QUOTE_TOKEN_TYPE,
+    productId: product.id,
+    color,
+    price,
+    currency: 'USD',
+    goldPrice,
+    goldPriceUpdatedAt: goldPriceUpdatedAt ? goldPriceUpdatedAt.toISOString() : null
+  };
+
+  const token = jwt.sign(payload, getQuoteSecret(), {
+    expiresIn: ttl,
+    jwtid: quoteId
+  });
+
+  const { exp, iat } = jwt.decode(token);
+
+  return {
+    quoteId,
+    token,
+    productId: payload.productId,
+    color,
+    price,
+    currency: payload.currency,
+    goldPrice,
+    goldPriceUpdatedAt: payload.goldPriceUpdatedAt,
+    issuedAt: new Date(iat * 1000).toISOString(),
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+};
+
+/**
+ * Verify a signed price quote
+ * @param {string} token - Quote token
+ * @param {object} expected - Optional productId/color the quote must match
+ * @returns {object} { valid, reason, quote }
+ */
+const verifyQuote = (token, expected = {}) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, getQuoteSecret());
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return { valid: false, reason: 'expired', quote: null };
+    }
+    return { valid: false, reason: 'invalid_signature', quote: null };
+  }
+
+  if (decoded.type !== QUOTE_TOKEN_TYPE) {
+    return { valid: false, reason: 'invalid_signature', quote: null };
+  }
+
+  const quote = {
+    quoteId: decoded.jti,
+    productId: decoded.productId,
+    color: decoded.color,
+    price: decoded.price,
+    currency: decoded.currency,
+    goldPrice: decoded.goldPrice,
+    goldPriceUpdatedAt: decoded.goldPriceUpdatedAt,
+    issuedAt: new Date(decoded.iat * 1000).toISOString(),
+    expiresAt: new Date(decoded.exp * 1000).toISOString()
+  };
+
+  if (expected.productId && expected.productId !== quote.productId) {
+    return { valid: false, reason: 'product_mismatch', quote };
+  }
+  if (expected.color && expected.color !== quote.color) {
+    return { valid: false, reason: 'color_mismatch', quote };
+  }
+
+  return { valid: true, reason: null, quote };
+};
+
+module.exports = {
+  createQuote,
+  verifyQuote
+};
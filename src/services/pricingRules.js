@@ -0,0 +1,86 @@
+/**
+ * Pricing rules engine
+ * Pure price calculation shared by GoldPriceService and the vendor pricing service.
+ */
+
+const GRAMS_PER_OUNCE = 31.1035;
+
+// Gold purity factor per karat
+const KARAT_PURITY = {
+  '14k': 14 / 24,
+  '18k': 18 / 24,
+  '22k': 22 / 24,
+  '24k': 1
+};
+
+const ROUNDING_MODES = ['cent', 'whole', 'nearest_5', 'nearest_10', 'charm'];
+
+// Rules applied when a vendor has not configured pricing (matches the original formula)
+const DEFAULT_PRICING_RULES = Object.freeze({
+  karat: '24k',
+  makingCharge: 0,
+  markupPercent: 0,
+  rounding: 'cent'
+});
+
+/**
+ * Round a price according to a rounding mode
+ * @param {number} price - Unrounded price
+ * @param {string} mode - One of ROUNDING_MODES
+ * @returns {number} Rounded price
+ */
+const roundPrice = (price, mode = 'cent') => {
+  switch (mode) {
+    case 'whole':
+      return Math.round(price);
+    case 'nearest_5':
+      return Math.round(price / 5) * 5;
+    case 'nearest_10':
+      return Math.round(price / 10) * 10;
+    case 'charm':
+      // Next price ending in .99 (e.g. 245.10 -> 245.99)
+      return Math.round((Math.ceil(price + 0.01) - 0.01) * 100) / 100;
+    case 'cent':
+    default:
+      return Math.round(price * 100) / 100;
+  }
+};
+
+/**
+ * Merge partial rules over the defaults
+ * @param {object} rules - Partial pricing rules
+ * @returns {object} Complete pricing rules
+ */
+const resolveRules = (rules = {}) => ({
+  ...DEFAULT_PRICING_RULES,
+  ...Object.fromEntries(Object.entries(rules).filter(([, value]) => value !== undefined && value !== null))
+});
+
+/**
+ * Calculate a product price
+ * price = ((popularityScore + 1) * weight * goldPricePerGram * purity + makingCharge) * (1 + markupPercent / 100)
+ * @param {object} product - { popularityScore, weight }
+ * @param {object} rules - Pricing rules (karat, makingCharge, markupPercent, rounding)
+ * @param {number} goldPricePerOunce - Gold price in USD per ounce
+ * @returns {number} Calculated price in USD
+ */
+const calculatePrice = ({ popularityScore, weight }, rules, goldPricePerOunce) => {
+  const { karat, makingCharge, markupPercent, rounding } = resolveRules(rules);
+  const purity = KARAT_PURITY[karat] || KARAT_PURITY[DEFAULT_PRICING_RULES.karat];
+  const goldPricePerGram = goldPricePerOunce / GRAMS_PER_OUNCE;
+
+  const goldValue = (popularityScore + 1) * weight * goldPricePerGram * purity;
+  const price = (goldValue + makingCharge) * (1 + markupPercent / 100);
+
+  return roundPrice(price, rounding);
+};
+
+module.exports = {
+  GRAMS_PER_OUNCE,
+  KARAT_PURITY,
+  ROUNDING_MODES,
+  DEFAULT_PRICING_RULES,
+  roundPrice,
+  resolveRules,
+  calculatePrice
+};
@@ -0,0 +1,149 @@
+const { supabase } = require('../config/supabase');
+const goldPriceService = require('./goldPriceService');
+const { DEFAULT_PRICING_RULES, resolveRules } = require('./pricingRules');
+const logger = require('../utils/logger');
+
+// Vendor rules change rarely, so keep them briefly in memory
+const CACHE_TTL_MS = 60 * 1000;
+const rulesCache = new Map();
+
+/**
+ * Map a vendor_pricing_rules row to pricing rules
+ * @param {object|null} row - Database row
+ * @returns {object} Pricing rules
+ */
+const fromRow = (row) => {
+  if (!row) {
+    return { ...DEFAULT_PRICING_RULES };
+  }
+
+  return resolveRules({
+    karat: row.karat,
+    makingCharge: row.making_charge !== null ? parseFloat(row.making_charge) : undefined,
+    markupPercent: row.markup_percent !== null ? parseFloat(row.markup_percent) : undefined,
+    rounding: row.rounding
+  });
+};
+
+/**
+ * Get pricing rules for several vendors with a single query
+ * @param {string[]} vendorIds - Vendor IDs
+ * @returns {Promise<Map<string, object>>} Rules keyed by vendor ID
+ */
+const getPricingRulesForVendors = async (vendorIds) => {
+  const now = Date.now();
+  const rulesByVendor = new Map();
+  const missing = [];
+
+  for (const vendorId of new Set(vendorIds.filter(Boolean))) {
+    const cached = rulesCache.get(vendorId);
+    if (cached && cached.expiresAt > now) {
+      rulesByVendor.set(vendorId, cached.rules);
+    } else {
+      missing.push(vendorId);
+    }
+  }
+
+  if (missing.length > 0) {
+    const { data: rows, error: queryError } = await supabase
+      .from('vendor_pricing_rules')
+      .select('*')
+      .in('vendor_id', missing);
+
+    if (queryError) {
+      // Fall back to default pricing rather than failing the whole listing
+      logger.error('Failed to load vendor pricing rules:', queryError);
+    }
+
+    for (const vendorId of missing) {
+      const row = rows?.find(r => r.vendor_id === vendorId) || null;
+      const rules = fromRow(row);
+
+      if (!queryError) {
+        rulesCache.set(vendorId, { rules, expiresAt: now + CACHE_TTL_MS });
+      }
+      rulesByVendor.set(vendorId, rules);
+    }
+  }
+
+  return rulesByVendor;
+};
+
+/**
+ * Get pricing rules for a vendor
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<object>} Pricing rules
+ */
+const getVendorPricingRules = async (vendorId) => {
+  const rulesByVendor = await getPricingRulesForVendors([vendorId]);
+  return rulesByVendor.get(vendorId) || { ...DEFAULT_PRICING_RULES };
+};
+
+/**
+ * Create or update a vendor's pricing rules
+ * @param {string} vendorId - Vendor ID
+ * @param {object} rules - Partial pricing rules
+ * @returns {Promise<object>} Saved pricing rules
+ */
+const updateVendorPricingRules = async (vendorId, rules) => {
+  const current = await getVendorPricingRules(vendorId);
+  const next = resolveRules({ ...current, ...rules });
+
+  const { data: row, error: upsertError } = await supabase
+    .from('vendor_pricing_rules')
+    .upsert({
+      vendor_id: vendorId,
+      karat: next.karat,
+      making_charge: next.makingCharge,
+      markup_percent: next.markupPercent,
+      rounding: next.rounding,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'vendor_id' })
+    .select()
+    .single();
+
+  if (upsertError) {
+    throw new Error(`Failed to save pricing rules: ${upsertError.message}`);
+  }
+
+  rulesCache.delete(vendorId);
+
+  return fromRow(row);
+};
+
+/**
+ * Calculate the price of a product using its vendor's pricing rules
+ * @param {object} product - Product row (vendor_id, popularity_score, weight)
+ * @param {object} rules - Vendor pricing rules (loaded when omitted)
+ * @returns {Promise<number>} Calculated price in USD
+ */
+const priceProduct = async (product, rules) => {
+  const vendorRules = rules || await getVendorPricingRules(product.vendor_id);
+  return goldPriceService.calculateProductPrice(product.popularity_score, product.weight, vendorRules);
+};
+
+/**
+ * Add calculatedPrice to a list of products using each vendor's pricing rules
+ * @param {object[]} products - Product rows
+ * @returns {Promise<object[]>} Products with calculatedPrice
+ */
+const priceProducts = async (products) => {
+  const rulesByVendor = await getPricingRulesForVendors(products.map(p => p.vendor_id));
+
+  return products.map(product => ({
+    ...product,
+    calculatedPrice: goldPriceService.calculateProductPrice(
+      product.popularity_score,
+      product.weight,
+      rulesByVendor.get(product.vendor_id)
+    )
+  }));
+};
+
+module.exports = {
+  getPricingRulesForVendors,
+  getVendorPricingRules,
+  updateVendorPricingRules,
+  priceProduct,
+  priceProducts
+};
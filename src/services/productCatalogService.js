@@ -0,0 +1,112 @@
+const { supabase } = require('../config/supabase');
+const { getStorage } = require('./storage');
+const imageVariantService = require('./imageVariantService');
+const inventoryService = require('./inventoryService');
+const logger = require('../utils/logger');
+
+/**
+ * Create a product with a placeholder image row per color
+ * The product is removed again if its images cannot be created.
+ * @param {string} vendorId - Vendor ID
+ * @param {object} fields - { name, weight, popularityScore, isActive, colors }
+ * @returns {Promise<object>} products row
+ */
+const createProductWithColors = async (vendorId, { name, weight, popularityScore, isActive = true, colors }) => {
+  const { data: product, error: productError } = await supabase
+    .from('products')
+    .insert({
+      vendor_id: vendorId,
+      name,
+      weight,
+      popularity_score: popularityScore,
+      is_active: isActive
+    })
+    .select()
+    .single();
+
+  if (productError) {
+    throw productError;
+  }
+
+  const { error: imageError } = await supabase
+    .from('product_images')
+    .insert(colors.map(color => ({
+      product_id: product.id,
+      color,
+      image_url: null // Will be updated when images are uploaded
+    })));
+
+  if (imageError) {
+    await supabase.from('products').delete().eq('id', product.id);
+    throw imageError;
+  }
+
+  return product;
+};
+
+/**
+ * Replace a product's colors
+ * Uploaded images of kept colors are preserved; images of removed colors are deleted from storage.
+ * @param {string} productId - Product ID
+ * @param {Array<string>} colors - New colors
+ * @returns {Promise<void>}
+ */
+const syncProductColors = async (productId, colors) => {
+  const { data: existingImages, error: fetchError } = await supabase
+    .from('product_images')
+    .select('id, color, storage_key')
+    .eq('product_id', productId);
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  const existingColors = new Set((existingImages || []).map(img => img.color));
+  const removedImages = (existingImages || []).filter(img => !colors.includes(img.color));
+
+  // Delete images of removed colors
+  if (removedImages.length > 0) {
+    const { error: deleteImagesError } = await supabase
+      .from('product_images')
+      .delete()
+      .in('id', removedImages.map(img => img.id));
+
+    if (deleteImagesError) {
+      throw deleteImagesError;
+    }
+
+    const storageKeys = removedImages
+      .filter(img => img.storage_key)
+      .flatMap(img => imageVariantService.getStorageKeys(img.storage_key));
+
+    await Promise.all(storageKeys.map(key => getStorage().remove(key)
+      .catch(err => logger.warn(`Failed to remove stored image ${key}: ${err.message}`))));
+  }
+
+  // Insert placeholder images for new colors
+  const imageInserts = colors
+    .filter(color => !existingColors.has(color))
+    .map(color => ({
+      product_id: productId,
+      color,
+      image_url: null
+    }));
+
+  if (imageInserts.length > 0) {
+    const { error: imageError } = await supabase
+      .from('product_images')
+      .insert(imageInserts);
+
+    if (imageError) {
+      throw imageError;
+    }
+  }
+
+  // New colors start untracked, removed ones may have been the last in stock
+  await inventoryService.refreshSoldOut([productId]);
+};
+
+module.exports = {
+  createProductWithColors,
+  syncProductColors
+};
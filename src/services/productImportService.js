@@ -0,0 +1,460 @@
+const { supabase } = require('../config/supabase');
+const { createProductSchema, importProductUpdateSchema } = require('../validators/schemas');
+const { toProductColumns } = require('../utils/productMapper');
+const { parseCsv } = require('../utils/csv');
+const productCatalogService = require('./productCatalogService');
+const pricingService = require('./pricingService');
+const webhookService = require('./webhookService');
+const logger = require('../utils/logger');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 1000;
+// Product IDs per ownership lookup, to keep request URLs short
+const LOOKUP_CHUNK_SIZE = 100;
+
+// Import fields by normalized CSV header (lowercase, without spaces, dashes or underscores)
+const CSV_FIELDS = {
+  id: 'id',
+  name: 'name',
+  weight: 'weight',
+  popularityscore: 'popularityScore',
+  colors: 'colors',
+  isactive: 'isActive'
+};
+
+const BOOLEAN_VALUES = {
+  true: true,
+  yes: true,
+  1: true,
+  false: false,
+  no: false,
+  0: false
+};
+
+const JOB_COLUMNS = 'id, vendor_id, created_by, file_name, format, dry_run, status, total_rows, created_count, updated_count, failed_count, errors, created_at, completed_at';
+
+/**
+ * Map a product_import_jobs row to the API shape
+ * @param {object} job - product_import_jobs row
+ * @param {boolean} includeErrors - Include the per-row errors
+ * @returns {object} Import job
+ */
+const toImportJob = (job, includeErrors = true) => ({
+  id: job.id,
+  fileName: job.file_name,
+  format: job.format,
+  dryRun: job.dry_run,
+  status: job.status,
+  totalRows: job.total_rows,
+  createdCount: job.created_count,
+  updatedCount: job.updated_count,
+  failedCount: job.failed_count,
+  ...(includeErrors && { errors: job.errors || [] }),
+  createdBy: job.created_by,
+  createdAt: job.created_at,
+  completedAt: job.completed_at
+});
+
+/**
+ * Convert a CSV cell to the type its field expects
+ * Values that cannot be converted are kept as strings so that validation reports them.
+ * @param {string} field - Import field
+ * @param {string} value - Cell text
+ * @returns {any} Field value, or undefined for an empty cell
+ */
+const toFieldValue = (field, value) => {
+  const text = value.trim();
+
+  if (text === '') {
+    return undefined;
+  }
+
+  switch (field) {
+    case 'weight':
+    case 'popularityScore':
+      return Number.isFinite(Number(text)) ? Number(text) : text;
+    case 'isActive': {
+      const flag = BOOLEAN_VALUES[text.toLowerCase()];
+      return flag === undefined ? text : flag;
+    }
+    case 'colors':
+      // Colors are separated by "|", ";", "," or spaces
+      return text.split(/[|;,\s]+/).filter(Boolean).map(color => color.toLowerCase());
+    default:
+      return text;
+  }
+};
+
+/**
+ * Parse CSV text into product rows (the first line is the header)
+ * @param {string} text - CSV text
+ * @returns {{rows: Array<object>}|{error: string}} Rows, or a file-level error
+ */
+const parseCsvRows = (text) => {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (err) {
+    return { error: `Invalid CSV file: ${err.message}` };
+  }
+
+  if (records.length === 0) {
+    return { error: 'Import file is empty' };
+  }
+
+  const fields = records[0].map(header => CSV_FIELDS[header.trim().toLowerCase().replace(/[\s_-]/g, '')] || null);
+  if (!fields.some(Boolean)) {
+    return { error: `CSV header has no known columns. Expected: ${Object.values(CSV_FIELDS).join(', ')}` };
+  }
+
+  const rows = records.slice(1).map(record => fields.reduce((row, field, index) => {
+    const value = field && record[index] !== undefined ? toFieldValue(field, record[index]) : undefined;
+    if (value !== undefined) {
+      row[field] = value;
+    }
+    return row;
+  }, {}));
+
+  return { rows };
+};
+
+/**
+ * Parse an uploaded import file
+ * JSON files contain an array of products, or an object with a "products" array.
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - "csv" or "json"
+ * @returns {{rows: Array}|{error: string}} Rows, or a file-level error
+ */
+const parseImportFile = (buffer, format) => {
+  const text = buffer.toString('utf8');
+  let result;
+
+  if (format === 'csv') {
+    result = parseCsvRows(text);
+  } else {
+    try {
+      const data = JSON.parse(text);
+      const rows = Array.isArray(data) ? data : data && data.products;
+      result = Array.isArray(rows)
+        ? { rows }
+        : { error: 'JSON file must contain an array of products or an object with a "products" array' };
+    } catch (err) {
+      result = { error: `Invalid JSON file: ${err.message}` };
+    }
+  }
+
+  if (result.error) {
+    return result;
+  }
+
+  if (result.rows.length === 0) {
+    return { error: 'Import file has no product rows' };
+  }
+
+  if (result.rows.length > MAX_IMPORT_ROWS) {
+    return { error: `Import file has ${result.rows.length} rows; the maximum is ${MAX_IMPORT_ROWS}` };
+  }
+
+  return result;
+};
+
+/**
+ * Find which of the given products belong to the vendor
+ * @param {string} vendorId - Vendor ID
+ * @param {Array<string>} productIds - Product IDs
+ * @returns {Promise<Map<string, object>>} products rows by ID
+ */
+const findVendorProducts = async (vendorId, productIds) => {
+  const products = new Map();
+
+  for (let i = 0; i < productIds.length; i += LOOKUP_CHUNK_SIZE) {
+    const { data, error: fetchError } = await supabase
+      .from('products')
+      .select('id, deactivated_by_admin_at')
+      .eq('vendor_id', vendorId)
+      .in('id', productIds.slice(i, i + LOOKUP_CHUNK_SIZE));
+
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    (data || []).forEach(product => products.set(product.id, product));
+  }
+
+  return products;
+};
+
+/**
+ * Validate rows with the product schemas and check that updated products belong to the vendor
+ * Rows are numbered from 1, not counting the CSV header.
+ * @param {string} vendorId - Vendor ID
+ * @param {Array} rows - Parsed rows
+ * @returns {Promise<{valid: Array<{row: number, action: string, data: object}>, errors: Array<{row: number, errors: Array}>}>}
+ */
+const validateRows = async (vendorId, rows) => {
+  const valid = [];
+  const errors = [];
+  const seenIds = new Set();
+
+  rows.forEach((input, index) => {
+    const row = index + 1;
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      errors.push({ row, errors: [{ field: '', message: 'Row must be an object' }] });
+      return;
+    }
+
+    const isUpdate = input.id !== undefined;
+    const result = (isUpdate ? importProductUpdateSchema : createProductSchema).safeParse(input);
+
+    if (!result.success) {
+      errors.push({
+        row,
+        errors: result.error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message }))
+      });
+      return;
+    }
+
+    if (isUpdate) {
+      if (seenIds.has(result.data.id)) {
+        errors.push({ row, errors: [{ field: 'id', message: 'Product appears more than once in the file' }] });
+        return;
+      }
+      seenIds.add(result.data.id);
+    }
+
+    valid.push({ row, action: isUpdate ? 'update' : 'create', data: result.data });
+  });
+
+  const products = await findVendorProducts(vendorId, [...seenIds]);
+
+  const checked = valid.filter(({ row, action, data }) => {
+    if (action !== 'update') {
+      return true;
+    }
+
+    const product = products.get(data.id);
+    if (!product) {
+      errors.push({ row, errors: [{ field: 'id', message: 'Product not found' }] });
+      return false;
+    }
+
+    // Products taken down by moderation can only be reactivated by an admin
+    if (product.deactivated_by_admin_at && data.isActive === true) {
+      errors.push({ row, errors: [{ field: 'isActive', message: 'This product was deactivated by an administrator and cannot be reactivated' }] });
+      return false;
+    }
+
+    return true;
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+  return { valid: checked, errors };
+};
+
+/**
+ * Get a product with its images and price, as sent in webhook events
+ * @param {string} productId - Product ID
+ * @returns {Promise<object>} Product
+ */
+const getWebhookProduct = async (productId) => {
+  const { data: product, error: fetchError } = await supabase
+    .from('products')
+    .select(`
+      *,
+      product_images (
+        id,
+        color,
+        image_url,
+        variants,
+        sort_order
+      )
+    `)
+    .eq('id', productId)
+    .single();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return { ...product, calculatedPrice: await pricingService.priceProduct(product) };
+};
+
+/**
+ * Create or update the product of a validated row
+ * @param {string} vendorId - Vendor ID
+ * @param {object} entry - { action, data } from validateRows
+ * @returns {Promise<void>}
+ */
+const applyRow = async (vendorId, { action, data }) => {
+  let productId = data.id;
+
+  if (action === 'create') {
+    productId = (await productCatalogService.createProductWithColors(vendorId, data)).id;
+  } else {
+    const { error: updateError } = await supabase
+      .from('products')
+      .update({
+        ...toProductColumns(data),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', productId)
+      .eq('vendor_id', vendorId);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    if (data.colors) {
+      await productCatalogService.syncProductColors(productId, data.colors);
+    }
+  }
+
+  // Notify webhook subscribers (best effort)
+  const event = action === 'create' ? webhookService.WEBHOOK_EVENTS.PRODUCT_CREATED : webhookService.WEBHOOK_EVENTS.PRODUCT_UPDATED;
+  await getWebhookProduct(productId)
+    .then(product => webhookService.enqueueEvent(vendorId, event, { product }))
+    .catch(err => logger.error(`Failed to queue ${event} webhooks for ${productId}:`, err));
+};
+
+/**
+ * Record the outcome of an import job
+ * @param {string} jobId - Job ID
+ * @param {object} changes - Column values
+ * @returns {Promise<object>} Updated product_import_jobs row
+ */
+const finishJob = async (jobId, changes) => {
+  const { data: job, error: updateError } = await supabase
+    .from('product_import_jobs')
+    .update({ ...changes, completed_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .select(JOB_COLUMNS)
+    .single();
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return job;
+};
+
+/**
+ * Import parsed rows as an import job
+ * Invalid rows are skipped and reported; valid rows are saved unless this is a dry run,
+ * in which case the counts show what an import would do.
+ * @param {string} vendorId - Vendor ID
+ * @param {Array} rows - Rows from parseImportFile
+ * @param {object} options - { fileName, format, dryRun, createdBy }
+ * @returns {Promise<object>} Completed import job
+ */
+const runImport = async (vendorId, rows, { fileName, format, dryRun, createdBy = null }) => {
+  const { data: job, error: insertError } = await supabase
+    .from('product_import_jobs')
+    .insert({
+      vendor_id: vendorId,
+      created_by: createdBy,
+      file_name: fileName,
+      format,
+      dry_run: dryRun,
+      status: 'processing',
+      total_rows: rows.length,
+      created_count: 0,
+      updated_count: 0,
+      failed_count: 0,
+      created_at: new Date().toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  try {
+    const { valid, errors } = await validateRows(vendorId, rows);
+    const counts = { create: 0, update: 0 };
+
+    for (const entry of valid) {
+      if (!dryRun) {
+        try {
+          await applyRow(vendorId, entry);
+        } catch (err) {
+          logger.error(`Import job ${job.id} row ${entry.row} failed:`, err);
+          errors.push({ row: entry.row, errors: [{ field: '', message: 'Failed to save product' }] });
+          continue;
+        }
+      }
+      counts[entry.action]++;
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+
+    return toImportJob(await finishJob(job.id, {
+      status: 'completed',
+      created_count: counts.create,
+      updated_count: counts.update,
+      failed_count: errors.length,
+      errors
+    }));
+  } catch (err) {
+    await finishJob(job.id, { status: 'failed' })
+      .catch(finishError => logger.error(`Failed to mark import job ${job.id} as failed:`, finishError));
+    throw err;
+  }
+};
+
+/**
+ * Get a page of the vendor's import jobs, newest first (without per-row errors)
+ * @param {string} vendorId - Vendor ID
+ * @param {object} options - { page, limit }
+ * @returns {Promise<{jobs: Array, total: number}>} Jobs and total count
+ */
+const listImportJobs = async (vendorId, { page = 1, limit = 20 } = {}) => {
+  const offset = (page - 1) * limit;
+
+  const { data: jobs, error: fetchError, count } = await supabase
+    .from('product_import_jobs')
+    .select(JOB_COLUMNS, { count: 'exact' })
+    .eq('vendor_id', vendorId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return {
+    jobs: (jobs || []).map(job => toImportJob(job, false)),
+    total: count || 0
+  };
+};
+
+/**
+ * Get one of the vendor's import jobs with its per-row errors
+ * @param {string} vendorId - Vendor ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>} Import job, or null if not found
+ */
+const getImportJob = async (vendorId, jobId) => {
+  const { data: job, error: fetchError } = await supabase
+    .from('product_import_jobs')
+    .select(JOB_COLUMNS)
+    .eq('id', jobId)
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return job ? toImportJob(job) : null;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  toImportJob,
+  parseImportFile,
+  validateRows,
+  runImport,
+  listImportJobs,
+  getImportJob
+};
@@ -0,0 +1,85 @@
+const { supabase } = require('../config/supabase');
+const goldPriceService = require('./goldPriceService');
+
+/**
+ * Start a products query whose rows carry their price
+ * products_with_price (see the database schema in the README) calculates each product's price
+ * in the database with its vendor's pricing rules, the same way pricingRules.calculatePrice
+ * does, so price filters, sorting and pagination run in SQL.
+ * @param {number} exchangeRate - Display currency units per USD
+ * @returns {object} Query to pass to buildQuery as its source
+ */
+const fromPricedProducts = (exchangeRate = 1) => supabase.rpc('products_with_price', {
+  gold_price_per_ounce: goldPriceService.getCurrentPrice(),
+  exchange_rate: exchangeRate
+}, { count: 'exact' });
+
+/**
+ * Filter and sort products by calculated price across the whole result set
+ * Only the IDs of the requested page are read.
+ * @param {function} buildQuery - (columns, options, source) => products query with every non-price filter
+ *   applied to source
+ * @param {object} options - Search options
+ * @param {number} options.minPrice - Minimum price in the display currency
+ * @param {number} options.maxPrice - Maximum price in the display currency
+ * @param {string} options.sortBy - 'price' sorts by calculated price, anything else sorts by orderColumn
+ * @param {string} options.sortOrder - 'asc' or 'desc'
+ * @param {string} options.orderColumn - Column ordering products (and equal prices when sorting by price)
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Page size
+ * @param {number} options.exchangeRate - Display currency units per USD
+ * @returns {Promise<{ ids: string[], total: number }>} Product IDs for the page and total matches
+ */
+const findPageByPrice = async (buildQuery, {
+  minPrice,
+  maxPrice,
+  sortBy,
+  sortOrder = 'asc',
+  orderColumn = 'name',
+  page = 1,
+  limit = 10,
+  exchangeRate = 1
+}) => {
+  const ascending = sortOrder === 'asc';
+  let query = buildQuery('id', { count: 'exact' }, fromPricedProducts(exchangeRate));
+
+  if (minPrice !== undefined) {
+    query = query.gte('price', minPrice);
+  }
+  if (maxPrice !== undefined) {
+    query = query.lte('price', maxPrice);
+  }
+
+  if (sortBy === 'price') {
+    query = query.order('price', { ascending });
+  }
+
+  const offset = (page - 1) * limit;
+  const { data, count, error: queryError } = await query
+    .order(orderColumn, { ascending })
+    .range(offset, offset + limit - 1);
+
+  if (queryError) {
+    throw new Error(`Failed to search products by price: ${queryError.message}`);
+  }
+
+  return {
+    ids: (data || []).map(product => product.id),
+    total: count || 0
+  };
+};
+
+/**
+ * Whether a product query needs the price search
+ * @param {object} query - Validated product query
+ * @returns {boolean} True when filtering or sorting by price
+ */
+const needsPriceSearch = ({ minPrice, maxPrice, sortBy }) => {
+  return minPrice !== undefined || maxPrice !== undefined || sortBy === 'price';
+};
+
+module.exports = {
+  fromPricedProducts,
+  findPageByPrice,
+  needsPriceSearch
+};
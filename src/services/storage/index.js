@@ -0,0 +1,59 @@
+const logger = require('../../utils/logger');
+const localStorage = require('./localStorage');
+const supabaseStorage = require('./supabaseStorage');
+
+// Registered storage backends, keyed by name
+const registry = new Map();
+let activeStorage = null;
+
+/**
+ * Register a storage backend
+ * @param {object} backend - Backend with a name and a fromEnv(env) factory
+ */
+const registerStorage = (backend) => {
+  if (!backend || !backend.name || typeof backend.fromEnv !== 'function') {
+    throw new Error('Storage backend requires a name and a fromEnv function');
+  }
+
+  registry.set(backend.name, backend);
+};
+
+/**
+ * Get the name of the configured storage driver
+ * STORAGE_DRIVER selects a backend; defaults to Supabase Storage in production and local disk elsewhere.
+ * @param {object} env - Environment variables
+ * @returns {string} Driver name
+ */
+const getDriverName = (env = process.env) => {
+  return env.STORAGE_DRIVER || (env.NODE_ENV === 'production' ? 'supabase' : 'local');
+};
+
+/**
+ * Get the configured storage backend
+ * @returns {object} Storage backend with save() and remove()
+ */
+const getStorage = () => {
+  if (!activeStorage) {
+    const driver = getDriverName();
+    const backend = registry.get(driver);
+
+    if (!backend) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+
+    activeStorage = backend.fromEnv(process.env);
+    logger.info(`File storage initialized: ${driver}`);
+  }
+
+  return activeStorage;
+};
+
+// Built-in backends
+registerStorage(localStorage);
+registerStorage(supabaseStorage);
+
+module.exports = {
+  registerStorage,
+  getDriverName,
+  getStorage
+};
@@ -0,0 +1,68 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local disk storage backend (development)
+ * Files are written under rootDir and served by Express from publicUrl.
+ * @param {object} config - Backend configuration
+ * @param {string} config.rootDir - Directory files are written to
+ * @param {string} config.publicUrl - URL prefix the directory is served from
+ * @returns {object} Storage backend
+ */
+const create = ({ rootDir, publicUrl }) => {
+  const resolvePath = (key) => {
+    const filePath = path.resolve(rootDir, key);
+
+    // Never write outside the upload directory
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    rootDir,
+
+    /**
+     * Store a file
+     * @param {object} file - File to store
+     * @param {string} file.key - Storage key (relative path)
+     * @param {Buffer} file.buffer - File contents
+     * @returns {Promise<{ key: string, url: string }>} Stored file
+     */
+    async save({ key, buffer }) {
+      const filePath = resolvePath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      return { key, url: `${publicUrl.replace(/\/$/, '')}/${key}` };
+    },
+
+    /**
+     * Remove a stored file (missing files are ignored)
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+      await fs.rm(resolvePath(key), { force: true });
+    }
+  };
+};
+
+/**
+ * Build the backend from environment variables
+ * @param {object} env - Environment variables
+ * @returns {object} Storage backend
+ */
+const fromEnv = (env) => create({
+  rootDir: env.UPLOAD_PATH || path.join(process.cwd(), 'uploads'),
+  publicUrl: env.UPLOAD_PUBLIC_URL || '/uploads'
+});
+
+module.exports = {
+  name: 'local',
+  create,
+  fromEnv
+};
@@ -0,0 +1,70 @@
+/**
+ * Supabase Storage backend (production)
+ * @param {object} config - Backend configuration
+ * @param {object} config.client - Supabase client with storage access
+ * @param {string} config.bucket - Public bucket name
+ * @returns {object} Storage backend
+ */
+const create = ({ client, bucket }) => ({
+  name: 'supabase',
+
+  /**
+   * Store a file
+   * @param {object} file - File to store
+   * @param {string} file.key - Object path inside the bucket
+   * @param {Buffer} file.buffer - File contents
+   * @param {string} file.contentType - MIME type
+   * @returns {Promise<{ key: string, url: string }>} Stored file
+   */
+  async save({ key, buffer, contentType }) {
+    const { error: uploadError } = await client.storage
+      .from(bucket)
+      .upload(key, buffer, {
+        contentType,
+        cacheControl: '31536000',
+        upsert: false
+      });
+
+    if (uploadError) {
+      throw new Error(`Failed to upload file: ${uploadError.message}`);
+    }
+
+    const { data } = client.storage.from(bucket).getPublicUrl(key);
+
+    return { key, url: data.publicUrl };
+  },
+
+  /**
+   * Remove a stored file
+   * @param {string} key - Object path inside the bucket
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    const { error: removeError } = await client.storage.from(bucket).remove([key]);
+
+    if (removeError) {
+      throw new Error(`Failed to remove file: ${removeError.message}`);
+    }
+  }
+});
+
+/**
+ * Build the backend from environment variables
+ * @param {object} env - Environment variables
+ * @returns {object} Storage backend
+ */
+const fromEnv = (env) => {
+  // Loaded lazily so local development does not need storage credentials
+  const { supabase, supabaseAdmin } = require('../../config/supabase');
+
+  return create({
+    client: supabaseAdmin || supabase,
+    bucket: env.SUPABASE_STORAGE_BUCKET || 'product-images'
+  });
+};
+
+module.exports = {
+  name: 'supabase',
+  create,
+  fromEnv
+};
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabase } = require('../config/supabase');
+const totp = require('../utils/totp');
+const { hashToken } = require('./passwordResetService');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'RENART';
+const RECOVERY_CODE_COUNT = 10;
+// Time allowed between the password step and the code step of a login
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_TOKEN_TYPE = 'vendor_2fa_challenge';
+
+const TWO_FACTOR_COLUMNS = 'id, email, two_factor_enabled, two_factor_secret, two_factor_pending_secret, two_factor_last_used_step';
+
+/**
+ * Key used to encrypt TOTP secrets at rest
+ * @returns {Buffer} 256-bit key
+ */
+const getEncryptionKey = () => {
+  return crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext, base64 encoded
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} payload - Value produced by encryptSecret
+ * @returns {string} Base32 secret
+ */
+const decryptSecret = (payload) => {
+  const [iv, tag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Normalize a recovery code as typed by a user
+ * @param {string} code - Recovery code
+ * @returns {string} Lowercase code without spaces or dashes
+ */
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Load a vendor's two-factor state
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<object|null>} vendors row with the two-factor columns
+ */
+const getTwoFactorState = async (vendorId) => {
+  const { data, error: fetchError } = await supabase
+    .from('vendors')
+    .select(TWO_FACTOR_COLUMNS)
+    .eq('id', vendorId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return data;
+};
+
+/**
+ * Replace a vendor's recovery codes with a new set
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<string[]>} Plain codes (shown to the vendor once; only hashes are stored)
+ */
+const replaceRecoveryCodes = async (vendorId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  const { error: deleteError } = await supabase
+    .from('vendor_recovery_codes')
+    .delete()
+    .eq('vendor_id', vendorId);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  const { error: insertError } = await supabase
+    .from('vendor_recovery_codes')
+    .insert(codes.map(code => ({
+      vendor_id: vendorId,
+      code_hash: hashToken(normalizeRecoveryCode(code))
+    })));
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  return codes;
+};
+
+/**
+ * Count the recovery codes a vendor has not used yet
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<number>} Unused recovery codes
+ */
+const countRecoveryCodes = async (vendorId) => {
+  const { count, error: countError } = await supabase
+    .from('vendor_recovery_codes')
+    .select('id', { count: 'exact', head: true })
+    .eq('vendor_id', vendorId)
+    .is('used_at', null);
+
+  if (countError) {
+    throw countError;
+  }
+
+  return count || 0;
+};
+
+/**
+ * Start enrollment: create a secret to be confirmed with a first code
+ * Two-factor stays off until confirmEnrollment succeeds.
+ * @param {object} vendor - { id, email }
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+const startEnrollment = async (vendor) => {
+  const secret = totp.generateSecret();
+
+  const { error: updateError } = await supabase
+    .from('vendors')
+    .update({ two_factor_pending_secret: encryptSecret(secret) })
+    .eq('id', vendor.id);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({ secret, accountName: vendor.email, issuer: ISSUER })
+  };
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {string} vendorId - Vendor ID
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<{status: string, recoveryCodes?: string[]}>} status is enabled, not_started or invalid_code
+ */
+const confirmEnrollment = async (vendorId, code) => {
+  const state = await getTwoFactorState(vendorId);
+
+  if (!state || !state.two_factor_pending_secret) {
+    return { status: 'not_started' };
+  }
+
+  const step = totp.verifyCode(decryptSecret(state.two_factor_pending_secret), code);
+  if (step === null) {
+    return { status: 'invalid_code' };
+  }
+
+  const { error: updateError } = await supabase
+    .from('vendors')
+    .update({
+      two_factor_enabled: true,
+      two_factor_secret: state.two_factor_pending_secret,
+      two_factor_pending_secret: null,
+      two_factor_last_used_step: step,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', vendorId);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return { status: 'enabled', recoveryCodes: await replaceRecoveryCodes(vendorId) };
+};
+
+/**
+ * Verify the second factor of a login: a TOTP code or an unused recovery code
+ * Each TOTP code and each recovery code works only once.
+ * @param {string} vendorId - Vendor ID
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {Promise<{valid: boolean, method?: string}>} method is totp or recovery_code
+ */
+const verifySecondFactor = async (vendorId, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const { data, error: updateError } = await supabase
+      .from('vendor_recovery_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('vendor_id', vendorId)
+      .eq('code_hash', hashToken(normalizeRecoveryCode(recoveryCode)))
+      .is('used_at', null)
+      .select('id');
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    return data && data.length > 0 ? { valid: true, method: 'recovery_code' } : { valid: false };
+  }
+
+  const state = await getTwoFactorState(vendorId);
+  if (!state || !state.two_factor_enabled || !code) {
+    return { valid: false };
+  }
+
+  const step = totp.verifyCode(decryptSecret(state.two_factor_secret), code);
+  if (step === null) {
+    return { valid: false };
+  }
+
+  // Conditional update so a code (or an earlier one) cannot be replayed
+  const { data, error: updateError } = await supabase
+    .from('vendors')
+    .update({ two_factor_last_used_step: step })
+    .eq('id', vendorId)
+    .lt('two_factor_last_used_step', step)
+    .select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return data && data.length > 0 ? { valid: true, method: 'totp' } : { valid: false };
+};
+
+/**
+ * Turn two-factor authentication off and delete the recovery codes
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<void>}
+ */
+const disableTwoFactor = async (vendorId) => {
+  const { error: updateError } = await supabase
+    .from('vendors')
+    .update({
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_pending_secret: null,
+      two_factor_last_used_step: 0,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', vendorId);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  const { error: deleteError } = await supabase
+    .from('vendor_recovery_codes')
+    .delete()
+    .eq('vendor_id', vendorId);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+};
+
+/**
+ * Issue the token that links the password step of a login to the code step
+ * @param {object} vendor - { id, email }
+ * @returns {string} Short-lived challenge token
+ */
+const createChallengeToken = (vendor) => {
+  return jwt.sign(
+    { id: vendor.id, email: vendor.email, type: CHALLENGE_TOKEN_TYPE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+};
+
+/**
+ * Verify a challenge token
+ * @param {string} token - Challenge token
+ * @returns {object|null} Decoded token ({ id, email }), or null when invalid or expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === CHALLENGE_TOKEN_TYPE ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  CHALLENGE_TTL,
+  encryptSecret,
+  decryptSecret,
+  getTwoFactorState,
+  countRecoveryCodes,
+  replaceRecoveryCodes,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken
+};
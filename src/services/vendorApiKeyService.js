@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { hashToken } = require('./passwordResetService');
+const { VENDOR_ROLES } = require('./vendorTeamService');
+const logger = require('../utils/logger');
+
+const API_KEY_SCOPES = {
+  READ: 'read',
+  CATALOG_WRITE: 'catalog_write'
+};
+
+// An API key acts with the permissions of this team role
+const SCOPE_ROLES = {
+  [API_KEY_SCOPES.READ]: VENDOR_ROLES.VIEWER,
+  [API_KEY_SCOPES.CATALOG_WRITE]: VENDOR_ROLES.CATALOG_MANAGER
+};
+
+const KEY_PREFIX = 'rk_';
+// Characters kept in clear text so vendors can tell their keys apart
+const DISPLAY_PREFIX_LENGTH = 11;
+
+// Columns safe to return (never includes key_hash)
+const API_KEY_COLUMNS = 'id, vendor_id, name, scope, key_prefix, created_by, created_at, rotated_at, last_used_at, last_used_ip';
+
+/**
+ * Map a vendor_api_keys row to the API shape
+ * @param {object} apiKey - vendor_api_keys row
+ * @returns {object} API key metadata
+ */
+const toApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  scope: apiKey.scope,
+  prefix: apiKey.key_prefix,
+  createdBy: apiKey.created_by,
+  createdAt: apiKey.created_at,
+  rotatedAt: apiKey.rotated_at,
+  lastUsedAt: apiKey.last_used_at,
+  lastUsedIp: apiKey.last_used_ip
+});
+
+/**
+ * Generate a new secret key
+ * @returns {{key: string, keyHash: string, keyPrefix: string}} Raw key (shown once), its hash and display prefix
+ */
+const generateKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, keyHash: hashToken(key), keyPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH) };
+};
+
+/**
+ * List a vendor's active API keys, newest first
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Array>} API keys
+ */
+const listApiKeys = async (vendorId) => {
+  const { data: apiKeys, error: fetchError } = await supabase
+    .from('vendor_api_keys')
+    .select(API_KEY_COLUMNS)
+    .eq('vendor_id', vendorId)
+    .is('revoked_at', null)
+    .order('created_at', { ascending: false });
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return (apiKeys || []).map(toApiKey);
+};
+
+/**
+ * Create an API key
+ * @param {string} vendorId - Vendor ID
+ * @param {object} details - { name, scope }
+ * @param {string|null} createdBy - Creating team member ID (null: the primary account)
+ * @returns {Promise<{apiKey: object, key: string}>} Key metadata and the raw key
+ */
+const createApiKey = async (vendorId, { name, scope }, createdBy) => {
+  const { key, keyHash, keyPrefix } = generateKey();
+
+  const { data: apiKey, error: insertError } = await supabase
+    .from('vendor_api_keys')
+    .insert({
+      vendor_id: vendorId,
+      name,
+      scope,
+      key_hash: keyHash,
+      key_prefix: keyPrefix,
+      created_by: createdBy,
+      created_at: new Date().toISOString()
+    })
+    .select(API_KEY_COLUMNS)
+    .single();
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  return { apiKey: toApiKey(apiKey), key };
+};
+
+/**
+ * Replace an API key's secret; the old secret stops working immediately
+ * @param {string} vendorId - Vendor ID
+ * @param {string} keyId - API key ID
+ * @returns {Promise<{apiKey: object, key: string}|null>} New secret, or null if the key was not found
+ */
+const rotateApiKey = async (vendorId, keyId) => {
+  const { key, keyHash, keyPrefix } = generateKey();
+
+  const { data: rotated, error: updateError } = await supabase
+    .from('vendor_api_keys')
+    .update({ key_hash: keyHash, key_prefix: keyPrefix, rotated_at: new Date().toISOString() })
+    .eq('id', keyId)
+    .eq('vendor_id', vendorId)
+    .is('revoked_at', null)
+    .select(API_KEY_COLUMNS);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return rotated && rotated.length > 0 ? { apiKey: toApiKey(rotated[0]), key } : null;
+};
+
+/**
+ * Revoke an API key
+ * @param {string} vendorId - Vendor ID
+ * @param {string} keyId - API key ID
+ * @returns {Promise<boolean>} True if an active key was revoked
+ */
+const revokeApiKey = async (vendorId, keyId) => {
+  const { data: revoked, error: updateError } = await supabase
+    .from('vendor_api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', keyId)
+    .eq('vendor_id', vendorId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return Boolean(revoked && revoked.length > 0);
+};
+
+/**
+ * Look up the active API key for a raw key
+ * @param {string} key - Raw key from the X-API-Key header
+ * @returns {Promise<object|null>} vendor_api_keys row
+ */
+const findActiveKey = async (key) => {
+  if (!key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const { data: apiKey, error: fetchError } = await supabase
+    .from('vendor_api_keys')
+    .select(API_KEY_COLUMNS)
+    .eq('key_hash', hashToken(key))
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return apiKey;
+};
+
+/**
+ * Record that an API key was used (best effort, never fails the request)
+ * @param {string} keyId - API key ID
+ * @param {string} ipAddress - Client IP
+ * @returns {Promise<void>}
+ */
+const recordKeyUse = async (keyId, ipAddress) => {
+  const { error: updateError } = await supabase
+    .from('vendor_api_keys')
+    .update({ last_used_at: new Date().toISOString(), last_used_ip: ipAddress || null })
+    .eq('id', keyId);
+
+  if (updateError) {
+    logger.warn(`Failed to record API key use: ${keyId}`, updateError);
+  }
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  SCOPE_ROLES,
+  toApiKey,
+  listApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  findActiveKey,
+  recordKeyUse
+};
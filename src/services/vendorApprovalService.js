@@ -0,0 +1,144 @@
+const { supabase } = require('../config/supabase');
+const vendorSessionService = require('./vendorSessionService');
+const vendorNotificationService = require('./vendorNotificationService');
+const logger = require('../utils/logger');
+
+const VENDOR_STATUSES = ['pending', 'active', 'rejected', 'suspended'];
+
+// Admin actions: the statuses they apply to and the status they produce
+const STATUS_ACTIONS = {
+  approve: { from: ['pending', 'rejected', 'suspended'], to: 'active' },
+  reject: { from: ['pending'], to: 'rejected' },
+  suspend: { from: ['active'], to: 'suspended' }
+};
+
+/**
+ * Get the status new vendors start in
+ * VENDOR_APPROVAL_MODE=manual holds new vendors for admin review; the default auto-approves them.
+ * @param {object} env - Environment variables
+ * @returns {string} Initial vendor status
+ */
+const getInitialStatus = (env = process.env) => (env.VENDOR_APPROVAL_MODE === 'manual' ? 'pending' : 'active');
+
+/**
+ * Append an entry to a vendor's status audit trail
+ * @param {object} entry - { vendorId, fromStatus, toStatus, reason, actor }
+ * @returns {Promise<object>} Inserted vendor_status_history row
+ */
+const recordStatusChange = async ({ vendorId, fromStatus, toStatus, reason, actor }) => {
+  const { data: history, error: insertError } = await supabase
+    .from('vendor_status_history')
+    .insert({
+      vendor_id: vendorId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      reason: reason || null,
+      changed_by: actor?.id || null,
+      changed_by_email: actor?.email || null
+    })
+    .select()
+    .single();
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  return history;
+};
+
+/**
+ * Get a vendor's status audit trail, newest first
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Array>} vendor_status_history rows
+ */
+const getStatusHistory = async (vendorId) => {
+  const { data: history, error: fetchError } = await supabase
+    .from('vendor_status_history')
+    .select('*')
+    .eq('vendor_id', vendorId)
+    .order('created_at', { ascending: false });
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return history || [];
+};
+
+/**
+ * Apply an admin action to a vendor account
+ * @param {object} params - Parameters
+ * @param {string} params.vendorId - Vendor ID
+ * @param {string} params.action - approve, reject or suspend
+ * @param {string} [params.reason] - Reason shown to the vendor and kept in the audit trail
+ * @param {object} params.actor - Admin performing the change ({ id, email })
+ * @returns {Promise<{status: string, vendor?: object, fromStatus?: string}>} status is changed, not_found or invalid_transition
+ */
+const changeVendorStatus = async ({ vendorId, action, reason, actor }) => {
+  const transition = STATUS_ACTIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown vendor status action: ${action}`);
+  }
+
+  const { data: vendor, error: fetchError } = await supabase
+    .from('vendors')
+    .select('id, email, business_name, contact_person_name, status')
+    .eq('id', vendorId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!vendor) {
+    return { status: 'not_found' };
+  }
+
+  if (!transition.from.includes(vendor.status)) {
+    return { status: 'invalid_transition', fromStatus: vendor.status };
+  }
+
+  // Conditional update so two admins cannot apply conflicting decisions
+  const { data: updated, error: updateError } = await supabase
+    .from('vendors')
+    .update({ status: transition.to, updated_at: new Date().toISOString() })
+    .eq('id', vendorId)
+    .eq('status', vendor.status)
+    .select('id, email, business_name, contact_person_name, status')
+    .maybeSingle();
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (!updated) {
+    return { status: 'invalid_transition', fromStatus: vendor.status };
+  }
+
+  await recordStatusChange({ vendorId, fromStatus: vendor.status, toStatus: transition.to, reason, actor });
+
+  // Inactive vendors lose every session
+  if (transition.to !== 'active') {
+    await vendorSessionService.revokeAllSessions(vendorId, `vendor_${transition.to}`);
+  }
+
+  logger.info(`Vendor ${vendor.email} ${vendor.status} -> ${transition.to} by ${actor?.email || 'system'}`);
+
+  await vendorNotificationService.notifyStatusChange({
+    vendor: updated,
+    fromStatus: vendor.status,
+    toStatus: transition.to,
+    reason
+  });
+
+  return { status: 'changed', vendor: updated, fromStatus: vendor.status };
+};
+
+module.exports = {
+  VENDOR_STATUSES,
+  STATUS_ACTIONS,
+  getInitialStatus,
+  recordStatusChange,
+  getStatusHistory,
+  changeVendorStatus
+};
@@ -0,0 +1,79 @@
+const mailService = require('./mail');
+const logger = require('../utils/logger');
+
+// Handlers called after a vendor's account status changes
+const statusChangeHandlers = [];
+
+/**
+ * Register a handler for vendor status changes
+ * @param {function} handler - async ({ vendor, fromStatus, toStatus, reason }) => void
+ */
+const onStatusChange = (handler) => {
+  if (typeof handler !== 'function') {
+    throw new Error('Status change handler must be a function');
+  }
+
+  statusChangeHandlers.push(handler);
+};
+
+/**
+ * Notify every handler of a status change
+ * Handlers run independently; a failing handler never blocks the others or the caller.
+ * @param {object} event - { vendor, fromStatus, toStatus, reason }
+ * @returns {Promise<void>}
+ */
+const notifyStatusChange = async (event) => {
+  await Promise.all(statusChangeHandlers.map(async (handler) => {
+    try {
+      await handler(event);
+    } catch (err) {
+      logger.error(`Vendor status change handler failed for ${event.vendor.email}:`, err);
+    }
+  }));
+};
+
+// Email subject and body per new status
+const STATUS_EMAILS = {
+  active: {
+    subject: 'Your RENART vendor account is active',
+    body: 'Your vendor account has been approved. You can now log in to the vendor panel and start listing products.'
+  },
+  rejected: {
+    subject: 'Your RENART vendor application',
+    body: 'Unfortunately your vendor application was not approved.'
+  },
+  suspended: {
+    subject: 'Your RENART vendor account has been suspended',
+    body: 'Your vendor account has been suspended and you have been signed out. Please contact support for assistance.'
+  }
+};
+
+/**
+ * Built-in handler: email the vendor about the decision
+ * @param {object} event - { vendor, toStatus, reason }
+ * @returns {Promise<void>}
+ */
+const emailVendor = async ({ vendor, toStatus, reason }) => {
+  const template = STATUS_EMAILS[toStatus];
+  if (!template) {
+    return;
+  }
+
+  await mailService.sendMail({
+    to: vendor.email,
+    subject: template.subject,
+    text: [
+      vendor.contact_person_name ? `Hello ${vendor.contact_person_name},` : 'Hello,',
+      '',
+      template.body,
+      ...(reason ? ['', `Reason: ${reason}`] : [])
+    ].join('\n')
+  });
+};
+
+onStatusChange(emailVendor);
+
+module.exports = {
+  onStatusChange,
+  notifyStatusChange
+};
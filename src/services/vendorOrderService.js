@@ -0,0 +1,330 @@
+const { supabase } = require('../config/supabase');
+const {
+  VENDOR_ORDER_COLUMNS,
+  ORDER_ITEM_COLUMNS,
+  toVendorOrder,
+  toHistoryEntry,
+  recordStatusChanges
+} = require('./orderService');
+const { ORDER_STATUSES, canTransition, deriveOrderStatus } = require('./orderStatus');
+const inventoryService = require('./inventoryService');
+
+// Parent order fields a vendor needs to fulfil its part
+const PARENT_ORDER_COLUMNS = 'orders (order_number, currency, shipping_address, created_at)';
+
+// Timestamp column set when a sub-order enters a status
+const VENDOR_STATUS_TIMESTAMPS = {
+  shipped: 'shipped_at',
+  delivered: 'delivered_at',
+  cancelled: 'cancelled_at'
+};
+
+/**
+ * Map a vendor_orders row with its parent order to the vendor's list shape
+ * @param {object} vendorOrder - vendor_orders row with orders embedded
+ * @returns {object} Vendor order summary
+ */
+const toVendorOrderSummary = (vendorOrder) => ({
+  id: vendorOrder.id,
+  orderId: vendorOrder.order_id,
+  orderNumber: vendorOrder.orders ? vendorOrder.orders.order_number : null,
+  status: vendorOrder.status,
+  currency: vendorOrder.orders ? vendorOrder.orders.currency : null,
+  subtotal: vendorOrder.subtotal,
+  itemCount: vendorOrder.item_count,
+  carrier: vendorOrder.carrier,
+  trackingNumber: vendorOrder.tracking_number,
+  createdAt: vendorOrder.created_at,
+  updatedAt: vendorOrder.updated_at,
+  shippedAt: vendorOrder.shipped_at
+});
+
+/**
+ * Get a page of a vendor's sub-orders, newest first
+ * @param {string} vendorId - Vendor ID
+ * @param {object} options - { page, limit, status, from, to } (from/to are Dates on created_at)
+ * @returns {Promise<{orders: Array, total: number}>} Vendor order summaries and total count
+ */
+const listVendorOrders = async (vendorId, { page = 1, limit = 20, status, from, to } = {}) => {
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('vendor_orders')
+    .select(`${VENDOR_ORDER_COLUMNS}, ${PARENT_ORDER_COLUMNS}`, { count: 'exact' })
+    .eq('vendor_id', vendorId);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  if (from) {
+    query = query.gte('created_at', from.toISOString());
+  }
+
+  if (to) {
+    query = query.lte('created_at', to.toISOString());
+  }
+
+  const { data: vendorOrders, error: fetchError, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return {
+    orders: (vendorOrders || []).map(toVendorOrderSummary),
+    total: count || 0
+  };
+};
+
+/**
+ * Get one of a vendor's sub-orders with its items, shipping address and status history
+ * @param {string} vendorId - Vendor ID
+ * @param {string} vendorOrderId - Vendor order ID
+ * @returns {Promise<object|null>} Vendor order, or null if not found
+ */
+const getVendorOrder = async (vendorId, vendorOrderId) => {
+  const { data: vendorOrder, error: fetchError } = await supabase
+    .from('vendor_orders')
+    .select(`${VENDOR_ORDER_COLUMNS}, ${PARENT_ORDER_COLUMNS}`)
+    .eq('id', vendorOrderId)
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!vendorOrder) {
+    return null;
+  }
+
+  const [itemsResult, historyResult] = await Promise.all([
+    supabase
+      .from('order_items')
+      .select(ORDER_ITEM_COLUMNS)
+      .eq('vendor_order_id', vendorOrderId),
+    supabase
+      .from('order_status_history')
+      .select('id, vendor_order_id, from_status, to_status, actor, note, created_at')
+      .eq('vendor_order_id', vendorOrderId)
+      .order('created_at', { ascending: true })
+  ]);
+
+  const failed = [itemsResult, historyResult].find(result => result.error);
+  if (failed) {
+    throw failed.error;
+  }
+
+  const parent = vendorOrder.orders || {};
+  const { vendor, ...details } = toVendorOrder(vendorOrder, itemsResult.data || []);
+
+  return {
+    ...details,
+    orderNumber: parent.order_number,
+    currency: parent.currency,
+    shippingAddress: parent.shipping_address,
+    placedAt: parent.created_at,
+    history: (historyResult.data || []).map(toHistoryEntry)
+  };
+};
+
+/**
+ * Bring an order's status in line with its sub-orders (see deriveOrderStatus)
+ * @param {string} orderId - Order ID
+ * @param {string} actor - Who caused the change
+ * @returns {Promise<void>}
+ */
+const syncOrderStatus = async (orderId, actor) => {
+  const [orderResult, vendorOrdersResult] = await Promise.all([
+    supabase.from('orders').select('id, status').eq('id', orderId).single(),
+    supabase.from('vendor_orders').select('status').eq('order_id', orderId)
+  ]);
+
+  const failed = [orderResult, vendorOrdersResult].find(result => result.error);
+  if (failed) {
+    throw failed.error;
+  }
+
+  const order = orderResult.data;
+  const derived = deriveOrderStatus((vendorOrdersResult.data || []).map(vendorOrder => vendorOrder.status));
+
+  if (!derived || derived === order.status) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const { data: updated, error: updateError } = await supabase
+    .from('orders')
+    .update({
+      status: derived,
+      updated_at: now,
+      ...(derived === ORDER_STATUSES.CANCELLED && { cancelled_at: now })
+    })
+    .eq('id', orderId)
+    .eq('status', order.status)
+    .select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (updated && updated.length > 0) {
+    await recordStatusChanges([{ orderId, from: order.status, to: derived, actor }]);
+  }
+};
+
+/**
+ * Move one of a vendor's sub-orders to a new status, then update the parent order
+ * @param {string} vendorId - Vendor ID
+ * @param {string} vendorOrderId - Vendor order ID
+ * @param {string} toStatus - New status
+ * @param {object} options - { note, changes (extra vendor_orders columns) }
+ * @returns {Promise<{status: string, vendorOrder?: object, currentStatus?: string}>} status is updated,
+ *   not_found or invalid_transition
+ */
+const transitionVendorOrder = async (vendorId, vendorOrderId, toStatus, { note, changes = {} } = {}) => {
+  const { data: vendorOrder, error: fetchError } = await supabase
+    .from('vendor_orders')
+    .select('id, order_id, status')
+    .eq('id', vendorOrderId)
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!vendorOrder) {
+    return { status: 'not_found' };
+  }
+
+  if (!canTransition(vendorOrder.status, toStatus)) {
+    return { status: 'invalid_transition', currentStatus: vendorOrder.status };
+  }
+
+  const now = new Date().toISOString();
+  const timestampColumn = VENDOR_STATUS_TIMESTAMPS[toStatus];
+
+  // Only applies if nobody changed the sub-order since it was read
+  const { data: updated, error: updateError } = await supabase
+    .from('vendor_orders')
+    .update({
+      ...changes,
+      status: toStatus,
+      updated_at: now,
+      ...(timestampColumn && { [timestampColumn]: now })
+    })
+    .eq('id', vendorOrderId)
+    .eq('status', vendorOrder.status)
+    .select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (!updated || updated.length === 0) {
+    return { status: 'invalid_transition', currentStatus: vendorOrder.status };
+  }
+
+  await recordStatusChanges([{
+    orderId: vendorOrder.order_id,
+    vendorOrderId,
+    from: vendorOrder.status,
+    to: toStatus,
+    actor: 'vendor',
+    note
+  }]);
+
+  if (toStatus === ORDER_STATUSES.CANCELLED) {
+    await inventoryService.releaseStock(vendorOrder.order_id, [vendorOrderId]);
+  }
+
+  await syncOrderStatus(vendorOrder.order_id, 'vendor');
+
+  return { status: 'updated', vendorOrder: await getVendorOrder(vendorId, vendorOrderId) };
+};
+
+/**
+ * Start preparing a paid sub-order
+ * @param {string} vendorId - Vendor ID
+ * @param {string} vendorOrderId - Vendor order ID
+ * @returns {Promise<object>} See transitionVendorOrder
+ */
+const acceptVendorOrder = (vendorId, vendorOrderId) => transitionVendorOrder(vendorId, vendorOrderId, ORDER_STATUSES.PROCESSING);
+
+/**
+ * Mark a sub-order as handed to the carrier
+ * @param {string} vendorId - Vendor ID
+ * @param {string} vendorOrderId - Vendor order ID
+ * @param {object} shipment - { carrier, trackingNumber }
+ * @returns {Promise<object>} See transitionVendorOrder
+ */
+const shipVendorOrder = (vendorId, vendorOrderId, { carrier, trackingNumber }) => transitionVendorOrder(vendorId, vendorOrderId, ORDER_STATUSES.SHIPPED, {
+  note: `${carrier} ${trackingNumber}`,
+  changes: { carrier, tracking_number: trackingNumber }
+});
+
+/**
+ * Cancel a sub-order that has not shipped yet
+ * @param {string} vendorId - Vendor ID
+ * @param {string} vendorOrderId - Vendor order ID
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<object>} See transitionVendorOrder
+ */
+const cancelVendorOrder = (vendorId, vendorOrderId, reason) => transitionVendorOrder(vendorId, vendorOrderId, ORDER_STATUSES.CANCELLED, {
+  note: reason,
+  changes: { cancellation_reason: reason }
+});
+
+/**
+ * Get the data for printing a packing slip (no prices)
+ * @param {object} vendor - Vendor (req.vendor)
+ * @param {string} vendorOrderId - Vendor order ID
+ * @returns {Promise<object|null>} Packing slip, or null if not found
+ */
+const getPackingSlip = async (vendor, vendorOrderId) => {
+  const vendorOrder = await getVendorOrder(vendor.id, vendorOrderId);
+  if (!vendorOrder) {
+    return null;
+  }
+
+  return {
+    orderNumber: vendorOrder.orderNumber,
+    vendorOrderId: vendorOrder.id,
+    status: vendorOrder.status,
+    placedAt: vendorOrder.placedAt,
+    from: {
+      businessName: vendor.businessName,
+      address: vendor.businessAddress,
+      phone: vendor.phoneNumber,
+      email: vendor.email
+    },
+    shipTo: vendorOrder.shippingAddress,
+    items: vendorOrder.items.map(item => ({
+      productId: item.productId,
+      productName: item.productName,
+      color: item.color,
+      weight: item.weight,
+      quantity: item.quantity
+    })),
+    itemCount: vendorOrder.itemCount,
+    totalWeight: Math.round(vendorOrder.items.reduce((sum, item) => sum + item.weight * item.quantity, 0) * 100) / 100,
+    carrier: vendorOrder.carrier,
+    trackingNumber: vendorOrder.trackingNumber,
+    generatedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  listVendorOrders,
+  getVendorOrder,
+  syncOrderStatus,
+  transitionVendorOrder,
+  acceptVendorOrder,
+  shipVendorOrder,
+  cancelVendorOrder,
+  getPackingSlip
+};
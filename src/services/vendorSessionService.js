@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const logger = require('../utils/logger');
+
+// Refresh tokens (and their sessions) live for 7 days after the last rotation
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Map a vendor_sessions row to the API shape
+ * @param {object} session - vendor_sessions row
+ * @returns {object} Session
+ */
+const toSession = (session) => ({
+  id: session.id,
+  device: session.user_agent,
+  ipAddress: session.ip_address,
+  issuedAt: session.created_at,
+  lastUsedAt: session.last_used_at,
+  expiresAt: session.expires_at
+});
+
+/**
+ * Limit a vendor_sessions query to one login of a vendor
+ * @param {object} query - Supabase query
+ * @param {string|null|undefined} memberId - Team member ID, null for the primary account,
+ *   undefined for every login of the vendor
+ * @returns {object} Query
+ */
+const scopeToAccount = (query, memberId) => {
+  if (memberId === undefined) {
+    return query;
+  }
+  return memberId ? query.eq('member_id', memberId) : query.is('member_id', null);
+};
+
+/**
+ * Start a session for a freshly logged-in vendor
+ * Each session is one refresh token family: rotation replaces its jti.
+ * @param {string} vendorId - Vendor ID
+ * @param {object} client - { userAgent, ipAddress }
+ * @param {string|null} [memberId] - Team member who logged in (null: the primary account)
+ * @returns {Promise<{sessionId: string, jti: string}>} Session and the jti of its first refresh token
+ */
+const createSession = async (vendorId, { userAgent, ipAddress } = {}, memberId = null) => {
+  const jti = crypto.randomUUID();
+  const now = new Date();
+
+  const { data: session, error: insertError } = await supabase
+    .from('vendor_sessions')
+    .insert({
+      vendor_id: vendorId,
+      member_id: memberId,
+      jti,
+      user_agent: userAgent || null,
+      ip_address: ipAddress || null,
+      last_used_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + SESSION_TTL_MS).toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  return { sessionId: session.id, jti };
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {string} vendorId - Owning vendor ID
+ * @param {string} reason - Why the session was revoked
+ * @param {string|null} [memberId] - Only revoke it if it belongs to this login (see scopeToAccount)
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+const revokeSession = async (sessionId, vendorId, reason, memberId) => {
+  const query = supabase
+    .from('vendor_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .eq('vendor_id', vendorId)
+    .is('revoked_at', null);
+
+  const { data, error: updateError } = await scopeToAccount(query, memberId).select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return Boolean(data && data.length > 0);
+};
+
+/**
+ * Revoke every active session of a vendor
+ * @param {string} vendorId - Vendor ID
+ * @param {string} reason - Why the sessions were revoked
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the caller's own)
+ * @param {string|null} [memberId] - Only revoke the sessions of this login (see scopeToAccount)
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+const revokeAllSessions = async (vendorId, reason, exceptSessionId, memberId) => {
+  let query = supabase
+    .from('vendor_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('vendor_id', vendorId)
+    .is('revoked_at', null);
+
+  query = scopeToAccount(query, memberId);
+
+  if (exceptSessionId) {
+    query = query.neq('id', exceptSessionId);
+  }
+
+  const { data, error: updateError } = await query.select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return data ? data.length : 0;
+};
+
+/**
+ * Rotate a session's refresh token
+ * Presenting a token that was already rotated out means it was copied,
+ * so the whole session is revoked.
+ * @param {string} sessionId - Session ID from the refresh token
+ * @param {string} vendorId - Vendor ID from the refresh token
+ * @param {string} jti - jti of the presented refresh token
+ * @param {object} client - { userAgent, ipAddress }
+ * @returns {Promise<{status: string, jti?: string}>} status is rotated, reused, revoked, expired or not_found
+ */
+const rotateSession = async (sessionId, vendorId, jti, { userAgent, ipAddress } = {}) => {
+  const nextJti = crypto.randomUUID();
+  const now = new Date();
+
+  // Conditional update: only the current token of an active session can rotate
+  const { data: rotated, error: updateError } = await supabase
+    .from('vendor_sessions')
+    .update({
+      jti: nextJti,
+      last_used_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + SESSION_TTL_MS).toISOString(),
+      ...(userAgent && { user_agent: userAgent }),
+      ...(ipAddress && { ip_address: ipAddress })
+    })
+    .eq('id', sessionId)
+    .eq('vendor_id', vendorId)
+    .eq('jti', jti)
+    .is('revoked_at', null)
+    .gt('expires_at', now.toISOString())
+    .select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (rotated && rotated.length > 0) {
+    return { status: 'rotated', jti: nextJti };
+  }
+
+  const { data: session, error: fetchError } = await supabase
+    .from('vendor_sessions')
+    .select('id, jti, revoked_at, expires_at')
+    .eq('id', sessionId)
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!session) {
+    return { status: 'not_found' };
+  }
+
+  if (session.revoked_at) {
+    return { status: 'revoked' };
+  }
+
+  if (session.jti !== jti) {
+    await revokeSession(sessionId, vendorId, 'refresh_token_reuse');
+    logger.warn(`Refresh token reuse detected, session revoked: ${sessionId}`);
+    return { status: 'reused' };
+  }
+
+  return { status: 'expired' };
+};
+
+/**
+ * Check that a session is still active
+ * @param {string} sessionId - Session ID
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<boolean>} True if the session exists, is not revoked and has not expired
+ */
+const isSessionActive = async (sessionId, vendorId) => {
+  const { data: session, error: fetchError } = await supabase
+    .from('vendor_sessions')
+    .select('id')
+    .eq('id', sessionId)
+    .eq('vendor_id', vendorId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return Boolean(session);
+};
+
+/**
+ * List a vendor's active sessions, most recently used first
+ * @param {string} vendorId - Vendor ID
+ * @param {string|null} [memberId] - Only list the sessions of this login (see scopeToAccount)
+ * @returns {Promise<Array>} Sessions
+ */
+const listSessions = async (vendorId, memberId) => {
+  const query = supabase
+    .from('vendor_sessions')
+    .select('id, user_agent, ip_address, created_at, last_used_at, expires_at')
+    .eq('vendor_id', vendorId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString());
+
+  const { data: sessions, error: fetchError } = await scopeToAccount(query, memberId)
+    .order('last_used_at', { ascending: false });
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return (sessions || []).map(toSession);
+};
+
+module.exports = {
+  SESSION_TTL_MS,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  listSessions
+};
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { supabase } = require('../config/supabase');
+const mailService = require('./mail');
+const vendorSessionService = require('./vendorSessionService');
+const { hashToken } = require('./passwordResetService');
+const { normalizeEmail } = require('./loginProtectionService');
+const logger = require('../utils/logger');
+
+// Team member roles; a vendor's primary account is always an owner
+const VENDOR_ROLES = {
+  OWNER: 'owner',
+  CATALOG_MANAGER: 'catalog_manager',
+  VIEWER: 'viewer'
+};
+
+const INVITATION_TTL_HOURS = parseInt(process.env.VENDOR_INVITATION_TTL_HOURS) || 72;
+
+// Member columns (never includes password_hash or the invitation token)
+const MEMBER_COLUMNS = 'id, vendor_id, email, name, role, status, invited_by, invitation_expires_at, accepted_at, last_login_at, created_at, updated_at';
+
+/**
+ * Map a vendor_members row to the API shape
+ * @param {object} member - vendor_members row
+ * @returns {object} Team member
+ */
+const toMember = (member) => ({
+  id: member.id,
+  email: member.email,
+  name: member.name,
+  role: member.role,
+  status: member.status,
+  invitedBy: member.invited_by,
+  invitationExpiresAt: member.status === 'invited' ? member.invitation_expires_at : null,
+  acceptedAt: member.accepted_at,
+  lastLoginAt: member.last_login_at,
+  createdAt: member.created_at
+});
+
+/**
+ * Build the vendor panel link that carries an invitation token
+ * The panel posts the token with the new member's password to /api/v1/vendor-auth/invitations/accept.
+ * @param {string} token - Raw invitation token
+ * @returns {string} Invitation URL
+ */
+const buildInvitationUrl = (token) => {
+  const baseUrl = (process.env.VENDOR_PANEL_URL || 'http://localhost:3001').replace(/\/$/, '');
+  return `${baseUrl}/accept-invitation?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * List a vendor's team members and pending invitations
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Array>} Team members, oldest first
+ */
+const listMembers = async (vendorId) => {
+  const { data: members, error: fetchError } = await supabase
+    .from('vendor_members')
+    .select(MEMBER_COLUMNS)
+    .eq('vendor_id', vendorId)
+    .order('created_at', { ascending: true });
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return (members || []).map(toMember);
+};
+
+/**
+ * Get an active team member of a vendor
+ * @param {string} memberId - Member ID
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<object|null>} vendor_members row
+ */
+const getActiveMember = async (memberId, vendorId) => {
+  const { data: member, error: fetchError } = await supabase
+    .from('vendor_members')
+    .select(MEMBER_COLUMNS)
+    .eq('id', memberId)
+    .eq('vendor_id', vendorId)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return member;
+};
+
+/**
+ * Find the active team member that logs in with an email
+ * @param {string} email - Login email
+ * @returns {Promise<object|null>} vendor_members row including password_hash
+ */
+const findMemberForLogin = async (email) => {
+  const { data: member, error: fetchError } = await supabase
+    .from('vendor_members')
+    .select('*')
+    .eq('email', normalizeEmail(email))
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return member;
+};
+
+/**
+ * Email an invitation link
+ * @param {object} vendor - Inviting vendor (businessName)
+ * @param {object} invitation - { email, name, role }
+ * @param {string} token - Raw invitation token
+ * @returns {Promise<void>}
+ */
+const sendInvitationEmail = async (vendor, invitation, token) => {
+  await mailService.sendMail({
+    to: invitation.email,
+    subject: `You have been invited to ${vendor.businessName} on RENART`,
+    text: [
+      invitation.name ? `Hello ${invitation.name},` : 'Hello,',
+      '',
+      `${vendor.businessName} invited you to join their RENART vendor team as ${invitation.role.replace('_', ' ')}.`,
+      `Open the link below within ${INVITATION_TTL_HOURS} hours to choose a password and accept:`,
+      '',
+      buildInvitationUrl(token),
+      '',
+      'If you were not expecting this invitation, you can ignore this email.'
+    ].join('\n')
+  });
+
+  logger.info(`Team invitation sent to ${invitation.email} for vendor: ${vendor.email}`);
+};
+
+/**
+ * Invite someone to a vendor's team
+ * Inviting an email that already has a pending invitation to the same vendor sends a fresh link.
+ * @param {object} vendor - Inviting vendor (req.vendor)
+ * @param {object} invitation - { email, name, role }
+ * @param {string|null} invitedBy - Inviting member ID (null: the primary account)
+ * @returns {Promise<{status: string, member?: object}>} status is invited or email_taken
+ */
+const inviteMember = async (vendor, { email, name, role }, invitedBy) => {
+  const normalizedEmail = normalizeEmail(email);
+
+  // Every login email must resolve to exactly one account
+  const { data: existingVendor, error: vendorError } = await supabase
+    .from('vendors')
+    .select('id')
+    .eq('email', normalizedEmail)
+    .maybeSingle();
+
+  if (vendorError) {
+    throw vendorError;
+  }
+
+  const { data: existingMember, error: memberError } = await supabase
+    .from('vendor_members')
+    .select('id, vendor_id, status')
+    .eq('email', normalizedEmail)
+    .maybeSingle();
+
+  if (memberError) {
+    throw memberError;
+  }
+
+  if (existingVendor || (existingMember && (existingMember.vendor_id !== vendor.id || existingMember.status !== 'invited'))) {
+    return { status: 'email_taken' };
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const values = {
+    name: name || null,
+    role,
+    invited_by: invitedBy,
+    invitation_token_hash: hashToken(token),
+    invitation_expires_at: new Date(now.getTime() + INVITATION_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+    updated_at: now.toISOString()
+  };
+
+  const query = existingMember
+    ? supabase.from('vendor_members').update(values).eq('id', existingMember.id)
+    : supabase.from('vendor_members').insert({
+      ...values,
+      vendor_id: vendor.id,
+      email: normalizedEmail,
+      status: 'invited',
+      created_at: now.toISOString()
+    });
+
+  const { data: member, error: saveError } = await query.select(MEMBER_COLUMNS).single();
+
+  if (saveError) {
+    throw saveError;
+  }
+
+  await sendInvitationEmail(vendor, { email: normalizedEmail, name, role }, token);
+
+  return { status: 'invited', member: toMember(member) };
+};
+
+/**
+ * Accept an invitation: set the member's password and activate the membership
+ * @param {string} token - Raw invitation token
+ * @param {object} details - { password, name }
+ * @returns {Promise<{valid: boolean, reason?: string, member?: object}>} Acceptance result
+ */
+const acceptInvitation = async (token, { password, name }) => {
+  const { data: invitation, error: fetchError } = await supabase
+    .from('vendor_members')
+    .select('id, status, invitation_expires_at')
+    .eq('invitation_token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!invitation || invitation.status !== 'invited') {
+    return { valid: false, reason: 'Invitation is invalid or has already been accepted' };
+  }
+
+  if (new Date(invitation.invitation_expires_at).getTime() <= Date.now()) {
+    return { valid: false, reason: 'Invitation has expired. Ask the store owner to invite you again.' };
+  }
+
+  const now = new Date().toISOString();
+  const passwordHash = await bcrypt.hash(password, 12);
+
+  // Conditional update so an invitation can only be accepted once
+  const { data: accepted, error: updateError } = await supabase
+    .from('vendor_members')
+    .update({
+      password_hash: passwordHash,
+      status: 'active',
+      invitation_token_hash: null,
+      accepted_at: now,
+      updated_at: now,
+      ...(name && { name })
+    })
+    .eq('id', invitation.id)
+    .eq('status', 'invited')
+    .select(MEMBER_COLUMNS);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (!accepted || accepted.length === 0) {
+    return { valid: false, reason: 'Invitation is invalid or has already been accepted' };
+  }
+
+  return { valid: true, member: toMember(accepted[0]) };
+};
+
+/**
+ * Change a team member's role
+ * @param {string} vendorId - Vendor ID
+ * @param {string} memberId - Member ID
+ * @param {string} role - New role
+ * @returns {Promise<object|null>} Updated member, or null if not found
+ */
+const updateMemberRole = async (vendorId, memberId, role) => {
+  const { data: members, error: updateError } = await supabase
+    .from('vendor_members')
+    .update({ role, updated_at: new Date().toISOString() })
+    .eq('id', memberId)
+    .eq('vendor_id', vendorId)
+    .select(MEMBER_COLUMNS);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return members && members.length > 0 ? toMember(members[0]) : null;
+};
+
+/**
+ * Remove a team member (or withdraw an invitation) and sign them out everywhere
+ * @param {string} vendorId - Vendor ID
+ * @param {string} memberId - Member ID
+ * @returns {Promise<boolean>} True if a member was removed
+ */
+const removeMember = async (vendorId, memberId) => {
+  const { data: removed, error: deleteError } = await supabase
+    .from('vendor_members')
+    .delete()
+    .eq('id', memberId)
+    .eq('vendor_id', vendorId)
+    .select('id');
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  if (!removed || removed.length === 0) {
+    return false;
+  }
+
+  await vendorSessionService.revokeAllSessions(vendorId, 'member_removed', null, memberId);
+  return true;
+};
+
+/**
+ * Record a team member's login
+ * @param {string} memberId - Member ID
+ * @returns {Promise<void>}
+ */
+const recordMemberLogin = async (memberId) => {
+  await supabase
+    .from('vendor_members')
+    .update({ last_login_at: new Date().toISOString() })
+    .eq('id', memberId);
+};
+
+module.exports = {
+  VENDOR_ROLES,
+  INVITATION_TTL_HOURS,
+  toMember,
+  buildInvitationUrl,
+  listMembers,
+  getActiveMember,
+  findMemberForLogin,
+  inviteMember,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  recordMemberLogin
+};
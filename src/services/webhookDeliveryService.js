@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { supabase } = require('../config/supabase');
+const { lookupPublicAddress, assertPublicHost } = require('../utils/publicAddress');
+const logger = require('../utils/logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+// First retry after this many seconds, doubling after each failed attempt
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const POLL_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_SECONDS) || 10;
+const BATCH_SIZE = 20;
+// A claimed delivery becomes due again after this long, in case the process dies mid-request
+const CLAIM_LEASE_MS = REQUEST_TIMEOUT_MS + 30 * 1000;
+
+// Connections only go to the public addresses the host resolved to when connecting
+const httpAgent = new http.Agent({ lookup: lookupPublicAddress });
+const httpsAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+// Columns shown in the delivery log (the payload is included so failures can be inspected;
+// response bodies are never kept, so an endpoint cannot be used to read other servers)
+const DELIVERY_COLUMNS = 'id, webhook_id, vendor_id, event, payload, status, attempts, next_attempt_at, last_attempt_at, response_status, error, duration_ms, delivered_at, created_at';
+
+/**
+ * Whether webhooks may target loopback and private addresses
+ * Only for local receivers during development; never in production.
+ * @returns {boolean} True if WEBHOOK_ALLOW_PRIVATE_ADDRESSES is set outside production
+ */
+const allowsPrivateAddresses = () => process.env.NODE_ENV !== 'production' && process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === 'true';
+
+/**
+ * Map a webhook_deliveries row to the API shape
+ * @param {object} delivery - webhook_deliveries row
+ * @returns {object} Delivery
+ */
+const toDelivery = (delivery) => ({
+  id: delivery.id,
+  webhookId: delivery.webhook_id,
+  event: delivery.event,
+  payload: delivery.payload,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+  lastAttemptAt: delivery.last_attempt_at,
+  responseStatus: delivery.response_status,
+  error: delivery.error,
+  durationMs: delivery.duration_ms,
+  deliveredAt: delivery.delivered_at,
+  createdAt: delivery.created_at
+});
+
+/**
+ * Sign a payload the way receivers verify it: HMAC-SHA256 of "<timestamp>.<body>"
+ * @param {string} secret - Webhook signing secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex signature
+ */
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Seconds to wait before the next attempt
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} Delay in seconds
+ */
+const getRetryDelaySeconds = (attempts) => {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+};
+
+/**
+ * POST a delivery to its endpoint
+ * The host is checked again here, since its DNS records may have changed since the
+ * webhook was saved. Redirects are not followed and the response body is not read.
+ * @param {object} delivery - webhook_deliveries row
+ * @param {object} webhook - vendor_webhooks row
+ * @returns {Promise<{ok: boolean, responseStatus: number|null, error: string|null, durationMs: number}>}
+ */
+const sendDelivery = async (delivery, webhook) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    const privateAllowed = allowsPrivateAddresses();
+    if (!privateAllowed) {
+      await assertPublicHost(webhook.url);
+    }
+
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'RENART-Webhooks/1.0',
+        'X-Renart-Event': delivery.event,
+        'X-Renart-Delivery': delivery.id,
+        'X-Renart-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      // A proxy would resolve the host itself, past the address check
+      proxy: false,
+      ...(!privateAllowed && { httpAgent, httpsAgent }),
+      responseType: 'stream',
+      // Send the exact bytes that were signed, and treat every status as a result
+      transformRequest: [data => data],
+      validateStatus: () => true
+    });
+
+    response.data.destroy();
+
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      responseStatus: response.status,
+      error: null,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      responseStatus: null,
+      error: err.code ? `${err.code}: ${err.message}` : err.message,
+      durationMs: Date.now() - startedAt
+    };
+  }
+};
+
+/**
+ * Make one delivery attempt and record its outcome
+ * Failed attempts are rescheduled with exponential backoff until MAX_ATTEMPTS.
+ * @param {object} delivery - webhook_deliveries row
+ * @param {object|null} webhook - vendor_webhooks row (null if it was deleted)
+ * @returns {Promise<object>} Updated delivery
+ */
+const attemptDelivery = async (delivery, webhook) => {
+  const now = new Date();
+  const attempts = delivery.attempts + 1;
+
+  const result = webhook && webhook.is_active
+    ? await sendDelivery(delivery, webhook)
+    : { ok: false, responseStatus: null, error: 'Webhook endpoint is disabled', durationMs: 0 };
+
+  const giveUp = !result.ok && (attempts >= MAX_ATTEMPTS || !webhook || !webhook.is_active);
+  let status = 'pending';
+  if (result.ok) {
+    status = 'succeeded';
+  } else if (giveUp) {
+    status = 'failed';
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('webhook_deliveries')
+    .update({
+      status,
+      attempts,
+      last_attempt_at: now.toISOString(),
+      next_attempt_at: status === 'pending'
+        ? new Date(now.getTime() + getRetryDelaySeconds(attempts) * 1000).toISOString()
+        : now.toISOString(),
+      response_status: result.responseStatus,
+      error: result.error,
+      duration_ms: result.durationMs,
+      delivered_at: result.ok ? now.toISOString() : null
+    })
+    .eq('id', delivery.id)
+    .select(DELIVERY_COLUMNS)
+    .single();
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (!result.ok) {
+    logger.warn(`Webhook delivery ${delivery.id} (${delivery.event}) attempt ${attempts} failed: ${result.error || `HTTP ${result.responseStatus}`}${status === 'failed' ? ', giving up' : ''}`);
+  }
+
+  return updated;
+};
+
+/**
+ * Claim a due delivery so that only one worker sends it
+ * @param {object} delivery - webhook_deliveries row as read
+ * @returns {Promise<boolean>} True if this worker owns the attempt
+ */
+const claimDelivery = async (delivery) => {
+  const { data: claimed, error: claimError } = await supabase
+    .from('webhook_deliveries')
+    .update({ next_attempt_at: new Date(Date.now() + CLAIM_LEASE_MS).toISOString() })
+    .eq('id', delivery.id)
+    .eq('status', 'pending')
+    .eq('next_attempt_at', delivery.next_attempt_at)
+    .select('id');
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  return Boolean(claimed && claimed.length > 0);
+};
+
+/**
+ * Send every pending delivery whose next attempt is due
+ * @returns {Promise<number>} Number of attempts made
+ */
+const processDueDeliveries = async () => {
+  const { data: due, error: fetchError } = await supabase
+    .from('webhook_deliveries')
+    .select(DELIVERY_COLUMNS)
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  let attempted = 0;
+
+  for (const delivery of due || []) {
+    if (!(await claimDelivery(delivery))) {
+      continue;
+    }
+
+    const { data: webhook } = await supabase
+      .from('vendor_webhooks')
+      .select('id, url, secret, is_active')
+      .eq('id', delivery.webhook_id)
+      .maybeSingle();
+
+    try {
+      await attemptDelivery(delivery, webhook);
+      attempted++;
+    } catch (err) {
+      logger.error(`Failed to record webhook delivery ${delivery.id}:`, err);
+    }
+  }
+
+  return attempted;
+};
+
+let workerTimer = null;
+let runInFlight = null;
+
+/**
+ * Start polling the delivery queue
+ * Runs never overlap; the timer does not keep the process alive.
+ */
+const startWorker = () => {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(() => {
+    if (runInFlight) {
+      return;
+    }
+
+    runInFlight = processDueDeliveries()
+      .catch(err => logger.error('Webhook delivery run failed:', err))
+      .finally(() => {
+        runInFlight = null;
+      });
+  }, POLL_INTERVAL_SECONDS * 1000);
+  workerTimer.unref();
+
+  logger.info(`Webhook delivery worker started (every ${POLL_INTERVAL_SECONDS}s)`);
+};
+
+/**
+ * Stop polling the delivery queue
+ */
+const stopWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  DELIVERY_COLUMNS,
+  allowsPrivateAddresses,
+  toDelivery,
+  signPayload,
+  getRetryDelaySeconds,
+  attemptDelivery,
+  processDueDeliveries,
+  startWorker,
+  stopWorker
+};
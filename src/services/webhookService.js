@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const webhookDeliveryService = require('./webhookDeliveryService');
+const { assertPublicHost } = require('../utils/publicAddress');
+
+const WEBHOOK_EVENTS = {
+  PRODUCT_CREATED: 'product.created',
+  PRODUCT_UPDATED: 'product.updated',
+  PRODUCT_DELETED: 'product.deleted',
+  FAVORITE_ADDED: 'favorite.added',
+  // Only sent by the "send test event" endpoint
+  PING: 'ping'
+};
+
+// Events a webhook can subscribe to
+const SUBSCRIBABLE_EVENTS = [
+  WEBHOOK_EVENTS.PRODUCT_CREATED,
+  WEBHOOK_EVENTS.PRODUCT_UPDATED,
+  WEBHOOK_EVENTS.PRODUCT_DELETED,
+  WEBHOOK_EVENTS.FAVORITE_ADDED
+];
+
+// Columns safe to return (never includes the signing secret)
+const WEBHOOK_COLUMNS = 'id, vendor_id, url, description, events, is_active, created_at, updated_at';
+
+/**
+ * Map a vendor_webhooks row to the API shape
+ * @param {object} webhook - vendor_webhooks row
+ * @returns {object} Webhook
+ */
+const toWebhook = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  description: webhook.description,
+  events: webhook.events,
+  isActive: webhook.is_active,
+  createdAt: webhook.created_at,
+  updatedAt: webhook.updated_at
+});
+
+/**
+ * Check that a URL may receive webhooks
+ * Plain HTTP is only allowed outside production, for local receivers.
+ * @param {string} url - Endpoint URL
+ * @returns {boolean} True if allowed
+ */
+const isAllowedUrl = (url) => {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'https:' || (protocol === 'http:' && process.env.NODE_ENV !== 'production');
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Check that a URL's host is, and only resolves to, public internet addresses
+ * Deliveries check again before each send, in case the host's DNS records change.
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<boolean>} True if public, or if private addresses are allowed in development
+ */
+const isPublicUrl = async (url) => {
+  if (webhookDeliveryService.allowsPrivateAddresses()) {
+    return true;
+  }
+
+  try {
+    await assertPublicHost(url);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * List a vendor's webhooks
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Array>} Webhooks, oldest first
+ */
+const listWebhooks = async (vendorId) => {
+  const { data: webhooks, error: fetchError } = await supabase
+    .from('vendor_webhooks')
+    .select(WEBHOOK_COLUMNS)
+    .eq('vendor_id', vendorId)
+    .order('created_at', { ascending: true });
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return (webhooks || []).map(toWebhook);
+};
+
+/**
+ * Create a webhook with a new signing secret
+ * @param {string} vendorId - Vendor ID
+ * @param {object} details - { url, events, description }
+ * @returns {Promise<{webhook: object, secret: string}>} Webhook and its signing secret
+ */
+const createWebhook = async (vendorId, { url, events, description }) => {
+  const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  const now = new Date().toISOString();
+
+  const { data: webhook, error: insertError } = await supabase
+    .from('vendor_webhooks')
+    .insert({
+      vendor_id: vendorId,
+      url,
+      events,
+      description: description || null,
+      secret,
+      is_active: true,
+      created_at: now,
+      updated_at: now
+    })
+    .select(WEBHOOK_COLUMNS)
+    .single();
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  return { webhook: toWebhook(webhook), secret };
+};
+
+/**
+ * Update a webhook
+ * @param {string} vendorId - Vendor ID
+ * @param {string} webhookId - Webhook ID
+ * @param {object} changes - { url, events, description, isActive } (only present fields change)
+ * @returns {Promise<object|null>} Updated webhook, or null if not found
+ */
+const updateWebhook = async (vendorId, webhookId, { url, events, description, isActive }) => {
+  const { data: webhooks, error: updateError } = await supabase
+    .from('vendor_webhooks')
+    .update({
+      ...(url !== undefined && { url }),
+      ...(events !== undefined && { events }),
+      ...(description !== undefined && { description }),
+      ...(isActive !== undefined && { is_active: isActive }),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', webhookId)
+    .eq('vendor_id', vendorId)
+    .select(WEBHOOK_COLUMNS);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return webhooks && webhooks.length > 0 ? toWebhook(webhooks[0]) : null;
+};
+
+/**
+ * Delete a webhook and its delivery log
+ * @param {string} vendorId - Vendor ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<boolean>} True if a webhook was deleted
+ */
+const deleteWebhook = async (vendorId, webhookId) => {
+  const { data: deleted, error: deleteError } = await supabase
+    .from('vendor_webhooks')
+    .delete()
+    .eq('id', webhookId)
+    .eq('vendor_id', vendorId)
+    .select('id');
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  return Boolean(deleted && deleted.length > 0);
+};
+
+/**
+ * Build the JSON body sent for an event
+ * @param {string} event - Event type
+ * @param {object} data - Event data
+ * @returns {object} Payload
+ */
+const buildPayload = (event, data) => ({
+  id: crypto.randomUUID(),
+  type: event,
+  createdAt: new Date().toISOString(),
+  data
+});
+
+/**
+ * Queue one delivery per active webhook of the vendor subscribed to the event
+ * @param {string} vendorId - Vendor ID
+ * @param {string} event - Event type (WEBHOOK_EVENTS)
+ * @param {object} data - Event data
+ * @returns {Promise<number>} Number of queued deliveries
+ */
+const enqueueEvent = async (vendorId, event, data) => {
+  const { data: webhooks, error: fetchError } = await supabase
+    .from('vendor_webhooks')
+    .select('id')
+    .eq('vendor_id', vendorId)
+    .eq('is_active', true)
+    .contains('events', [event]);
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!webhooks || webhooks.length === 0) {
+    return 0;
+  }
+
+  // Every endpoint receives the same event ID, so receivers can deduplicate
+  const payload = buildPayload(event, data);
+  const now = new Date().toISOString();
+
+  const { error: insertError } = await supabase
+    .from('webhook_deliveries')
+    .insert(webhooks.map(webhook => ({
+      webhook_id: webhook.id,
+      vendor_id: vendorId,
+      event,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now
+    })));
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  return webhooks.length;
+};
+
+/**
+ * Send a ping event to one webhook right away
+ * If it fails, it is retried like any other delivery.
+ * @param {string} vendorId - Vendor ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<object|null>} Delivery after the first attempt, or null if the webhook was not found
+ */
+const sendTestEvent = async (vendorId, webhookId) => {
+  const { data: webhook, error: fetchError } = await supabase
+    .from('vendor_webhooks')
+    .select('id, url, secret, is_active')
+    .eq('id', webhookId)
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (!webhook) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const { data: delivery, error: insertError } = await supabase
+    .from('webhook_deliveries')
+    .insert({
+      webhook_id: webhook.id,
+      vendor_id: vendorId,
+      event: WEBHOOK_EVENTS.PING,
+      payload: buildPayload(WEBHOOK_EVENTS.PING, { webhookId: webhook.id, message: 'Test event from RENART' }),
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now
+    })
+    .select(webhookDeliveryService.DELIVERY_COLUMNS)
+    .single();
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  const attempted = await webhookDeliveryService.attemptDelivery(delivery, webhook);
+  return webhookDeliveryService.toDelivery(attempted);
+};
+
+/**
+ * Get a page of a webhook's delivery log, newest first
+ * @param {string} vendorId - Vendor ID
+ * @param {string} webhookId - Webhook ID
+ * @param {object} options - { page, limit, status }
+ * @returns {Promise<{deliveries: Array, total: number}|null>} Deliveries, or null if the webhook was not found
+ */
+const listDeliveries = async (vendorId, webhookId, { page = 1, limit = 20, status } = {}) => {
+  const { data: webhook, error: webhookError } = await supabase
+    .from('vendor_webhooks')
+    .select('id')
+    .eq('id', webhookId)
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+
+  if (webhookError) {
+    throw webhookError;
+  }
+
+  if (!webhook) {
+    return null;
+  }
+
+  const offset = (page - 1) * limit;
+  let query = supabase
+    .from('webhook_deliveries')
+    .select(webhookDeliveryService.DELIVERY_COLUMNS, { count: 'exact' })
+    .eq('webhook_id', webhookId);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data: deliveries, error: fetchError, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return {
+    deliveries: (deliveries || []).map(webhookDeliveryService.toDelivery),
+    total: count || 0
+  };
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  SUBSCRIBABLE_EVENTS,
+  toWebhook,
+  isAllowedUrl,
+  isPublicUrl,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  enqueueEvent,
+  sendTestEvent,
+  listDeliveries
+};
@@ -0,0 +1,78 @@
+/**
+ * Minimal CSV parsing (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings)
+ */
+
+/**
+ * Parse CSV text into records
+ * Blank lines are skipped. A leading byte order mark is ignored.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Records as arrays of fields
+ * @throws {Error} If a quoted field is not closed
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  const endRecord = () => {
+    record.push(field);
+    // Skip blank lines
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+    field = '';
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      endRecord();
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,30 @@
+/**
+ * Utility functions for mapping product data between the API and the database
+ */
+
+// API field name -> products column
+const PRODUCT_COLUMNS = {
+  name: 'name',
+  weight: 'weight',
+  popularityScore: 'popularity_score',
+  isActive: 'is_active'
+};
+
+/**
+ * Map API product fields (camelCase) to products columns
+ * Only fields present in the input are mapped, so the result can be used for partial updates.
+ * @param {object} data - Product fields from a request body
+ * @returns {object} Column values
+ */
+const toProductColumns = (data) => {
+  return Object.entries(PRODUCT_COLUMNS).reduce((columns, [field, column]) => {
+    if (data[field] !== undefined) {
+      columns[column] = data[field];
+    }
+    return columns;
+  }, {});
+};
+
+module.exports = {
+  toProductColumns
+};
@@ -0,0 +1,111 @@
+const dns = require('dns');
+const net = require('net');
+
+// Ranges that are not reachable on the public internet (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+const NON_PUBLIC_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'], // private
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local, including cloud metadata services
+  ['172.16.0.0', 12, 'ipv4'], // private
+  ['192.0.0.0', 24, 'ipv4'], // protocol assignments
+  ['192.0.2.0', 24, 'ipv4'], // documentation
+  ['192.168.0.0', 16, 'ipv4'], // private
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['198.51.100.0', 24, 'ipv4'], // documentation
+  ['203.0.113.0', 24, 'ipv4'], // documentation
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved and broadcast
+  ['::', 128, 'ipv6'], // unspecified
+  ['::1', 128, 'ipv6'], // loopback
+  ['64:ff9b::', 96, 'ipv6'], // NAT64, which can reach private IPv4 addresses
+  ['100::', 64, 'ipv6'], // discard
+  ['2001:db8::', 32, 'ipv6'], // documentation
+  ['2002::', 16, 'ipv6'], // 6to4, which can embed private IPv4 addresses
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['fec0::', 10, 'ipv6'], // site-local
+  ['ff00::', 8, 'ipv6'] // multicast
+];
+
+const nonPublicAddresses = new net.BlockList();
+NON_PUBLIC_SUBNETS.forEach(([network, prefix, type]) => nonPublicAddresses.addSubnet(network, prefix, type));
+
+/**
+ * Check whether an IP address is reachable on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for loopback, private, link-local and other reserved addresses
+ */
+const isPublicAddress = (address) => {
+  const version = net.isIP(address);
+  if (!version) {
+    return false;
+  }
+
+  return !nonPublicAddresses.check(address, version === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Error for a host that is, or resolves to, a non-public address
+ * @param {string} hostname - Host name
+ * @returns {Error} Error with code ENOTPUBLIC
+ */
+const notPublicError = (hostname) => {
+  const err = new Error(`${hostname} does not resolve to a public address`);
+  err.code = 'ENOTPUBLIC';
+  return err;
+};
+
+/**
+ * dns.lookup replacement for HTTP agents that refuses non-public addresses
+ * The connection uses the address checked here, so a DNS answer that changes
+ * between the check and the request cannot point it somewhere else.
+ * @param {string} hostname - Host name
+ * @param {object} options - dns.lookup options
+ * @param {function} callback - dns.lookup callback
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(notPublicError(hostname));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Make sure a URL's host is, and only resolves to, public addresses
+ * @param {string} url - URL
+ * @returns {Promise<void>} Rejects with code ENOTPUBLIC (or a DNS error) otherwise
+ */
+const assertPublicHost = async (url) => {
+  // IPv6 hosts are bracketed in URLs
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(hostname)) {
+    if (!isPublicAddress(hostname)) {
+      throw notPublicError(hostname);
+    }
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    lookupPublicAddress(hostname, {}, err => (err ? reject(err) : resolve()));
+  });
+};
+
+module.exports = {
+  isPublicAddress,
+  lookupPublicAddress,
+  assertPublicHost
+};
@@ -24,13 +24,14 @@ const success = (res, message = 'Success', data = null, statusCode = 200) => {
  * @param {string} message - Error message
  * @param {number} statusCode - HTTP status code
  * @param {any} error - Error details
+ * @param {any} data - Details the client can act on (e.g. which items are out of stock)
  * @returns {object} Response object
  */
-const error = (res, message = 'Internal Server Error', statusCode = 500, error = null) => {
+const error = (res, message = 'Internal Server Error', statusCode = 500, error = null, data = null) => {
   const response = {
     success: false,
     message,
-    data: null
+    data
   };
 
   // Add helpful hints for common errors
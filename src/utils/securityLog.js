@@ -0,0 +1,19 @@
+const logger = require('./logger');
+
+/**
+ * Log a structured security event (failed logins, lockouts, ...)
+ * Events share the securityEvent field so they can be filtered and alerted on.
+ * @param {string} event - Event name, e.g. login_failed
+ * @param {object} details - Event details (never include secrets)
+ * @param {string} [level] - Log level, defaults to warn
+ */
+const logSecurityEvent = (event, details = {}, level = 'warn') => {
+  logger.log(level, `Security event: ${event}`, {
+    securityEvent: event,
+    ...details
+  });
+};
+
+module.exports = {
+  logSecurityEvent
+};
@@ -0,0 +1,77 @@
+/**
+ * Utility functions for mapping vendor data between the API and the database
+ */
+
+// Profile columns (never includes password_hash)
+const VENDOR_COLUMNS = 'id, email, business_name, business_type, contact_person_name, phone_number, business_address, tax_id, website, description, logo_url, status, email_verified_at, two_factor_enabled, created_at, updated_at, last_login_at';
+
+// API field name -> vendors column, for fields a vendor may edit on their store
+const STORE_COLUMNS = {
+  businessName: 'business_name',
+  description: 'description',
+  logoUrl: 'logo_url',
+  website: 'website'
+};
+
+/**
+ * Map a vendors row to the API vendor shape
+ * @param {object} vendor - vendors row
+ * @returns {object} Vendor
+ */
+const toVendor = (vendor) => ({
+  id: vendor.id,
+  email: vendor.email,
+  businessName: vendor.business_name,
+  businessType: vendor.business_type,
+  contactPersonName: vendor.contact_person_name,
+  phoneNumber: vendor.phone_number,
+  businessAddress: vendor.business_address,
+  taxId: vendor.tax_id,
+  website: vendor.website,
+  description: vendor.description,
+  logoUrl: vendor.logo_url,
+  status: vendor.status,
+  isActive: vendor.status === 'active',
+  emailVerified: Boolean(vendor.email_verified_at),
+  twoFactorEnabled: Boolean(vendor.two_factor_enabled),
+  createdAt: vendor.created_at,
+  updatedAt: vendor.updated_at,
+  lastLoginAt: vendor.last_login_at
+});
+
+/**
+ * Map a vendors row to the shape shown to shoppers
+ * @param {object} vendor - vendors row
+ * @returns {object} Public vendor profile
+ */
+const toPublicVendor = (vendor) => ({
+  id: vendor.id,
+  businessName: vendor.business_name,
+  description: vendor.description,
+  logoUrl: vendor.logo_url,
+  website: vendor.website,
+  email: vendor.email,
+  createdAt: vendor.created_at
+});
+
+/**
+ * Map editable store fields (camelCase) to vendors columns
+ * Only fields present in the input are mapped, so the result can be used for partial updates.
+ * @param {object} data - Store fields from a request body
+ * @returns {object} Column values
+ */
+const toStoreColumns = (data) => {
+  return Object.entries(STORE_COLUMNS).reduce((columns, [field, column]) => {
+    if (data[field] !== undefined) {
+      columns[column] = data[field];
+    }
+    return columns;
+  }, {});
+};
+
+module.exports = {
+  VENDOR_COLUMNS,
+  toVendor,
+  toPublicVendor,
+  toStoreColumns
+};
@@ -1,4 +1,5 @@
 const { z } = require('zod');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
 
 // Auth schemas
 const loginSchema = z.object({
@@ -35,13 +36,46 @@ const updateProductSchema = z.object({
   colors: z.array(z.enum(['yellow', 'white', 'rose'])).min(1, 'At least one color is required').optional()
 });
 
+// Bulk import rows with an id update that product; other rows are validated with createProductSchema
+const importProductUpdateSchema = updateProductSchema.extend({
+  id: z.string().uuid('Invalid product ID')
+});
+
+const productImportQuerySchema = z.object({
+  dryRun: z.enum(['true', 'false']).optional().default('false').transform(value => value === 'true')
+});
+
+const productImportJobQuerySchema = z.object({
+  page: z.string().regex(/^\d+$/).transform(Number).optional().default('1'),
+  limit: z.string().regex(/^\d+$/).transform(Number).optional().default('20')
+});
+
 // Vendor schemas
 const updateVendorSchema = z.object({
-  name: z.string().min(1, 'Vendor name is required').optional(),
+  businessName: z.string().min(1, 'Business name is required').optional(),
   description: z.string().optional(),
-  logoUrl: z.string().url('Invalid logo URL').optional().nullable()
+  logoUrl: z.string().url('Invalid logo URL').optional().nullable(),
+  website: z.string().url('Invalid URL').optional().nullable()
+});
+
+// Product image schemas
+const uploadProductImageSchema = z.object({
+  color: z.enum(['yellow', 'white', 'rose'])
 });
 
+const reorderProductImagesSchema = z.object({
+  color: z.enum(['yellow', 'white', 'rose']),
+  imageIds: z.array(z.string().uuid('Invalid image ID')).min(1, 'At least one image ID is required')
+});
+
+// Vendor pricing schema
+const updatePricingRulesSchema = z.object({
+  karat: z.enum(['14k', '18k', '22k', '24k']).optional(),
+  makingCharge: z.number().min(0, 'Making charge cannot be negative').optional(),
+  markupPercent: z.number().min(0, 'Markup cannot be negative').max(1000, 'Markup cannot exceed 1000%').optional(),
+  rounding: z.enum(['cent', 'whole', 'nearest_5', 'nearest_10', 'charm']).optional()
+}).refine(data => Object.keys(data).length > 0, 'At least one pricing field is required');
+
 // Vendor auth schemas
 const vendorRegisterSchema = z.object({
   email: z.string().email('Invalid email format'),
@@ -61,7 +95,89 @@ const vendorLoginSchema = z.object({
   password: z.string().min(6, 'Password must be at least 6 characters')
 });
 
+const vendorEmailSchema = z.object({
+  email: z.string().email('Invalid email format')
+});
+
+const verifyEmailQuerySchema = z.object({
+  token: z.string().min(1, 'Verification token is required')
+});
+
+// Vendor two-factor schemas
+const totpCodeSchema = z.string().trim().regex(/^\d{6}$/, 'Code must be 6 digits');
+
+const vendorTwoFactorLoginSchema = z.object({
+  challengeToken: z.string().min(1, 'Challenge token is required'),
+  code: totpCodeSchema.optional(),
+  recoveryCode: z.string().trim().min(1).optional()
+}).refine(data => data.code || data.recoveryCode, 'Either code or recoveryCode is required');
+
+const enableTwoFactorSchema = z.object({
+  code: totpCodeSchema
+});
+
+const confirmPasswordSchema = z.object({
+  password: z.string().min(1, 'Password is required')
+});
+
+// Vendor team schemas
+const vendorMemberRoleSchema = z.enum(['owner', 'catalog_manager', 'viewer']);
+
+const inviteTeamMemberSchema = z.object({
+  email: z.string().email('Invalid email format'),
+  name: z.string().trim().min(1, 'Name cannot be empty').optional(),
+  role: vendorMemberRoleSchema
+});
+
+const updateTeamMemberSchema = z.object({
+  role: vendorMemberRoleSchema
+});
+
+const acceptInvitationSchema = z.object({
+  token: z.string().min(1, 'Invitation token is required'),
+  password: z.string().min(6, 'Password must be at least 6 characters'),
+  name: z.string().trim().min(1, 'Name cannot be empty').optional()
+});
+
+// Vendor API key schemas
+const createApiKeySchema = z.object({
+  name: z.string().trim().min(1, 'Key name is required').max(100, 'Key name must be at most 100 characters'),
+  scope: z.enum(['read', 'catalog_write'])
+});
+
+// Vendor webhook schemas
+const webhookEventsSchema = z.array(z.enum(['product.created', 'product.updated', 'product.deleted', 'favorite.added']))
+  .min(1, 'At least one event is required')
+  .transform(events => [...new Set(events)]);
+
+const createWebhookSchema = z.object({
+  url: z.string().url('Invalid URL'),
+  events: webhookEventsSchema,
+  description: z.string().max(500).optional()
+});
+
+const updateWebhookSchema = z.object({
+  url: z.string().url('Invalid URL').optional(),
+  events: webhookEventsSchema.optional(),
+  description: z.string().max(500).nullable().optional(),
+  isActive: z.boolean().optional()
+}).refine(data => Object.keys(data).length > 0, 'At least one field is required');
+
+const webhookDeliveryQuerySchema = z.object({
+  page: z.string().regex(/^\d+$/).transform(Number).optional().default('1'),
+  limit: z.string().regex(/^\d+$/).transform(Number).optional().default('20'),
+  status: z.enum(['pending', 'succeeded', 'failed']).optional()
+});
+
 // Query schemas
+const currencySchema = z.string()
+  .transform(value => value.toUpperCase())
+  .refine(value => SUPPORTED_CURRENCIES.includes(value), `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
+
+const currencyQuerySchema = z.object({
+  currency: currencySchema.optional()
+});
+
 const productQuerySchema = z.object({
   page: z.string().regex(/^\d+$/).transform(Number).optional().default('1'),
   limit: z.string().regex(/^\d+$/).transform(Number).optional().default('10'),
@@ -74,9 +190,163 @@ const productQuerySchema = z.object({
   maxPopularity: z.string().regex(/^\d+$/).transform(Number).optional(),
   search: z.string().optional(),
   sortBy: z.enum(['name', 'price', 'weight', 'popularity']).optional().default('name'),
-  sortOrder: z.enum(['asc', 'desc']).optional().default('asc')
+  sortOrder: z.enum(['asc', 'desc']).optional().default('asc'),
+  currency: currencySchema.optional()
 });
 
+const dateQuerySchema = z.string()
+  .refine(value => !Number.isNaN(Date.parse(value)), 'Invalid date format')
+  .transform(value => new Date(value));
+
+// Longest history range per bucket size, so a request reads a bounded number of samples
+const MAX_HISTORY_RANGE_DAYS = {
+  '1h': 31,
+  '6h': 93,
+  '1d': 366,
+  '1w': 366
+};
+
+const goldPriceHistoryQuerySchema = z.object({
+  from: dateQuerySchema.optional(),
+  to: dateQuerySchema.optional(),
+  interval: z.enum(['1h', '6h', '1d', '1w']).optional().default('1d')
+}).refine(
+  ({ from, to = new Date(), interval }) => !from || to - from <= MAX_HISTORY_RANGE_DAYS[interval] * 24 * 60 * 60 * 1000,
+  ({ interval = '1d' }) => ({
+    message: `Range cannot be longer than ${MAX_HISTORY_RANGE_DAYS[interval]} days for interval ${interval}`,
+    path: ['from']
+  })
+);
+
+// Admin vendor review schemas
+const adminVendorQuerySchema = z.object({
+  page: z.string().regex(/^\d+$/).transform(Number).optional().default('1'),
+  limit: z.string().regex(/^\d+$/).transform(Number).optional().default('20'),
+  status: z.enum(['pending', 'active', 'rejected', 'suspended']).optional(),
+  search: z.string().optional()
+});
+
+const rejectVendorSchema = z.object({
+  reason: z.string().trim().min(1, 'Rejection reason is required').max(1000)
+});
+
+const suspendVendorSchema = z.object({
+  reason: z.string().trim().max(1000).optional()
+});
+
+// Admin product moderation schemas
+const adminProductQuerySchema = z.object({
+  page: z.string().regex(/^\d+$/).transform(Number).optional().default('1'),
+  limit: z.string().regex(/^\d+$/).transform(Number).optional().default('20'),
+  vendorId: z.string().uuid('Invalid vendor ID').optional(),
+  isActive: z.enum(['true', 'false']).optional(),
+  moderated: z.enum(['true', 'false']).optional(),
+  search: z.string().optional()
+});
+
+// Colors belong to the vendor's catalog, so admins edit everything else
+const adminUpdateProductSchema = updateProductSchema.omit({ colors: true });
+
+const deactivateProductSchema = z.object({
+  reason: z.string().trim().min(1, 'Moderation reason is required').max(1000)
+});
+
+const adminUserQuerySchema = z.object({
+  page: z.string().regex(/^\d+$/).transform(Number).optional().default('1'),
+  limit: z.string().regex(/^\d+$/).transform(Number).optional().default('20')
+});
+
+// Price quote schemas
+const createQuoteSchema = z.object({
+  color: z.enum(['yellow', 'white', 'rose'])
+});
+
+const verifyQuoteSchema = z.object({
+  token: z.string().min(1, 'Quote token is required'),
+  productId: z.string().uuid('Invalid product ID').optional(),
+  color: z.enum(['yellow', 'white', 'rose']).optional()
+});
+
+// Cart schemas
+const cartQuantitySchema = z.number().int('Quantity must be a whole number').min(1, 'Quantity must be at least 1').max(99, 'Quantity cannot exceed 99');
+
+const addCartItemSchema = z.object({
+  productId: z.string().uuid('Invalid product ID'),
+  color: z.enum(['yellow', 'white', 'rose']),
+  quantity: cartQuantitySchema.optional().default(1)
+});
+
+const updateCartItemSchema = z.object({
+  quantity: cartQuantitySchema
+});
+
+// Order schemas
+const orderStatusSchema = z.enum(['pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded']);
+
+const shippingAddressSchema = z.object({
+  fullName: z.string().trim().min(1, 'Full name is required').max(200),
+  line1: z.string().trim().min(1, 'Address line 1 is required').max(200),
+  line2: z.string().trim().max(200).optional(),
+  city: z.string().trim().min(1, 'City is required').max(100),
+  state: z.string().trim().max(100).optional(),
+  postalCode: z.string().trim().min(1, 'Postal code is required').max(20),
+  country: z.string().trim().regex(/^[a-zA-Z]{2}$/, 'Country must be a 2-letter ISO code').transform(value => value.toUpperCase()),
+  phone: z.string().trim().max(30).optional()
+});
+
+const checkoutSchema = z.object({
+  shippingAddress: shippingAddressSchema,
+  // Price quotes shown to the customer, at most one per cart line
+  quoteTokens: z.array(z.string().min(1, 'Quote token is required')).max(100, 'Too many quote tokens').optional()
+});
+
+const orderQuerySchema = z.object({
+  page: z.string().regex(/^\d+$/).transform(Number).optional().default('1'),
+  limit: z.string().regex(/^\d+$/).transform(Number).optional().default('10'),
+  status: orderStatusSchema.optional()
+});
+
+const cancelOrderSchema = z.object({
+  reason: z.string().trim().max(500).optional()
+});
+
+// Payment schemas
+const confirmPaymentSchema = z.object({
+  paymentMethod: z.string().trim().min(1, 'Payment method is required').max(255)
+});
+
+const refundOrderSchema = z.object({
+  amount: z.number().positive('Refund amount must be positive').optional(),
+  reason: z.string().trim().min(1, 'Refund reason is required').max(500)
+});
+
+// Vendor order schemas
+const vendorOrderQuerySchema = z.object({
+  page: z.string().regex(/^\d+$/).transform(Number).optional().default('1'),
+  limit: z.string().regex(/^\d+$/).transform(Number).optional().default('20'),
+  status: orderStatusSchema.optional(),
+  from: dateQuerySchema.optional(),
+  to: dateQuerySchema.optional()
+});
+
+const shipVendorOrderSchema = z.object({
+  carrier: z.string().trim().min(1, 'Carrier is required').max(100),
+  trackingNumber: z.string().trim().min(1, 'Tracking number is required').max(100)
+});
+
+const cancelVendorOrderSchema = z.object({
+  reason: z.string().trim().min(1, 'Cancellation reason is required').max(500)
+});
+
+// Inventory schemas
+const stockAdjustmentSchema = z.object({
+  color: z.enum(['yellow', 'white', 'rose']),
+  change: z.number().int('Change must be a whole number').refine(value => value !== 0, 'Change cannot be zero').optional(),
+  quantity: z.number().int('Quantity must be a whole number').min(0, 'Quantity cannot be negative').max(100000).optional(),
+  reason: z.enum(['restock', 'correction', 'damaged', 'lost', 'returned']),
+  note: z.string().trim().max(500).optional()
+}).refine(data => (data.change === undefined) !== (data.quantity === undefined), 'Either change or quantity is required, but not both');
+
 // Favorites schema
 const addFavoriteSchema = z.object({
   productId: z.string().uuid('Invalid product ID')
@@ -91,10 +361,50 @@ module.exports = {
   updateProfileSchema,
   createProductSchema,
   updateProductSchema,
+  importProductUpdateSchema,
+  productImportQuerySchema,
+  productImportJobQuerySchema,
+  uploadProductImageSchema,
+  reorderProductImagesSchema,
   updateVendorSchema,
+  updatePricingRulesSchema,
   vendorRegisterSchema,
   vendorLoginSchema,
+  vendorEmailSchema,
+  verifyEmailQuerySchema,
+  vendorTwoFactorLoginSchema,
+  enableTwoFactorSchema,
+  confirmPasswordSchema,
+  inviteTeamMemberSchema,
+  updateTeamMemberSchema,
+  acceptInvitationSchema,
+  createApiKeySchema,
+  createWebhookSchema,
+  updateWebhookSchema,
+  webhookDeliveryQuerySchema,
+  currencyQuerySchema,
   productQuerySchema,
+  goldPriceHistoryQuerySchema,
+  adminVendorQuerySchema,
+  rejectVendorSchema,
+  suspendVendorSchema,
+  adminProductQuerySchema,
+  adminUpdateProductSchema,
+  deactivateProductSchema,
+  adminUserQuerySchema,
+  createQuoteSchema,
+  verifyQuoteSchema,
+  addCartItemSchema,
+  updateCartItemSchema,
+  checkoutSchema,
+  orderQuerySchema,
+  cancelOrderSchema,
+  confirmPaymentSchema,
+  refundOrderSchema,
+  vendorOrderQuerySchema,
+  shipVendorOrderSchema,
+  cancelVendorOrderSchema,
+  stockAdjustmentSchema,
   addFavoriteSchema,
   uuidSchema
 };
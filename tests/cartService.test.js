@@ -0,0 +1,218 @@
+const cartService = require('../src/services/cartService');
+const inventoryService = require('../src/services/inventoryService');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../src/services/pricingService', () => ({
+  priceProducts: jest.fn(async (products) => products.map(product => ({ ...product, calculatedPrice: product.weight * 100 })))
+}));
+jest.mock('../src/services/inventoryService', () => ({ getAvailableQuantity: jest.fn(async () => null) }));
+
+const RING_ID = 'product-ring';
+const CHAIN_ID = 'product-chain';
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ * @param {Array} rows - Table rows
+ * @param {function} expand - Adds embedded relations to rows that are read
+ */
+const createTable = (rows, expand = row => row) => () => {
+  let action = 'select';
+  let values = null;
+  const filters = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const inserted = [].concat(values).map((row, index) => ({ id: `row-${rows.length + index + 1}-${Math.random()}`, ...row }));
+      rows.push(...inserted);
+      return inserted;
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    if (action === 'delete') {
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+    }
+    return matched.map(row => expand({ ...row }));
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    delete: () => { action = 'delete'; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    order: () => builder,
+    single: async () => ({ data: run()[0] || null, error: null }),
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+  };
+
+  return builder;
+};
+
+describe('Cart Service', () => {
+  let tables;
+
+  beforeEach(() => {
+    tables = {
+      products: [
+        { id: RING_ID, name: 'Ring', vendor_id: 'vendor-1', weight: 2, popularity_score: 5, is_active: true },
+        { id: CHAIN_ID, name: 'Chain', vendor_id: 'vendor-1', weight: 1.5, popularity_score: 3, is_active: true }
+      ],
+      product_images: [
+        { product_id: RING_ID, color: 'yellow', image_url: null },
+        { product_id: RING_ID, color: 'rose', image_url: null },
+        { product_id: CHAIN_ID, color: 'white', image_url: null }
+      ],
+      carts: [],
+      cart_items: []
+    };
+
+    const withImages = (product) => ({
+      ...product,
+      product_images: tables.product_images.filter(image => image.product_id === product.id)
+    });
+    const expand = {
+      products: withImages,
+      cart_items: item => ({ ...item, products: withImages(tables.products.find(product => product.id === item.product_id)) })
+    };
+
+    supabase.from.mockImplementation((table) => createTable(tables[table], expand[table])());
+  });
+
+  const addItem = (owner, productId, color, quantity = 1) => cartService.addItem(owner, { productId, color, quantity });
+
+  describe('addItem', () => {
+    it('should create a guest cart on first add and return its token once', async () => {
+      const first = await addItem({ token: null }, RING_ID, 'yellow');
+
+      expect(first.status).toBe('added');
+      expect(first.token).toEqual(expect.any(String));
+      expect(tables.carts[0]).toMatchObject({ user_id: null, token_hash: expect.not.stringContaining(first.token) });
+
+      const second = await addItem({ token: first.token }, RING_ID, 'yellow', 2);
+
+      expect(second).toEqual({ status: 'added', token: null });
+      expect(tables.carts).toHaveLength(1);
+      expect(tables.cart_items).toHaveLength(1);
+      expect(tables.cart_items[0].quantity).toBe(3);
+    });
+
+    it('should reject inactive products, unavailable colors and oversized lines', async () => {
+      const owner = { userId: 'user-1' };
+      tables.products[1].is_active = false;
+
+      expect((await addItem(owner, CHAIN_ID, 'white')).status).toBe('product_not_found');
+      expect((await addItem(owner, RING_ID, 'white')).status).toBe('color_unavailable');
+
+      await addItem(owner, RING_ID, 'yellow', 98);
+      expect((await addItem(owner, RING_ID, 'yellow', 2)).status).toBe('quantity_limit');
+      expect(tables.cart_items[0].quantity).toBe(98);
+    });
+
+    it('should not add more units than are in stock', async () => {
+      const owner = { userId: 'user-1' };
+      inventoryService.getAvailableQuantity.mockResolvedValue(2);
+
+      expect(await addItem(owner, RING_ID, 'yellow', 3)).toEqual({ status: 'insufficient_stock', available: 2 });
+      expect(tables.carts).toHaveLength(0);
+
+      await addItem(owner, RING_ID, 'yellow', 2);
+      expect(await addItem(owner, RING_ID, 'yellow', 1)).toEqual({ status: 'insufficient_stock', available: 2 });
+      expect(tables.cart_items[0].quantity).toBe(2);
+
+      inventoryService.getAvailableQuantity.mockResolvedValue(null);
+    });
+  });
+
+  describe('getCart', () => {
+    it('should compute line and cart totals in the display currency', async () => {
+      const owner = { userId: 'user-1' };
+      await addItem(owner, RING_ID, 'yellow', 2);
+      await addItem(owner, CHAIN_ID, 'white', 3);
+
+      const cart = await cartService.getCart(owner, 1.5);
+
+      expect(cart.items.map(({ productId, unitPrice, lineTotal }) => ({ productId, unitPrice, lineTotal }))).toEqual([
+        { productId: RING_ID, unitPrice: 300, lineTotal: 600 },
+        { productId: CHAIN_ID, unitPrice: 225, lineTotal: 675 }
+      ]);
+      expect(cart).toMatchObject({ itemCount: 5, subtotal: 1275 });
+    });
+
+    it('should leave unavailable lines out of the totals', async () => {
+      const owner = { userId: 'user-1' };
+      await addItem(owner, RING_ID, 'yellow', 2);
+      await addItem(owner, RING_ID, 'rose');
+      await addItem(owner, CHAIN_ID, 'white');
+
+      tables.products[1].is_active = false;
+      tables.product_images.splice(1, 1);
+
+      const cart = await cartService.getCart(owner);
+
+      expect(cart.items.map(({ available }) => available)).toEqual([true, false, false]);
+      expect(cart.items[1]).toMatchObject({ unitPrice: null, lineTotal: null });
+      expect(cart).toMatchObject({ itemCount: 2, subtotal: 400 });
+    });
+
+    it('should return an empty cart when there is none', async () => {
+      expect(await cartService.getCart({ token: null })).toEqual({ id: null, items: [], itemCount: 0, subtotal: 0, updatedAt: null });
+    });
+  });
+
+  describe('changing lines', () => {
+    it('should only change lines of the owner\'s cart', async () => {
+      await addItem({ userId: 'user-1' }, RING_ID, 'yellow');
+      await addItem({ userId: 'user-2' }, CHAIN_ID, 'white');
+      const [ownItem, otherItem] = tables.cart_items;
+
+      expect(await cartService.updateItemQuantity({ userId: 'user-1' }, otherItem.id, 5)).toBe(false);
+      expect(await cartService.updateItemQuantity({ userId: 'user-1' }, ownItem.id, 5)).toBe(true);
+      expect(ownItem.quantity).toBe(5);
+
+      expect(await cartService.removeItem({ userId: 'user-1' }, otherItem.id)).toBe(false);
+      await cartService.clearCart({ userId: 'user-1' });
+
+      expect(tables.cart_items).toEqual([otherItem]);
+    });
+
+    it('should not find an expired guest cart', async () => {
+      const { token } = await addItem({ token: null }, RING_ID, 'yellow');
+      tables.carts[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+      expect(await cartService.findCart({ token })).toBeNull();
+    });
+  });
+
+  describe('mergeGuestCart', () => {
+    it('should combine the guest cart into the user cart', async () => {
+      const owner = { userId: 'user-1' };
+      await addItem(owner, RING_ID, 'yellow', 2);
+      const { token } = await addItem({ token: null }, RING_ID, 'yellow', 98);
+      await addItem({ token }, CHAIN_ID, 'white');
+
+      expect(await cartService.mergeGuestCart(token, 'user-1')).toBe(2);
+
+      const cart = await cartService.getCart(owner);
+      expect(cart.items.map(({ productId, quantity }) => ({ productId, quantity }))).toEqual([
+        { productId: RING_ID, quantity: cartService.MAX_LINE_QUANTITY },
+        { productId: CHAIN_ID, quantity: 1 }
+      ]);
+      expect(await cartService.findCart({ token })).toBeNull();
+    });
+
+    it('should hand the guest cart over when the user has none', async () => {
+      const { token } = await addItem({ token: null }, RING_ID, 'rose', 2);
+
+      expect(await cartService.mergeGuestCart(token, 'user-1')).toBe(1);
+      expect(tables.carts[0]).toMatchObject({ user_id: 'user-1', token_hash: null, expires_at: null });
+      expect((await cartService.getCart({ userId: 'user-1' })).itemCount).toBe(2);
+      expect(await cartService.mergeGuestCart(token, 'user-1')).toBe(0);
+    });
+  });
+});
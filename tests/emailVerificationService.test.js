@@ -0,0 +1,110 @@
+const emailVerificationService = require('../src/services/emailVerificationService');
+const mailService = require('../src/services/mail');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../src/services/mail', () => ({ sendMail: jest.fn() }));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ */
+const createTable = (rows) => () => {
+  let action = 'select';
+  let values = null;
+  let sort = null;
+  const filters = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const row = { id: `row-${rows.length + 1}`, used_at: null, ...values };
+      rows.push(row);
+      return [row];
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    if (action === 'delete') {
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+    }
+    if (sort) {
+      matched.sort((a, b) => (a[sort.column] < b[sort.column] ? -1 : 1) * (sort.ascending ? 1 : -1));
+    }
+    return matched.map(row => ({ ...row }));
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    delete: () => { action = 'delete'; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    is: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    order: (column, { ascending }) => { sort = { column, ascending }; return builder; },
+    limit: () => builder,
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+  };
+
+  return builder;
+};
+
+describe('Email Verification Service', () => {
+  const vendor = { id: 'vendor-1', email: 'vendor@example.com', contact_person_name: 'Jane' };
+  let tables;
+
+  const sentToken = () => mailService.sendMail.mock.calls.at(-1)[0].text.match(/token=([a-f0-9]+)/)[1];
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T10:00:00Z') });
+    jest.clearAllMocks();
+    tables = {
+      vendors: [{ ...vendor, email_verified_at: null }],
+      vendor_email_verifications: []
+    };
+    supabase.from.mockImplementation((table) => createTable(tables[table])());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should email a link whose token verifies the vendor once', async () => {
+    await emailVerificationService.sendVerification(vendor);
+
+    expect(mailService.sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'vendor@example.com' }));
+    expect(tables.vendor_email_verifications[0].token_hash).not.toBe(sentToken());
+
+    const token = sentToken();
+    expect(await emailVerificationService.verifyEmail(token)).toEqual({ valid: true, vendorId: 'vendor-1' });
+    expect(tables.vendors[0].email_verified_at).toBe('2024-01-01T10:00:00.000Z');
+    expect(await emailVerificationService.verifyEmail(token))
+      .toEqual({ valid: false, reason: 'Verification link has already been used' });
+  });
+
+  it('should reject expired links and links replaced by a resend', async () => {
+    await emailVerificationService.sendVerification(vendor);
+    const firstToken = sentToken();
+    await emailVerificationService.sendVerification(vendor);
+
+    expect((await emailVerificationService.verifyEmail(firstToken)).valid).toBe(false);
+
+    jest.setSystemTime(Date.now() + 25 * 60 * 60 * 1000);
+    expect(await emailVerificationService.verifyEmail(sentToken()))
+      .toEqual({ valid: false, reason: 'Verification link has expired. Please request a new one.' });
+    expect(tables.vendors[0].email_verified_at).toBeNull();
+  });
+
+  it('should throttle resends per vendor', async () => {
+    expect(await emailVerificationService.getResendWaitSeconds('vendor-1')).toBe(0);
+
+    await emailVerificationService.sendVerification(vendor);
+    jest.setSystemTime(Date.now() + 20 * 1000);
+    expect(await emailVerificationService.getResendWaitSeconds('vendor-1')).toBe(40);
+
+    jest.setSystemTime(Date.now() + 40 * 1000);
+    expect(await emailVerificationService.getResendWaitSeconds('vendor-1')).toBe(0);
+  });
+});
@@ -0,0 +1,183 @@
+const axios = require('axios');
+const cron = require('node-cron');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('axios', () => ({ get: jest.fn() }));
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+
+describe('Exchange Rate Service', () => {
+  const originalEnv = { ...process.env };
+
+  const respondWith = (data) => {
+    axios.get.mockResolvedValue({ data });
+  };
+
+  /**
+   * Load a fresh service (it fetches rates as soon as it is created)
+   * @param {object} env - Environment variables to set first
+   * @returns {Promise<object>} Service after its initial fetch
+   */
+  const loadService = async (env = {}) => {
+    Object.assign(process.env, env);
+
+    let service;
+    jest.isolateModules(() => {
+      service = require('../src/services/exchangeRateService');
+    });
+
+    // Let the initial fetch finish
+    await new Promise(resolve => setImmediate(resolve));
+    return service;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.NODE_ENV;
+    delete process.env.ENABLE_EXCHANGE_RATE_UPDATES;
+    delete process.env.SUPPORTED_CURRENCIES;
+    delete process.env.EXCHANGE_RATE_API_URL;
+
+    respondWith({ rates: { TRY: '32.5', EUR: 0.92, GBP: 0.79, JPY: 150 } });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('fetchRates', () => {
+    it('should keep the rates of supported currencies from the feed', async () => {
+      const service = await loadService({ EXCHANGE_RATE_API_URL: 'http://rates.test/latest' });
+
+      expect(axios.get).toHaveBeenCalledWith('http://rates.test/latest', expect.objectContaining({ timeout: 10000 }));
+      expect(service.getRates()).toEqual({ USD: 1, TRY: 32.5, EUR: 0.92, GBP: 0.79 });
+      expect(service.getLastUpdateTime()).toBeInstanceOf(Date);
+    });
+
+    it('should read conversion_rates feeds too', async () => {
+      respondWith({ conversion_rates: { TRY: 33, EUR: 0.9, GBP: 0.8 } });
+      const service = await loadService();
+
+      expect(service.getRate('TRY')).toBe(33);
+    });
+
+    it('should keep the cached rates when the fetch fails', async () => {
+      const service = await loadService();
+      const updatedAt = service.getLastUpdateTime();
+
+      axios.get.mockRejectedValue(new Error('timeout of 10000ms exceeded'));
+      await expect(service.fetchRates()).resolves.toEqual({ USD: 1, TRY: 32.5, EUR: 0.92, GBP: 0.79 });
+
+      respondWith({ status: 'error' });
+      await service.fetchRates();
+
+      expect(service.getRates()).toEqual({ USD: 1, TRY: 32.5, EUR: 0.92, GBP: 0.79 });
+      expect(service.getLastUpdateTime()).toBe(updatedAt);
+    });
+
+    it('should keep the previous rate of a currency the feed dropped', async () => {
+      const service = await loadService();
+
+      respondWith({ rates: { TRY: 34, EUR: 0, GBP: 0.8 } });
+      await service.fetchRates();
+
+      expect(service.getRates()).toEqual({ USD: 1, TRY: 34, EUR: 0.92, GBP: 0.8 });
+    });
+  });
+
+  describe('getRate', () => {
+    it('should have no rate before one was fetched, so price endpoints answer 503', async () => {
+      axios.get.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+      const service = await loadService();
+
+      expect(service.getRate('USD')).toBe(1);
+      expect(service.getRate()).toBe(1);
+      expect(service.getRate('TRY')).toBeNull();
+    });
+
+    it('should have no rate for currencies that are not supported', async () => {
+      const service = await loadService();
+
+      expect(service.getRate('JPY')).toBeNull();
+    });
+  });
+
+  describe('convert', () => {
+    it('should convert USD amounts and round to cents', async () => {
+      const service = await loadService();
+
+      expect(service.convert(1234.567, 1)).toBe(1234.57);
+      expect(service.convert(100, 32.5)).toBe(3250);
+      expect(service.convert(19.99, 0.92)).toBe(18.39);
+    });
+
+    it('should convert the calculated price of each product', async () => {
+      const service = await loadService();
+      const products = [{ id: 'ring', calculatedPrice: 100 }, { id: 'chain', calculatedPrice: 250.5 }];
+
+      expect(service.convertProducts(products, 1)).toBe(products);
+      expect(service.convertProducts(products, 0.92)).toEqual([
+        { id: 'ring', calculatedPrice: 92 },
+        { id: 'chain', calculatedPrice: 230.46 }
+      ]);
+      expect(products[0].calculatedPrice).toBe(100);
+    });
+  });
+
+  describe('periodic updates', () => {
+    it('should refresh hourly in production or when enabled', async () => {
+      await loadService({ NODE_ENV: 'production' });
+      expect(cron.schedule).toHaveBeenCalledWith('0 * * * *', expect.any(Function));
+
+      cron.schedule.mockClear();
+      delete process.env.NODE_ENV;
+      await loadService({ ENABLE_EXCHANGE_RATE_UPDATES: 'true' });
+      expect(cron.schedule).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not refresh in development, even with gold price updates enabled', async () => {
+      await loadService({ ENABLE_GOLD_PRICE_UPDATES: 'true' });
+
+      expect(cron.schedule).not.toHaveBeenCalled();
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('supported currencies', () => {
+    const loadCurrencies = (env) => {
+      Object.assign(process.env, env);
+
+      let currencies;
+      let schemas;
+      jest.isolateModules(() => {
+        currencies = require('../src/config/currencies');
+        schemas = require('../src/validators/schemas');
+      });
+      return { ...currencies, schemas };
+    };
+
+    it('should default to TRY, EUR and GBP besides USD', () => {
+      const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = loadCurrencies({});
+
+      expect(BASE_CURRENCY).toBe('USD');
+      expect(SUPPORTED_CURRENCIES).toEqual(['USD', 'TRY', 'EUR', 'GBP']);
+    });
+
+    it('should read SUPPORTED_CURRENCIES and always keep USD', () => {
+      const { SUPPORTED_CURRENCIES } = loadCurrencies({ SUPPORTED_CURRENCIES: ' jpy, EUR,,usd ' });
+
+      expect(SUPPORTED_CURRENCIES).toEqual(['USD', 'JPY', 'EUR']);
+    });
+
+    it('should refuse unsupported currencies in queries', () => {
+      const { schemas } = loadCurrencies({});
+
+      expect(schemas.currencyQuerySchema.safeParse({ currency: 'try' }).data).toEqual({ currency: 'TRY' });
+
+      const result = schemas.currencyQuerySchema.safeParse({ currency: 'JPY' });
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe('Currency must be one of: USD, TRY, EUR, GBP');
+    });
+  });
+});
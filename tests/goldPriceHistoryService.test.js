@@ -0,0 +1,86 @@
+const { bucketPrices } = require('../src/services/goldPriceHistoryService');
+const { goldPriceHistoryQuerySchema } = require('../src/validators/schemas');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: {} }));
+
+describe('Gold Price History Service', () => {
+  describe('bucketPrices', () => {
+    const rows = [
+      { price: '2000.00', fetched_at: '2024-01-01T00:10:00Z' },
+      { price: '2010.50', fetched_at: '2024-01-01T00:20:00Z' },
+      { price: '1995.25', fetched_at: '2024-01-01T00:50:00Z' },
+      { price: '2005.00', fetched_at: '2024-01-01T01:00:00Z' },
+      { price: '2002.00', fetched_at: '2024-01-01T03:30:00Z' }
+    ];
+
+    it('should build hourly OHLC buckets', () => {
+      const buckets = bucketPrices(rows, '1h');
+
+      expect(buckets).toEqual([
+        {
+          start: '2024-01-01T00:00:00.000Z',
+          end: '2024-01-01T01:00:00.000Z',
+          open: 2000,
+          high: 2010.5,
+          low: 1995.25,
+          close: 1995.25,
+          samples: 3
+        },
+        {
+          start: '2024-01-01T01:00:00.000Z',
+          end: '2024-01-01T02:00:00.000Z',
+          open: 2005,
+          high: 2005,
+          low: 2005,
+          close: 2005,
+          samples: 1
+        },
+        {
+          start: '2024-01-01T03:00:00.000Z',
+          end: '2024-01-01T04:00:00.000Z',
+          open: 2002,
+          high: 2002,
+          low: 2002,
+          close: 2002,
+          samples: 1
+        }
+      ]);
+    });
+
+    it('should collapse samples into a single daily bucket', () => {
+      const buckets = bucketPrices(rows, '1d');
+
+      expect(buckets).toHaveLength(1);
+      expect(buckets[0]).toMatchObject({
+        open: 2000,
+        high: 2010.5,
+        low: 1995.25,
+        close: 2002,
+        samples: 5
+      });
+    });
+
+    it('should return no buckets for an empty range', () => {
+      expect(bucketPrices([], '1d')).toEqual([]);
+    });
+  });
+
+  describe('history query limits', () => {
+    it('should refuse ranges that would read too many samples for the interval', () => {
+      const result = goldPriceHistoryQuerySchema.safeParse({ from: '1970-01-01' });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues).toEqual([expect.objectContaining({ path: ['from'] })]);
+      expect(goldPriceHistoryQuerySchema.safeParse({ from: '2024-01-01', to: '2024-03-01', interval: '1h' }).success).toBe(false);
+    });
+
+    it('should accept ranges within the limit, and the default range for every interval', () => {
+      expect(goldPriceHistoryQuerySchema.safeParse({ from: '2024-01-01', to: '2024-01-31', interval: '1h' }).success).toBe(true);
+      expect(goldPriceHistoryQuerySchema.safeParse({ from: '2023-01-01', to: '2024-01-01', interval: '1w' }).success).toBe(true);
+      expect(goldPriceHistoryQuerySchema.safeParse({ interval: '1h' }).success).toBe(true);
+      expect(goldPriceHistoryQuerySchema.safeParse({ to: '2024-01-31' }).success).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const http = require('http');
+const genericProvider = require('../src/services/goldPriceProviders/genericProvider');
+const fixerProvider = require('../src/services/goldPriceProviders/fixerProvider');
+const exchangeRateProvider = require('../src/services/goldPriceProviders/exchangeRateProvider');
+const {
+  createProvider,
+  registerProvider,
+  loadProviders
+} = require('../src/services/goldPriceProviders');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+
+describe('Gold Price Providers', () => {
+  let server, baseUrl, handler, lastRequest;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      lastRequest = req;
+      handler(req, res);
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const respondWith = (body, statusCode = 200) => {
+    handler = (req, res) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+  };
+
+  describe('generic provider', () => {
+    it('should parse a price field and send the API key header', async () => {
+      respondWith({ price: '2345.67' });
+      const provider = genericProvider.create({ url: `${baseUrl}/price`, apiKey: 'secret' });
+
+      await expect(provider.fetchPrice()).resolves.toBe(2345.67);
+      expect(lastRequest.headers['x-access-token']).toBe('secret');
+    });
+
+    it('should parse a gold field', async () => {
+      respondWith({ gold: 1999.5 });
+      const provider = genericProvider.create({ url: `${baseUrl}/price` });
+
+      await expect(provider.fetchPrice()).resolves.toBe(1999.5);
+    });
+
+    it('should reject invalid price data', async () => {
+      respondWith({ status: 'ok' });
+      const provider = genericProvider.create({ url: `${baseUrl}/price` });
+
+      await expect(provider.fetchPrice()).rejects.toThrow('Invalid price data received from generic');
+    });
+
+    it('should reject HTTP errors', async () => {
+      respondWith({ error: 'unavailable' }, 503);
+      const provider = genericProvider.create({ url: `${baseUrl}/price` });
+
+      await expect(provider.fetchPrice()).rejects.toThrow();
+    });
+
+    it('should honor the configured timeout', async () => {
+      handler = () => {};
+      const provider = genericProvider.create({ url: `${baseUrl}/slow`, timeout: 50 });
+
+      await expect(provider.fetchPrice()).rejects.toThrow(/timeout/);
+    });
+  });
+
+  describe('fixer provider', () => {
+    it('should invert the XAU rate and pass auth as query parameters', async () => {
+      respondWith({ rates: { XAU: 0.0005 } });
+      const provider = fixerProvider.create({ url: `${baseUrl}/latest`, apiKey: 'fixer-key' });
+
+      await expect(provider.fetchPrice()).resolves.toBe(2000);
+      expect(lastRequest.url).toContain('access_key=fixer-key');
+      expect(lastRequest.url).toContain('symbols=XAU');
+    });
+  });
+
+  describe('exchangerate provider', () => {
+    it('should invert the XAU rate', async () => {
+      respondWith({ rates: { USD: 1, XAU: 0.0004 } });
+      const provider = exchangeRateProvider.create({ url: `${baseUrl}/latest/USD`, apiKey: 'key' });
+
+      await expect(provider.fetchPrice()).resolves.toBe(2500);
+    });
+  });
+
+  describe('createProvider', () => {
+    it('should require a parse function', () => {
+      expect(() => createProvider({ name: 'broken', url: baseUrl })).toThrow(
+        'Gold price provider "broken" requires a parse function'
+      );
+    });
+  });
+
+  describe('loadProviders', () => {
+    it('should only build configured providers ordered by priority', () => {
+      const providers = loadProviders({
+        GOLD_PRICE_API_URL: `${baseUrl}/price`,
+        GOLD_PRICE_API_PRIORITY: '50',
+        FIXER_API_KEY: 'fixer-key'
+      });
+
+      expect(providers.map(p => p.name)).toEqual(['fixer', 'generic']);
+    });
+
+    it('should respect GOLD_PRICE_PROVIDERS selection', () => {
+      const providers = loadProviders({
+        GOLD_PRICE_PROVIDERS: 'exchangerate',
+        GOLD_PRICE_API_URL: `${baseUrl}/price`,
+        EXCHANGE_API_KEY: 'key'
+      });
+
+      expect(providers.map(p => p.name)).toEqual(['exchangerate']);
+    });
+
+    it('should include newly registered adapters', async () => {
+      respondWith({ data: { ounce: 2100 } });
+      registerProvider({
+        name: 'custom',
+        fromEnv: (env) => env.CUSTOM_URL
+          ? createProvider({ name: 'custom', url: env.CUSTOM_URL, priority: 1, parse: (data) => data.data.ounce })
+          : null
+      });
+
+      const providers = loadProviders({ GOLD_PRICE_PROVIDERS: 'custom', CUSTOM_URL: `${baseUrl}/custom` });
+
+      expect(providers).toHaveLength(1);
+      await expect(providers[0].fetchPrice()).resolves.toBe(2100);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const sharp = require('sharp');
+const imageVariantService = require('../src/services/imageVariantService');
+
+describe('Image Variant Service', () => {
+  const createImage = (width, height, format) => sharp({
+    create: { width, height, channels: 3, background: '#d4af37' }
+  })[format]().toBuffer();
+
+  describe('generateVariants', () => {
+    it('should resize into every size in the fallback format and WebP without upscaling', async () => {
+      const variants = await imageVariantService.generateVariants(await createImage(800, 400, 'png'), 'png');
+
+      expect(variants.map(v => `${v.size}.${v.extension}`)).toEqual([
+        'thumb.png', 'thumb.webp', 'medium.png', 'medium.webp', 'large.png', 'large.webp'
+      ]);
+
+      const widths = await Promise.all(variants.map(async v => (await sharp(v.buffer).metadata()).width));
+      expect(widths).toEqual([200, 200, 600, 600, 800, 800]);
+      expect((await sharp(variants[1].buffer).metadata()).format).toBe('webp');
+    });
+
+    it('should serve WebP originals as JPEG fallbacks', async () => {
+      const variants = await imageVariantService.generateVariants(await createImage(300, 300, 'webp'), 'webp');
+
+      expect(variants[0]).toMatchObject({ size: 'thumb', extension: 'jpg', contentType: 'image/jpeg' });
+    });
+
+    it('should reject data that is not an image', async () => {
+      await expect(imageVariantService.generateVariants(Buffer.from('not an image'), 'jpg')).rejects.toThrow();
+    });
+  });
+
+  describe('storeVariants', () => {
+    it('should store every variant next to the original and return their URLs', async () => {
+      const storage = { save: jest.fn(async ({ key }) => ({ key, url: `/uploads/${key}` })) };
+      const generated = await imageVariantService.generateVariants(await createImage(100, 100, 'jpeg'), 'jpg');
+
+      const variants = await imageVariantService.storeVariants(storage, 'products/p1/rose/a.jpg', generated);
+
+      expect(variants.thumb).toEqual({
+        url: '/uploads/products/p1/rose/a-thumb.jpg',
+        webpUrl: '/uploads/products/p1/rose/a-thumb.webp'
+      });
+      expect(storage.save.mock.calls.map(([file]) => file.key).sort()).toEqual(
+        imageVariantService.getStorageKeys('products/p1/rose/a.jpg').slice(1).sort()
+      );
+    });
+  });
+
+  describe('groupImageVariants', () => {
+    it('should group by color, skip placeholders and fall back to the original URL', () => {
+      const variants = { thumb: { url: 't.jpg', webpUrl: 't.webp' }, medium: { url: 'm.jpg', webpUrl: 'm.webp' }, large: { url: 'l.jpg', webpUrl: 'l.webp' } };
+
+      expect(imageVariantService.groupImageVariants([
+        { color: 'yellow', image_url: 'a.jpg', variants },
+        { color: 'yellow', image_url: 'legacy.jpg', variants: null },
+        { color: 'rose', image_url: null, variants: null }
+      ])).toEqual({
+        yellow: [
+          { original: 'a.jpg', ...variants },
+          {
+            original: 'legacy.jpg',
+            thumb: { url: 'legacy.jpg', webpUrl: null },
+            medium: { url: 'legacy.jpg', webpUrl: null },
+            large: { url: 'legacy.jpg', webpUrl: null }
+          }
+        ]
+      });
+    });
+  });
+});
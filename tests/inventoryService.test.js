@@ -0,0 +1,286 @@
+const inventoryService = require('../src/services/inventoryService');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const VENDOR_ID = 'vendor-1';
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ * @param {Array} rows - Table rows
+ * @param {function} expand - Adds embedded relations to rows before they are filtered
+ */
+const createTable = (rows, expand = row => row) => () => {
+  let action = 'select';
+  let values = null;
+  let limit = null;
+  const filters = [];
+
+  // Filters on embedded relations use "relation.column"
+  const valueOf = (row, column) => column.split('.').reduce((value, key) => (value ? value[key] : undefined), row);
+
+  const run = () => {
+    if (action === 'insert') {
+      const inserted = [].concat(values).map((row, index) => ({ id: `row-${rows.length + index + 1}`, ...row }));
+      rows.push(...inserted);
+      return inserted;
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(expand({ ...row }))));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    const data = matched.map(row => expand({ ...row }));
+    return limit === null ? data : data.slice(0, limit);
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    eq: (column, value) => { filters.push(row => valueOf(row, column) === value); return builder; },
+    in: (column, list) => { filters.push(row => list.includes(valueOf(row, column))); return builder; },
+    lte: (column, value) => { filters.push(row => valueOf(row, column) <= value); return builder; },
+    order: () => builder,
+    limit: (count) => { limit = count; return builder; },
+    single: async () => ({ data: run()[0] || null, error: null }),
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+  };
+
+  return builder;
+};
+
+describe('Inventory Service', () => {
+  let tables;
+
+  const stockOf = (productId, color) => tables.product_stock.find(row => row.product_id === productId && row.color === color);
+
+  beforeEach(() => {
+    tables = {
+      products: [
+        { id: 'ring', name: 'Ring', vendor_id: VENDOR_ID, sold_out: false },
+        { id: 'chain', name: 'Chain', vendor_id: VENDOR_ID, sold_out: false },
+        { id: 'bangle', name: 'Bangle', vendor_id: 'vendor-2', sold_out: false }
+      ],
+      product_images: [
+        { product_id: 'ring', color: 'yellow' },
+        { product_id: 'ring', color: 'rose' },
+        { product_id: 'chain', color: 'white' },
+        { product_id: 'bangle', color: 'yellow' }
+      ],
+      product_stock: [
+        { product_id: 'ring', color: 'yellow', quantity: 1, reserved: 0 },
+        { product_id: 'chain', color: 'white', quantity: 10, reserved: 0 }
+      ],
+      stock_adjustments: [],
+      stock_reservations: []
+    };
+
+    const expand = {
+      products: product => ({ ...product, product_images: tables.product_images.filter(image => image.product_id === product.id) }),
+      product_stock: level => ({ ...level, products: tables.products.find(product => product.id === level.product_id) })
+    };
+
+    supabase.from.mockImplementation((table) => createTable(tables[table], expand[table])());
+  });
+
+  describe('adjustStock', () => {
+    const adjust = (productId, adjustment) => inventoryService.adjustStock(VENDOR_ID, productId, { createdBy: 'member-1', ...adjustment });
+
+    it('should add to the stock and log the adjustment', async () => {
+      const result = await adjust('ring', { color: 'yellow', change: 2, reason: 'restock', note: 'New batch' });
+
+      expect(result.status).toBe('adjusted');
+      expect(result.stock).toMatchObject({ color: 'yellow', quantity: 3, reserved: 0, available: 3 });
+      expect(tables.stock_adjustments).toEqual([expect.objectContaining({
+        product_id: 'ring',
+        color: 'yellow',
+        change: 2,
+        quantity_after: 3,
+        reason: 'restock',
+        note: 'New batch',
+        created_by: 'member-1'
+      })]);
+    });
+
+    it('should start tracking a color with a counted quantity', async () => {
+      const result = await adjust('ring', { color: 'rose', quantity: 4, reason: 'correction' });
+
+      expect(result.stock).toMatchObject({ color: 'rose', quantity: 4, available: 4 });
+      expect(stockOf('ring', 'rose')).toMatchObject({ quantity: 4, reserved: 0 });
+      expect(result.adjustment).toMatchObject({ change: 4, quantityAfter: 4 });
+    });
+
+    it('should not drop the stock below the units held for orders', async () => {
+      stockOf('chain', 'white').reserved = 8;
+
+      expect(await adjust('chain', { color: 'white', change: -3, reason: 'damaged' })).toEqual({ status: 'below_reserved', reserved: 8 });
+      expect(stockOf('chain', 'white').quantity).toBe(10);
+      expect(tables.stock_adjustments).toHaveLength(0);
+    });
+
+    it('should only adjust the vendor\'s products in colors they are offered in', async () => {
+      expect(await adjust('bangle', { color: 'yellow', change: 1, reason: 'restock' })).toEqual({ status: 'product_not_found' });
+      expect(await adjust('ring', { color: 'white', change: 1, reason: 'restock' })).toEqual({ status: 'color_unavailable' });
+    });
+  });
+
+  describe('sold-out products', () => {
+    const soldOut = (productId) => tables.products.find(product => product.id === productId).sold_out;
+
+    it('should mark a product sold out once no color has units left, and back when restocked', async () => {
+      await inventoryService.adjustStock(VENDOR_ID, 'chain', { color: 'white', quantity: 0, reason: 'correction' });
+      expect(soldOut('chain')).toBe(true);
+
+      await inventoryService.adjustStock(VENDOR_ID, 'chain', { color: 'white', change: 2, reason: 'restock' });
+      expect(soldOut('chain')).toBe(false);
+    });
+
+    it('should count held units as gone until the order is cancelled', async () => {
+      await inventoryService.reserveStock('order-1', [{ vendor_order_id: 'vo-1', product_id: 'ring', color: 'yellow', quantity: 1 }]);
+      // Rose is not tracked, so the ring can still be bought
+      expect(soldOut('ring')).toBe(false);
+
+      tables.product_images = tables.product_images.filter(image => image.color !== 'rose');
+      await inventoryService.refreshSoldOut(['ring']);
+      expect(soldOut('ring')).toBe(true);
+
+      await inventoryService.releaseStock('order-1');
+      expect(soldOut('ring')).toBe(false);
+    });
+  });
+
+  describe('getProductStock', () => {
+    it('should list every color, including untracked ones, with the latest adjustments', async () => {
+      await inventoryService.adjustStock(VENDOR_ID, 'ring', { color: 'yellow', change: 1, reason: 'returned' });
+
+      const stock = await inventoryService.getProductStock(VENDOR_ID, 'ring');
+
+      expect(stock.colors).toEqual([
+        expect.objectContaining({ color: 'yellow', tracked: true, quantity: 2, available: 2, lowStock: true }),
+        expect.objectContaining({ color: 'rose', tracked: false, quantity: null, available: null, lowStock: false })
+      ]);
+      expect(stock.adjustments).toEqual([expect.objectContaining({ reason: 'returned', change: 1, quantityAfter: 2 })]);
+      expect(await inventoryService.getProductStock(VENDOR_ID, 'bangle')).toBeNull();
+    });
+  });
+
+  describe('reservations', () => {
+    const lines = [
+      { vendor_order_id: 'vo-1', product_id: 'ring', color: 'yellow', quantity: 1 },
+      { vendor_order_id: 'vo-1', product_id: 'ring', color: 'rose', quantity: 5 },
+      { vendor_order_id: 'vo-2', product_id: 'chain', color: 'white', quantity: 3 }
+    ];
+
+    it('should hold tracked stock so a one-of-a-kind piece is only sold once', async () => {
+      expect(await inventoryService.reserveStock('order-1', lines)).toEqual({ status: 'reserved' });
+
+      expect(stockOf('ring', 'yellow')).toMatchObject({ quantity: 1, reserved: 1 });
+      expect(stockOf('chain', 'white')).toMatchObject({ quantity: 10, reserved: 3 });
+      // Untracked colors need no reservation
+      expect(tables.stock_reservations.map(row => [row.product_id, row.color, row.status])).toEqual([
+        ['ring', 'yellow', 'active'],
+        ['chain', 'white', 'active']
+      ]);
+
+      expect(await inventoryService.reserveStock('order-2', [lines[2], lines[0]])).toEqual({
+        status: 'insufficient_stock',
+        items: [{ productId: 'ring', color: 'yellow', requested: 1, available: 0 }]
+      });
+      // Nothing is held for a refused order
+      expect(stockOf('chain', 'white').reserved).toBe(3);
+      expect(tables.stock_reservations).toHaveLength(2);
+    });
+
+    it('should give back lines already held when a later line fails', async () => {
+      const from = supabase.from.getMockImplementation();
+      let stockUpdates = 0;
+      supabase.from.mockImplementation((table) => {
+        const builder = from(table);
+        if (table === 'product_stock') {
+          const update = builder.update;
+          builder.update = (row) => {
+            stockUpdates++;
+            if (stockUpdates === 2) {
+              throw new Error('connection reset');
+            }
+            return update(row);
+          };
+        }
+        return builder;
+      });
+
+      await expect(inventoryService.reserveStock('order-1', [lines[0], lines[2]])).rejects.toThrow('connection reset');
+
+      expect(stockOf('ring', 'yellow')).toMatchObject({ quantity: 1, reserved: 0 });
+      expect(stockOf('chain', 'white')).toMatchObject({ quantity: 10, reserved: 0 });
+      expect(tables.stock_reservations).toHaveLength(0);
+    });
+
+    it('should let reservations expire after the reservation time', async () => {
+      const before = Date.now();
+      await inventoryService.reserveStock('order-1', lines);
+      await inventoryService.reserveStock('order-2', [lines[2]]);
+
+      const expiresAt = new Date(tables.stock_reservations[0].expires_at).getTime();
+      expect(expiresAt).toBeGreaterThanOrEqual(before + inventoryService.RESERVATION_TTL_MINUTES * 60 * 1000);
+      expect(await inventoryService.findExpiredReservations()).toEqual([]);
+
+      tables.stock_reservations.forEach(row => { row.expires_at = new Date(Date.now() - 1000).toISOString(); });
+      await inventoryService.commitStock('order-2');
+
+      // Only stock still held counts; paid orders keep theirs
+      expect(await inventoryService.findExpiredReservations()).toEqual(['order-1']);
+    });
+
+    it('should sell reserved stock once the order is paid, and only once', async () => {
+      await inventoryService.reserveStock('order-1', lines);
+
+      await inventoryService.commitStock('order-1');
+      await inventoryService.commitStock('order-1');
+
+      expect(stockOf('ring', 'yellow')).toMatchObject({ quantity: 0, reserved: 0 });
+      expect(stockOf('chain', 'white')).toMatchObject({ quantity: 7, reserved: 0 });
+      expect(tables.stock_adjustments.map(row => [row.product_id, row.change, row.reason, row.order_id])).toEqual([
+        ['ring', -1, 'sale', 'order-1'],
+        ['chain', -3, 'sale', 'order-1']
+      ]);
+    });
+
+    it('should release held stock and restock sold stock of cancelled sub-orders', async () => {
+      await inventoryService.reserveStock('order-1', lines);
+      await inventoryService.commitStock('order-1');
+
+      await inventoryService.releaseStock('order-1', ['vo-2']);
+
+      expect(stockOf('chain', 'white')).toMatchObject({ quantity: 10, reserved: 0 });
+      expect(stockOf('ring', 'yellow')).toMatchObject({ quantity: 0, reserved: 0 });
+      expect(tables.stock_adjustments[2]).toMatchObject({ product_id: 'chain', change: 3, quantity_after: 10, reason: 'order_cancelled' });
+
+      await inventoryService.reserveStock('order-2', [lines[2]]);
+      await inventoryService.releaseStock('order-2');
+
+      expect(stockOf('chain', 'white')).toMatchObject({ quantity: 10, reserved: 0 });
+      expect(tables.stock_adjustments).toHaveLength(3);
+    });
+  });
+
+  describe('getLowStockSummary', () => {
+    it('should count sold-out variants and list low ones, emptiest first', async () => {
+      tables.product_stock.push({ product_id: 'ring', color: 'rose', quantity: 2, reserved: 0 });
+      tables.product_stock.push({ product_id: 'bangle', color: 'yellow', quantity: 0, reserved: 0 });
+      stockOf('ring', 'yellow').reserved = 1;
+
+      const summary = await inventoryService.getLowStockSummary(VENDOR_ID);
+
+      expect(summary.tracked).toBe(3);
+      expect(summary.outOfStock).toBe(1);
+      expect(summary.lowStock).toEqual([
+        { productId: 'ring', productName: 'Ring', color: 'yellow', quantity: 1, reserved: 1, available: 0 },
+        { productId: 'ring', productName: 'Ring', color: 'rose', quantity: 2, reserved: 0, available: 2 }
+      ]);
+    });
+  });
+});
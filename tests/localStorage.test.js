@@ -0,0 +1,38 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const localStorage = require('../src/services/storage/localStorage');
+
+describe('Local Storage', () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'renart-uploads-'));
+    storage = localStorage.create({ rootDir, publicUrl: '/uploads/' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('should write files under the root and return their public URL', async () => {
+    const stored = await storage.save({ key: 'products/p1/yellow/a.jpg', buffer: Buffer.from('image') });
+
+    expect(stored).toEqual({ key: 'products/p1/yellow/a.jpg', url: '/uploads/products/p1/yellow/a.jpg' });
+    expect(fs.readFileSync(path.join(rootDir, 'products/p1/yellow/a.jpg'), 'utf8')).toBe('image');
+  });
+
+  it('should remove stored files and ignore missing ones', async () => {
+    await storage.save({ key: 'a.jpg', buffer: Buffer.from('image') });
+
+    await storage.remove('a.jpg');
+    await expect(storage.remove('a.jpg')).resolves.toBeUndefined();
+    expect(fs.existsSync(path.join(rootDir, 'a.jpg'))).toBe(false);
+  });
+
+  it('should reject keys outside the root directory', async () => {
+    await expect(storage.save({ key: '../escape.jpg', buffer: Buffer.from('x') })).rejects.toThrow('Invalid storage key');
+    await expect(storage.remove('../../etc/passwd')).rejects.toThrow('Invalid storage key');
+  });
+});
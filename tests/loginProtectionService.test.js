@@ -0,0 +1,160 @@
+const loginProtectionService = require('../src/services/loginProtectionService');
+const mailService = require('../src/services/mail');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn(), rpc: jest.fn() } }));
+jest.mock('../src/services/mail', () => ({ sendMail: jest.fn() }));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ */
+const createTable = (rows) => () => {
+  let action = 'select';
+  let values = null;
+  const filters = [];
+
+  const run = () => {
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    if (action === 'delete') {
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+    }
+    return matched.map(row => ({ ...row }));
+  };
+
+  const builder = {
+    select: () => builder,
+    update: (row) => { action = 'update'; values = row; return builder; },
+    delete: () => { action = 'delete'; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    is: (column, value) => { filters.push(row => (row[column] ?? null) === value); return builder; },
+    gt: (column, value) => { filters.push(row => row[column] > value); return builder; },
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+  };
+
+  return builder;
+};
+
+/**
+ * Stand-in for the record_vendor_login_failure database function
+ * Like the single upsert statement it is, each call counts its failure in one step.
+ */
+const recordLoginFailure = (rows) => ({ p_email: email, p_window_minutes: windowMinutes }) => {
+  const now = new Date();
+  const existing = rows.find(row => row.email === email);
+  const lockActive = Boolean(existing && existing.locked_until && new Date(existing.locked_until) > now);
+  const current = lockActive || Boolean(existing && !existing.locked_until &&
+    new Date(existing.last_failed_at).getTime() > now.getTime() - windowMinutes * 60 * 1000);
+
+  const row = existing || { email };
+  Object.assign(row, {
+    failed_attempts: current ? row.failed_attempts + 1 : 1,
+    last_failed_at: now.toISOString(),
+    locked_until: lockActive ? row.locked_until : null,
+    unlock_token_hash: lockActive ? row.unlock_token_hash : null,
+    unlock_token_expires_at: lockActive ? row.unlock_token_expires_at : null
+  });
+  if (!existing) {
+    rows.push(row);
+  }
+
+  const data = { failed_attempts: row.failed_attempts, locked_until: row.locked_until };
+  return { single: async () => ({ data, error: null }) };
+};
+
+describe('Login Protection Service', () => {
+  const vendor = { id: 'vendor-1', email: 'vendor@example.com', contact_person_name: 'Jane' };
+  const start = new Date('2024-01-01T10:00:00Z').getTime();
+  let attempts;
+
+  const failTimes = async (email, times, context = {}) => {
+    let result;
+    for (let i = 0; i < times; i++) {
+      jest.setSystemTime(Date.now() + 60 * 1000);
+      result = await loginProtectionService.recordFailedAttempt(email, context);
+    }
+    return result;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: start });
+    jest.clearAllMocks();
+    attempts = [];
+    supabase.from.mockImplementation(() => createTable(attempts)());
+    supabase.rpc.mockImplementation((fn, args) => recordLoginFailure(attempts)(args));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should grow the delay between attempts after the first failure', () => {
+    expect([1, 2, 3, 4, 10].map(loginProtectionService.getDelaySeconds)).toEqual([0, 1, 2, 4, 30]);
+  });
+
+  it('should throttle retries that come before the delay has passed', async () => {
+    await failTimes('vendor@example.com', 3);
+
+    expect(await loginProtectionService.checkLoginAllowed('Vendor@Example.com'))
+      .toEqual({ allowed: false, reason: 'throttled', retryAfter: 2 });
+
+    jest.setSystemTime(Date.now() + 2000);
+    expect(await loginProtectionService.checkLoginAllowed('vendor@example.com')).toEqual({ allowed: true });
+  });
+
+  it('should lock the account after too many failures and email an unlock link', async () => {
+    const result = await failTimes('vendor@example.com', loginProtectionService.MAX_FAILED_ATTEMPTS, { vendor });
+
+    expect(result).toMatchObject({ locked: true, failedAttempts: 5 });
+    expect(await loginProtectionService.checkLoginAllowed('vendor@example.com'))
+      .toEqual({ allowed: false, reason: 'locked', retryAfter: 15 * 60 });
+    expect(mailService.sendMail).toHaveBeenCalledTimes(1);
+    expect(mailService.sendMail.mock.calls[0][0]).toMatchObject({ to: 'vendor@example.com' });
+
+    // The lockout ends on its own
+    jest.setSystemTime(Date.now() + 15 * 60 * 1000);
+    expect(await loginProtectionService.checkLoginAllowed('vendor@example.com')).toEqual({ allowed: true });
+    expect((await loginProtectionService.recordFailedAttempt('vendor@example.com')).failedAttempts).toBe(1);
+  });
+
+  it('should count every one of concurrent failures and lock only once', async () => {
+    const results = await Promise.all(Array.from({ length: 8 }, () =>
+      loginProtectionService.recordFailedAttempt('vendor@example.com', { vendor })));
+
+    expect(results.map(result => result.failedAttempts).sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(results.filter(result => result.locked)).toHaveLength(4);
+    expect(attempts[0].failed_attempts).toBe(8);
+    expect(mailService.sendMail).toHaveBeenCalledTimes(1);
+    expect(supabase.rpc).toHaveBeenCalledWith('record_vendor_login_failure', { p_email: 'vendor@example.com', p_window_minutes: 15 });
+  });
+
+  it('should lock unknown emails too, without sending email', async () => {
+    const result = await failTimes('nobody@example.com', 5);
+
+    expect(result.locked).toBe(true);
+    expect(mailService.sendMail).not.toHaveBeenCalled();
+  });
+
+  it('should unlock the account once with the emailed token', async () => {
+    await failTimes('vendor@example.com', 5, { vendor });
+    const token = mailService.sendMail.mock.calls[0][0].text.match(/token=([a-f0-9]+)/)[1];
+
+    expect(await loginProtectionService.unlockWithToken(token)).toEqual({ unlocked: true, email: 'vendor@example.com' });
+    expect(await loginProtectionService.checkLoginAllowed('vendor@example.com')).toEqual({ allowed: true });
+    expect(await loginProtectionService.unlockWithToken(token)).toEqual({ unlocked: false });
+  });
+
+  it('should forget failures once the attempt window has passed', async () => {
+    await failTimes('vendor@example.com', 4);
+
+    jest.setSystemTime(Date.now() + 16 * 60 * 1000);
+    const result = await loginProtectionService.recordFailedAttempt('vendor@example.com');
+
+    expect(result).toMatchObject({ failedAttempts: 1, locked: false });
+  });
+});
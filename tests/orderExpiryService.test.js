@@ -0,0 +1,89 @@
+const orderExpiryService = require('../src/services/orderExpiryService');
+const inventoryService = require('../src/services/inventoryService');
+const orderService = require('../src/services/orderService');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../src/services/inventoryService', () => ({
+  RESERVATION_TTL_MINUTES: 30,
+  findExpiredReservations: jest.fn(),
+  releaseStock: jest.fn(async () => {})
+}));
+jest.mock('../src/services/orderService', () => ({ transitionOrder: jest.fn() }));
+jest.mock('../src/services/paymentService', () => ({
+  PAYMENT_STATUSES: { PENDING: 'pending', AUTHORIZED: 'authorized', CAPTURED: 'captured', FAILED: 'failed' }
+}));
+
+describe('Order Expiry Service', () => {
+  let payments;
+  let orderStatuses;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    payments = [];
+    orderStatuses = {};
+
+    supabase.from.mockImplementation(() => {
+      let orderId = null;
+      const builder = {
+        select: () => builder,
+        eq: (column, value) => { orderId = value; return builder; },
+        maybeSingle: async () => ({ data: payments.find(payment => payment.order_id === orderId) || null, error: null })
+      };
+      return builder;
+    });
+
+    orderService.transitionOrder.mockImplementation(async (orderId) => {
+      if (orderStatuses[orderId] !== 'pending') {
+        return { status: 'invalid_transition', currentStatus: orderStatuses[orderId] };
+      }
+      orderStatuses[orderId] = 'cancelled';
+      return { status: 'updated' };
+    });
+  });
+
+  it('should cancel unpaid orders whose reservations expired', async () => {
+    orderStatuses = { 'order-1': 'pending', 'order-2': 'pending' };
+    payments = [{ order_id: 'order-2', status: 'failed' }];
+    inventoryService.findExpiredReservations.mockResolvedValue(['order-1', 'order-2']);
+
+    expect(await orderExpiryService.expireStaleOrders()).toBe(2);
+
+    expect(orderService.transitionOrder).toHaveBeenCalledWith('order-1', 'cancelled', {
+      actor: 'system',
+      note: orderExpiryService.EXPIRY_REASON,
+      changes: { cancellation_reason: orderExpiryService.EXPIRY_REASON }
+    });
+    expect(orderStatuses).toEqual({ 'order-1': 'cancelled', 'order-2': 'cancelled' });
+  });
+
+  it('should leave orders whose payment went through to the payment', async () => {
+    orderStatuses = { 'order-1': 'pending', 'order-2': 'pending' };
+    payments = [{ order_id: 'order-1', status: 'authorized' }, { order_id: 'order-2', status: 'captured' }];
+    inventoryService.findExpiredReservations.mockResolvedValue(['order-1', 'order-2']);
+
+    expect(await orderExpiryService.expireStaleOrders()).toBe(0);
+    expect(orderService.transitionOrder).not.toHaveBeenCalled();
+  });
+
+  it('should give back stock still held by an order that is already cancelled', async () => {
+    orderStatuses = { 'order-1': 'cancelled', 'order-2': 'paid' };
+    inventoryService.findExpiredReservations.mockResolvedValue(['order-1', 'order-2']);
+
+    expect(await orderExpiryService.expireStaleOrders()).toBe(0);
+    expect(inventoryService.releaseStock).toHaveBeenCalledTimes(1);
+    expect(inventoryService.releaseStock).toHaveBeenCalledWith('order-1');
+  });
+
+  it('should keep going when one order fails', async () => {
+    orderStatuses = { 'order-2': 'pending' };
+    inventoryService.findExpiredReservations.mockResolvedValue(['order-1', 'order-2']);
+    orderService.transitionOrder.mockRejectedValueOnce(new Error('connection reset'));
+
+    expect(await orderExpiryService.expireStaleOrders()).toBe(1);
+    expect(orderStatuses['order-2']).toBe('cancelled');
+  });
+});
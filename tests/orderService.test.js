@@ -0,0 +1,278 @@
+const orderService = require('../src/services/orderService');
+const priceQuoteService = require('../src/services/priceQuoteService');
+const inventoryService = require('../src/services/inventoryService');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../src/services/goldPriceService', () => ({ getCurrentPrice: jest.fn(() => 65.25), getLastUpdateTime: jest.fn(() => null) }));
+jest.mock('../src/services/pricingService', () => ({
+  priceProducts: jest.fn(async (products) => products.map(product => ({ ...product, calculatedPrice: product.weight * 100 }))),
+  // Quotes were taken when gold was cheaper
+  priceProduct: jest.fn(async (product) => product.weight * 90)
+}));
+jest.mock('../src/services/inventoryService', () => ({
+  toStockLevel: (level) => ({ available: level.quantity - level.reserved }),
+  getStockLevels: jest.fn(async () => []),
+  reserveStock: jest.fn(async () => ({ status: 'reserved' })),
+  commitStock: jest.fn(async () => {}),
+  releaseStock: jest.fn(async () => {})
+}));
+
+const USER_ID = 'user-1';
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ * @param {Array} rows - Table rows
+ * @param {function} expand - Adds embedded relations to rows that are read
+ */
+const createTable = (rows, expand = row => row) => () => {
+  let action = 'select';
+  let values = null;
+  let withCount = false;
+  const filters = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const inserted = [].concat(values).map((row, index) => ({ id: `row-${rows.length + index + 1}`, ...row }));
+      rows.push(...inserted);
+      return inserted;
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    if (action === 'delete') {
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+    }
+    return matched.map(row => expand({ ...row }));
+  };
+
+  const builder = {
+    select: (columns, options) => { withCount = Boolean(options && options.count); return builder; },
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    delete: () => { action = 'delete'; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    order: () => builder,
+    range: () => builder,
+    single: async () => ({ data: run()[0] || null, error: null }),
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve, reject) => {
+      const data = run();
+      return Promise.resolve({ data, error: null, ...(withCount && { count: data.length }) }).then(resolve, reject);
+    }
+  };
+
+  return builder;
+};
+
+describe('Order Service', () => {
+  let tables;
+
+  const shippingAddress = { fullName: 'Jane Doe', line1: 'Bagdat Cd. 123', city: 'Istanbul', postalCode: '34710', country: 'TR' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tables = {
+      products: [
+        { id: 'ring', name: 'Ring', vendor_id: 'vendor-1', weight: 2, popularity_score: 5, is_active: true },
+        { id: 'chain', name: 'Chain', vendor_id: 'vendor-1', weight: 1.5, popularity_score: 3, is_active: true },
+        { id: 'bangle', name: 'Bangle', vendor_id: 'vendor-2', weight: 4, popularity_score: 7, is_active: true }
+      ],
+      product_images: [
+        { product_id: 'ring', color: 'yellow' },
+        { product_id: 'chain', color: 'white' },
+        { product_id: 'bangle', color: 'rose' }
+      ],
+      carts: [{ id: 'cart-1', user_id: USER_ID, expires_at: null }],
+      cart_items: [
+        { id: 'line-1', cart_id: 'cart-1', product_id: 'ring', color: 'yellow', quantity: 2 },
+        { id: 'line-2', cart_id: 'cart-1', product_id: 'chain', color: 'white', quantity: 1 },
+        { id: 'line-3', cart_id: 'cart-1', product_id: 'bangle', color: 'rose', quantity: 3 }
+      ],
+      orders: [],
+      vendor_orders: [],
+      order_items: [],
+      order_status_history: []
+    };
+
+    const expand = {
+      cart_items: item => {
+        const product = tables.products.find(row => row.id === item.product_id);
+        return {
+          ...item,
+          products: { ...product, product_images: tables.product_images.filter(image => image.product_id === product.id) }
+        };
+      }
+    };
+
+    supabase.from.mockImplementation((table) => createTable(tables[table], expand[table])());
+  });
+
+  describe('createOrderFromCart', () => {
+    beforeEach(() => {
+      process.env.PRICE_QUOTE_SECRET = 'test-quote-secret';
+    });
+
+    afterEach(() => {
+      delete process.env.PRICE_QUOTE_SECRET;
+    });
+
+    it('should split the cart into one sub-order per vendor and empty the cart', async () => {
+      const result = await orderService.createOrderFromCart(USER_ID, { shippingAddress });
+
+      expect(result.status).toBe('created');
+      expect(result.order).toMatchObject({
+        status: 'pending',
+        currency: 'USD',
+        goldPrice: 65.25,
+        total: 1750,
+        itemCount: 6,
+        shippingAddress
+      });
+      expect(result.order.orderNumber).toMatch(/^RN-\d{6}-[0-9A-F]{8}$/);
+      expect(result.order.vendorOrders.map(({ vendorId, subtotal, itemCount, items }) => ({ vendorId, subtotal, itemCount, items: items.length }))).toEqual([
+        { vendorId: 'vendor-1', subtotal: 550, itemCount: 3, items: 2 },
+        { vendorId: 'vendor-2', subtotal: 1200, itemCount: 3, items: 1 }
+      ]);
+      expect(result.order.vendorOrders[0].items[0]).toMatchObject({ productName: 'Ring', unitPrice: 200, lineTotal: 400 });
+      expect(result.order.history).toEqual([expect.objectContaining({ status: 'pending', previousStatus: null, actor: 'customer' })]);
+      expect(tables.cart_items).toHaveLength(0);
+    });
+
+    it('should charge the quoted price of lines with a valid quote', async () => {
+      const quote = await priceQuoteService.createQuote(tables.products[0], 'yellow');
+
+      const result = await orderService.createOrderFromCart(USER_ID, { shippingAddress, quoteTokens: [quote.token] });
+
+      expect(result.status).toBe('created');
+      expect(result.order.total).toBe(1710);
+      expect(result.order.vendorOrders[0].items).toEqual([
+        expect.objectContaining({ productName: 'Ring', unitPrice: 180, lineTotal: 360, quoteId: quote.quoteId }),
+        expect.objectContaining({ productName: 'Chain', unitPrice: 150, lineTotal: 150, quoteId: null })
+      ]);
+    });
+
+    it('should refuse quotes that expired, were tampered with or are not for a cart line', async () => {
+      jest.useFakeTimers({ now: new Date('2026-01-15T10:00:00Z') });
+      try {
+        const expired = await priceQuoteService.createQuote(tables.products[0], 'yellow');
+        jest.setSystemTime(new Date('2026-01-15T10:20:00Z'));
+        const otherColor = await priceQuoteService.createQuote(tables.products[2], 'yellow');
+
+        const result = await orderService.createOrderFromCart(USER_ID, {
+          shippingAddress,
+          quoteTokens: [expired.token, `${otherColor.token.slice(0, -2)}xx`, otherColor.token]
+        });
+
+        expect(result).toEqual({
+          status: 'invalid_quotes',
+          items: [
+            { index: 0, reason: 'expired' },
+            { index: 1, reason: 'invalid_signature' },
+            { index: 2, productId: 'bangle', color: 'yellow', reason: 'not_in_cart' }
+          ]
+        });
+        expect(tables.orders).toHaveLength(0);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should refuse empty carts and carts with unavailable lines', async () => {
+      tables.products[1].is_active = false;
+
+      const unavailable = await orderService.createOrderFromCart(USER_ID, { shippingAddress });
+
+      expect(unavailable).toEqual({ status: 'unavailable_items', items: [{ id: 'line-2', productId: 'chain', color: 'white' }] });
+      expect(tables.orders).toHaveLength(0);
+
+      tables.cart_items.length = 0;
+      expect(await orderService.createOrderFromCart(USER_ID, { shippingAddress })).toEqual({ status: 'empty_cart' });
+    });
+
+    it('should reserve stock for the order and refuse carts that need more than is left', async () => {
+      inventoryService.getStockLevels.mockResolvedValueOnce([{ product_id: 'ring', color: 'yellow', quantity: 1, reserved: 0 }]);
+
+      expect(await orderService.createOrderFromCart(USER_ID, { shippingAddress })).toEqual({
+        status: 'insufficient_stock',
+        items: [{ productId: 'ring', color: 'yellow', requested: 2, available: 1 }]
+      });
+      expect(tables.orders).toHaveLength(0);
+
+      // Another order took the stock between the check and the reservation
+      const shortage = { status: 'insufficient_stock', items: [{ productId: 'chain', color: 'white', requested: 1, available: 0 }] };
+      inventoryService.reserveStock.mockResolvedValueOnce(shortage);
+
+      expect(await orderService.createOrderFromCart(USER_ID, { shippingAddress })).toEqual(shortage);
+      expect(inventoryService.reserveStock).toHaveBeenCalledWith(expect.any(String), expect.arrayContaining([
+        expect.objectContaining({ product_id: 'ring', color: 'yellow', quantity: 2, vendor_order_id: expect.any(String) })
+      ]));
+      expect(tables.orders).toHaveLength(0);
+      expect(tables.cart_items).toHaveLength(3);
+    });
+  });
+
+  describe('transitionOrder', () => {
+    let orderId;
+
+    beforeEach(async () => {
+      orderId = (await orderService.createOrderFromCart(USER_ID, { shippingAddress })).order.id;
+    });
+
+    it('should move the order and its sub-orders and record the history', async () => {
+      const result = await orderService.transitionOrder(orderId, 'paid', { actor: 'system' });
+
+      expect(result.status).toBe('updated');
+      expect(result.order.status).toBe('paid');
+      expect(result.order.paidAt).toEqual(expect.any(String));
+      expect(tables.vendor_orders.map(vendorOrder => vendorOrder.status)).toEqual(['paid', 'paid']);
+      expect(tables.order_status_history.filter(entry => entry.to_status === 'paid')).toHaveLength(3);
+      expect(inventoryService.commitStock).toHaveBeenCalledWith(orderId);
+    });
+
+    it('should leave sub-orders that cannot follow alone', async () => {
+      await orderService.transitionOrder(orderId, 'paid', { actor: 'system' });
+      tables.vendor_orders[0].status = 'shipped';
+
+      await orderService.transitionOrder(orderId, 'cancelled', { actor: 'admin', changes: { cancellation_reason: 'Fraud check' } });
+
+      expect(tables.vendor_orders.map(vendorOrder => vendorOrder.status)).toEqual(['shipped', 'cancelled']);
+      expect(tables.vendor_orders[1].cancellation_reason).toBe('Fraud check');
+      expect(inventoryService.releaseStock).toHaveBeenCalledWith(orderId, [tables.vendor_orders[1].id]);
+    });
+
+    it('should reject transitions the lifecycle does not allow', async () => {
+      expect(await orderService.transitionOrder(orderId, 'shipped', { actor: 'vendor' }))
+        .toEqual({ status: 'invalid_transition', currentStatus: 'pending' });
+      expect(await orderService.transitionOrder('missing', 'paid', { actor: 'system' })).toEqual({ status: 'not_found' });
+    });
+  });
+
+  describe('cancelOrder', () => {
+    it('should let customers cancel only their own pending orders', async () => {
+      const { order } = await orderService.createOrderFromCart(USER_ID, { shippingAddress });
+
+      expect(await orderService.cancelOrder('user-2', order.id)).toEqual({ status: 'not_found' });
+
+      const cancelled = await orderService.cancelOrder(USER_ID, order.id, 'Changed my mind');
+      expect(cancelled.order).toMatchObject({ status: 'cancelled', cancellationReason: 'Changed my mind' });
+
+      expect(await orderService.cancelOrder(USER_ID, order.id)).toEqual({ status: 'invalid_transition', currentStatus: 'cancelled' });
+    });
+  });
+
+  describe('listOrders', () => {
+    it('should return the user\'s order summaries filtered by status', async () => {
+      await orderService.createOrderFromCart(USER_ID, { shippingAddress });
+
+      const { orders, total } = await orderService.listOrders(USER_ID, { status: 'pending' });
+
+      expect(total).toBe(1);
+      expect(Object.keys(orders[0])).toEqual(['id', 'orderNumber', 'status', 'currency', 'total', 'itemCount', 'createdAt', 'updatedAt']);
+      expect((await orderService.listOrders(USER_ID, { status: 'paid' })).total).toBe(0);
+    });
+  });
+});
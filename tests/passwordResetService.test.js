@@ -0,0 +1,99 @@
+const passwordResetService = require('../src/services/passwordResetService');
+const { supabase } = require('../src/config/supabase');
+const mailService = require('../src/services/mail');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../src/services/mail', () => ({ sendMail: jest.fn() }));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ */
+const createTable = (rows) => () => {
+  let action = 'select';
+  let values = null;
+  const filters = [];
+
+  const matches = (row) => filters.every(filter => filter(row));
+
+  const run = () => {
+    if (action === 'insert') {
+      rows.push({ id: `reset-${rows.length + 1}`, used_at: null, ...values });
+      return [];
+    }
+    const matched = rows.filter(matches);
+    if (action === 'delete') {
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+    }
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    return matched;
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    delete: () => { action = 'delete'; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    is: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve) => resolve({ data: run(), error: null })
+  };
+
+  return builder;
+};
+
+describe('Password Reset Service', () => {
+  let resets;
+
+  beforeEach(() => {
+    resets = [];
+    supabase.from.mockImplementation(() => createTable(resets)());
+    jest.clearAllMocks();
+  });
+
+  it('should store only the hash of the token and replace outstanding tokens', async () => {
+    const first = await passwordResetService.createResetToken('vendor-1');
+    const second = await passwordResetService.createResetToken('vendor-1');
+
+    expect(resets).toHaveLength(1);
+    expect(resets[0].token_hash).toBe(passwordResetService.hashToken(second.token));
+    expect(resets[0].token_hash).not.toBe(second.token);
+    expect(await passwordResetService.consumeResetToken(first.token)).toEqual({
+      valid: false,
+      reason: 'Reset token is invalid'
+    });
+  });
+
+  it('should accept a token only once', async () => {
+    const { token } = await passwordResetService.createResetToken('vendor-1');
+
+    expect(await passwordResetService.consumeResetToken(token)).toEqual({ valid: true, vendorId: 'vendor-1' });
+    expect(await passwordResetService.consumeResetToken(token)).toEqual({
+      valid: false,
+      reason: 'Reset token has already been used'
+    });
+  });
+
+  it('should reject expired tokens', async () => {
+    const { token } = await passwordResetService.createResetToken('vendor-1');
+    resets[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+    expect(await passwordResetService.consumeResetToken(token)).toEqual({
+      valid: false,
+      reason: 'Reset token has expired'
+    });
+  });
+
+  it('should email a reset link and escape vendor input in HTML', async () => {
+    await passwordResetService.sendResetEmail({ email: 'vendor@example.com', contact_person_name: '<b>Ada</b>' }, 'abc123');
+
+    const message = mailService.sendMail.mock.calls[0][0];
+    expect(message.to).toBe('vendor@example.com');
+    expect(message.text).toContain(passwordResetService.buildResetUrl('abc123'));
+    expect(message.html).toContain('&lt;b&gt;Ada&lt;/b&gt;');
+  });
+});
@@ -0,0 +1,220 @@
+const paymentService = require('../src/services/paymentService');
+const { getGateway } = require('../src/services/payments');
+const mockGateway = require('../src/services/payments/mockGateway');
+const orderService = require('../src/services/orderService');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../src/services/orderService', () => ({
+  roundAmount: (amount) => Math.round(amount * 100) / 100,
+  transitionOrder: jest.fn(async () => ({ status: 'updated' }))
+}));
+
+const USER_ID = 'user-1';
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ * @param {Array} rows - Table rows
+ * @param {Array<string>} unique - Columns that together must be unique
+ */
+const createTable = (rows, unique) => () => {
+  let action = 'select';
+  let values = null;
+  const filters = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const row = { id: `row-${rows.length + 1}`, ...values };
+      if (unique && rows.some(existing => unique.every(column => existing[column] === row[column]))) {
+        return { error: { code: '23505', message: 'duplicate key value' } };
+      }
+      rows.push(row);
+      return { data: [row] };
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    if (action === 'delete') {
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+    }
+    return { data: matched.map(row => ({ ...row })) };
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    delete: () => { action = 'delete'; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    in: (column, list) => { filters.push(row => list.includes(row[column])); return builder; },
+    single: async () => { const result = run(); return { data: result.data ? result.data[0] : null, error: result.error || null }; },
+    maybeSingle: async () => { const result = run(); return { data: result.data[0] || null, error: null }; },
+    then: (resolve, reject) => {
+      const result = run();
+      return Promise.resolve({ data: result.data || null, error: result.error || null }).then(resolve, reject);
+    }
+  };
+
+  return builder;
+};
+
+describe('Payment Service', () => {
+  let tables;
+  // The gateway keeps its intents between tests, so every test gets its own order
+  let ORDER_ID;
+  let orderCount = 0;
+  const gateway = getGateway();
+
+  const sendWebhook = (type, intentId, options) => {
+    const { body, headers } = gateway.createWebhookEvent(type, intentId, options);
+    return paymentService.handleWebhook(Buffer.from(body), headers);
+  };
+
+  const payOrder = async (paymentMethod = 'pm_card_visa') => {
+    await paymentService.createPaymentIntent(USER_ID, ORDER_ID);
+    return paymentService.confirmPayment(USER_ID, ORDER_ID, { paymentMethod });
+  };
+
+  beforeEach(() => {
+    orderService.transitionOrder.mockClear();
+    ORDER_ID = `order-${++orderCount}`;
+    tables = {
+      orders: [{ id: ORDER_ID, user_id: USER_ID, order_number: 'RN-260115-AAAAAAAA', status: 'pending', total: 491, currency: 'USD' }],
+      payments: [],
+      payment_events: []
+    };
+    const unique = { payments: ['order_id'], payment_events: ['gateway', 'event_id'] };
+
+    supabase.from.mockImplementation((table) => createTable(tables[table], unique[table])());
+  });
+
+  it('should use the mock gateway outside production', () => {
+    expect(gateway.name).toBe('mock');
+  });
+
+  it('should not verify webhooks with the public default secret in production', () => {
+    expect(() => mockGateway.fromEnv({ NODE_ENV: 'production' })).toThrow('PAYMENT_WEBHOOK_SECRET is not configured');
+    expect(mockGateway.fromEnv({ NODE_ENV: 'production', PAYMENT_WEBHOOK_SECRET: 'secret' }).name).toBe('mock');
+  });
+
+  describe('createPaymentIntent', () => {
+    it('should create one payment per order', async () => {
+      const first = await paymentService.createPaymentIntent(USER_ID, ORDER_ID);
+      const second = await paymentService.createPaymentIntent(USER_ID, ORDER_ID);
+
+      expect(first.status).toBe('created');
+      expect(first.payment).toMatchObject({ status: 'pending', amount: 491, currency: 'USD', gateway: 'mock' });
+      expect(first.payment).not.toHaveProperty('clientSecret');
+      expect(second.clientSecret).toBe(first.clientSecret);
+      expect(tables.payments).toHaveLength(1);
+    });
+
+    it('should only accept the user\'s pending orders', async () => {
+      expect(await paymentService.createPaymentIntent('user-2', ORDER_ID)).toEqual({ status: 'not_found' });
+
+      tables.orders[0].status = 'cancelled';
+      expect(await paymentService.createPaymentIntent(USER_ID, ORDER_ID)).toEqual({ status: 'invalid_status', currentStatus: 'cancelled' });
+    });
+  });
+
+  describe('confirmPayment', () => {
+    it('should authorize, capture and mark the order paid', async () => {
+      const result = await payOrder();
+
+      expect(result.status).toBe('captured');
+      expect(result.payment).toMatchObject({ status: 'captured', capturedAt: expect.any(String) });
+      expect(orderService.transitionOrder).toHaveBeenCalledTimes(1);
+      expect(orderService.transitionOrder).toHaveBeenCalledWith(ORDER_ID, 'paid', expect.objectContaining({ actor: 'system' }));
+    });
+
+    it('should record a declined payment and allow another attempt', async () => {
+      const declined = await payOrder('pm_card_declined');
+
+      expect(declined.status).toBe('failed');
+      expect(declined.payment).toMatchObject({ status: 'failed', failureReason: 'card_declined' });
+      expect(orderService.transitionOrder).not.toHaveBeenCalled();
+
+      expect((await paymentService.confirmPayment(USER_ID, ORDER_ID, { paymentMethod: 'pm_card_visa' })).status).toBe('captured');
+    });
+
+    it('should require a payment first', async () => {
+      expect(await paymentService.confirmPayment(USER_ID, ORDER_ID, { paymentMethod: 'pm_card_visa' })).toEqual({ status: 'no_payment' });
+    });
+  });
+
+  describe('handleWebhook', () => {
+    it('should reject unsigned and tampered events', async () => {
+      const { body, headers } = gateway.createWebhookEvent('payment.captured', 'mock_pi_1');
+
+      expect(await paymentService.handleWebhook(Buffer.from(body), {})).toEqual({ status: 'invalid_signature' });
+      expect(await paymentService.handleWebhook(Buffer.from(body.replace('mock_pi_1', 'mock_pi_2')), headers)).toEqual({ status: 'invalid_signature' });
+      expect(tables.payment_events).toHaveLength(0);
+    });
+
+    it('should process each event once, so a replayed capture changes nothing', async () => {
+      const { payment } = await paymentService.createPaymentIntent(USER_ID, ORDER_ID);
+      const intentId = tables.payments[0].intent_id;
+
+      expect(await sendWebhook('payment.captured', intentId, { id: 'evt_1' })).toEqual({ status: 'processed' });
+      expect(await sendWebhook('payment.captured', intentId, { id: 'evt_1' })).toEqual({ status: 'duplicate' });
+      expect(await sendWebhook('payment.captured', intentId, { id: 'evt_2' })).toEqual({ status: 'processed' });
+
+      expect(tables.payments[0]).toMatchObject({ id: payment.id, status: 'captured' });
+      expect(orderService.transitionOrder).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not capture again when the gateway reports a capture the API already made', async () => {
+      await payOrder();
+      const intentId = tables.payments[0].intent_id;
+
+      expect(await sendWebhook('payment.captured', intentId)).toEqual({ status: 'processed' });
+      expect(orderService.transitionOrder).toHaveBeenCalledTimes(1);
+    });
+
+    it('should forget an event whose processing failed, so the retry is processed', async () => {
+      await paymentService.createPaymentIntent(USER_ID, ORDER_ID);
+      const intentId = tables.payments[0].intent_id;
+      orderService.transitionOrder.mockRejectedValueOnce(new Error('database unavailable'));
+
+      await expect(sendWebhook('payment.captured', intentId, { id: 'evt_1' })).rejects.toThrow('database unavailable');
+      expect(tables.payment_events).toHaveLength(0);
+
+      tables.payments[0].status = 'pending';
+      expect(await sendWebhook('payment.captured', intentId, { id: 'evt_1' })).toEqual({ status: 'processed' });
+    });
+
+    it('should ignore events for unknown payments', async () => {
+      expect(await sendWebhook('payment.captured', 'mock_pi_unknown')).toEqual({ status: 'ignored' });
+    });
+  });
+
+  describe('refundPayment', () => {
+    it('should refund in parts and move the order to refunded when nothing is left', async () => {
+      await payOrder();
+      orderService.transitionOrder.mockClear();
+
+      const partial = await paymentService.refundPayment(ORDER_ID, { amount: 91, reason: 'Scratched' });
+      expect(partial.payment).toMatchObject({ status: 'captured', refundedAmount: 91 });
+      expect(orderService.transitionOrder).not.toHaveBeenCalled();
+
+      expect(await paymentService.refundPayment(ORDER_ID, { amount: 401, reason: 'Too much' })).toEqual({ status: 'amount_exceeds', remaining: 400 });
+
+      const full = await paymentService.refundPayment(ORDER_ID, { reason: 'Returned' });
+      expect(full.payment).toMatchObject({ status: 'refunded', refundedAmount: 491 });
+      expect(orderService.transitionOrder).toHaveBeenCalledWith(ORDER_ID, 'refunded', expect.objectContaining({ actor: 'admin', note: 'Returned' }));
+
+      // The gateway's refund notification repeats what was already recorded
+      expect(await sendWebhook('payment.refunded', tables.payments[0].intent_id, { amount: 491 })).toEqual({ status: 'processed' });
+      expect(orderService.transitionOrder).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not refund uncaptured payments', async () => {
+      await paymentService.createPaymentIntent(USER_ID, ORDER_ID);
+
+      expect(await paymentService.refundPayment(ORDER_ID, { reason: 'Test' })).toEqual({ status: 'invalid_status', currentStatus: 'pending' });
+    });
+  });
+});
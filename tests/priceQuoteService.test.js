@@ -0,0 +1,92 @@
+const jwt = require('jsonwebtoken');
+const priceQuoteService = require('../src/services/priceQuoteService');
+const goldPriceService = require('../src/services/goldPriceService');
+const pricingService = require('../src/services/pricingService');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/services/goldPriceService', () => ({
+  getCurrentPrice: jest.fn(),
+  getLastUpdateTime: jest.fn()
+}));
+jest.mock('../src/services/pricingService', () => ({
+  priceProduct: jest.fn()
+}));
+
+describe('Price Quote Service', () => {
+  const product = {
+    id: '11111111-1111-4111-8111-111111111111',
+    popularity_score: 4,
+    weight: 3
+  };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    delete process.env.PRICE_QUOTE_SECRET;
+    delete process.env.PRICE_QUOTE_TTL_SECONDS;
+    goldPriceService.getCurrentPrice.mockReturnValue(2000);
+    goldPriceService.getLastUpdateTime.mockReturnValue(new Date('2024-01-01T12:00:00Z'));
+    pricingService.priceProduct.mockResolvedValue(964.52);
+  });
+
+  describe('createQuote', () => {
+    it('should lock the price and gold price snapshot for 15 minutes', async () => {
+      const quote = await priceQuoteService.createQuote(product, 'rose');
+
+      expect(quote).toMatchObject({
+        productId: product.id,
+        color: 'rose',
+        price: 964.52,
+        currency: 'USD',
+        goldPrice: 2000,
+        goldPriceUpdatedAt: '2024-01-01T12:00:00.000Z'
+      });
+      expect(new Date(quote.expiresAt) - new Date(quote.issuedAt)).toBe(15 * 60 * 1000);
+    });
+  });
+
+  describe('verifyQuote', () => {
+    it('should keep the quoted price after the gold price changes', async () => {
+      const { token, quoteId } = await priceQuoteService.createQuote(product, 'rose');
+      pricingService.priceProduct.mockResolvedValue(1100);
+
+      const result = priceQuoteService.verifyQuote(token, { productId: product.id, color: 'rose' });
+
+      expect(result.valid).toBe(true);
+      expect(result.quote.quoteId).toBe(quoteId);
+      expect(result.quote.price).toBe(964.52);
+    });
+
+    it('should reject expired quotes', async () => {
+      const { token } = await priceQuoteService.createQuote(product, 'rose');
+      const { exp } = jwt.decode(token);
+      jest.spyOn(Date, 'now').mockReturnValue((exp + 1) * 1000);
+
+      const result = priceQuoteService.verifyQuote(token);
+
+      Date.now.mockRestore();
+      expect(result).toEqual({ valid: false, reason: 'expired', quote: null });
+    });
+
+    it('should reject tampered quotes', async () => {
+      const { token } = await priceQuoteService.createQuote(product, 'rose');
+      const forged = jwt.sign({ ...jwt.decode(token), price: 1 }, 'other-secret');
+
+      expect(priceQuoteService.verifyQuote(forged).reason).toBe('invalid_signature');
+    });
+
+    it('should reject tokens that are not price quotes', () => {
+      const accessToken = jwt.sign({ id: 'vendor-1', type: 'vendor' }, 'test-secret');
+
+      expect(priceQuoteService.verifyQuote(accessToken).reason).toBe('invalid_signature');
+    });
+
+    it('should reject quotes for a different product or color', async () => {
+      const { token } = await priceQuoteService.createQuote(product, 'rose');
+
+      expect(priceQuoteService.verifyQuote(token, { productId: '22222222-2222-4222-8222-222222222222' }).reason)
+        .toBe('product_mismatch');
+      expect(priceQuoteService.verifyQuote(token, { color: 'white' }).reason).toBe('color_mismatch');
+    });
+  });
+});
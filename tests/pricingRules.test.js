@@ -0,0 +1,54 @@
+const { calculatePrice, roundPrice, resolveRules } = require('../src/services/pricingRules');
+
+describe('Pricing Rules', () => {
+  const product = { popularityScore: 4, weight: 3 };
+  const goldPrice = 2000;
+  const goldValue = 5 * 3 * (2000 / 31.1035);
+
+  describe('calculatePrice', () => {
+    it('should match the original formula with default rules', () => {
+      expect(calculatePrice(product, {}, goldPrice)).toBe(Math.round(goldValue * 100) / 100);
+    });
+
+    it('should apply karat purity', () => {
+      expect(calculatePrice(product, { karat: '18k' }, goldPrice))
+        .toBe(Math.round(goldValue * 0.75 * 100) / 100);
+      expect(calculatePrice(product, { karat: '14k' }, goldPrice))
+        .toBe(Math.round(goldValue * (14 / 24) * 100) / 100);
+    });
+
+    it('should add the making charge before the markup', () => {
+      const rules = { karat: '22k', makingCharge: 50, markupPercent: 20 };
+      const expected = (goldValue * (22 / 24) + 50) * 1.2;
+
+      expect(calculatePrice(product, rules, goldPrice)).toBe(Math.round(expected * 100) / 100);
+    });
+
+    it('should apply the rounding rule', () => {
+      expect(calculatePrice(product, { rounding: 'whole' }, goldPrice)).toBe(Math.round(goldValue));
+      expect(calculatePrice(product, { rounding: 'nearest_10' }, goldPrice)).toBe(960);
+    });
+  });
+
+  describe('roundPrice', () => {
+    it('should support every rounding mode', () => {
+      expect(roundPrice(245.104, 'cent')).toBe(245.1);
+      expect(roundPrice(245.5, 'whole')).toBe(246);
+      expect(roundPrice(243, 'nearest_5')).toBe(245);
+      expect(roundPrice(244, 'nearest_10')).toBe(240);
+      expect(roundPrice(245.1, 'charm')).toBe(245.99);
+      expect(roundPrice(245.99, 'charm')).toBe(245.99);
+    });
+  });
+
+  describe('resolveRules', () => {
+    it('should ignore null values from unset database columns', () => {
+      expect(resolveRules({ karat: '18k', makingCharge: null })).toEqual({
+        karat: '18k',
+        makingCharge: 0,
+        markupPercent: 0,
+        rounding: 'cent'
+      });
+    });
+  });
+});
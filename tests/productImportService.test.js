@@ -0,0 +1,166 @@
+const productImportService = require('../src/services/productImportService');
+const { parseCsv } = require('../src/utils/csv');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../src/services/pricingService', () => ({ priceProduct: jest.fn().mockResolvedValue(250) }));
+jest.mock('../src/services/inventoryService', () => ({ refreshSoldOut: jest.fn(async () => {}) }));
+
+const VENDOR_ID = 'vendor-1';
+const PRODUCT_ID = '11111111-1111-4111-8111-111111111111';
+const MODERATED_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_VENDOR_PRODUCT_ID = '33333333-3333-4333-8333-333333333333';
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ */
+const createTable = (rows) => () => {
+  let action = 'select';
+  let values = null;
+  const filters = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const inserted = [].concat(values).map((row, index) => ({ id: `row-${rows.length + index + 1}`, ...row }));
+      rows.push(...inserted);
+      return inserted;
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    if (action === 'delete') {
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+    }
+    return matched.map(row => ({ ...row }));
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    delete: () => { action = 'delete'; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    in: (column, list) => { filters.push(row => list.includes(row[column])); return builder; },
+    contains: (column, value) => { filters.push(row => value.every(item => (row[column] || []).includes(item))); return builder; },
+    order: () => builder,
+    range: () => builder,
+    single: async () => ({ data: run()[0] || null, error: null }),
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve, reject) => {
+      const data = run();
+      return Promise.resolve({ data, error: null, count: data.length }).then(resolve, reject);
+    }
+  };
+
+  return builder;
+};
+
+describe('CSV parser', () => {
+  it('should handle quoted fields, escaped quotes and mixed line endings', () => {
+    const text = '\ufeffname,colors\r\n"Ring, ""Gold""","yellow|rose"\n\nPlain,white\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['name', 'colors'],
+      ['Ring, "Gold"', 'yellow|rose'],
+      ['Plain', 'white']
+    ]);
+  });
+
+  it('should reject an unterminated quoted field', () => {
+    expect(() => parseCsv('name\n"Ring')).toThrow('Unterminated quoted field');
+  });
+});
+
+describe('Product Import Service', () => {
+  let tables;
+
+  beforeEach(() => {
+    tables = {
+      products: [
+        { id: PRODUCT_ID, vendor_id: VENDOR_ID, name: 'Old Ring', weight: 2, popularity_score: 4, is_active: true, deactivated_by_admin_at: null },
+        { id: MODERATED_ID, vendor_id: VENDOR_ID, name: 'Taken Down', weight: 2, popularity_score: 4, is_active: false, deactivated_by_admin_at: '2026-01-01T00:00:00Z' },
+        { id: OTHER_VENDOR_PRODUCT_ID, vendor_id: 'vendor-2', name: 'Not Mine', weight: 2, popularity_score: 4, is_active: true, deactivated_by_admin_at: null }
+      ],
+      product_images: [
+        { id: 'image-1', product_id: PRODUCT_ID, color: 'yellow', storage_key: null }
+      ],
+      product_import_jobs: [],
+      vendor_webhooks: [],
+      webhook_deliveries: []
+    };
+    supabase.from.mockImplementation((table) => createTable(tables[table])());
+  });
+
+  describe('parseImportFile', () => {
+    it('should map CSV headers and convert values', () => {
+      const csv = 'Name,weight,popularity_score,Colors,is active,notes\nRing,2.5,7,"yellow|White",no,ignored\n';
+
+      expect(productImportService.parseImportFile(Buffer.from(csv), 'csv')).toEqual({
+        rows: [{ name: 'Ring', weight: 2.5, popularityScore: 7, colors: ['yellow', 'white'], isActive: false }]
+      });
+    });
+
+    it('should accept a JSON array or an object with a products array', () => {
+      const products = [{ name: 'Ring' }];
+
+      expect(productImportService.parseImportFile(Buffer.from(JSON.stringify(products)), 'json')).toEqual({ rows: products });
+      expect(productImportService.parseImportFile(Buffer.from(JSON.stringify({ products })), 'json')).toEqual({ rows: products });
+    });
+
+    it('should report file-level problems', () => {
+      expect(productImportService.parseImportFile(Buffer.from('{"name":'), 'json').error).toMatch(/^Invalid JSON file/);
+      expect(productImportService.parseImportFile(Buffer.from('{"name":"Ring"}'), 'json').error).toMatch(/"products" array/);
+      expect(productImportService.parseImportFile(Buffer.from('foo,bar\n1,2'), 'csv').error).toMatch(/no known columns/);
+      expect(productImportService.parseImportFile(Buffer.from('name\n'), 'csv').error).toBe('Import file has no product rows');
+
+      const tooMany = Array.from({ length: productImportService.MAX_IMPORT_ROWS + 1 }, () => ({ name: 'Ring' }));
+      expect(productImportService.parseImportFile(Buffer.from(JSON.stringify(tooMany)), 'json').error).toMatch(/maximum is/);
+    });
+  });
+
+  describe('runImport', () => {
+    const rows = [
+      { name: 'New Ring', weight: 3, popularityScore: 8, colors: ['rose', 'white'] },
+      { id: PRODUCT_ID, name: 'Renamed Ring', colors: ['white'] },
+      { name: '', weight: -1, popularityScore: 8, colors: [] },
+      { id: OTHER_VENDOR_PRODUCT_ID, name: 'Hijack' },
+      { id: MODERATED_ID, isActive: true },
+      { id: PRODUCT_ID, weight: 5 }
+    ];
+
+    it('should report per-row errors without changing anything on a dry run', async () => {
+      const job = await productImportService.runImport(VENDOR_ID, rows, { fileName: 'products.json', format: 'json', dryRun: true });
+
+      expect(job).toMatchObject({ dryRun: true, status: 'completed', totalRows: 6, createdCount: 1, updatedCount: 1, failedCount: 4 });
+      expect(job.errors.map(({ row }) => row)).toEqual([3, 4, 5, 6]);
+      expect(job.errors[0].errors.map(({ field }) => field)).toEqual(expect.arrayContaining(['name', 'weight', 'colors']));
+      expect(job.errors[1].errors).toEqual([{ field: 'id', message: 'Product not found' }]);
+      expect(job.errors[2].errors[0].field).toBe('isActive');
+      expect(job.errors[3].errors[0].message).toBe('Product appears more than once in the file');
+
+      expect(tables.products).toHaveLength(3);
+      expect(tables.products[0].name).toBe('Old Ring');
+      expect(tables.product_import_jobs[0]).toMatchObject({ vendor_id: VENDOR_ID, dry_run: true, failed_count: 4 });
+    });
+
+    it('should create and update valid rows and record the job', async () => {
+      const job = await productImportService.runImport(VENDOR_ID, rows, { fileName: 'products.json', format: 'json', dryRun: false, createdBy: 'member-1' });
+
+      expect(job).toMatchObject({ dryRun: false, status: 'completed', createdCount: 1, updatedCount: 1, failedCount: 4, createdBy: 'member-1' });
+
+      const created = tables.products.find(product => product.name === 'New Ring');
+      expect(created).toMatchObject({ vendor_id: VENDOR_ID, weight: 3, popularity_score: 8, is_active: true });
+      expect(tables.product_images.filter(image => image.product_id === created.id).map(image => image.color)).toEqual(['rose', 'white']);
+
+      expect(tables.products[0]).toMatchObject({ name: 'Renamed Ring', weight: 2 });
+      expect(tables.product_images.filter(image => image.product_id === PRODUCT_ID).map(image => image.color)).toEqual(['white']);
+      expect(tables.products.find(product => product.id === OTHER_VENDOR_PRODUCT_ID).name).toBe('Not Mine');
+
+      expect(await productImportService.getImportJob(VENDOR_ID, job.id)).toEqual(job);
+      expect(await productImportService.getImportJob('vendor-2', job.id)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,220 @@
+const publicProductsController = require('../src/controllers/publicProductsController');
+const { supabase } = require('../src/config/supabase');
+const exchangeRateService = require('../src/services/exchangeRateService');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn(), rpc: jest.fn() } }));
+jest.mock('../src/services/goldPriceService', () => ({
+  getCurrentPrice: jest.fn(() => 2000),
+  getLastUpdateTime: jest.fn(() => null)
+}));
+jest.mock('../src/services/exchangeRateService', () => ({
+  getRate: jest.fn(() => 1),
+  convert: jest.fn((amount, rate) => amount * rate),
+  convertProducts: jest.fn((products) => products)
+}));
+jest.mock('../src/services/pricingService', () => ({
+  // Price rises with weight, falls with popularity so it disagrees with both columns
+  priceProducts: jest.fn(async (products) => products.map(product => ({
+    ...product,
+    calculatedPrice: product.weight * 100 - product.popularity_score
+  })))
+}));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder
+ * Orders apply in the order they are given, like PostgREST's order=a,b.
+ */
+const createTable = (rows) => (options = {}) => {
+  let result = [...rows];
+  let withCount = options.count === 'exact';
+  let range = null;
+  const orders = [];
+
+  const builder = {
+    select: (columns, selectOptions = {}) => {
+      withCount = withCount || selectOptions.count === 'exact';
+      return builder;
+    },
+    eq: (column, value) => {
+      result = result.filter(row => row[column] === value);
+      return builder;
+    },
+    ilike: (column, pattern) => {
+      const needle = pattern.replace(/%/g, '').toLowerCase();
+      result = result.filter(row => row[column].toLowerCase().includes(needle));
+      return builder;
+    },
+    gte: (column, value) => {
+      result = result.filter(row => row[column] >= value);
+      return builder;
+    },
+    lte: (column, value) => {
+      result = result.filter(row => row[column] <= value);
+      return builder;
+    },
+    in: (column, values) => {
+      result = result.filter(row => values.includes(row[column]));
+      return builder;
+    },
+    order: (column, { ascending }) => {
+      orders.push([column, ascending ? 1 : -1]);
+      return builder;
+    },
+    range: (from, to) => {
+      range = [from, to];
+      return builder;
+    },
+    then: (resolve) => {
+      result.sort((a, b) => orders.reduce((order, [column, direction]) => (
+        order || (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * direction
+      ), 0));
+      const data = range ? result.slice(range[0], range[1] + 1) : result;
+      return resolve({ data, count: withCount ? result.length : null, error: null });
+    }
+  };
+
+  return builder;
+};
+
+describe('Public Products Controller', () => {
+  // 25 products whose name, weight and popularity orders all differ
+  const products = Array.from({ length: 25 }, (_, index) => ({
+    id: `product-${index}`,
+    vendor_id: `vendor-${index % 3}`,
+    name: `Ring ${String.fromCharCode(65 + ((index * 7) % 25))}`,
+    weight: ((index * 11) % 25) + 1,
+    popularity_score: index % 10,
+    is_active: true,
+    sold_out: false
+  }));
+
+  const priceOf = (product) => product.weight * 100 - product.popularity_score;
+
+  let res;
+
+  beforeEach(() => {
+    const tables = {
+      products: createTable(products),
+      product_images: createTable([]),
+      product_stock: createTable([])
+    };
+    supabase.from.mockImplementation((table) => tables[table]());
+
+    // products_with_price calculates prices in the database, the same way as the mocked pricing service
+    const pricedProducts = createTable(products.map(product => ({ ...product, price: priceOf(product) })));
+    supabase.rpc.mockImplementation((fn, args, options) => pricedProducts(options));
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+  });
+
+  // asyncHandler does not return the handler promise, so wait for the response body
+  const fetchPage = (query) => new Promise((resolve, reject) => {
+    res.json.mockImplementation(body => resolve(body.data));
+    publicProductsController.getProducts({ query }, res, reject);
+  });
+
+  describe('getProducts', () => {
+    it('should report the full catalog total without price filters', async () => {
+      const data = await fetchPage({ page: 1, limit: 10, sortBy: 'name', sortOrder: 'asc' });
+
+      expect(data.products).toHaveLength(10);
+      expect(data.pagination).toEqual({ page: 1, limit: 10, total: 25, pages: 3 });
+    });
+
+    it('should filter by price across every page', async () => {
+      const expected = products
+        .filter(p => priceOf(p) >= 800 && priceOf(p) <= 2000)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(p => p.id);
+
+      const pages = [];
+      for (let page = 1; page <= 3; page++) {
+        const data = await fetchPage({ page, limit: 5, minPrice: 800, maxPrice: 2000, sortBy: 'name', sortOrder: 'asc' });
+        expect(data.pagination.total).toBe(expected.length);
+        expect(data.pagination.pages).toBe(Math.ceil(expected.length / 5));
+        pages.push(...data.products.map(p => p.id));
+      }
+
+      expect(pages).toEqual(expected);
+    });
+
+    it('should sort by price across every page', async () => {
+      const expected = [...products]
+        .sort((a, b) => priceOf(b) - priceOf(a))
+        .map(p => p.id);
+
+      const pages = [];
+      for (let page = 1; page <= 3; page++) {
+        const data = await fetchPage({ page, limit: 10, sortBy: 'price', sortOrder: 'desc' });
+        expect(data.pagination.total).toBe(25);
+        pages.push(...data.products.map(p => p.id));
+      }
+
+      expect(pages).toEqual(expected);
+      expect(pages.map(id => products.find(p => p.id === id)).map(priceOf))
+        .toEqual(expected.map(id => priceOf(products.find(p => p.id === id))));
+    });
+
+    it('should combine price filters with column filters', async () => {
+      const data = await fetchPage({ page: 1, limit: 10, minWeight: 10, maxPrice: 1500, sortBy: 'price', sortOrder: 'asc' });
+      const expected = products
+        .filter(p => p.weight >= 10 && priceOf(p) <= 1500)
+        .sort((a, b) => priceOf(a) - priceOf(b));
+
+      expect(data.pagination.total).toBe(expected.length);
+      expect(data.products.map(p => p.calculatedPrice)).toEqual(expected.map(priceOf));
+    });
+
+    it('should return an empty last page with the correct total', async () => {
+      const data = await fetchPage({ page: 4, limit: 10, sortBy: 'price', sortOrder: 'asc' });
+
+      expect(data.products).toEqual([]);
+      expect(data.pagination.total).toBe(25);
+    });
+
+    it('should price products in the database at the current gold price and display currency', async () => {
+      await fetchPage({ page: 1, limit: 10, maxPrice: 1500, sortBy: 'name', sortOrder: 'asc' });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('products_with_price', { gold_price_per_ounce: 2000, exchange_rate: 1 }, { count: 'exact' });
+    });
+
+    it('should flag sold-out colors and leave out products sold out in every color', async () => {
+      const tables = {
+        // The inventory service marks a product sold out once its last tracked unit is gone
+        products: createTable(products.map(p => (p.id === 'product-1' ? { ...p, sold_out: true } : p))),
+        product_images: createTable([
+          { product_id: 'product-0', color: 'yellow', image_url: 'a.jpg', sort_order: 0 },
+          { product_id: 'product-0', color: 'rose', image_url: 'b.jpg', sort_order: 1 },
+          { product_id: 'product-1', color: 'white', image_url: 'c.jpg', sort_order: 0 }
+        ]),
+        product_stock: createTable([
+          { product_id: 'product-0', color: 'yellow', quantity: 1, reserved: 1 },
+          { product_id: 'product-1', color: 'white', quantity: 0, reserved: 0 }
+        ])
+      };
+      supabase.from.mockImplementation((table) => tables[table]());
+
+      const data = await fetchPage({ page: 1, limit: 25, sortBy: 'name', sortOrder: 'asc' });
+      const byId = Object.fromEntries(data.products.map(p => [p.id, p]));
+
+      // Rose is not tracked, so it never runs out
+      expect(byId['product-0']).toMatchObject({ availableColors: ['yellow', 'rose'], colorsInStock: ['rose'], inStock: true });
+      expect(byId['product-1']).toBeUndefined();
+      expect(data.pagination.total).toBe(24);
+    });
+
+    it('should answer 503 while the display currency has no exchange rate', async () => {
+      exchangeRateService.getRate.mockReturnValueOnce(null);
+
+      await fetchPage({ page: 1, limit: 10, sortBy: 'name', sortOrder: 'asc', currency: 'TRY' });
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Exchange rate for TRY is currently unavailable' }));
+    });
+  });
+});
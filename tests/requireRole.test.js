@@ -0,0 +1,56 @@
+const { requireRole, ROLES } = require('../src/middleware/auth');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { auth: {} } }));
+
+describe('requireRole middleware', () => {
+  const createRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const userWithRole = (role) => ({
+    id: 'user-1',
+    email: 'staff@renart.com',
+    app_metadata: role ? { role } : {}
+  });
+
+  it('should let a user with an allowed role through and expose req.admin', () => {
+    const req = { user: userWithRole(ROLES.MODERATOR) };
+    const res = createRes();
+    const next = jest.fn();
+
+    requireRole(ROLES.ADMIN, ROLES.MODERATOR)(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.admin).toEqual({ id: 'user-1', email: 'staff@renart.com', role: 'moderator' });
+  });
+
+  it('should reject users without the required role with 403', () => {
+    [userWithRole(ROLES.MODERATOR), userWithRole(null), undefined].forEach(user => {
+      const req = { user };
+      const res = createRes();
+      const next = jest.fn();
+
+      requireRole(ROLES.ADMIN)(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(req.admin).toBeUndefined();
+    });
+  });
+
+  it('should ignore a role set in user-editable metadata', () => {
+    const req = { user: { id: 'user-2', email: 'user@example.com', app_metadata: {}, user_metadata: { role: 'admin' } } };
+    const res = createRes();
+    const next = jest.fn();
+
+    requireRole(ROLES.ADMIN)(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
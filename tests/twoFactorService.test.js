@@ -0,0 +1,137 @@
+const jwt = require('jsonwebtoken');
+const totp = require('../src/utils/totp');
+const twoFactorService = require('../src/services/twoFactorService');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ */
+const createTable = (rows) => () => {
+  let action = 'select';
+  let values = null;
+  const filters = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const inserted = [].concat(values).map((row, index) => ({ id: `row-${rows.length + index + 1}`, used_at: null, ...row }));
+      rows.push(...inserted);
+      return inserted;
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    if (action === 'delete') {
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+    }
+    return matched.map(row => ({ ...row }));
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    delete: () => { action = 'delete'; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    is: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    lt: (column, value) => { filters.push(row => row[column] < value); return builder; },
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+  };
+
+  return builder;
+};
+
+describe('TOTP', () => {
+  // RFC 6238 appendix B test secret (SHA-1)
+  const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(totp.generateCode(secret, totp.getTimeStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(secret, totp.getTimeStep(1111111109 * 1000))).toBe('081804');
+    expect(totp.generateCode(secret, totp.getTimeStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  it('should accept codes one step off and reject anything further', () => {
+    const time = 1234567890 * 1000;
+    const step = totp.getTimeStep(time);
+
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 1), { time })).toBe(step - 1);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 2), { time })).toBeNull();
+    expect(totp.verifyCode(secret, 'abcdef', { time })).toBeNull();
+  });
+
+  it('should build an otpauth URI for authenticator apps', () => {
+    expect(totp.buildOtpauthUri({ secret: 'ABC', accountName: 'vendor@example.com', issuer: 'RENART' }))
+      .toBe('otpauth://totp/RENART%3Avendor%40example.com?secret=ABC&issuer=RENART&algorithm=SHA1&digits=6&period=30');
+  });
+});
+
+describe('Two-Factor Service', () => {
+  let tables;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    tables = {
+      vendors: [{ id: 'vendor-1', email: 'vendor@example.com', two_factor_enabled: false, two_factor_last_used_step: 0 }],
+      vendor_recovery_codes: []
+    };
+    supabase.from.mockImplementation((table) => createTable(tables[table])());
+  });
+
+  const enroll = async () => {
+    const { secret } = await twoFactorService.startEnrollment({ id: 'vendor-1', email: 'vendor@example.com' });
+    // Enroll with the previous step's code so the current one is still unused
+    const enrollmentCode = totp.generateCode(secret, totp.getTimeStep() - 1);
+    const result = await twoFactorService.confirmEnrollment('vendor-1', enrollmentCode);
+    return { secret, result };
+  };
+
+  it('should store the secret encrypted and enable two-factor only after a valid code', async () => {
+    const { secret } = await twoFactorService.startEnrollment({ id: 'vendor-1', email: 'vendor@example.com' });
+    const vendor = tables.vendors[0];
+
+    expect(vendor.two_factor_pending_secret).not.toContain(secret);
+    expect(twoFactorService.decryptSecret(vendor.two_factor_pending_secret)).toBe(secret);
+    expect(await twoFactorService.confirmEnrollment('vendor-1', '000000')).toEqual({ status: 'invalid_code' });
+    expect(vendor.two_factor_enabled).toBe(false);
+
+    const result = await twoFactorService.confirmEnrollment('vendor-1', totp.generateCode(secret, totp.getTimeStep()));
+
+    expect(result.status).toBe('enabled');
+    expect(result.recoveryCodes).toHaveLength(10);
+    expect(vendor).toMatchObject({ two_factor_enabled: true, two_factor_pending_secret: null });
+    expect(tables.vendor_recovery_codes.map(row => row.code_hash)).not.toContain(result.recoveryCodes[0]);
+  });
+
+  it('should accept each TOTP code only once', async () => {
+    const { secret } = await enroll();
+    const code = totp.generateCode(secret, totp.getTimeStep());
+
+    expect(await twoFactorService.verifySecondFactor('vendor-1', { code })).toEqual({ valid: true, method: 'totp' });
+    expect(await twoFactorService.verifySecondFactor('vendor-1', { code })).toEqual({ valid: false });
+  });
+
+  it('should accept each recovery code only once, in any formatting', async () => {
+    const { result } = await enroll();
+    const recoveryCode = result.recoveryCodes[0].toUpperCase().replace('-', ' ');
+
+    expect(await twoFactorService.verifySecondFactor('vendor-1', { recoveryCode }))
+      .toEqual({ valid: true, method: 'recovery_code' });
+    expect(await twoFactorService.verifySecondFactor('vendor-1', { recoveryCode })).toEqual({ valid: false });
+  });
+
+  it('should only accept its own challenge tokens', () => {
+    const token = twoFactorService.createChallengeToken({ id: 'vendor-1', email: 'vendor@example.com' });
+
+    expect(twoFactorService.verifyChallengeToken(token)).toMatchObject({ id: 'vendor-1' });
+    expect(twoFactorService.verifyChallengeToken(jwt.sign({ id: 'vendor-1', type: 'vendor' }, 'test-secret'))).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+const express = require('express');
+
+// Small limit so the size check can be exercised without a large file
+const originalMaxFileSize = process.env.MAX_FILE_SIZE;
+process.env.MAX_FILE_SIZE = '1024';
+
+const { uploadProductImage, uploadImportFile } = require('../src/middleware/upload');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+describe('Upload Middleware', () => {
+  let server, baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    const received = (req, res) => res.json({ file: { extension: req.file.extension, format: req.file.format, size: req.file.size } });
+
+    app.post('/image', uploadProductImage, received);
+    app.post('/import', uploadImportFile, received);
+
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    if (originalMaxFileSize === undefined) {
+      delete process.env.MAX_FILE_SIZE;
+    } else {
+      process.env.MAX_FILE_SIZE = originalMaxFileSize;
+    }
+    server.close(done);
+  });
+
+  /**
+   * Send a multipart upload
+   * @param {string} path - Route path
+   * @param {object} file - { field, name, type, content } or null for a form without a file
+   * @returns {Promise<{status: number, body: object}>} Response status and JSON body
+   */
+  const upload = async (path, file) => {
+    const form = new FormData();
+    form.append('color', 'yellow');
+    if (file) {
+      form.append(file.field || 'image', new Blob([file.content], { type: file.type }), file.name);
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  };
+
+  describe('uploadProductImage', () => {
+    it('should accept images whose contents match their type', async () => {
+      const png = await upload('/image', { name: 'ring.png', type: 'image/png', content: Buffer.concat([PNG_SIGNATURE, Buffer.alloc(16)]) });
+      const jpeg = await upload('/image', { name: 'ring.jpg', type: 'image/jpeg', content: Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0]) });
+      const webp = await upload('/image', { name: 'ring.webp', type: 'image/webp', content: Buffer.from('RIFF\0\0\0\0WEBPVP8 ') });
+
+      expect(png).toEqual({ status: 200, body: { file: { extension: 'png', size: 24 } } });
+      expect(jpeg.body.file.extension).toBe('jpg');
+      expect(webp.body.file.extension).toBe('webp');
+    });
+
+    it('should reject a renamed non-image', async () => {
+      const result = await upload('/image', { name: 'ring.png', type: 'image/png', content: Buffer.from('<?php system($_GET["c"]); ?>') });
+
+      expect(result.status).toBe(415);
+      expect(result.body.message).toBe('File content does not match its image type');
+    });
+
+    it('should reject an image declared as another image type', async () => {
+      const result = await upload('/image', { name: 'ring.jpg', type: 'image/jpeg', content: Buffer.concat([PNG_SIGNATURE, Buffer.alloc(16)]) });
+
+      expect(result.status).toBe(415);
+    });
+
+    it('should reject types that are not allowed', async () => {
+      const result = await upload('/image', { name: 'ring.svg', type: 'image/svg+xml', content: Buffer.from('<svg/>') });
+
+      expect(result.status).toBe(415);
+      expect(result.body.message).toBe('Unsupported image type. Allowed types: image/jpeg, image/png, image/webp');
+    });
+
+    it('should reject files over the size limit', async () => {
+      const result = await upload('/image', { name: 'ring.png', type: 'image/png', content: Buffer.concat([PNG_SIGNATURE, Buffer.alloc(2048)]) });
+
+      expect(result.status).toBe(413);
+    });
+
+    it('should require an image', async () => {
+      const missing = await upload('/image', null);
+      const wrongField = await upload('/image', { field: 'photo', name: 'ring.png', type: 'image/png', content: PNG_SIGNATURE });
+
+      expect(missing.status).toBe(400);
+      expect(missing.body.message).toBe('Image file is required (multipart field "image")');
+      expect(wrongField.status).toBe(400);
+    });
+  });
+
+  describe('uploadImportFile', () => {
+    it('should recognise import files by extension', async () => {
+      const csv = await upload('/import', { field: 'file', name: 'Products.CSV', type: 'application/octet-stream', content: 'name\nRing' });
+      const exe = await upload('/import', { field: 'file', name: 'products.exe', type: 'text/csv', content: 'name\nRing' });
+
+      expect(csv.body.file.format).toBe('csv');
+      expect(exe.status).toBe(415);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const vendorApiKeyService = require('../src/services/vendorApiKeyService');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ */
+const createTable = (rows) => () => {
+  let action = 'select';
+  let values = null;
+  const filters = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const row = { id: `key-${rows.length + 1}`, revoked_at: null, ...values };
+      rows.push(row);
+      return [row];
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    return matched.map(row => ({ ...row }));
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    is: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    order: () => builder,
+    single: async () => ({ data: run()[0] || null, error: null }),
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+  };
+
+  return builder;
+};
+
+describe('Vendor API Key Service', () => {
+  let keys;
+
+  beforeEach(() => {
+    keys = [];
+    supabase.from.mockImplementation(() => createTable(keys)());
+  });
+
+  it('should store only a hash and find the vendor by the raw key', async () => {
+    const { apiKey, key } = await vendorApiKeyService.createApiKey('vendor-1', { name: 'ERP sync', scope: 'read' }, null);
+
+    expect(key).toMatch(/^rk_/);
+    expect(apiKey).toMatchObject({ name: 'ERP sync', scope: 'read', prefix: key.slice(0, 11) });
+    expect(apiKey).not.toHaveProperty('keyHash');
+    expect(JSON.stringify(keys)).not.toContain(key);
+
+    expect(await vendorApiKeyService.findActiveKey(key)).toMatchObject({ id: apiKey.id, vendor_id: 'vendor-1' });
+    expect(await vendorApiKeyService.findActiveKey('rk_unknown')).toBeNull();
+    expect(await vendorApiKeyService.findActiveKey('not-a-key')).toBeNull();
+  });
+
+  it('should stop accepting the old secret after rotation', async () => {
+    const { apiKey, key } = await vendorApiKeyService.createApiKey('vendor-1', { name: 'ERP sync', scope: 'read' }, null);
+
+    expect(await vendorApiKeyService.rotateApiKey('vendor-2', apiKey.id)).toBeNull();
+    const rotated = await vendorApiKeyService.rotateApiKey('vendor-1', apiKey.id);
+
+    expect(rotated.key).not.toBe(key);
+    expect(rotated.apiKey.rotatedAt).toBeTruthy();
+    expect(await vendorApiKeyService.findActiveKey(key)).toBeNull();
+    expect(await vendorApiKeyService.findActiveKey(rotated.key)).toMatchObject({ id: apiKey.id });
+  });
+
+  it('should reject revoked keys and hide them from the list', async () => {
+    const { apiKey, key } = await vendorApiKeyService.createApiKey('vendor-1', { name: 'ERP sync', scope: 'read' }, null);
+
+    expect(await vendorApiKeyService.revokeApiKey('vendor-1', apiKey.id)).toBe(true);
+    expect(await vendorApiKeyService.revokeApiKey('vendor-1', apiKey.id)).toBe(false);
+    expect(await vendorApiKeyService.findActiveKey(key)).toBeNull();
+    expect(await vendorApiKeyService.listApiKeys('vendor-1')).toEqual([]);
+  });
+});
@@ -0,0 +1,101 @@
+const vendorApprovalService = require('../src/services/vendorApprovalService');
+const vendorSessionService = require('../src/services/vendorSessionService');
+const vendorNotificationService = require('../src/services/vendorNotificationService');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../src/services/vendorSessionService', () => ({ revokeAllSessions: jest.fn() }));
+jest.mock('../src/services/vendorNotificationService', () => ({ notifyStatusChange: jest.fn() }));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ */
+const createTable = (rows) => () => {
+  let action = 'select';
+  let values = null;
+  const filters = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const row = { id: `row-${rows.length + 1}`, ...values };
+      rows.push(row);
+      return [row];
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    // Return copies, like rows decoded from a response
+    return matched.map(row => ({ ...row }));
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    single: async () => ({ data: run()[0] || null, error: null }),
+    maybeSingle: async () => ({ data: run()[0] || null, error: null })
+  };
+
+  return builder;
+};
+
+describe('Vendor Approval Service', () => {
+  const admin = { id: 'admin-1', email: 'admin@renart.com' };
+  let tables;
+
+  beforeEach(() => {
+    tables = {
+      vendors: [{ id: 'vendor-1', email: 'vendor@example.com', business_name: 'Gold Co', status: 'pending' }],
+      vendor_status_history: []
+    };
+    supabase.from.mockImplementation((table) => createTable(tables[table])());
+    jest.clearAllMocks();
+  });
+
+  it('should start new vendors as active unless manual approval is enabled', () => {
+    expect(vendorApprovalService.getInitialStatus({})).toBe('active');
+    expect(vendorApprovalService.getInitialStatus({ VENDOR_APPROVAL_MODE: 'manual' })).toBe('pending');
+  });
+
+  it('should approve a pending vendor, record the change and notify the vendor', async () => {
+    const result = await vendorApprovalService.changeVendorStatus({ vendorId: 'vendor-1', action: 'approve', actor: admin });
+
+    expect(result).toMatchObject({ status: 'changed', fromStatus: 'pending', vendor: { status: 'active' } });
+    expect(tables.vendor_status_history).toEqual([expect.objectContaining({
+      vendor_id: 'vendor-1',
+      from_status: 'pending',
+      to_status: 'active',
+      changed_by_email: 'admin@renart.com'
+    })]);
+    expect(vendorSessionService.revokeAllSessions).not.toHaveBeenCalled();
+    expect(vendorNotificationService.notifyStatusChange).toHaveBeenCalledWith(expect.objectContaining({
+      fromStatus: 'pending',
+      toStatus: 'active'
+    }));
+  });
+
+  it('should keep the rejection reason and sign the vendor out when rejecting', async () => {
+    await vendorApprovalService.changeVendorStatus({ vendorId: 'vendor-1', action: 'reject', reason: 'Missing tax ID', actor: admin });
+
+    expect(tables.vendors[0].status).toBe('rejected');
+    expect(tables.vendor_status_history[0].reason).toBe('Missing tax ID');
+    expect(vendorSessionService.revokeAllSessions).toHaveBeenCalledWith('vendor-1', 'vendor_rejected');
+    expect(vendorNotificationService.notifyStatusChange).toHaveBeenCalledWith(expect.objectContaining({
+      toStatus: 'rejected',
+      reason: 'Missing tax ID'
+    }));
+  });
+
+  it('should refuse transitions that do not apply to the current status', async () => {
+    expect(await vendorApprovalService.changeVendorStatus({ vendorId: 'vendor-1', action: 'suspend', actor: admin }))
+      .toEqual({ status: 'invalid_transition', fromStatus: 'pending' });
+    expect(await vendorApprovalService.changeVendorStatus({ vendorId: 'missing', action: 'approve', actor: admin }))
+      .toEqual({ status: 'not_found' });
+    expect(tables.vendor_status_history).toHaveLength(0);
+    expect(vendorNotificationService.notifyStatusChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,201 @@
+const jwt = require('jsonwebtoken');
+const { authenticateVendor, requireVendorRole, denyApiKeys, VENDOR_ROLES } = require('../src/middleware/vendorAuthMiddleware');
+const vendorSessionService = require('../src/services/vendorSessionService');
+const vendorApiKeyService = require('../src/services/vendorApiKeyService');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn(), auth: { getUser: jest.fn() } } }));
+jest.mock('../src/services/vendorSessionService', () => ({ isSessionActive: jest.fn() }));
+jest.mock('../src/services/vendorApiKeyService', () => ({
+  ...jest.requireActual('../src/services/vendorApiKeyService'),
+  findActiveKey: jest.fn(),
+  recordKeyUse: jest.fn()
+}));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder
+ */
+const createTable = (rows) => () => {
+  const filters = [];
+
+  const builder = {
+    select: () => builder,
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    maybeSingle: async () => ({
+      data: rows.find(row => filters.every(filter => filter(row))) || null,
+      error: null
+    })
+  };
+
+  return builder;
+};
+
+describe('Vendor authentication middleware', () => {
+  const vendorRow = {
+    id: 'vendor-1',
+    email: 'vendor@example.com',
+    business_name: 'Gold Co',
+    contact_person_name: 'Jane Doe',
+    logo_url: 'https://example.com/logo.png',
+    status: 'active'
+  };
+  let vendors;
+  let members;
+
+  const run = async (token, headers = { authorization: `Bearer ${token}` }) => {
+    const req = { headers, ip: '203.0.113.7' };
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    const next = jest.fn();
+
+    await authenticateVendor(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    vendors = [{ ...vendorRow }];
+    members = [{ id: 'member-1', vendor_id: 'vendor-1', email: 'staff@example.com', name: 'Alex', role: 'viewer', status: 'active' }];
+    supabase.from.mockImplementation((table) => createTable(table === 'vendor_members' ? members : vendors)());
+    supabase.auth.getUser.mockResolvedValue({ data: { user: null }, error: { message: 'invalid JWT' } });
+    vendorSessionService.isSessionActive.mockResolvedValue(true);
+  });
+
+  it('should build the vendor profile from a vendor token', async () => {
+    const vendorToken = jwt.sign({ id: 'vendor-1', email: 'vendor@example.com', type: 'vendor', sid: 'session-1' }, 'test-secret');
+    const { req, next } = await run(vendorToken);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.vendor).toMatchObject({ businessName: 'Gold Co', logoUrl: 'https://example.com/logo.png', isActive: true, role: 'owner', sessionId: 'session-1', authMethod: 'vendor_jwt' });
+  });
+
+  it('should not accept Supabase sessions, even of a user with the vendor\'s email', async () => {
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'user-1', email: 'vendor@example.com' } }, error: null });
+
+    const { req, res, next } = await run('supabase-access-token');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(req.vendor).toBeUndefined();
+    expect(supabase.auth.getUser).not.toHaveBeenCalled();
+  });
+
+  it('should reject tokens that are not vendor tokens', async () => {
+    const userToken = jwt.sign({ id: 'user-1', email: 'vendor@example.com', type: 'user' }, 'test-secret');
+
+    const { res, next } = await run(userToken);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('should refuse vendors that are not active', async () => {
+    vendors[0].status = 'suspended';
+    const vendorToken = jwt.sign({ id: 'vendor-1', email: 'vendor@example.com', type: 'vendor' }, 'test-secret');
+
+    const { res, next } = await run(vendorToken);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should reject expired and revoked vendor tokens', async () => {
+    const expired = jwt.sign({ id: 'vendor-1', type: 'vendor', exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+    expect((await run(expired)).res.status).toHaveBeenCalledWith(401);
+
+    vendorSessionService.isSessionActive.mockResolvedValue(false);
+    const revoked = jwt.sign({ id: 'vendor-1', type: 'vendor', sid: 'session-1' }, 'test-secret');
+    expect((await run(revoked)).res.status).toHaveBeenCalledWith(401);
+
+    expect(supabase.auth.getUser).not.toHaveBeenCalled();
+  });
+
+  describe('team members', () => {
+    const memberToken = jwt.sign({ id: 'vendor-1', email: 'vendor@example.com', type: 'vendor', sid: 'session-2', mid: 'member-1', role: 'owner' }, 'test-secret');
+
+    const authorize = (req, ...roles) => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      const next = jest.fn();
+
+      requireVendorRole(...roles)(req, res, next);
+      return { res, next };
+    };
+
+    it('should act as the store with the role stored for the member, not the one in the token', async () => {
+      const { req, next } = await run(memberToken);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.vendor).toMatchObject({ id: 'vendor-1', businessName: 'Gold Co', role: 'viewer', member: { id: 'member-1', email: 'staff@example.com' } });
+    });
+
+    it('should give the primary account the owner role', async () => {
+      const { req } = await run(jwt.sign({ id: 'vendor-1', email: 'vendor@example.com', type: 'vendor' }, 'test-secret'));
+
+      expect(req.vendor).toMatchObject({ role: VENDOR_ROLES.OWNER, member: null });
+    });
+
+    it('should let viewers read but not edit the catalog', async () => {
+      const { req } = await run(memberToken);
+
+      // GET /dashboard has no role check; POST /products requires an owner or catalog manager
+      const write = authorize(req, VENDOR_ROLES.OWNER, VENDOR_ROLES.CATALOG_MANAGER);
+      expect(write.next).not.toHaveBeenCalled();
+      expect(write.res.status).toHaveBeenCalledWith(403);
+
+      members[0].role = VENDOR_ROLES.CATALOG_MANAGER;
+      const promoted = await run(memberToken);
+      expect(authorize(promoted.req, VENDOR_ROLES.OWNER, VENDOR_ROLES.CATALOG_MANAGER).next).toHaveBeenCalled();
+      expect(authorize(promoted.req, VENDOR_ROLES.OWNER).next).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens of removed members', async () => {
+      members.length = 0;
+
+      const { req, res, next } = await run(memberToken);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(req.vendor).toBeUndefined();
+    });
+  });
+
+  describe('API keys', () => {
+    const apiKeyRow = { id: 'key-1', vendor_id: 'vendor-1', name: 'ERP sync', scope: 'catalog_write', key_prefix: 'rk_abcdefgh' };
+
+    it('should authenticate X-API-Key requests with the role of the key scope', async () => {
+      vendorApiKeyService.findActiveKey.mockResolvedValue(apiKeyRow);
+
+      const { req, next } = await run(null, { 'x-api-key': 'rk_secret' });
+
+      expect(next).toHaveBeenCalled();
+      expect(vendorApiKeyService.findActiveKey).toHaveBeenCalledWith('rk_secret');
+      expect(req.vendor).toMatchObject({ id: 'vendor-1', role: VENDOR_ROLES.CATALOG_MANAGER, member: null, authMethod: 'api_key', apiKey: { id: 'key-1', scope: 'catalog_write' } });
+      expect(vendorApiKeyService.recordKeyUse).toHaveBeenCalledWith('key-1', '203.0.113.7');
+
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      const denied = jest.fn();
+      denyApiKeys(req, res, denied);
+      expect(denied).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should reject unknown or revoked keys without recording a use', async () => {
+      vendorApiKeyService.findActiveKey.mockResolvedValue(null);
+
+      const { res, next } = await run(null, { 'x-api-key': 'rk_revoked' });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(vendorApiKeyService.recordKeyUse).not.toHaveBeenCalled();
+    });
+  });
+});
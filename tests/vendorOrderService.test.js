@@ -0,0 +1,155 @@
+const vendorOrderService = require('../src/services/vendorOrderService');
+const { deriveOrderStatus } = require('../src/services/orderStatus');
+const inventoryService = require('../src/services/inventoryService');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../src/services/goldPriceService', () => ({ getCurrentPrice: jest.fn(() => 65.25) }));
+jest.mock('../src/services/inventoryService', () => ({ releaseStock: jest.fn(async () => {}) }));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ * @param {Array} rows - Table rows
+ * @param {function} expand - Adds embedded relations to rows that are read
+ */
+const createTable = (rows, expand = row => row) => () => {
+  let action = 'select';
+  let values = null;
+  let withCount = false;
+  const filters = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const inserted = [].concat(values).map((row, index) => ({ id: `row-${rows.length + index + 1}`, ...row }));
+      rows.push(...inserted);
+      return inserted;
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    return matched.map(row => expand({ ...row }));
+  };
+
+  const builder = {
+    select: (columns, options) => { withCount = Boolean(options && options.count); return builder; },
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    gte: (column, value) => { filters.push(row => row[column] >= value); return builder; },
+    lte: (column, value) => { filters.push(row => row[column] <= value); return builder; },
+    order: () => builder,
+    range: () => builder,
+    single: async () => ({ data: run()[0] || null, error: null }),
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve, reject) => {
+      const data = run();
+      return Promise.resolve({ data, error: null, ...(withCount && { count: data.length }) }).then(resolve, reject);
+    }
+  };
+
+  return builder;
+};
+
+describe('deriveOrderStatus', () => {
+  it('should follow the least advanced open sub-order', () => {
+    expect(deriveOrderStatus(['shipped', 'processing'])).toBe('processing');
+    expect(deriveOrderStatus(['shipped', 'cancelled'])).toBe('shipped');
+    expect(deriveOrderStatus(['cancelled', 'cancelled'])).toBe('cancelled');
+    expect(deriveOrderStatus(['cancelled', 'refunded'])).toBe('refunded');
+    expect(deriveOrderStatus([])).toBeNull();
+  });
+});
+
+describe('Vendor Order Service', () => {
+  let tables;
+
+  const vendor = { id: 'vendor-1', businessName: 'RENART Jewelry', businessAddress: 'Istanbul', phoneNumber: '+90', email: 'shop@renart.com' };
+
+  beforeEach(() => {
+    tables = {
+      orders: [
+        { id: 'order-1', order_number: 'RN-260115-AAAAAAAA', status: 'paid', currency: 'USD', shipping_address: { fullName: 'Jane Doe' }, created_at: '2026-01-15T10:00:00.000Z' },
+        { id: 'order-2', order_number: 'RN-260201-BBBBBBBB', status: 'pending', currency: 'USD', shipping_address: { fullName: 'John Doe' }, created_at: '2026-02-01T10:00:00.000Z' }
+      ],
+      vendor_orders: [
+        { id: 'vo-1', order_id: 'order-1', vendor_id: 'vendor-1', status: 'paid', subtotal: 550, item_count: 3, created_at: '2026-01-15T10:00:00.000Z' },
+        { id: 'vo-2', order_id: 'order-1', vendor_id: 'vendor-2', status: 'paid', subtotal: 1200, item_count: 3, created_at: '2026-01-15T10:00:00.000Z' },
+        { id: 'vo-3', order_id: 'order-2', vendor_id: 'vendor-1', status: 'pending', subtotal: 200, item_count: 1, created_at: '2026-02-01T10:00:00.000Z' }
+      ],
+      order_items: [
+        { id: 'item-1', order_id: 'order-1', vendor_order_id: 'vo-1', vendor_id: 'vendor-1', product_id: 'ring', product_name: 'Ring', color: 'yellow', weight: 2, quantity: 2, unit_price: 200, line_total: 400 },
+        { id: 'item-2', order_id: 'order-1', vendor_order_id: 'vo-1', vendor_id: 'vendor-1', product_id: 'chain', product_name: 'Chain', color: 'white', weight: 1.5, quantity: 1, unit_price: 150, line_total: 150 }
+      ],
+      order_status_history: []
+    };
+
+    const expand = {
+      vendor_orders: vendorOrder => ({ ...vendorOrder, orders: tables.orders.find(order => order.id === vendorOrder.order_id) })
+    };
+
+    supabase.from.mockImplementation((table) => createTable(tables[table], expand[table])());
+  });
+
+  describe('listVendorOrders', () => {
+    it('should only list the vendor\'s sub-orders, filtered by status and date', async () => {
+      const all = await vendorOrderService.listVendorOrders('vendor-1');
+      expect(all.orders.map(order => order.id)).toEqual(['vo-1', 'vo-3']);
+      expect(all.orders[0]).toMatchObject({ orderNumber: 'RN-260115-AAAAAAAA', subtotal: 550 });
+
+      expect((await vendorOrderService.listVendorOrders('vendor-1', { status: 'pending' })).orders.map(order => order.id)).toEqual(['vo-3']);
+      expect((await vendorOrderService.listVendorOrders('vendor-1', { from: new Date('2026-01-20') })).total).toBe(1);
+    });
+  });
+
+  describe('status changes', () => {
+    it('should accept and ship a sub-order and move the parent order when all sub-orders follow', async () => {
+      const accepted = await vendorOrderService.acceptVendorOrder('vendor-1', 'vo-1');
+      expect(accepted.vendorOrder).toMatchObject({ status: 'processing', orderNumber: 'RN-260115-AAAAAAAA' });
+      expect(tables.orders[0].status).toBe('paid');
+
+      await vendorOrderService.acceptVendorOrder('vendor-2', 'vo-2');
+      expect(tables.orders[0].status).toBe('processing');
+
+      const shipped = await vendorOrderService.shipVendorOrder('vendor-1', 'vo-1', { carrier: 'UPS', trackingNumber: '1Z999' });
+      expect(shipped.vendorOrder).toMatchObject({ status: 'shipped', carrier: 'UPS', trackingNumber: '1Z999', shippedAt: expect.any(String) });
+      expect(shipped.vendorOrder.history.map(entry => entry.status)).toEqual(['processing', 'shipped']);
+      expect(tables.orders[0].status).toBe('processing');
+    });
+
+    it('should cancel the parent order once every sub-order is cancelled', async () => {
+      await vendorOrderService.cancelVendorOrder('vendor-1', 'vo-3', 'Out of stock');
+
+      expect(tables.vendor_orders[2]).toMatchObject({ status: 'cancelled', cancellation_reason: 'Out of stock' });
+      expect(tables.orders[1]).toMatchObject({ status: 'cancelled', cancelled_at: expect.any(String) });
+      expect(tables.order_status_history.map(entry => [entry.vendor_order_id, entry.to_status])).toEqual([['vo-3', 'cancelled'], [null, 'cancelled']]);
+      expect(inventoryService.releaseStock).toHaveBeenCalledWith('order-2', ['vo-3']);
+    });
+
+    it('should reject other vendors\' orders and invalid transitions', async () => {
+      expect(await vendorOrderService.acceptVendorOrder('vendor-1', 'vo-2')).toEqual({ status: 'not_found' });
+      expect(await vendorOrderService.acceptVendorOrder('vendor-1', 'vo-3')).toEqual({ status: 'invalid_transition', currentStatus: 'pending' });
+      expect(await vendorOrderService.shipVendorOrder('vendor-1', 'vo-1', { carrier: 'UPS', trackingNumber: '1Z999' }))
+        .toEqual({ status: 'invalid_transition', currentStatus: 'paid' });
+      expect(tables.order_status_history).toHaveLength(0);
+    });
+  });
+
+  describe('getPackingSlip', () => {
+    it('should list items and weights without prices', async () => {
+      const slip = await vendorOrderService.getPackingSlip(vendor, 'vo-1');
+
+      expect(slip).toMatchObject({
+        orderNumber: 'RN-260115-AAAAAAAA',
+        from: { businessName: 'RENART Jewelry' },
+        shipTo: { fullName: 'Jane Doe' },
+        itemCount: 3,
+        totalWeight: 5.5
+      });
+      expect(slip.items[0]).toEqual({ productId: 'ring', productName: 'Ring', color: 'yellow', weight: 2, quantity: 2 });
+      expect(await vendorOrderService.getPackingSlip(vendor, 'vo-2')).toBeNull();
+    });
+  });
+});
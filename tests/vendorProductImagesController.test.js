@@ -0,0 +1,232 @@
+const vendorProductImagesController = require('../src/controllers/vendorProductImagesController');
+const { supabase } = require('../src/config/supabase');
+const { getStorage } = require('../src/services/storage');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../src/services/storage', () => ({ getStorage: jest.fn() }));
+jest.mock('../src/services/imageVariantService', () => ({
+  getStorageKeys: jest.fn(key => [key, key.replace(/\.\w+$/, '_thumb.webp')]),
+  generateVariants: jest.fn(async () => ({ thumb: Buffer.from('thumb') })),
+  storeVariants: jest.fn(async (storage, key) => ({ thumb: `/uploads/${key}_thumb.webp` }))
+}));
+
+const VENDOR_ID = 'vendor-1';
+const PRODUCT_ID = 'product-1';
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ * @param {Array} rows - Table rows
+ * @param {function} expand - Adds embedded relations to rows
+ */
+const createTable = (rows, expand = row => row) => () => {
+  let action = 'select';
+  let values = null;
+  const filters = [];
+  const orders = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const row = { id: `image-${rows.length + 1}`, ...values };
+      rows.push(row);
+      return [row];
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    if (action === 'delete') {
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+    }
+    const data = matched.map(row => expand({ ...row }));
+    return data.sort((a, b) => orders.reduce((order, [column, direction]) => (
+      order || (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * direction
+    ), 0));
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    delete: () => { action = 'delete'; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    order: (column, { ascending }) => { orders.push([column, ascending ? 1 : -1]); return builder; },
+    single: async () => {
+      const data = run()[0] || null;
+      return { data, error: data ? null : { code: 'PGRST116', message: 'No rows found' } };
+    },
+    then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+  };
+
+  return builder;
+};
+
+describe('Vendor Product Images Controller', () => {
+  let tables;
+  let storage;
+  let res;
+
+  const imagesOf = (color) => tables.product_images
+    .filter(image => image.product_id === PRODUCT_ID && image.color === color)
+    .sort((a, b) => a.sort_order - b.sort_order);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    tables = {
+      products: [
+        { id: PRODUCT_ID, vendor_id: VENDOR_ID },
+        { id: 'product-2', vendor_id: 'vendor-2' }
+      ],
+      product_images: [
+        { id: 'yellow-1', product_id: PRODUCT_ID, color: 'yellow', image_url: '/uploads/y1.jpg', storage_key: 'y1.jpg', sort_order: 0 },
+        { id: 'yellow-2', product_id: PRODUCT_ID, color: 'yellow', image_url: '/uploads/y2.jpg', storage_key: 'y2.jpg', sort_order: 1 },
+        { id: 'yellow-3', product_id: PRODUCT_ID, color: 'yellow', image_url: 'https://cdn.example.com/y3.jpg', storage_key: null, sort_order: 2 },
+        { id: 'rose-1', product_id: PRODUCT_ID, color: 'rose', image_url: '/uploads/r1.jpg', storage_key: 'r1.jpg', sort_order: 0 },
+        { id: 'white-1', product_id: PRODUCT_ID, color: 'white', image_url: null, storage_key: null, sort_order: 0 },
+        { id: 'other-1', product_id: 'product-2', color: 'yellow', image_url: '/uploads/o1.jpg', storage_key: 'o1.jpg', sort_order: 0 }
+      ]
+    };
+
+    const expand = {
+      products: product => ({
+        ...product,
+        product_images: tables.product_images.filter(image => image.product_id === product.id).map(image => ({ ...image }))
+      })
+    };
+    supabase.from.mockImplementation((table) => createTable(tables[table], expand[table])());
+
+    storage = {
+      save: jest.fn(async ({ key }) => ({ key, url: `/uploads/${key}` })),
+      remove: jest.fn(async () => {})
+    };
+    getStorage.mockReturnValue(storage);
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+  });
+
+  // asyncHandler does not return the handler promise, so wait for the response body
+  const call = (handler, req) => new Promise((resolve, reject) => {
+    res.json.mockImplementation(body => resolve({ status: res.status.mock.calls[0][0], body }));
+    handler({ vendor: { id: VENDOR_ID }, params: { id: PRODUCT_ID }, body: {}, ...req }, res, reject);
+  });
+
+  describe('deleteProductImage', () => {
+    const deleteImage = (imageId, params = {}) => call(vendorProductImagesController.deleteProductImage, {
+      params: { id: PRODUCT_ID, imageId, ...params }
+    });
+
+    it('should delete the image and its stored files', async () => {
+      const result = await deleteImage('yellow-1');
+
+      expect(result.status).toBe(200);
+      expect(imagesOf('yellow').map(image => image.id)).toEqual(['yellow-2', 'yellow-3']);
+      expect(storage.remove.mock.calls.map(([key]) => key)).toEqual(['y1.jpg', 'y1_thumb.webp']);
+    });
+
+    it('should leave images it did not store alone', async () => {
+      await deleteImage('yellow-3');
+
+      expect(imagesOf('yellow')).toHaveLength(2);
+      expect(storage.remove).not.toHaveBeenCalled();
+    });
+
+    it('should keep the last image of a color as an empty placeholder', async () => {
+      const result = await deleteImage('rose-1');
+
+      expect(result.status).toBe(200);
+      expect(imagesOf('rose')).toEqual([expect.objectContaining({ id: 'rose-1', image_url: null, storage_key: null, variants: null })]);
+      expect(storage.remove).toHaveBeenCalledWith('r1.jpg');
+    });
+
+    it('should only delete images of the vendor\'s own products', async () => {
+      expect((await deleteImage('other-1', { id: 'product-2' })).status).toBe(404);
+      expect((await deleteImage('other-1')).body.message).toBe('Image not found');
+      expect(tables.product_images).toHaveLength(6);
+    });
+
+    it('should keep stored files when the row could not be deleted', async () => {
+      const from = supabase.from.getMockImplementation();
+      supabase.from.mockImplementationOnce(from);
+      supabase.from.mockImplementationOnce(() => ({
+        delete: () => ({ eq: async () => ({ error: { message: 'connection reset' } }) })
+      }));
+
+      const result = await deleteImage('yellow-1');
+
+      expect(result.status).toBe(500);
+      expect(storage.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reorderProductImages', () => {
+    const reorder = (body) => call(vendorProductImagesController.reorderProductImages, { body });
+
+    it('should store the new order and return the color\'s images in it', async () => {
+      const result = await reorder({ color: 'yellow', imageIds: ['yellow-3', 'yellow-1', 'yellow-2'] });
+
+      expect(result.status).toBe(200);
+      expect(result.body.data.images.map(image => [image.id, image.sortOrder])).toEqual([
+        ['yellow-3', 0],
+        ['yellow-1', 1],
+        ['yellow-2', 2]
+      ]);
+      expect(imagesOf('rose')[0].sort_order).toBe(0);
+    });
+
+    it('should require every image of the color exactly once', async () => {
+      const incomplete = await reorder({ color: 'yellow', imageIds: ['yellow-2', 'yellow-1'] });
+      const duplicated = await reorder({ color: 'yellow', imageIds: ['yellow-2', 'yellow-2', 'yellow-1'] });
+      const otherColor = await reorder({ color: 'yellow', imageIds: ['yellow-3', 'yellow-1', 'rose-1'] });
+
+      [incomplete, duplicated, otherColor].forEach(result => {
+        expect(result.status).toBe(400);
+        expect(result.body.message).toBe('imageIds must list every yellow image of this product exactly once');
+      });
+      expect(imagesOf('yellow').map(image => image.id)).toEqual(['yellow-1', 'yellow-2', 'yellow-3']);
+    });
+
+    it('should only reorder the vendor\'s own products', async () => {
+      const result = await call(vendorProductImagesController.reorderProductImages, {
+        params: { id: 'product-2' },
+        body: { color: 'yellow', imageIds: ['other-1'] }
+      });
+
+      expect(result.status).toBe(404);
+    });
+  });
+
+  describe('uploadProductImage', () => {
+    const uploadImage = (color) => call(vendorProductImagesController.uploadProductImage, {
+      body: { color },
+      file: { buffer: Buffer.from('image'), mimetype: 'image/png', extension: 'png' }
+    });
+
+    it('should fill the placeholder of a color without images', async () => {
+      const result = await uploadImage('white');
+
+      expect(result.status).toBe(201);
+      expect(imagesOf('white')).toEqual([expect.objectContaining({ id: 'white-1', sort_order: 0, image_url: result.body.data.image.imageUrl })]);
+      expect(result.body.data.image.imageUrl).toMatch(/^\/uploads\/products\/product-1\/white\/.+\.png$/);
+    });
+
+    it('should add images after the last one of the color', async () => {
+      const result = await uploadImage('yellow');
+
+      expect(result.status).toBe(201);
+      expect(result.body.data.image).toMatchObject({ color: 'yellow', sortOrder: 3 });
+      expect(imagesOf('yellow')).toHaveLength(4);
+    });
+
+    it('should refuse colors the product is not offered in', async () => {
+      const result = await uploadImage('black');
+
+      expect(result.status).toBe(400);
+      expect(storage.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const vendorSessionService = require('../src/services/vendorSessionService');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ */
+const createTable = (rows) => () => {
+  let action = 'select';
+  let values = null;
+  const filters = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const row = { id: `session-${rows.length + 1}`, created_at: new Date().toISOString(), revoked_at: null, ...values };
+      rows.push(row);
+      return [row];
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    return matched;
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    neq: (column, value) => { filters.push(row => row[column] !== value); return builder; },
+    is: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    gt: (column, value) => { filters.push(row => row[column] > value); return builder; },
+    order: () => builder,
+    single: async () => ({ data: run()[0] || null, error: null }),
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve) => resolve({ data: run(), error: null })
+  };
+
+  return builder;
+};
+
+describe('Vendor Session Service', () => {
+  const client = { userAgent: 'Mozilla/5.0', ipAddress: '203.0.113.7' };
+  let sessions;
+
+  beforeEach(() => {
+    sessions = [];
+    supabase.from.mockImplementation(() => createTable(sessions)());
+  });
+
+  it('should rotate the refresh token of an active session', async () => {
+    const { sessionId, jti } = await vendorSessionService.createSession('vendor-1', client);
+
+    const rotation = await vendorSessionService.rotateSession(sessionId, 'vendor-1', jti, client);
+
+    expect(rotation.status).toBe('rotated');
+    expect(rotation.jti).not.toBe(jti);
+    expect(sessions[0].jti).toBe(rotation.jti);
+    expect(await vendorSessionService.isSessionActive(sessionId, 'vendor-1')).toBe(true);
+  });
+
+  it('should revoke the whole session when a rotated token is reused', async () => {
+    const { sessionId, jti } = await vendorSessionService.createSession('vendor-1', client);
+    const { jti: currentJti } = await vendorSessionService.rotateSession(sessionId, 'vendor-1', jti, client);
+
+    expect(await vendorSessionService.rotateSession(sessionId, 'vendor-1', jti, client)).toEqual({ status: 'reused' });
+    expect(sessions[0].revoked_reason).toBe('refresh_token_reuse');
+
+    // The legitimate holder is signed out too
+    expect(await vendorSessionService.rotateSession(sessionId, 'vendor-1', currentJti, client)).toEqual({ status: 'revoked' });
+    expect(await vendorSessionService.isSessionActive(sessionId, 'vendor-1')).toBe(false);
+  });
+
+  it('should not rotate expired sessions or sessions of another vendor', async () => {
+    const { sessionId, jti } = await vendorSessionService.createSession('vendor-1', client);
+
+    expect(await vendorSessionService.rotateSession(sessionId, 'vendor-2', jti, client)).toEqual({ status: 'not_found' });
+
+    sessions[0].expires_at = new Date(Date.now() - 1000).toISOString();
+    expect(await vendorSessionService.rotateSession(sessionId, 'vendor-1', jti, client)).toEqual({ status: 'expired' });
+  });
+
+  it('should list active sessions and revoke all but the current one', async () => {
+    const current = await vendorSessionService.createSession('vendor-1', client);
+    await vendorSessionService.createSession('vendor-1', { userAgent: 'curl/8.0' });
+    await vendorSessionService.createSession('vendor-2', client);
+
+    expect(await vendorSessionService.revokeAllSessions('vendor-1', 'revoked_by_vendor', current.sessionId)).toBe(1);
+
+    const listed = await vendorSessionService.listSessions('vendor-1');
+    expect(listed).toEqual([expect.objectContaining({
+      id: current.sessionId,
+      device: 'Mozilla/5.0',
+      ipAddress: '203.0.113.7'
+    })]);
+    expect(await vendorSessionService.revokeSession(current.sessionId, 'vendor-2', 'logout')).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+const bcrypt = require('bcryptjs');
+const vendorTeamService = require('../src/services/vendorTeamService');
+const vendorSessionService = require('../src/services/vendorSessionService');
+const mailService = require('../src/services/mail');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../src/services/mail', () => ({ sendMail: jest.fn() }));
+jest.mock('../src/services/vendorSessionService', () => ({ revokeAllSessions: jest.fn() }));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ */
+const createTable = (rows) => () => {
+  let action = 'select';
+  let values = null;
+  const filters = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const row = { id: `member-${rows.length + 1}`, ...values };
+      rows.push(row);
+      return [row];
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    if (action === 'delete') {
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+    }
+    return matched.map(row => ({ ...row }));
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    delete: () => { action = 'delete'; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    order: () => builder,
+    single: async () => ({ data: run()[0] || null, error: null }),
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+  };
+
+  return builder;
+};
+
+describe('Vendor Team Service', () => {
+  const vendor = { id: 'vendor-1', email: 'vendor@example.com', businessName: 'Gold Co' };
+  let tables;
+
+  const sentToken = () => mailService.sendMail.mock.calls.at(-1)[0].text.match(/token=([a-f0-9]+)/)[1];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tables = {
+      vendors: [{ id: 'vendor-1', email: 'vendor@example.com' }, { id: 'vendor-2', email: 'other@example.com' }],
+      vendor_members: []
+    };
+    supabase.from.mockImplementation((table) => createTable(tables[table])());
+  });
+
+  it('should invite by email and activate the member once they choose a password', async () => {
+    const invited = await vendorTeamService.inviteMember(vendor, { email: 'Staff@Example.com', role: 'viewer' }, null);
+
+    expect(invited).toMatchObject({ status: 'invited', member: { email: 'staff@example.com', role: 'viewer', status: 'invited' } });
+    expect(mailService.sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'staff@example.com' }));
+    expect(await vendorTeamService.findMemberForLogin('staff@example.com')).toBeNull();
+
+    const token = sentToken();
+    const accepted = await vendorTeamService.acceptInvitation(token, { password: 'secret123', name: 'Alex' });
+
+    expect(accepted).toMatchObject({ valid: true, member: { name: 'Alex', status: 'active' } });
+    expect(await vendorTeamService.acceptInvitation(token, { password: 'other123' })).toMatchObject({ valid: false });
+
+    const member = await vendorTeamService.findMemberForLogin('STAFF@example.com');
+    expect(member).toMatchObject({ vendor_id: 'vendor-1', role: 'viewer', invitation_token_hash: null });
+    expect(await bcrypt.compare('secret123', member.password_hash)).toBe(true);
+  });
+
+  it('should not invite emails that already log in somewhere else', async () => {
+    expect(await vendorTeamService.inviteMember(vendor, { email: 'other@example.com', role: 'viewer' }, null))
+      .toEqual({ status: 'email_taken' });
+
+    await vendorTeamService.inviteMember({ ...vendor, id: 'vendor-2' }, { email: 'staff@example.com', role: 'viewer' }, null);
+    expect(await vendorTeamService.inviteMember(vendor, { email: 'staff@example.com', role: 'owner' }, null))
+      .toEqual({ status: 'email_taken' });
+    expect(mailService.sendMail).toHaveBeenCalledTimes(1);
+  });
+
+  it('should replace the link when a pending invitation is sent again, and reject expired ones', async () => {
+    await vendorTeamService.inviteMember(vendor, { email: 'staff@example.com', role: 'viewer' }, null);
+    const firstToken = sentToken();
+    await vendorTeamService.inviteMember(vendor, { email: 'staff@example.com', role: 'catalog_manager' }, null);
+
+    expect(tables.vendor_members).toHaveLength(1);
+    expect(tables.vendor_members[0].role).toBe('catalog_manager');
+    expect((await vendorTeamService.acceptInvitation(firstToken, { password: 'secret123' })).valid).toBe(false);
+
+    tables.vendor_members[0].invitation_expires_at = new Date(Date.now() - 1000).toISOString();
+    expect(await vendorTeamService.acceptInvitation(sentToken(), { password: 'secret123' }))
+      .toEqual({ valid: false, reason: 'Invitation has expired. Ask the store owner to invite you again.' });
+  });
+
+  it('should sign out removed members and leave other vendors\' members alone', async () => {
+    await vendorTeamService.inviteMember(vendor, { email: 'staff@example.com', role: 'viewer' }, null);
+    const memberId = tables.vendor_members[0].id;
+
+    expect(await vendorTeamService.removeMember('vendor-2', memberId)).toBe(false);
+    expect(await vendorTeamService.removeMember('vendor-1', memberId)).toBe(true);
+    expect(tables.vendor_members).toHaveLength(0);
+    expect(vendorSessionService.revokeAllSessions).toHaveBeenCalledWith('vendor-1', 'member_removed', null, memberId);
+  });
+});
@@ -0,0 +1,201 @@
+const http = require('http');
+const webhookService = require('../src/services/webhookService');
+const webhookDeliveryService = require('../src/services/webhookDeliveryService');
+const { supabase } = require('../src/config/supabase');
+
+// Mock dependencies
+jest.mock('../src/utils/logger');
+jest.mock('../src/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder with writes
+ */
+const createTable = (rows) => () => {
+  let action = 'select';
+  let values = null;
+  const filters = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const inserted = [].concat(values).map((row, index) => ({ id: `row-${rows.length + index + 1}`, ...row }));
+      rows.push(...inserted);
+      return inserted;
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    if (action === 'delete') {
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+    }
+    return matched.map(row => ({ ...row }));
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { action = 'insert'; values = row; return builder; },
+    update: (row) => { action = 'update'; values = row; return builder; },
+    delete: () => { action = 'delete'; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    lte: (column, value) => { filters.push(row => row[column] <= value); return builder; },
+    contains: (column, value) => { filters.push(row => value.every(item => row[column].includes(item))); return builder; },
+    order: () => builder,
+    limit: () => builder,
+    single: async () => ({ data: run()[0] || null, error: null }),
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+  };
+
+  return builder;
+};
+
+describe('Webhooks', () => {
+  let server;
+  let baseUrl;
+  let received;
+  let responseStatus;
+  let tables;
+
+  beforeAll(async () => {
+    // Local receiver standing in for a vendor's endpoint
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus, { 'Content-Type': 'text/plain' });
+        res.end(responseStatus === 200 ? 'ok' : 'receiver error');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // The local receiver is on a loopback address
+  beforeEach(() => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES = 'true';
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES;
+  });
+
+  beforeEach(() => {
+    received = [];
+    responseStatus = 200;
+    tables = { vendor_webhooks: [], webhook_deliveries: [] };
+    supabase.from.mockImplementation((table) => createTable(tables[table])());
+  });
+
+  const createWebhook = (events, vendorId = 'vendor-1') =>
+    webhookService.createWebhook(vendorId, { url: `${baseUrl}/hooks`, events });
+
+  it('should deliver subscribed events with a verifiable signature', async () => {
+    const { secret } = await createWebhook(['product.created']);
+    await createWebhook(['favorite.added']);
+    await createWebhook(['product.created'], 'vendor-2');
+
+    expect(await webhookService.enqueueEvent('vendor-1', 'product.created', { product: { id: 'product-1' } })).toBe(1);
+    expect(await webhookDeliveryService.processDueDeliveries()).toBe(1);
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    const [, timestamp, signature] = headers['x-renart-signature'].match(/^t=(\d+),v1=([a-f0-9]{64})$/);
+
+    expect(webhookDeliveryService.signPayload(secret, Number(timestamp), body)).toBe(signature);
+    expect(headers['x-renart-event']).toBe('product.created');
+    expect(headers['x-renart-delivery']).toBe(tables.webhook_deliveries[0].id);
+    expect(JSON.parse(body)).toMatchObject({ type: 'product.created', data: { product: { id: 'product-1' } } });
+    expect(tables.webhook_deliveries[0]).toMatchObject({ status: 'succeeded', attempts: 1, response_status: 200 });
+    expect(tables.webhook_deliveries[0]).not.toHaveProperty('response_body');
+  });
+
+  it('should retry failed deliveries with exponential backoff and then give up', async () => {
+    await createWebhook(['product.updated']);
+    await webhookService.enqueueEvent('vendor-1', 'product.updated', { product: { id: 'product-1' } });
+    responseStatus = 500;
+
+    const before = Date.now();
+    await webhookDeliveryService.processDueDeliveries();
+    const delivery = tables.webhook_deliveries[0];
+
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, response_status: 500 });
+    expect(new Date(delivery.next_attempt_at).getTime()).toBeGreaterThanOrEqual(before + 30 * 1000);
+
+    // Not due yet
+    expect(await webhookDeliveryService.processDueDeliveries()).toBe(0);
+
+    delivery.attempts = webhookDeliveryService.MAX_ATTEMPTS - 1;
+    delivery.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+    await webhookDeliveryService.processDueDeliveries();
+
+    expect(delivery).toMatchObject({ status: 'failed', attempts: webhookDeliveryService.MAX_ATTEMPTS });
+    expect(received).toHaveLength(2);
+  });
+
+  it('should double the retry delay up to a cap', () => {
+    expect([1, 2, 3].map(webhookDeliveryService.getRetryDelaySeconds)).toEqual([30, 60, 120]);
+    expect(webhookDeliveryService.getRetryDelaySeconds(20)).toBe(6 * 60 * 60);
+  });
+
+  it('should send a test event right away and log it', async () => {
+    const { webhook } = await createWebhook(['product.deleted']);
+
+    expect(await webhookService.sendTestEvent('vendor-2', webhook.id)).toBeNull();
+
+    const delivery = await webhookService.sendTestEvent('vendor-1', webhook.id);
+
+    expect(delivery).toMatchObject({ event: 'ping', status: 'succeeded', attempts: 1, responseStatus: 200 });
+    expect(JSON.parse(received[0].body)).toMatchObject({ type: 'ping', data: { webhookId: webhook.id } });
+  });
+
+  it('should only allow plain HTTP endpoints outside production', () => {
+    const env = process.env.NODE_ENV;
+
+    expect(webhookService.isAllowedUrl('http://localhost:4000/hooks')).toBe(true);
+    process.env.NODE_ENV = 'production';
+    expect(webhookService.isAllowedUrl('http://localhost:4000/hooks')).toBe(false);
+    expect(webhookService.isAllowedUrl('https://erp.example.com/hooks')).toBe(true);
+    expect(webhookService.isAllowedUrl('ftp://example.com')).toBe(false);
+
+    process.env.NODE_ENV = env;
+  });
+
+  it('should refuse endpoints on loopback, private and link-local addresses', async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES;
+
+    expect(await webhookService.isPublicUrl('https://127.0.0.1/hooks')).toBe(false);
+    expect(await webhookService.isPublicUrl('http://169.254.169.254/latest/meta-data')).toBe(false);
+    expect(await webhookService.isPublicUrl('https://10.1.2.3/hooks')).toBe(false);
+    expect(await webhookService.isPublicUrl('https://[::1]/hooks')).toBe(false);
+    expect(await webhookService.isPublicUrl('https://[::ffff:127.0.0.1]/hooks')).toBe(false);
+    expect(await webhookService.isPublicUrl('https://2130706433/hooks')).toBe(false);
+    expect(await webhookService.isPublicUrl('https://localhost/hooks')).toBe(false);
+    expect(await webhookService.isPublicUrl('https://93.184.215.14/hooks')).toBe(true);
+  });
+
+  it('should not send to a host that no longer resolves to a public address', async () => {
+    await createWebhook(['product.created']);
+    await webhookService.enqueueEvent('vendor-1', 'product.created', { product: { id: 'product-1' } });
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES;
+
+    await webhookDeliveryService.processDueDeliveries();
+
+    expect(received).toHaveLength(0);
+    expect(tables.webhook_deliveries[0]).toMatchObject({ status: 'pending', attempts: 1, response_status: null });
+    expect(tables.webhook_deliveries[0].error).toMatch(/^ENOTPUBLIC/);
+  });
+
+  it('should ignore the private address allowance in production', () => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+
+    expect(webhookDeliveryService.allowsPrivateAddresses()).toBe(false);
+
+    process.env.NODE_ENV = env;
+  });
+});